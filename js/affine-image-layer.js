@@ -0,0 +1,321 @@
+// アフィン変換済み画像レイヤーモジュール
+// 画像の左上・右上・左下の3隅の地理座標からCSS matrixを算出し、
+// 回転・せん断を含めた状態で画像を地図上に描画する
+// （Leafletのレイヤー座標はWeb Mercatorに対して線形のため、3点で変換が一意に決まる）
+// 多項式・TPSなど非線形モデルでは、画像を三角形メッシュに分割し、三角形ごとのアフィン変換で
+// 1枚のcanvas（Web Mercatorの外接矩形）に描き直してから、canvasをmatrixで配置する（区分的アフィン近似）
+// canvasの描き直しはメッシュの更新時のみで、ズーム・移動ではmatrixの更新だけを行う
+
+let AffineImageLayerClass = null;
+
+const MESH_CANVAS_MAX_AREA = 4096 * 4096; // メッシュ描画用canvasの最大画素数（ブラウザのcanvas上限内）
+const MESH_SEAM_OVERLAP = 0.5; // 三角形の境界の隙間を防ぐため、クリップ範囲を外側に広げる幅（canvasのpx）
+
+/**
+ * 画像上の3点を別の平面上の3点へ写すアフィン変換の係数
+ * @param {Array} src - 変換元の座標 [{x, y} x3]
+ * @param {Array} dst - 変換先の座標 [{x, y} x3]
+ * @returns {Array|null} [a, b, c, d, e, f]（x' = a x + c y + e, y' = b x + d y + f。3点が一直線上の場合null）
+ */
+function calculateTriangleCoefficients(src, dst) {
+    const u1x = src[1].x - src[0].x, u1y = src[1].y - src[0].y;
+    const u2x = src[2].x - src[0].x, u2y = src[2].y - src[0].y;
+    const det = u1x * u2y - u2x * u1y;
+    if (Math.abs(det) < 1e-12) {
+        return null;
+    }
+
+    const v1x = dst[1].x - dst[0].x, v1y = dst[1].y - dst[0].y;
+    const v2x = dst[2].x - dst[0].x, v2y = dst[2].y - dst[0].y;
+
+    // [v1 v2] * [u1 u2]^-1
+    const a = (v1x * u2y - v2x * u1y) / det;
+    const b = (v1y * u2y - v2y * u1y) / det;
+    const c = (v2x * u1x - v1x * u2x) / det;
+    const d = (v2y * u1x - v1y * u2x) / det;
+    const e = dst[0].x - a * src[0].x - c * src[0].y;
+    const f = dst[0].y - b * src[0].x - d * src[0].y;
+
+    return [a, b, c, d, e, f];
+}
+
+/**
+ * 画像上の3点をレイヤー上の3点へ写すCSS matrixを算出
+ * @param {Array} src - 画像ピクセル座標 [{x, y} x3]
+ * @param {Array} dst - レイヤー座標 [{x, y} x3]
+ * @returns {string|null} CSS matrix文字列（3点が一直線上の場合null）
+ */
+function calculateTriangleMatrix(src, dst) {
+    const coefficients = calculateTriangleCoefficients(src, dst);
+    return coefficients ? `matrix(${coefficients.join(', ')})` : null;
+}
+
+// 三角形を重心から外側へ広げる（隣の三角形との継ぎ目に隙間が出ないようにする）
+function expandTriangle(points, amount) {
+    const centerX = (points[0].x + points[1].x + points[2].x) / 3;
+    const centerY = (points[0].y + points[1].y + points[2].y) / 3;
+    return points.map(p => {
+        const length = Math.hypot(p.x - centerX, p.y - centerY);
+        const ratio = length > 0 ? (length + amount) / length : 1;
+        return { x: centerX + (p.x - centerX) * ratio, y: centerY + (p.y - centerY) * ratio };
+    });
+}
+
+/**
+ * Leafletレイヤークラスを生成（Leaflet読み込み後に初めて定義する）
+ * @returns {Function} L.Layerを継承したクラス
+ */
+function getAffineImageLayerClass() {
+    if (AffineImageLayerClass) {
+        return AffineImageLayerClass;
+    }
+
+    AffineImageLayerClass = L.Layer.extend({
+        options: {
+            opacity: 1,
+            pane: 'overlayPane',
+            className: ''
+        },
+
+        initialize(imageUrl, corners, imageSize, options) {
+            this._url = imageUrl;
+            this._imageSize = imageSize;
+            this._corners = corners;
+            this._mesh = null;
+            this._piece = this._cornersToPiece(corners);
+            L.setOptions(this, options);
+        },
+
+        onAdd() {
+            if (!this._container) {
+                this._initContainer();
+            }
+            this.getPane().appendChild(this._container);
+            this._reset();
+        },
+
+        onRemove() {
+            L.DomUtil.remove(this._container);
+        },
+
+        getEvents() {
+            const events = {
+                zoom: this._reset,
+                viewreset: this._reset
+            };
+            if (this._zoomAnimated) {
+                events.zoomanim = this._animateZoom;
+            }
+            return events;
+        },
+
+        /**
+         * 画像4隅の座標を更新（アフィン変換：画像全体を1枚で描画）
+         * @param {Array} corners - [左上, 右上, 右下, 左下] の {lat, lng}
+         */
+        setCorners(corners) {
+            this._corners = corners;
+            this._mesh = null;
+            this._piece = this._cornersToPiece(corners);
+            this._update();
+            return this;
+        },
+
+        /**
+         * 三角形メッシュを設定（非線形変換：三角形ごとにcanvasへ描き直す）
+         * @param {Array} corners - [左上, 右上, 右下, 左下] の {lat, lng}
+         * @param {Array} triangles - [{imagePoints: [{x, y} x3], latLngs: [{lat, lng} x3]}]
+         */
+        setMesh(corners, triangles) {
+            this._corners = corners;
+            this._mesh = triangles;
+            this._update();
+            return this;
+        },
+
+        getCorners() {
+            return this._corners;
+        },
+
+        setOpacity(opacity) {
+            this.options.opacity = opacity;
+            if (this._container) {
+                L.DomUtil.setOpacity(this._container, opacity);
+            }
+            return this;
+        },
+
+        // 描画範囲の外接矩形
+        getBounds() {
+            const latLngs = [];
+            (this._mesh || [this._piece]).forEach(piece => piece.latLngs.forEach(c => latLngs.push([c.lat, c.lng])));
+            this._corners.forEach(c => latLngs.push([c.lat, c.lng]));
+            return L.latLngBounds(latLngs);
+        },
+
+        getElement() {
+            return this._container;
+        },
+
+        // 4隅から画像全体を表す描画単位を作成（左上・右上・左下の3点で変換が決まる）
+        _cornersToPiece(corners) {
+            const width = this._imageSize.width;
+            const height = this._imageSize.height;
+            return {
+                imagePoints: [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: 0, y: height }],
+                latLngs: [corners[0], corners[1], corners[3]]
+            };
+        },
+
+        _initContainer() {
+            this._container = L.DomUtil.create('div',
+                'leaflet-image-layer affine-image-layer' +
+                (this.options.className ? ' ' + this.options.className : ''));
+            L.DomUtil.setOpacity(this._container, this.options.opacity);
+
+            // 画像とメッシュ用canvasは1つずつ作成し、表示を切り替えて使い回す
+            // matrixは要素に適用するため、ズームアニメーションも要素単位で行う
+            const pieceClass = 'affine-image-piece' + (this._zoomAnimated ? ' leaflet-zoom-animated' : '');
+            this._image = L.DomUtil.create('img', pieceClass, this._container);
+            this._image.onselectstart = L.Util.falseFn;
+            this._image.onmousemove = L.Util.falseFn;
+            this._image.alt = '';
+            this._image.style.width = `${this._imageSize.width}px`;
+            this._image.style.height = `${this._imageSize.height}px`;
+            // 読み込み前にメッシュが設定された場合は読み込み後に描き直す
+            this._image.addEventListener('load', () => {
+                if (this._mesh) {
+                    this._update();
+                }
+            });
+            this._image.src = this._url;
+
+            this._canvas = L.DomUtil.create('canvas', pieceClass, this._container);
+
+            this._update();
+        },
+
+        // 表示する要素を切り替え、メッシュの場合はcanvasを描き直す
+        _update() {
+            if (!this._container) {
+                return;
+            }
+            if (this._mesh) {
+                this._renderMesh();
+            }
+            const element = this._getPieceElement();
+            this._image.style.display = element === this._image ? '' : 'none';
+            this._canvas.style.display = element === this._canvas ? '' : 'none';
+            if (this._map) {
+                this._reset();
+            }
+        },
+
+        _getPieceElement() {
+            return this._mesh ? this._canvas : this._image;
+        },
+
+        /**
+         * メッシュの三角形ごとに画像をcanvasへ描画し、canvas全体の配置をthis._pieceに設定
+         * canvasの座標はズーム0のレイヤー座標（Web Mercatorに線形）の外接矩形を、
+         * 画像とほぼ同じ画素数になるよう拡大したもの
+         */
+        _renderMesh() {
+            const triangles = this._mesh;
+            const projected = triangles.map(t => t.latLngs.map(latLng => L.CRS.EPSG3857.latLngToPoint(L.latLng(latLng), 0)));
+
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            projected.forEach(points => points.forEach(p => {
+                minX = Math.min(minX, p.x);
+                minY = Math.min(minY, p.y);
+                maxX = Math.max(maxX, p.x);
+                maxY = Math.max(maxY, p.y);
+            }));
+            const spanX = maxX - minX;
+            const spanY = maxY - minY;
+            if (!(spanX > 0) || !(spanY > 0)) {
+                this._piece = this._cornersToPiece(this._corners);
+                return;
+            }
+
+            const imageArea = this._imageSize.width * this._imageSize.height;
+            const scale = Math.sqrt(Math.min(imageArea, MESH_CANVAS_MAX_AREA) / (spanX * spanY));
+            const width = spanX * scale;
+            const height = spanY * scale;
+            const canvas = this._canvas;
+            canvas.width = Math.ceil(width);
+            canvas.height = Math.ceil(height);
+            canvas.style.width = `${canvas.width}px`;
+            canvas.style.height = `${canvas.height}px`;
+
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            if (this._image.complete && this._image.naturalWidth > 0) {
+                triangles.forEach((triangle, index) => {
+                    const dst = projected[index].map(p => ({ x: (p.x - minX) * scale, y: (p.y - minY) * scale }));
+                    const coefficients = calculateTriangleCoefficients(triangle.imagePoints, dst);
+                    if (!coefficients) {
+                        return;
+                    }
+                    const clip = expandTriangle(dst, MESH_SEAM_OVERLAP);
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.moveTo(clip[0].x, clip[0].y);
+                    ctx.lineTo(clip[1].x, clip[1].y);
+                    ctx.lineTo(clip[2].x, clip[2].y);
+                    ctx.closePath();
+                    ctx.clip();
+                    ctx.setTransform(...coefficients);
+                    ctx.drawImage(this._image, 0, 0);
+                    ctx.restore();
+                });
+            }
+
+            const toLatLng = (x, y) => L.CRS.EPSG3857.pointToLatLng(L.point(x, y), 0);
+            this._piece = {
+                imagePoints: [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: 0, y: height }],
+                latLngs: [toLatLng(minX, minY), toLatLng(maxX, minY), toLatLng(minX, maxY)]
+            };
+        },
+
+        _reset() {
+            const map = this._map;
+            // latLngToLayerPointは整数に丸めるため、canvas全体に拡大される誤差を避けて丸めずに投影する
+            const origin = map.getPixelOrigin();
+            this._applyMatrix(latLng => map.project(L.latLng(latLng))._subtract(origin));
+        },
+
+        _animateZoom(e) {
+            const map = this._map;
+            this._applyMatrix(latLng => map._latLngToNewLayerPoint(L.latLng(latLng), e.zoom, e.center));
+        },
+
+        // 表示中の要素に画像（canvas）ピクセル → レイヤー座標のmatrixを適用
+        _applyMatrix(project) {
+            if (!this._container) {
+                return;
+            }
+            const element = this._getPieceElement();
+            const matrix = calculateTriangleMatrix(this._piece.imagePoints, this._piece.latLngs.map(project));
+            element.style.visibility = matrix ? '' : 'hidden';
+            if (matrix) {
+                element.style[L.DomUtil.TRANSFORM] = matrix;
+            }
+        }
+    });
+
+    return AffineImageLayerClass;
+}
+
+/**
+ * アフィン変換済み画像レイヤーを作成
+ * @param {string} imageUrl - 画像URL（DataURL可）
+ * @param {Array} corners - [左上, 右上, 右下, 左下] の {lat, lng}
+ * @param {Object} imageSize - {width, height} 画像のピクセル寸法
+ * @param {Object} options - {opacity, pane, className}
+ * @returns {L.Layer} レイヤー
+ */
+export function createAffineImageLayer(imageUrl, corners, imageSize, options = {}) {
+    const LayerClass = getAffineImageLayerClass();
+    return new LayerClass(imageUrl, corners, imageSize, options);
+}
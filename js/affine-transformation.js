@@ -1,26 +1,60 @@
-// アフィン変換計算専用モジュール
+// アフィン変換計算専用モジュール（多項式・薄板スプライン変換にも対応）
 import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
 import { mathUtils } from './math-utils.js';
 
+/**
+ * シードから決まる擬似乱数列（mulberry32）
+ * ロバスト推定の組合せの抽出に使い、同じポイントからは毎回同じ変換が求まるようにする
+ * @param {number} seed - 32ビット整数のシード
+ * @returns {Function} 0以上1未満の値を返す関数
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 文字列の32ビットハッシュ（FNV-1a、擬似乱数のシード用）
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
 export class AffineTransformation {
     constructor() {
         this.logger = new Logger('AffineTransformation');
+        this.leaveOneOutCache = null; // 直前の1点除外の計算結果 {key, residuals}（同じ制御点の組では再計算しない）
     }
 
     /**
-     * 精密アフィン変換パラメータ計算
+     * 精密変換パラメータ計算
      * @param {Array} controlPoints - 制御点配列
+     * @param {string} model - 変換モデル（'affine', 'polynomial2', 'polynomial3', 'tps'）
      * @returns {Object|null} 変換結果
      */
-    calculatePreciseTransformation(controlPoints) {
+    calculatePreciseTransformation(controlPoints, model = CONFIG.DEFAULT_TRANSFORMATION_MODEL) {
         try {
-            if (controlPoints.length < 3) {
-                this.logger.error('精密アフィン変換には最低3つのポイントが必要です');
+            const modelConfig = CONFIG.TRANSFORMATION_MODELS[model];
+            if (!modelConfig) {
+                this.logger.error(`未対応の変換モデルです: ${model}`);
                 return null;
             }
 
-            // 最小二乗法によるアフィン変換パラメータ計算
-            const transformation = mathUtils.calculateAffineTransformation(controlPoints);
+            if (controlPoints.length < modelConfig.minPoints) {
+                this.logger.error(`${modelConfig.label}には最低${modelConfig.minPoints}つのポイントが必要です`);
+                return null;
+            }
+
+            const transformation = this.calculateModelParameters(controlPoints, model);
 
             if (!transformation) {
                 this.logger.error('精密変換計算に失敗');
@@ -32,6 +66,7 @@ export class AffineTransformation {
 
             const result = {
                 type: 'precise',
+                model: model,
                 transformation: transformation,
                 accuracy: accuracy,
                 controlPoints: controlPoints,
@@ -47,81 +82,360 @@ export class AffineTransformation {
     }
 
     /**
-     * 画像座標をGPS座標に変換（アフィン変換使用）
-     * @param {number} imageX
-     * @param {number} imageY
-     * @param {Object} transformation
-     * @returns {Array|null} [lat, lng]
+     * ロバスト変換パラメータ計算（LMedS: 最小メディアン二乗法）
+     * 最小ポイント数の組合せごとに変換を求め、全ポイントの誤差の二乗の中央値が最小となる変換を選ぶ。
+     * 中央値から求めたロバスト標準偏差でしきい値を決め、しきい値以内のポイント（合意集合）で最小二乗法により再計算する。
+     * @param {Array} controlPoints - 制御点配列
+     * @param {string} model - 変換モデル
+     * @returns {Object|null} 変換結果（rejectedPointsに棄却したポイントIDを含む）
      */
-    transformImageCoordsToGps(imageX, imageY, transformation) {
+    calculateRobustTransformation(controlPoints, model = CONFIG.DEFAULT_TRANSFORMATION_MODEL) {
         try {
-            if (transformation.type === 'precise') {
-                return mathUtils.applyAffineTransform(imageX, imageY, transformation);
-            } else {
-                this.logger.error('精密版以外の変換はサポートされていません');
+            const modelConfig = CONFIG.TRANSFORMATION_MODELS[model];
+            if (!modelConfig) {
+                this.logger.error(`未対応の変換モデルです: ${model}`);
+                return null;
+            }
+
+            const sampleSize = modelConfig.minPoints;
+            const n = controlPoints.length;
+
+            // 冗長なポイントがない場合は誤対応を判定できないため、通常の最小二乗法で計算
+            if (n <= sampleSize) {
+                this.logger.warn(`ロバスト推定には${sampleSize + 1}つ以上のポイントが必要なため、最小二乗法で計算します`);
+                const precise = this.calculatePreciseTransformation(controlPoints, model);
+                return precise ? { ...precise, type: 'robust', rejectedPoints: [], robust: null } : null;
+            }
+
+            const errorsOf = params => controlPoints.map(point => mathUtils.calculatePointResidual(point, params).error);
+
+            // 最小ポイント数の組合せから、誤差の中央値が最小となる変換を探索
+            // 組合せはポイントIDの順に並べたポイントから、ポイントIDをシードとして選ぶ（読み込み順・実行ごとに結果が変わらない）
+            const sortedPoints = [...controlPoints].sort((a, b) => String(a.pointJsonId).localeCompare(String(b.pointJsonId)));
+            const seed = hashString(sortedPoints.map(point => point.pointJsonId).join('\n'));
+            const samples = this.generateSamples(n, sampleSize, seed);
+            let best = { params: null, medianSquared: Infinity };
+
+            for (const sample of samples) {
+                const params = this.calculateModelParameters(sample.map(i => sortedPoints[i]), model);
+                if (!params) {
+                    continue; // 一直線上に並ぶなど解けない組合せ
+                }
+
+                const squared = errorsOf(params).map(e => e * e).sort((a, b) => a - b);
+                const medianSquared = squared[Math.floor(n / 2)];
+                if (medianSquared < best.medianSquared) {
+                    best = { params, medianSquared };
+                }
+            }
+
+            if (!best.params) {
+                this.logger.error('ロバスト推定で有効な変換が見つかりませんでした');
                 return null;
             }
 
+            // ロバスト標準偏差（Rousseeuw & Leroy の有限標本補正付き）
+            const sigma = 1.4826 * (1 + 5 / (n - sampleSize)) * Math.sqrt(best.medianSquared);
+            const threshold = Math.max(CONFIG.ROBUST_MIN_THRESHOLD_METERS, CONFIG.ROBUST_THRESHOLD_FACTOR * sigma);
+
+            // 合意集合で再計算し、集合が変化しなくなるまで繰り返す
+            // 返す変換（params）と合意集合（fittedFlags）は常に同じ試行のものとする
+            let params = best.params;
+            let inlierFlags = errorsOf(params).map(e => e <= threshold);
+            let fittedFlags = inlierFlags;
+
+            for (let iteration = 0; iteration < CONFIG.ROBUST_MAX_REFIT_ITERATIONS; iteration++) {
+                const inliers = controlPoints.filter((_, i) => inlierFlags[i]);
+                if (inliers.length < sampleSize) {
+                    break;
+                }
+
+                const refitted = this.calculateModelParameters(inliers, model);
+                if (!refitted) {
+                    break;
+                }
+                params = refitted;
+                fittedFlags = inlierFlags;
+
+                const nextFlags = errorsOf(params).map(e => e <= threshold);
+                const changed = nextFlags.some((flag, i) => flag !== inlierFlags[i]);
+                const nextCount = nextFlags.filter(Boolean).length;
+                if (!changed || nextCount < sampleSize) {
+                    break;
+                }
+                inlierFlags = nextFlags;
+            }
+
+            const inliers = controlPoints.filter((_, i) => fittedFlags[i]);
+            const rejectedPoints = controlPoints.filter((_, i) => !fittedFlags[i]).map(point => point.pointJsonId);
+
+            if (rejectedPoints.length > 0) {
+                this.logger.info(`ロバスト推定で棄却されたポイント: ${rejectedPoints.join(', ')}（しきい値 ${threshold.toFixed(2)}m）`);
+            }
+
+            return {
+                type: 'robust',
+                model: model,
+                transformation: params,
+                accuracy: mathUtils.calculateTransformationAccuracy(inliers, params),
+                controlPoints: inliers,
+                usedPoints: inliers.length,
+                rejectedPoints: rejectedPoints,
+                robust: {
+                    method: 'LMedS',
+                    threshold: threshold,
+                    sigma: sigma,
+                    sampleCount: samples.length
+                }
+            };
+
         } catch (error) {
-            this.logger.error('座標変換エラー', error);
+            this.logger.error('ロバスト変換計算エラー', error);
             return null;
         }
     }
 
     /**
-     * アフィン変換からスケールを計算
-     * @param {Object} transformation
-     * @param {Object} mapCore
-     * @returns {number} スケール値
+     * ロバスト推定（LMedS）の試行に用いるポイントの組合せを生成
+     * 組合せ総数が上限以下なら全組合せ、超える場合はシードから決まる擬似乱数で抽出する
+     * @param {number} n - ポイント数
+     * @param {number} k - 1組あたりのポイント数
+     * @param {number} seed - 擬似乱数のシード（同じシードでは同じ組合せを返す）
+     * @returns {Array} インデックス配列の配列
      */
-    calculateScaleFromTransformation(transformation, mapCore) {
-        try {
-            const t = transformation.transformation;
-
-            // アフィン変換行列の変形スケールを計算
-            const scaleX = Math.sqrt(t.a * t.a + t.d * t.d);
-            const scaleY = Math.sqrt(t.b * t.b + t.e * t.e);
-            const averageScale = (scaleX + scaleY) / 2;
-
-            // 制御点から実際のスケールを計算
-            if (transformation.controlPoints && transformation.controlPoints.length >= 2) {
-                const point1 = transformation.controlPoints[0];
-                const point2 = transformation.controlPoints[1];
-
-                const imageDistance = Math.sqrt(
-                    Math.pow(point2.pointJson.imageX - point1.pointJson.imageX, 2) +
-                    Math.pow(point2.pointJson.imageY - point1.pointJson.imageY, 2)
-                );
-
-                const gpsDistance = mathUtils.calculateGpsDistance(
-                    point1.gpsPoint.lat, point1.gpsPoint.lng,
-                    point2.gpsPoint.lat, point2.gpsPoint.lng
-                );
-
-                if (imageDistance > 0 && gpsDistance > 0) {
-                    const actualScale = gpsDistance / imageDistance;
-                    const centerPos = mapCore.getMap().getCenter();
-                    const currentZoom = mapCore.getMap().getZoom();
-                    const metersPerPixelAtCenter = mathUtils.calculateMetersPerPixel(centerPos.lat, currentZoom);
-                    const leafletScale = actualScale / metersPerPixelAtCenter;
-
-                    this.logger.info(`スケール計算: 実際スケール=${actualScale.toFixed(6)}m/px, Leafletスケール=${leafletScale.toFixed(6)}`);
-                    return leafletScale;
+    generateSamples(n, k, seed) {
+        let total = 1;
+        for (let i = 0; i < k; i++) {
+            total = total * (n - i) / (i + 1);
+        }
+
+        if (total <= CONFIG.ROBUST_MAX_SAMPLES) {
+            const samples = [];
+            const combine = (start, current) => {
+                if (current.length === k) {
+                    samples.push([...current]);
+                    return;
                 }
+                for (let i = start; i < n; i++) {
+                    current.push(i);
+                    combine(i + 1, current);
+                    current.pop();
+                }
+            };
+            combine(0, []);
+            return samples;
+        }
+
+        const random = createSeededRandom(seed);
+        const samples = [];
+        const seen = new Set();
+        while (samples.length < CONFIG.ROBUST_MAX_SAMPLES) {
+            const picked = new Set();
+            while (picked.size < k) {
+                picked.add(Math.floor(random() * n));
+            }
+            const sample = [...picked].sort((a, b) => a - b);
+            const key = sample.join(',');
+            if (!seen.has(key)) {
+                seen.add(key);
+                samples.push(sample);
+            }
+        }
+        return samples;
+    }
+
+    /**
+     * 変換モデルごとのパラメータ計算
+     * @param {Array} controlPoints - 制御点配列
+     * @param {string} model - 変換モデル
+     * @returns {Object|null} 変換パラメータ
+     */
+    calculateModelParameters(controlPoints, model) {
+        switch (model) {
+            case 'polynomial2':
+            case 'polynomial3':
+                return mathUtils.calculatePolynomialTransformation(controlPoints, CONFIG.TRANSFORMATION_MODELS[model].order);
+            case 'tps':
+                return mathUtils.calculateThinPlateSplineTransformation(controlPoints);
+            default:
+                // 最小二乗法によるアフィン変換パラメータ計算
+                return mathUtils.calculateAffineTransformation(controlPoints);
+        }
+    }
+
+    /**
+     * 制御点ごとの残差レポートを作成（誤差の大きい順）
+     * 除外中・ロバスト推定で棄却されたポイントも現在の変換で残差を計算し、検証点として表示する
+     * 検証点（checkPointIds）は変換計算に使わず、現在の変換での誤差を独立した検証の誤差として集計する
+     * @param {Array} matchedPairs - IDが一致した全ポイントペア
+     * @param {Object} transformation - 使用中のポイントで計算した変換結果
+     * @param {Set} excludedPointIds - 計算から除外するポイントID
+     * @param {Set} checkPointIds - 検証にのみ使うポイントID
+     * @returns {Object|null} {rows, rmse, rmseX, rmseY, statistics, crossValidation, checkPointAccuracy,
+     *   usedCount, excludedCount, rejectedCount, checkPointCount, outlierCount}
+     *   誤差は実距離(m)。statisticsは使用ポイントによるパラメータの標準誤差（mathUtils.calculateTransformationStatistics）
+     *   crossValidation・checkPointAccuracyは1点除外の予測誤差・検証点の誤差の集計 {rmse, rmseX, rmseY, count}（対象がない場合はnull）
+     */
+    calculateResidualReport(matchedPairs, transformation, excludedPointIds = new Set(), checkPointIds = new Set()) {
+        try {
+            if (!transformation || !transformation.transformation) {
+                return null;
             }
 
-            // フォールバック: アフィン変換行列から計算
-            const centerPos = mapCore.getMap().getCenter();
-            const currentZoom = mapCore.getMap().getZoom();
-            const metersPerPixelAtCenter = mathUtils.calculateMetersPerPixel(centerPos.lat, currentZoom);
-            const leafletScale = averageScale / metersPerPixelAtCenter;
+            const model = transformation.model || CONFIG.DEFAULT_TRANSFORMATION_MODEL;
+            const rejectedPointIds = new Set(transformation.rejectedPoints || []);
+            const isUsed = pair => !excludedPointIds.has(pair.pointJsonId) && !checkPointIds.has(pair.pointJsonId) &&
+                !rejectedPointIds.has(pair.pointJsonId);
+            const usedPairs = matchedPairs.filter(isUsed);
+            const looResiduals = this.calculateLeaveOneOutResiduals(usedPairs, model);
+
+            const rows = matchedPairs.map(pair => {
+                const residual = mathUtils.calculatePointResidual(pair, transformation.transformation);
+                const checkPoint = checkPointIds.has(pair.pointJsonId);
+                const looResidual = looResiduals && isUsed(pair) ? looResiduals.get(pair.pointJsonId) || null : null;
+                return {
+                    pointId: pair.pointJsonId,
+                    included: !excludedPointIds.has(pair.pointJsonId) && !checkPoint,
+                    rejected: rejectedPointIds.has(pair.pointJsonId),
+                    checkPoint,
+                    dx: residual.dx,
+                    dy: residual.dy,
+                    error: residual.error,
+                    looError: looResidual ? looResidual.error : null,
+                    // 変換計算に使っていない位置での誤差（使用ポイントは1点除外の予測誤差、検証点は現在の変換での誤差）
+                    predictionError: checkPoint ? residual.error : (looResidual ? looResidual.error : null),
+                    isOutlier: false
+                };
+            });
+
+            const usedRows = rows.filter(row => row.included && !row.rejected);
+            const accuracy = this.summarizeResiduals(usedRows);
+            const rmse = accuracy ? accuracy.rmse : 0;
+
+            this.flagOutliers(rows, looResiduals !== null, rmse);
+
+            rows.sort((a, b) => b.error - a.error);
 
-            this.logger.info(`フォールバックスケール計算: Leafletスケール=${leafletScale.toFixed(6)}`);
-            return leafletScale;
+            return {
+                rows,
+                rmse,
+                rmseX: accuracy ? accuracy.rmseX : 0,
+                rmseY: accuracy ? accuracy.rmseY : 0,
+                statistics: mathUtils.calculateTransformationStatistics(usedPairs, transformation.transformation),
+                crossValidation: looResiduals ? this.summarizeResiduals([...looResiduals.values()]) : null,
+                checkPointAccuracy: this.summarizeResiduals(rows.filter(row => row.checkPoint)),
+                usedCount: usedRows.length,
+                excludedCount: rows.filter(row => !row.included && !row.checkPoint).length,
+                rejectedCount: rows.filter(row => row.rejected).length,
+                checkPointCount: rows.filter(row => row.checkPoint).length,
+                outlierCount: rows.filter(row => row.isOutlier).length
+            };
 
         } catch (error) {
-            this.logger.error('スケール計算エラー', error);
-            return 0.8; // デフォルト値
+            this.logger.error('残差レポート作成エラー', error);
+            return null;
+        }
+    }
+
+    /**
+     * 1点除外（leave-one-out）交差検証
+     * 使用ポイントから1点ずつ除いて変換を再計算し、除いたポイントでの予測誤差を求める
+     * ポイント数だけ変換を解き直すため、モデルと制御点（IDと座標）の組が前回と同じ場合は前回の結果を返す
+     * @param {Array} usedPairs - 変換計算に使用したポイントペア
+     * @param {string} model - 変換モデル
+     * @returns {Map|null} ポイントID → {dx, dy, error}（1点除くと最小ポイント数を下回る場合はnull）
+     */
+    calculateLeaveOneOutResiduals(usedPairs, model) {
+        const minPoints = CONFIG.TRANSFORMATION_MODELS[model].minPoints;
+        if (usedPairs.length - 1 < minPoints) {
+            return null;
+        }
+
+        const key = JSON.stringify([model, usedPairs.map(pair => [pair.pointJsonId,
+            pair.pointJson.imageX, pair.pointJson.imageY, pair.gpsPoint.lat, pair.gpsPoint.lng])]);
+        if (this.leaveOneOutCache && this.leaveOneOutCache.key === key) {
+            return this.leaveOneOutCache.residuals;
+        }
+
+        const residuals = new Map();
+        usedPairs.forEach((pair, index) => {
+            const others = usedPairs.filter((_, i) => i !== index);
+            const params = this.calculateModelParameters(others, model);
+            if (params) {
+                residuals.set(pair.pointJsonId, mathUtils.calculatePointResidual(pair, params));
+            }
+        });
+        this.leaveOneOutCache = { key, residuals };
+        return residuals;
+    }
+
+    // 残差 [{dx, dy, error}] の二乗平均平方根（全体・X・Y）。空の場合はnull
+    summarizeResiduals(residuals) {
+        if (residuals.length === 0) {
+            return null;
+        }
+        const rootMeanSquare = getValue =>
+            Math.sqrt(residuals.reduce((sum, residual) => sum + getValue(residual) * getValue(residual), 0) / residuals.length);
+        return {
+            rmse: rootMeanSquare(residual => residual.error),
+            rmseX: rootMeanSquare(residual => residual.dx),
+            rmseY: rootMeanSquare(residual => residual.dy),
+            count: residuals.length
+        };
+    }
+
+    /**
+     * 誤対応の疑いがあるポイントを判定
+     * 1点除外（leave-one-out）で再計算できる場合は、そのポイントの予測誤差を
+     * 他ポイントの予測誤差から求めたロバスト標準偏差（1.4826×中央値）と比較する。
+     * 再計算できない場合は残差とRMSEを比較する。
+     * @param {Array} rows - 残差行（looErrorを設定済み。isOutlierを更新）
+     * @param {boolean} hasLeaveOneOut - 1点除外で再計算できたか
+     * @param {number} rmse - 使用ポイントのRMSE
+     */
+    flagOutliers(rows, hasLeaveOneOut, rmse) {
+        if (hasLeaveOneOut) {
+            const looErrors = rows.filter(row => row.looError !== null)
+                .map(row => row.looError)
+                .sort((a, b) => a - b);
+
+            if (looErrors.length > 0) {
+                const median = looErrors[Math.floor(looErrors.length / 2)];
+                const robustSigma = 1.4826 * median;
+                rows.forEach(row => {
+                    row.isOutlier = row.looError !== null &&
+                        row.looError > CONFIG.OUTLIER_MIN_ERROR_METERS &&
+                        row.looError > CONFIG.OUTLIER_LOO_FACTOR * robustSigma;
+                });
+            }
+        } else {
+            rows.forEach(row => {
+                row.isOutlier = row.included && !row.rejected &&
+                    row.error > CONFIG.OUTLIER_MIN_ERROR_METERS &&
+                    row.error > CONFIG.OUTLIER_SIGMA_FACTOR * rmse;
+            });
+        }
+    }
+
+    /**
+     * 画像座標をGPS座標に変換（変換モデルに応じて計算）
+     * @param {number} imageX
+     * @param {number} imageY
+     * @param {Object} transformation
+     * @returns {Array|null} [lat, lng]
+     */
+    transformImageCoordsToGps(imageX, imageY, transformation) {
+        try {
+            if (CONFIG.SOLVER_MODES[transformation.type]) {
+                return mathUtils.applyTransform(imageX, imageY, transformation);
+            } else {
+                this.logger.error(`未対応の変換方式です: ${transformation.type}`);
+                return null;
+            }
+
+        } catch (error) {
+            this.logger.error('座標変換エラー', error);
+            return null;
         }
     }
 }
\ No newline at end of file
@@ -9,6 +9,18 @@ import { CoordinateDisplay } from './coordinate-display.js';
 import { UIHandlers } from './ui-handlers.js';
 import { FileHandler } from './file-handler.js';
 import { DataImporter } from './data-importer.js';
+import { ControlPointEditor } from './control-point-editor.js';
+import { RasterExporter } from './raster-exporter.js';
+import { ImageWarper } from './image-warper.js';
+import { TileExporter } from './tile-exporter.js';
+import { VectorExporter } from './vector-exporter.js';
+import { ImageCoordinateExporter } from './image-coordinate-exporter.js';
+import { TrackComparator } from './track-comparator.js';
+import { DistortionVisualizer } from './distortion-visualizer.js';
+import { TileCache } from './tile-cache.js';
+import { ProjectFile } from './project-file.js';
+import { AutoSaver } from './auto-saver.js';
+import { HistoryManager } from './history-manager.js';
 import { CONFIG, DEFAULTS } from './constants.js';
 import { Logger, errorHandler } from './utils.js';
 
@@ -36,6 +48,14 @@ class GeoReferencerApp {
         // 標高取得
         this.elevationFetcher = null;
 
+        // マーカードラッグ中の再計算（フレーム単位で間引く）
+        this.liveResolveRequested = false;
+        this.liveResolveRunning = false;
+        this.dragHistoryPending = false; // ドラッグ終了後、再計算の完了を待って履歴に記録する
+
+        // プロジェクト復元中（制御点の取り込みによる自動再計算を抑止）
+        this.restoringProject = false;
+
         this.logger.info('GeoReferencerApp初期化開始');
     }
 
@@ -55,6 +75,13 @@ class GeoReferencerApp {
             // イベントハンドラー設定
             this.setupEventHandlers();
 
+            // 操作履歴の起点を記録
+            this.history.reset();
+
+            // 自動保存を開始し、前回の作業があれば復元の選択肢を表示
+            this.autoSaver.start();
+            await this.autoSaver.offerRecovery();
+
             this.logger.info('アプリケーション初期化完了');
 
         } catch (error) {
@@ -81,6 +108,18 @@ class GeoReferencerApp {
             this.fileHandler = new FileHandler();
             this.dataImporter = new DataImporter(this);
             this.elevationFetcher = new ElevationFetcher();
+            this.controlPointEditor = new ControlPointEditor(this.mapCore, this.imageOverlay, this.georeferencing);
+            this.rasterExporter = new RasterExporter();
+            this.imageWarper = new ImageWarper();
+            this.tileExporter = new TileExporter();
+            this.vectorExporter = new VectorExporter();
+            this.imageCoordinateExporter = new ImageCoordinateExporter();
+            this.trackComparator = new TrackComparator(this.mapCore);
+            this.distortionVisualizer = new DistortionVisualizer(this.mapCore);
+            this.autoSaver = new AutoSaver(this);
+            this.projectFile = new ProjectFile();
+            this.history = new HistoryManager(this);
+            this.history.addChangeCallback(() => this.updateHistoryPanel());
 
             // CoordinateDisplayインスタンスをGeoreferencingに注入
             this.georeferencing.setCoordinateDisplay(this.coordinateDisplay);
@@ -91,6 +130,17 @@ class GeoReferencerApp {
             // AreaHandlerインスタンスをGeoreferencingに注入
             this.georeferencing.setAreaHandler(this.areaHandler);
 
+            // ControlPointEditorインスタンスをGeoreferencingに注入
+            this.georeferencing.setControlPointEditor(this.controlPointEditor);
+            this.controlPointEditor.setMessageHandler((message, type) => this.showMessage(message, type));
+            this.controlPointEditor.addChangeCallback((pairsChanged) => {
+                this.handleControlPointsChanged(pairsChanged);
+            });
+
+            // GPSマーカー・ポイントマーカーのドラッグに合わせて変換を再計算
+            this.gpsData.setPointDragHandler((point, isFinal) => this.handlePointMarkerDrag(isFinal));
+            this.georeferencing.setPointDragHandler((point, isFinal) => this.handlePointMarkerDrag(isFinal));
+
 
         } catch (error) {
             this.logger.error('モジュール初期化エラー', error);
@@ -102,9 +152,10 @@ class GeoReferencerApp {
         try {
             // 読み込みボタン（汎用）
             const loadFileBtn = document.getElementById('loadFileBtn');
-            const gpsExcelInput = document.getElementById('gpsExcelInput');
+            const gpsFileInput = document.getElementById('gpsFileInput');
             const imageInput = document.getElementById('imageInput');
             const jsonInput = document.getElementById('jsonInput');
+            const projectInput = document.getElementById('projectInput');
 
             if (loadFileBtn) {
                 loadFileBtn.addEventListener('click', () => {
@@ -113,8 +164,8 @@ class GeoReferencerApp {
                     if (!selectedRadio) return;
 
                     const loadType = selectedRadio.value;
-                    if (loadType === 'gps' && gpsExcelInput) {
-                        gpsExcelInput.click();
+                    if (loadType === 'gps' && gpsFileInput) {
+                        gpsFileInput.click();
                     } else if (loadType === 'png' && imageInput) {
                         imageInput.click();
                     } else if (loadType === 'json' && jsonInput) {
@@ -123,14 +174,16 @@ class GeoReferencerApp {
                             return;
                         }
                         jsonInput.click();
+                    } else if (loadType === 'project' && projectInput) {
+                        projectInput.click();
                     }
                 });
             }
 
-            // GPS Excelファイル入力
-            if (gpsExcelInput) {
-                gpsExcelInput.addEventListener('change', (event) => {
-                    this.dataImporter.handleGpsExcelLoad(event);
+            // ポイントGPSファイル入力
+            if (gpsFileInput) {
+                gpsFileInput.addEventListener('change', (event) => {
+                    this.dataImporter.handleGpsFileLoad(event);
                     this.fileHandler.recordFileDirectory(event.target.files[0]);
                 });
             }
@@ -152,22 +205,286 @@ class GeoReferencerApp {
                 });
             }
 
+            // プロジェクトファイル入力（参照するPNG画像も一緒に選択可能）
+            if (projectInput) {
+                projectInput.addEventListener('change', (event) => {
+                    this.fileHandler.recordFileDirectory(event.target.files[0]);
+                    this.dataImporter.handleProjectLoad(event);
+                });
+            }
+
+            // 変換モデル選択（ジオリファレンス済みの場合は選択したモデルで再計算）
+            const transformModelSelect = document.getElementById('transformModelSelect');
+            if (transformModelSelect) {
+                transformModelSelect.addEventListener('change', async (event) => {
+                    const previousModel = this.georeferencing.getTransformationModel();
+                    this.georeferencing.setTransformationModel(event.target.value);
+                    if (this.georeferencing.currentTransformation && !(await this.handleMatchPoints())) {
+                        // 再計算できない場合（最小ポイント数未満など）は表示中の変換に合わせて選択を元に戻す
+                        this.georeferencing.setTransformationModel(previousModel);
+                        event.target.value = previousModel;
+                        return;
+                    }
+                    this.history.checkpoint(`変換モデル: ${CONFIG.TRANSFORMATION_MODELS[event.target.value].label}`);
+                });
+            }
+
+            // 推定方法選択（ジオリファレンス済みの場合は選択した方法で再計算）
+            const solverModeSelect = document.getElementById('solverModeSelect');
+            if (solverModeSelect) {
+                solverModeSelect.addEventListener('change', async (event) => {
+                    const previousMode = this.georeferencing.getSolverMode();
+                    this.georeferencing.setSolverMode(event.target.value);
+                    if (this.georeferencing.currentTransformation && !(await this.handleMatchPoints())) {
+                        // 再計算できない場合は表示中の変換に合わせて選択を元に戻す
+                        this.georeferencing.setSolverMode(previousMode);
+                        event.target.value = previousMode;
+                        return;
+                    }
+                    this.history.checkpoint(`推定方法: ${CONFIG.SOLVER_MODES[event.target.value].label}`);
+                });
+            }
+
+            // 制御点の手動配置モード切り替え
+            const controlPointModeBtn = document.getElementById('controlPointModeBtn');
+            if (controlPointModeBtn) {
+                controlPointModeBtn.addEventListener('click', () => {
+                    try {
+                        this.controlPointEditor.toggle();
+                    } catch (error) {
+                        errorHandler.handle(error, error.message, '制御点の手動配置');
+                    }
+                });
+            }
+
+            // 手動制御点の全削除
+            const clearControlPointsBtn = document.getElementById('clearControlPointsBtn');
+            if (clearControlPointsBtn) {
+                clearControlPointsBtn.addEventListener('click', () => {
+                    if (window.confirm('手動で配置した制御点をすべて削除しますか？')) {
+                        this.controlPointEditor.clearAll();
+                    }
+                });
+            }
+
+            // 手動制御点のJSON保存
+            const saveControlPointsBtn = document.getElementById('saveControlPointsBtn');
+            if (saveControlPointsBtn) {
+                saveControlPointsBtn.addEventListener('click', () => {
+                    this.handleSaveControlPoints();
+                });
+            }
+
+            // 取り消し・やり直し
+            const undoBtn = document.getElementById('undoBtn');
+            if (undoBtn) {
+                undoBtn.addEventListener('click', () => {
+                    this.handleUndo();
+                });
+            }
+
+            const redoBtn = document.getElementById('redoBtn');
+            if (redoBtn) {
+                redoBtn.addEventListener('click', () => {
+                    this.handleRedo();
+                });
+            }
+
+            // Ctrl+Z: 取り消し、Ctrl+Y / Ctrl+Shift+Z: やり直し（macOSはCmd）。入力欄の編集中は除く
+            document.addEventListener('keydown', (event) => {
+                if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+                    return;
+                }
+                const target = event.target;
+                if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                    return;
+                }
+
+                const key = event.key.toLowerCase();
+                if (key === 'z' && !event.shiftKey) {
+                    event.preventDefault();
+                    this.handleUndo();
+                } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                    event.preventDefault();
+                    this.handleRedo();
+                }
+            });
+
+            // 自動保存データの復元パネル
+            const restoreSessionBtn = document.getElementById('restoreSessionBtn');
+            if (restoreSessionBtn) {
+                restoreSessionBtn.addEventListener('click', () => {
+                    this.handleRestoreSession();
+                });
+            }
+
+            const dismissSessionBtn = document.getElementById('dismissSessionBtn');
+            if (dismissSessionBtn) {
+                dismissSessionBtn.addEventListener('click', () => {
+                    this.uiHandlers.hideSessionRecovery();
+                });
+            }
+
+            const clearSessionsBtn = document.getElementById('clearSessionsBtn');
+            if (clearSessionsBtn) {
+                clearSessionsBtn.addEventListener('click', () => {
+                    this.handleClearSessions();
+                });
+            }
+
+            // プロジェクト保存ボタン
+            const saveProjectBtn = document.getElementById('saveProjectBtn');
+            if (saveProjectBtn) {
+                saveProjectBtn.addEventListener('click', () => {
+                    this.handleSaveProject();
+                });
+            }
+
             // 画像の重ね合わせボタン
             const matchPointsBtn = document.getElementById('matchPointsBtn');
             if (matchPointsBtn) {
-                matchPointsBtn.addEventListener('click', () => {
-                    this.handleMatchPoints();
+                matchPointsBtn.addEventListener('click', async () => {
+                    await this.handleMatchPoints();
+                    this.history.checkpoint('画像の重ね合わせ');
                 });
             }
 
-            // GeoJSON保存ボタン (旧Firebase保存)
+            // GPS値保存ボタン（GeoJSON・GPX・KML・KMZ）
             const saveGeoJsonBtn = document.getElementById('saveGeoJsonBtn');
             if (saveGeoJsonBtn) {
                 saveGeoJsonBtn.addEventListener('click', () => {
-                    this.handleExportGeoJson();
+                    this.handleExportGeoreferencedData();
                 });
             }
 
+            // GPSファイルの画像座標への変換ボタン
+            const imageCoordinateBtn = document.getElementById('imageCoordinateBtn');
+            const imageCoordinateInput = document.getElementById('imageCoordinateInput');
+            if (imageCoordinateBtn && imageCoordinateInput) {
+                imageCoordinateBtn.addEventListener('click', () => {
+                    imageCoordinateInput.click();
+                });
+                imageCoordinateInput.addEventListener('change', (event) => {
+                    this.handleConvertToImageCoordinates(event);
+                    this.fileHandler.recordFileDirectory(event.target.files[0]);
+                });
+            }
+
+            // GPSトラック比較ボタン
+            const compareTrackBtn = document.getElementById('compareTrackBtn');
+            const trackComparisonInput = document.getElementById('trackComparisonInput');
+            if (compareTrackBtn && trackComparisonInput) {
+                compareTrackBtn.addEventListener('click', () => {
+                    trackComparisonInput.click();
+                });
+                trackComparisonInput.addEventListener('change', (event) => {
+                    this.handleCompareTrack(event);
+                    this.fileHandler.recordFileDirectory(event.target.files[0]);
+                });
+            }
+
+            const clearTrackComparisonBtn = document.getElementById('clearTrackComparisonBtn');
+            if (clearTrackComparisonBtn) {
+                clearTrackComparisonBtn.addEventListener('click', () => {
+                    this.clearTrackComparison();
+                });
+            }
+
+            // 歪みの可視化（残差ベクトル・歪みグリッド・アフィン変換との差）
+            [
+                ['showResidualVectorsCheckbox', 'vectors'],
+                ['showDistortionGridCheckbox', 'grid'],
+                ['showDistortionHeatmapCheckbox', 'heatmap'],
+                ['showConfidenceEllipsesCheckbox', 'ellipses']
+            ].forEach(([id, layer]) => {
+                const checkbox = document.getElementById(id);
+                if (checkbox) {
+                    this.distortionVisualizer.setLayerVisible(layer, checkbox.checked);
+                    checkbox.addEventListener('change', () => {
+                        this.distortionVisualizer.setLayerVisible(layer, checkbox.checked);
+                        this.updateDistortionLegend();
+                    });
+                }
+            });
+
+            const residualVectorScaleInput = document.getElementById('residualVectorScaleInput');
+            if (residualVectorScaleInput) {
+                residualVectorScaleInput.addEventListener('change', () => {
+                    this.handleResidualVectorScaleChange(residualVectorScaleInput);
+                });
+            }
+
+            // ワールドファイル・GeoTIFF保存ボタン
+            const saveWorldFileBtn = document.getElementById('saveWorldFileBtn');
+            if (saveWorldFileBtn) {
+                saveWorldFileBtn.addEventListener('click', () => {
+                    this.handleExportWorldFile();
+                });
+            }
+
+            const saveGeoTiffBtn = document.getElementById('saveGeoTiffBtn');
+            if (saveGeoTiffBtn) {
+                saveGeoTiffBtn.addEventListener('click', () => {
+                    this.handleExportGeoTiff();
+                });
+            }
+
+            // 北が上の画像への変換ボタン
+            const warpImageBtn = document.getElementById('warpImageBtn');
+            if (warpImageBtn) {
+                warpImageBtn.addEventListener('click', () => {
+                    this.handleWarpImage();
+                });
+            }
+
+            // タイル出力ボタン
+            const exportTilesBtn = document.getElementById('exportTilesBtn');
+            if (exportTilesBtn) {
+                exportTilesBtn.addEventListener('click', () => {
+                    this.handleExportTiles();
+                });
+            }
+
+            // 背景地図の追加・削除、オフライン用のタイル保存
+            const addBaseMapBtn = document.getElementById('addBaseMapBtn');
+            if (addBaseMapBtn) {
+                addBaseMapBtn.addEventListener('click', () => {
+                    this.handleAddBaseMap();
+                });
+            }
+
+            const removeBaseMapBtn = document.getElementById('removeBaseMapBtn');
+            if (removeBaseMapBtn) {
+                removeBaseMapBtn.addEventListener('click', () => {
+                    this.handleRemoveBaseMap();
+                });
+            }
+
+            const useTileCacheCheckbox = document.getElementById('useTileCacheCheckbox');
+            if (useTileCacheCheckbox) {
+                useTileCacheCheckbox.checked = this.mapCore.getBaseMapManager().useCache;
+                useTileCacheCheckbox.addEventListener('change', () => {
+                    this.mapCore.getBaseMapManager().setUseCache(useTileCacheCheckbox.checked);
+                });
+            }
+
+            const downloadTilesBtn = document.getElementById('downloadTilesBtn');
+            if (downloadTilesBtn) {
+                downloadTilesBtn.addEventListener('click', () => {
+                    this.handleDownloadTiles();
+                });
+            }
+
+            const clearTileCacheBtn = document.getElementById('clearTileCacheBtn');
+            if (clearTileCacheBtn) {
+                clearTileCacheBtn.addEventListener('click', () => {
+                    this.handleClearTileCache();
+                });
+            }
+
+            this.mapCore.getBaseMapManager().addChangeCallback(() => this.updateBaseMapControls());
+            this.updateBaseMapControls();
+
             // 標高取得ボタン
             const fetchElevationBtn = document.getElementById('fetchElevationBtn');
             if (fetchElevationBtn) {
@@ -184,7 +501,14 @@ class GeoReferencerApp {
 
 
 
-    async handleMatchPoints() {
+    /**
+     * 画像の重ね合わせ（ジオリファレンス）を実行
+     * @param {Object} options - {silent: true} の場合は完了・エラーメッセージを表示しない（制御点編集時の自動再計算用）
+     *                            {transformation} を指定した場合は保存済みの変換結果を再計算せずに適用（プロジェクト復元用）
+     * @returns {Promise<boolean>} 成功した場合true
+     */
+    async handleMatchPoints(options = {}) {
+        const { silent = false, transformation = null } = options;
         try {
             this.logger.info('画像重ね合わせ処理開始');
 
@@ -200,7 +524,8 @@ class GeoReferencerApp {
                 // もし「JSONファイル」がコントロールポイントを含むならOKだが...
                 // ここでは既存のチェックを維持するが、GPSデータ必須のエラーが出るかもしれない。
                 // しかし、正規のフローでは「ポイントGPS」を読み込んでから実行するはず。
-                if (!this.pointJsonData && (!this.gpsData.getPoints() || this.gpsData.getPoints().length === 0)) {
+                const hasManualPairs = this.controlPointEditor && this.controlPointEditor.hasPairs();
+                if (!hasManualPairs && !this.pointJsonData && (!this.gpsData.getPoints() || this.gpsData.getPoints().length === 0)) {
                     throw new Error('GPS座標データまたはポイントJSONデータが読み込まれていません。');
                 }
             }
@@ -210,12 +535,14 @@ class GeoReferencerApp {
             // 3-10. Georeferencingクラスに処理を委譲
             await this.georeferencing.executeGeoreferencing();
             this.georeferencing.setupGeoreferencingUI();
-            const result = await this.georeferencing.performGeoreferencingCalculations();
+            const result = await this.georeferencing.performGeoreferencingCalculations({ transformation });
 
             // 結果を表示
             this.uiHandlers.updateMatchResults(result);
+            this.showResidualReport();
+            this.updateDistortionView();
 
-            // GeoJSON保存ボタンと標高取得ボタンを有効化
+            // GPS値保存ボタンと標高取得ボタンを有効化
             const saveGeoJsonBtn = document.getElementById('saveGeoJsonBtn');
             const saveGeoJsonNote = document.getElementById('saveGeoJsonNote');
             if (saveGeoJsonBtn) {
@@ -225,6 +552,13 @@ class GeoReferencerApp {
                 }
             }
 
+            ['imageCoordinateBtn', 'compareTrackBtn', 'saveWorldFileBtn', 'saveGeoTiffBtn', 'warpImageBtn', 'exportTilesBtn'].forEach(id => {
+                const button = document.getElementById(id);
+                if (button) {
+                    button.disabled = false;
+                }
+            });
+
             const fetchElevationBtn = document.getElementById('fetchElevationBtn');
             if (fetchElevationBtn) {
                 fetchElevationBtn.disabled = false;
@@ -234,24 +568,345 @@ class GeoReferencerApp {
             this.logger.info('画像重ね合わせ処理完了', result);
 
             // 成功メッセージを表示
-            this.showMessage(`${result.matchedCount}個のポイントにてジオリファレンスを行いました`);
+            let message = `${result.usedCount}個のポイントにてジオリファレンスを行いました`;
+            if (result.rejectedPoints.length > 0) {
+                message += `\nロバスト推定で棄却したポイント: ${result.rejectedPoints.join(', ')}`;
+            }
+            if (result.checkPoints.length > 0) {
+                message += `\n検証点（計算に使用せず）: ${result.checkPoints.join(', ')}`;
+            }
+            if (!silent) {
+                this.showMessage(message);
+            }
 
             // 標高未取得件数を更新（ジオリファレンス後のルート中間点とスポットの件数を表示）
             this.updateElevationCounts();
 
+            return true;
+
         } catch (error) {
             this.logger.error('画像重ね合わせエラー', error);
-            errorHandler.handle(error, error.message, '画像重ね合わせ');
+            if (!silent) {
+                errorHandler.handle(error, error.message, '画像重ね合わせ');
+            }
+            return false;
         }
     }
 
+    // 手動制御点の変更時：表示を更新し、ペアが変わった場合は変換を再計算
+    async handleControlPointsChanged(pairsChanged) {
+        this.uiHandlers.updateControlPointStatus(this.controlPointEditor);
 
+        // プロジェクト復元中は、保存した変換パラメータを最後に適用するため再計算しない
+        if (!pairsChanged || this.restoringProject || !this.imageOverlay.currentImage || !this.imageOverlay.currentImage.src) {
+            return;
+        }
+
+        // 最小ポイント数に満たない間は計算できないため、メッセージは表示しない
+        await this.handleMatchPoints({ silent: true });
+        this.history.checkpoint('制御点の編集');
+    }
+
+    // マーカードラッグ中：ジオリファレンス済みであれば変換を再計算し、ルート・スポット・エリアを同期
+    // ドラッグ中は変換の解き直しと位置の更新のみ（resolveLiveTransformation）とし、
+    // 残差レポート・交差検証・歪みの表示・メッシュはドラッグ終了時（isFinal）の再計算で1回だけ更新して操作履歴へ記録する
+    async handlePointMarkerDrag(isFinal = false) {
+        if (isFinal) {
+            this.dragHistoryPending = true;
+        }
+        if (!this.georeferencing.currentTransformation) {
+            this.recordDragHistory();
+            return;
+        }
+
+        // 計算中に届いたドラッグは次のフレームでまとめて反映する
+        this.liveResolveRequested = true;
+        if (this.liveResolveRunning) {
+            return;
+        }
+
+        this.liveResolveRunning = true;
+        try {
+            while (this.liveResolveRequested) {
+                this.liveResolveRequested = false;
+                await new Promise(resolve => requestAnimationFrame(resolve));
+                if (this.dragHistoryPending) {
+                    await this.handleMatchPoints({ silent: true });
+                } else {
+                    await this.resolveLiveTransformation();
+                }
+            }
+        } finally {
+            this.liveResolveRunning = false;
+        }
+        this.recordDragHistory();
+    }
+
+    // ドラッグ中の軽量な再計算（最小ポイント数未満などで解けない場合は直前の表示のまま）
+    async resolveLiveTransformation() {
+        try {
+            await this.georeferencing.performGeoreferencingCalculations({ live: true });
+        } catch (error) {
+            this.logger.warn('ドラッグ中の再計算をスキップしました', error.message);
+        }
+    }
+
+    recordDragHistory() {
+        if (this.dragHistoryPending) {
+            this.dragHistoryPending = false;
+            this.history.checkpoint('マーカーの移動');
+        }
+    }
+
+    // 手動制御点をポイントJSON形式で保存
+    async handleSaveControlPoints() {
+        try {
+            if (!this.controlPointEditor.hasPairs()) {
+                throw new Error('保存する制御点がありません。');
+            }
+
+            const abbreviation = this.currentPngFileName ? this.currentPngFileName.split(/[-_\s.]/)[0] : 'controlpoints';
+            const now = new Date();
+            const dateStr = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+            const fileName = `${abbreviation}-points-P${this.controlPointEditor.getPairCount()}-${dateStr}`;
+
+            const result = await this.fileHandler.saveDataWithUserChoice(this.controlPointEditor.toPointsJson(), fileName, '.json');
+            if (result.success) {
+                this.showMessage(`制御点をJSONファイルに保存しました:\n${result.filename}`);
+            } else if (result.error !== 'キャンセル') {
+                throw new Error(result.error);
+            }
+
+        } catch (error) {
+            this.logger.error('制御点保存エラー', error);
+            errorHandler.handle(error, error.message, '制御点保存');
+        }
+    }
+
+    /**
+     * 現在の作業状態を収集（ProjectFile.create()の入力形式）
+     * @param {boolean} embedImage - trueの場合はPNG画像をデータURLとして含める
+     * @returns {Object|null} PNG画像が読み込まれていない場合はnull
+     */
+    collectProjectState(embedImage) {
+        const image = this.imageOverlay.currentImage;
+        if (!this.currentPngFileName || !image || !image.src) {
+            return null;
+        }
+
+        const map = this.mapCore.getMap();
+        const center = map.getCenter();
+
+        return {
+            image: {
+                fileName: this.imageOverlay.currentImageFileName || `${this.currentPngFileName}.png`,
+                width: image.naturalWidth,
+                height: image.naturalHeight,
+                dataUrl: embedImage ? image.src : null
+            },
+            mapView: { center: [center.lat, center.lng], zoom: map.getZoom() },
+            ...this.collectWorkingState()
+        };
+    }
+
+    /**
+     * 画像以外の作業データを収集（操作履歴・プロジェクト保存で共通）
+     * @returns {Object} {gpsPoints, jsonDocuments, imageMarkers, areas, controlPoints, georeference}
+     */
+    collectWorkingState() {
+        return {
+            gpsPoints: this.gpsData.getPoints() || [],
+            jsonDocuments: this.dataImporter.jsonDocuments,
+            imageMarkers: (this.imageCoordinateMarkers || []).map(markerInfo => {
+                const data = markerInfo.data || {};
+                return {
+                    type: data.type || null,
+                    name: data.name || null,
+                    imageX: data.imageX,
+                    imageY: data.imageY,
+                    elevation: data.elevation !== undefined ? data.elevation : null
+                };
+            }),
+            areas: this.areaHandler.areas,
+            controlPoints: this.controlPointEditor.toPointsJson().points,
+            georeference: {
+                model: this.georeferencing.getTransformationModel(),
+                solverMode: this.georeferencing.getSolverMode(),
+                excludedPointIds: [...this.georeferencing.excludedPointIds],
+                checkPointIds: [...this.georeferencing.checkPointIds],
+                transformation: this.projectFile.serializeTransformation(this.georeferencing.currentTransformation)
+            }
+        };
+    }
+
+    // 作業状態一式をプロジェクトファイル（.georef.json）に保存
+    async handleSaveProject() {
+        try {
+            const embedImageCheckbox = document.getElementById('embedImageCheckbox');
+            const embedImage = !embedImageCheckbox || embedImageCheckbox.checked;
+
+            const state = this.collectProjectState(embedImage);
+            if (!state) {
+                throw new Error('PNG画像が読み込まれていません。');
+            }
+
+            const project = this.projectFile.create(state);
+            const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+            const result = await this.fileHandler.saveBlobWithUserChoice(blob, this.currentPngFileName, CONFIG.PROJECT_FILE_EXTENSION, {
+                description: 'GeoReferencer Project',
+                accept: { 'application/json': ['.json'] }
+            });
+            if (!result.success) {
+                if (result.error === 'キャンセル') return;
+                throw new Error(result.error);
+            }
+
+            const imageNote = embedImage ? '（画像を埋め込み）' : '（画像はファイル名のみ参照）';
+            this.showMessage(`プロジェクトを保存しました${imageNote}:\n${result.filename}`);
+
+        } catch (error) {
+            this.logger.error('プロジェクト保存エラー', error);
+            errorHandler.handle(error, error.message, 'プロジェクト保存');
+        }
+    }
+
+    // 選択した自動保存データから作業状態を復元
+    async handleRestoreSession() {
+        try {
+            const select = document.getElementById('sessionSnapshotSelect');
+            if (!select || !select.value) {
+                throw new Error('復元する自動保存データを選択してください。');
+            }
+
+            this.uiHandlers.hideSessionRecovery();
+            await this.autoSaver.restoreSnapshot(Number(select.value));
+
+        } catch (error) {
+            this.logger.error('自動保存データ復元エラー', error);
+            errorHandler.handle(error, error.message, '自動保存データ復元');
+        }
+    }
+
+    // すべての自動保存データを削除
+    async handleClearSessions() {
+        try {
+            if (!window.confirm('すべての自動保存データを削除しますか？\n（現在の作業は引き続き自動保存されます）')) {
+                return;
+            }
+
+            await this.autoSaver.clearAll();
+            this.uiHandlers.hideSessionRecovery();
+            this.showMessage('自動保存データを削除しました');
+
+        } catch (error) {
+            this.logger.error('自動保存データ削除エラー', error);
+            errorHandler.handle(error, error.message, '自動保存データ削除');
+        }
+    }
+
+    // 残差レポートを表示（使用・検証点のチェックで再計算）
+    showResidualReport() {
+        this.uiHandlers.updateResidualReport(this.georeferencing.residualReport,
+            (pointId, included) => this.handleToggleControlPoint(pointId, included),
+            (pointId, checkPoint) => this.handleToggleCheckPoint(pointId, checkPoint));
+    }
+
+    // 残差レポートでポイントの使用/除外を切り替えて再計算
+    async handleToggleControlPoint(pointId, included) {
+        this.georeferencing.setPointExcluded(pointId, !included);
+
+        const succeeded = await this.handleMatchPoints();
+        if (!succeeded) {
+            // 再計算できない場合（最小ポイント数未満など）は切り替えを元に戻す
+            this.georeferencing.setPointExcluded(pointId, included);
+            this.showResidualReport();
+            return;
+        }
+        this.history.checkpoint(`ポイント${pointId}を${included ? '使用' : '除外'}`);
+    }
+
+    // 残差レポートでポイントを検証点にする/戻して再計算
+    async handleToggleCheckPoint(pointId, checkPoint) {
+        this.georeferencing.setCheckPoint(pointId, checkPoint);
+
+        const succeeded = await this.handleMatchPoints();
+        if (!succeeded) {
+            this.georeferencing.setCheckPoint(pointId, !checkPoint);
+            this.showResidualReport();
+            return;
+        }
+        this.history.checkpoint(`ポイント${pointId}を${checkPoint ? '検証点に変更' : '制御点に戻す'}`);
+    }
+
+    // 直前の操作を取り消す
+    async handleUndo() {
+        try {
+            const result = await this.history.undo();
+            if (result) {
+                this.showHistoryResult(`取り消しました: ${result.label}`, result.warnings);
+            }
+        } catch (error) {
+            this.logger.error('取り消しエラー', error);
+            errorHandler.handle(error, error.message, '取り消し');
+        }
+    }
+
+    // 取り消した操作をやり直す
+    async handleRedo() {
+        try {
+            const result = await this.history.redo();
+            if (result) {
+                this.showHistoryResult(`やり直しました: ${result.label}`, result.warnings);
+            }
+        } catch (error) {
+            this.logger.error('やり直しエラー', error);
+            errorHandler.handle(error, error.message, 'やり直し');
+        }
+    }
+
+    // 履歴パネルで選択した時点に戻る・進む
+    async handleHistorySelect(position) {
+        try {
+            const warnings = await this.history.goTo(position);
+            if (warnings) {
+                this.showHistoryResult('選択した時点の状態に切り替えました', warnings);
+            }
+        } catch (error) {
+            this.logger.error('履歴移動エラー', error);
+            errorHandler.handle(error, error.message, '操作履歴');
+        }
+    }
+
+    showHistoryResult(message, warnings) {
+        if (warnings && warnings.length > 0) {
+            this.showMessage(`${message}\n${warnings.join('\n')}`, 'warning');
+        } else {
+            this.showMessage(message);
+        }
+    }
+
+    updateHistoryPanel() {
+        this.uiHandlers.updateHistoryPanel(this.history, (position) => {
+            this.handleHistorySelect(position);
+        });
+    }
+
+
+
+    /**
+     * 変換後のGPS値を選択した形式（GeoJSON・GPX・KML・KMZ）で保存
+     * どの形式もcollectGeoreferencedData()で収集した同じ地物とgetGeoJsonFileName()のファイル名を使う
+     */
+    async handleExportGeoreferencedData() {
+        const formatSelect = document.getElementById('vectorExportFormatSelect');
+        const format = formatSelect && CONFIG.VECTOR_EXPORT_FORMATS[formatSelect.value]
+            ? formatSelect.value
+            : CONFIG.DEFAULT_VECTOR_EXPORT_FORMAT;
+        const formatInfo = CONFIG.VECTOR_EXPORT_FORMATS[format];
 
-    async handleExportGeoJson() {
         try {
-            this.logger.info('GeoJSON出力処理開始');
+            this.logger.info(`${formatInfo.label}出力処理開始`);
 
-            // ジオリファレンス済みデータをGeoJSON形式で出力
             if (!this.georeferencing) {
                 throw new Error('ジオリファレンス機能が初期化されていません。');
             }
@@ -264,23 +919,636 @@ class GeoReferencerApp {
             }
 
             // ファイルとして保存
-            const geoJsonFileName = this.getGeoJsonFileName(geoJsonData);
-            const result = await this.fileHandler.saveDataWithUserChoice(geoJsonData, geoJsonFileName);
+            const fileName = this.getGeoJsonFileName(geoJsonData);
+            let result;
+            if (format === 'geojson') {
+                result = await this.fileHandler.saveDataWithUserChoice(geoJsonData, fileName, formatInfo.extension);
+            } else {
+                let blob;
+                if (formatInfo.gpxRouteElement) {
+                    const gpx = this.vectorExporter.createGpx(geoJsonData, fileName, formatInfo.gpxRouteElement);
+                    blob = new Blob([gpx], { type: formatInfo.mimeType });
+                } else if (format === 'kml') {
+                    blob = new Blob([this.vectorExporter.createKml(geoJsonData, fileName)], { type: formatInfo.mimeType });
+                } else if (format === 'shapefile') {
+                    blob = this.vectorExporter.createShapefileZip(geoJsonData, fileName);
+                } else if (format === 'geopackage') {
+                    blob = await this.vectorExporter.createGeoPackage(geoJsonData);
+                } else {
+                    blob = this.vectorExporter.createKmz(this.vectorExporter.createKml(geoJsonData, fileName));
+                }
+                result = await this.fileHandler.saveBlobWithUserChoice(blob, fileName, formatInfo.extension, {
+                    description: formatInfo.label,
+                    accept: { [formatInfo.mimeType]: [formatInfo.extension] }
+                });
+            }
 
             if (result.success) {
-                this.logger.info(`GeoJSON保存成功: ${result.filename}`);
+                this.logger.info(`${formatInfo.label}保存成功: ${result.filename}`);
 
                 // 成功メッセージを表示
-                this.showMessage(`GPSデータをGeoJSON形式にて出力しました:\n${result.filename}`);
+                this.showMessage(`GPSデータを出力しました（${formatInfo.label}）:\n${result.filename}`);
+            } else if (result.error !== 'キャンセル') {
+                throw new Error(result.error);
+            }
+
+            this.logger.info(`${formatInfo.label}出力完了: ${geoJsonData.features.length}件`);
+
+        } catch (error) {
+            this.logger.error(`${formatInfo.label}出力エラー`, error);
+            errorHandler.handle(error, error.message, `${formatInfo.label}出力`);
+        }
+    }
+
+    /**
+     * GPSファイル（GPX・KML・GeoJSON）の地物を画像座標に逆変換し、JSONファイルに保存
+     * 保存したJSONは「JSONファイル」として読み込むと画像上に表示できる
+     */
+    async handleConvertToImageCoordinates(event) {
+        const file = event.target.files[0];
+        try {
+            if (!file) return;
+            this.checkRasterExportReady();
+
+            const features = await this.dataImporter.gpsFileParser.readGpsFeatures(file);
+            if (features.length === 0) {
+                throw new Error('ファイルに変換できるポイント・線・面がありません。');
+            }
+
+            const image = this.imageOverlay.currentImage;
+            const { json, summary } = this.imageCoordinateExporter.createImageJson(
+                features, this.georeferencing.currentTransformation, {
+                    imageFileName: this.currentPngFileName,
+                    imageWidth: image.naturalWidth || image.width,
+                    imageHeight: image.naturalHeight || image.height,
+                    sourceFileName: file.name
+                });
+
+            const parts = [];
+            if (summary.points > 0) parts.push(`P${summary.points}`);
+            if (summary.routes > 0) parts.push(`R${summary.routes}`);
+            if (summary.spots > 0) parts.push(`S${summary.spots}`);
+            if (summary.areas > 0) parts.push(`A${summary.areas}`);
+            if (parts.length === 0) {
+                throw new Error('画像座標に変換できる地物がありません。');
+            }
+
+            const abbreviation = this.currentPngFileName.split(/[-_\s.]/)[0];
+            const now = new Date();
+            const dateStr = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+            const fileName = `${abbreviation}-image-${parts.join('_')}-${dateStr}`;
+
+            const result = await this.fileHandler.saveDataWithUserChoice(json, fileName, '.json');
+            if (result.success) {
+                let message = `画像座標に変換してJSONファイルに保存しました:\n${result.filename}\n` +
+                    `ポイント: ${summary.points}個, ルート: ${summary.routes}本, スポット: ${summary.spots}個, エリア: ${summary.areas}個`;
+                if (summary.outsideCount > 0) {
+                    message += `\n画像の範囲外の頂点: ${summary.outsideCount}個`;
+                }
+                if (summary.skipped > 0) {
+                    message += `\n変換できずスキップした地物: ${summary.skipped}件`;
+                }
+                this.showMessage(message);
+            } else if (result.error !== 'キャンセル') {
+                throw new Error(result.error);
+            }
+
+        } catch (error) {
+            this.logger.error('画像座標変換エラー', error);
+            errorHandler.handle(error, error.message, '画像座標変換');
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * GPSトラック（GPX・KML・GeoJSONの線）を変換後のルートと比較し、結果の表示と超過区間の強調表示を行う
+     */
+    async handleCompareTrack(event) {
+        const file = event.target.files[0];
+        try {
+            if (!file) return;
+            if (!this.georeferencing || !this.georeferencing.currentTransformation) {
+                throw new Error('画像の重ね合わせ（ジオリファレンス）を実行してください。');
+            }
+
+            const thresholdInput = document.getElementById('trackThresholdInput');
+            const threshold = thresholdInput && thresholdInput.value !== ''
+                ? parseFloat(thresholdInput.value)
+                : CONFIG.TRACK_COMPARISON_DEFAULT_THRESHOLD;
+            if (!(threshold >= 0)) {
+                throw new Error('許容距離には0以上の数値を入力してください。');
+            }
+
+            const features = await this.dataImporter.gpsFileParser.readGpsFeatures(file);
+            const tracks = features
+                .filter(feature => feature.geometry === 'line')
+                .map(feature => ({ name: feature.name, latLngs: feature.latLngs }));
+            if (tracks.length === 0) {
+                throw new Error('ファイルにトラック（線）がありません。');
+            }
+
+            const result = this.trackComparator.compare(tracks, this.routeSpotHandler.getRouteLatLngs(), threshold);
+            this.trackComparator.showOnMap(tracks);
+            this.uiHandlers.updateTrackComparisonReport(result, (routeKey) => {
+                this.trackComparator.fitToExceededSegments(routeKey);
+            });
+
+            const clearTrackComparisonBtn = document.getElementById('clearTrackComparisonBtn');
+            if (clearTrackComparisonBtn) {
+                clearTrackComparisonBtn.disabled = false;
+            }
+
+            const exceededCount = result.routes.reduce((sum, route) => sum + route.exceededSegments.length, 0);
+            this.showMessage(
+                `GPSトラックと比較しました: ${file.name}\n` +
+                `平均 ${result.meanDistance.toFixed(1)}m, 最大 ${result.maxDistance.toFixed(1)}m, ` +
+                `${threshold}m以内 ${(result.withinRatio * 100).toFixed(1)}%` +
+                (exceededCount > 0 ? `\n許容距離を超えた区間: ${exceededCount}か所（地図上に赤で表示）` : ''),
+                exceededCount > 0 ? 'warning' : 'info');
+
+        } catch (error) {
+            this.logger.error('トラック比較エラー', error);
+            errorHandler.handle(error, error.message, 'トラック比較');
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    // 変換結果から歪みの表示を更新
+    updateDistortionView() {
+        const image = this.imageOverlay.currentImage;
+        this.distortionVisualizer.update(this.georeferencing.currentTransformation,
+            image.naturalWidth || image.width, image.naturalHeight || image.height,
+            this.georeferencing.getTransformationStatistics());
+        this.updateDistortionLegend();
+    }
+
+    updateDistortionLegend() {
+        this.uiHandlers.updateDistortionLegend(this.distortionVisualizer.getSummary(),
+            this.distortionVisualizer.hasHeatmap(), this.distortionVisualizer.hasEllipses());
+    }
+
+    // 残差ベクトル・誤差楕円の表示倍率の変更（不正な値は元に戻す）
+    handleResidualVectorScaleChange(input) {
+        try {
+            this.distortionVisualizer.setVectorScale(parseFloat(input.value));
+            this.updateDistortionLegend();
+        } catch (error) {
+            this.logger.error('残差ベクトル倍率設定エラー', error);
+            input.value = this.distortionVisualizer.getVectorScale();
+            errorHandler.handle(error, error.message, '残差ベクトルの倍率');
+        }
+    }
+
+    clearTrackComparison() {
+        this.trackComparator.clear();
+        this.uiHandlers.updateTrackComparisonReport(null);
+        const clearTrackComparisonBtn = document.getElementById('clearTrackComparisonBtn');
+        if (clearTrackComparisonBtn) {
+            clearTrackComparisonBtn.disabled = true;
+        }
+    }
+
+    // ラスター出力の前提（ジオリファレンス済み）を確認
+    checkRasterExportReady() {
+        if (!this.georeferencing || !this.georeferencing.currentTransformation) {
+            throw new Error('画像の重ね合わせ（ジオリファレンス）を実行してください。');
+        }
+        if (!this.imageOverlay.currentImage || !this.imageOverlay.currentImage.src) {
+            throw new Error('PNG画像が読み込まれていません。');
+        }
+    }
+
+    // 選択中の出力座標系（CONFIG.EXPORT_CRSのキー）
+    getRasterExportCrs() {
+        this.checkRasterExportReady();
+
+        const exportCrsSelect = document.getElementById('exportCrsSelect');
+        const crs = exportCrsSelect ? exportCrsSelect.value : CONFIG.DEFAULT_EXPORT_CRS;
+        return CONFIG.EXPORT_CRS[crs] ? crs : CONFIG.DEFAULT_EXPORT_CRS;
+    }
+
+    /**
+     * ワールドファイル(.pgw)と座標系ファイル(.prj)を保存
+     * PNG画像と同じファイル名にすることで、GISソフトで画像を開くと位置が付与される
+     */
+    async handleExportWorldFile() {
+        try {
+            const crs = this.getRasterExportCrs();
+            const image = this.imageOverlay.currentImage;
+            const imageWidth = image.naturalWidth || image.width;
+            const imageHeight = image.naturalHeight || image.height;
+
+            const params = this.rasterExporter.calculateAffineParameters(
+                this.georeferencing.currentTransformation, imageWidth, imageHeight, crs);
+            if (!params) {
+                throw new Error('ワールドファイルのパラメータを計算できませんでした。');
+            }
+
+            const baseName = this.currentPngFileName || 'image';
+            const worldFileResult = await this.fileHandler.saveBlobWithUserChoice(
+                new Blob([this.rasterExporter.createWorldFile(params, crs)], { type: 'text/plain' }),
+                baseName, '.pgw', { description: 'World File', accept: { 'text/plain': ['.pgw'] } });
+            if (!worldFileResult.success) {
+                if (worldFileResult.error === 'キャンセル') return;
+                throw new Error(worldFileResult.error);
+            }
+
+            const prjResult = await this.fileHandler.saveBlobWithUserChoice(
+                new Blob([this.rasterExporter.createPrj(crs)], { type: 'text/plain' }),
+                baseName, '.prj', { description: 'Projection File', accept: { 'text/plain': ['.prj'] } });
+            if (!prjResult.success && prjResult.error !== 'キャンセル') {
+                throw new Error(prjResult.error);
+            }
+
+            let message = `ワールドファイルを保存しました（${crs}）:\n${worldFileResult.filename}`;
+            if (prjResult.success) {
+                message += `\n${prjResult.filename}`;
+            }
+            if (!params.exact) {
+                // ワールドファイルはアフィン変換しか表せないため近似となる
+                message += `\nアフィン変換で近似しました（最大ずれ: ${params.maxDeviationMeters.toFixed(2)}m）`;
+            }
+            this.showMessage(message, params.exact ? 'info' : 'warning');
+
+        } catch (error) {
+            this.logger.error('ワールドファイル出力エラー', error);
+            errorHandler.handle(error, error.message, 'ワールドファイル出力');
+        }
+    }
+
+    /**
+     * ジオリファレンス情報を埋め込んだGeoTIFFを保存
+     */
+    async handleExportGeoTiff() {
+        try {
+            const crs = this.getRasterExportCrs();
+            const { blob, tiepointCount } = this.rasterExporter.createGeoTiff(
+                this.imageOverlay.currentImage, this.georeferencing.currentTransformation, crs);
+
+            const baseName = this.currentPngFileName || 'image';
+            const result = await this.fileHandler.saveBlobWithUserChoice(blob, baseName, '.tif', {
+                description: 'GeoTIFF',
+                accept: { 'image/tiff': ['.tif', '.tiff'] }
+            });
+
+            if (result.success) {
+                let message = `GeoTIFFを保存しました（${crs}）:\n${result.filename}`;
+                if (tiepointCount > 0) {
+                    message += `\n変換を${tiepointCount}点のタイポイント（GCP）として埋め込みました`;
+                }
+                this.showMessage(message);
             } else if (result.error !== 'キャンセル') {
                 throw new Error(result.error);
             }
 
-            this.logger.info(`GeoJSON出力完了: ${geoJsonData.features.length}件`);
+        } catch (error) {
+            this.logger.error('GeoTIFF出力エラー', error);
+            errorHandler.handle(error, error.message, 'GeoTIFF出力');
+        }
+    }
+
+    /**
+     * 画像を北が上のEPSG:3857画像にリサンプリングし、PNG・ワールドファイル・.prjで保存
+     */
+    async handleWarpImage() {
+        const warpImageBtn = document.getElementById('warpImageBtn');
+        const buttonLabel = warpImageBtn ? warpImageBtn.textContent : '';
+
+        try {
+            this.checkRasterExportReady();
+            if (this.imageWarper.isRunning()) {
+                throw new Error('画像の変換を実行中です。');
+            }
+
+            const transformation = this.georeferencing.currentTransformation;
+            const image = this.imageOverlay.currentImage;
+            const imageWidth = image.naturalWidth || image.width;
+            const imageHeight = image.naturalHeight || image.height;
+
+            // 解像度未指定の場合は元画像と同程度
+            const resolutionInput = document.getElementById('warpResolutionInput');
+            let resolution = resolutionInput && resolutionInput.value !== '' ? parseFloat(resolutionInput.value) : null;
+            if (resolution === null) {
+                resolution = this.imageWarper.estimateSourceResolution(transformation, imageWidth, imageHeight);
+            }
+
+            const resamplingSelect = document.getElementById('warpResamplingSelect');
+            const resampling = resamplingSelect && CONFIG.WARP_RESAMPLING_METHODS[resamplingSelect.value]
+                ? resamplingSelect.value
+                : CONFIG.DEFAULT_WARP_RESAMPLING;
+
+            if (warpImageBtn) {
+                warpImageBtn.disabled = true;
+            }
+
+            const imageData = this.rasterExporter.getImageData(image);
+            const { blob, geometry } = await this.imageWarper.warp(imageData, transformation, { resolution, resampling }, (progress) => {
+                if (warpImageBtn) {
+                    warpImageBtn.textContent = `変換中... ${Math.round(progress * 100)}%`;
+                }
+            });
+
+            if (warpImageBtn) {
+                warpImageBtn.textContent = buttonLabel;
+            }
+
+            // PNG・ワールドファイル・.prjを同じファイル名で保存
+            const baseName = `${this.currentPngFileName || 'image'}-3857`;
+            const pngResult = await this.fileHandler.saveBlobWithUserChoice(blob, baseName, '.png', {
+                description: 'PNG Image',
+                accept: { 'image/png': ['.png'] }
+            });
+            if (!pngResult.success) {
+                if (pngResult.error === 'キャンセル') return;
+                throw new Error(pngResult.error);
+            }
+
+            const worldFile = this.rasterExporter.createWorldFile({
+                a: geometry.resolution, b: 0, c: geometry.minX,
+                d: 0, e: -geometry.resolution, f: geometry.maxY
+            }, 'EPSG:3857');
+            const sidecarResults = [
+                ['ワールドファイル', await this.fileHandler.saveBlobWithUserChoice(
+                    new Blob([worldFile], { type: 'text/plain' }),
+                    baseName, '.pgw', { description: 'World File', accept: { 'text/plain': ['.pgw'] } })],
+                ['.prj', await this.fileHandler.saveBlobWithUserChoice(
+                    new Blob([this.rasterExporter.createPrj('EPSG:3857')], { type: 'text/plain' }),
+                    baseName, '.prj', { description: 'Projection File', accept: { 'text/plain': ['.prj'] } })]
+            ];
+
+            let message = `北が上の画像に変換して保存しました（${geometry.width}×${geometry.height}px, ${geometry.resolution.toFixed(3)}m/px）:\n${pngResult.filename}`;
+            const unsaved = [];
+            sidecarResults.forEach(([label, result]) => {
+                if (result.success) {
+                    message += `\n${result.filename}`;
+                } else {
+                    this.logger.warn(`${label}を保存できませんでした: ${result.error}`);
+                    unsaved.push(`${label}（${result.error}）`);
+                }
+            });
+            if (unsaved.length > 0) {
+                // PNGだけでは位置情報がないため、保存できなかったファイルを知らせる
+                message += `\n次のファイルは保存されていません: ${unsaved.join('、')}`;
+            }
+            this.showMessage(message, unsaved.length > 0 ? 'warning' : 'info');
+
+        } catch (error) {
+            this.logger.error('画像ワープエラー', error);
+            errorHandler.handle(error, error.message, '画像ワープ');
+        } finally {
+            if (warpImageBtn) {
+                warpImageBtn.textContent = buttonLabel;
+                warpImageBtn.disabled = !this.georeferencing.currentTransformation;
+            }
+        }
+    }
+
+    /**
+     * 画像をz/x/yタイルに切り出し、ZIPまたはMBTilesで保存
+     */
+    async handleExportTiles() {
+        const exportTilesBtn = document.getElementById('exportTilesBtn');
+        const buttonLabel = exportTilesBtn ? exportTilesBtn.textContent : '';
+
+        try {
+            this.checkRasterExportReady();
+            if (this.tileExporter.isRunning()) {
+                throw new Error('タイルの出力を実行中です。');
+            }
+
+            const transformation = this.georeferencing.currentTransformation;
+            const image = this.imageOverlay.currentImage;
+            const imageWidth = image.naturalWidth || image.width;
+            const imageHeight = image.naturalHeight || image.height;
+
+            // ズーム範囲未指定の場合は元画像の解像度から決める
+            const readZoom = (id) => {
+                const input = document.getElementById(id);
+                return input && input.value !== '' ? Number(input.value) : null;
+            };
+            let minZoom = readZoom('tileMinZoomInput');
+            let maxZoom = readZoom('tileMaxZoomInput');
+            if (maxZoom === null) {
+                const defaults = this.tileExporter.calculateDefaultZoomRange(transformation, imageWidth, imageHeight);
+                maxZoom = minZoom === null ? defaults.maxZoom : Math.max(defaults.maxZoom, minZoom);
+            }
+            if (minZoom === null) {
+                minZoom = Math.max(maxZoom - CONFIG.TILE_DEFAULT_ZOOM_LEVELS + 1, CONFIG.TILE_MIN_ZOOM);
+            }
+
+            const formatSelect = document.getElementById('tileFormatSelect');
+            const format = formatSelect && CONFIG.TILE_EXPORT_FORMATS[formatSelect.value]
+                ? formatSelect.value
+                : CONFIG.DEFAULT_TILE_EXPORT_FORMAT;
+
+            const resamplingSelect = document.getElementById('warpResamplingSelect');
+            const resampling = resamplingSelect && CONFIG.WARP_RESAMPLING_METHODS[resamplingSelect.value]
+                ? resamplingSelect.value
+                : CONFIG.DEFAULT_WARP_RESAMPLING;
+
+            if (exportTilesBtn) {
+                exportTilesBtn.disabled = true;
+            }
+
+            const baseName = `${this.currentPngFileName || 'image'}-tiles`;
+            const imageData = this.rasterExporter.getImageData(image);
+            const { blob, tileCount, emptyCount } = await this.tileExporter.export(imageData, transformation, {
+                minZoom, maxZoom, format, resampling, name: this.currentPngFileName || 'image'
+            }, (progress) => {
+                if (exportTilesBtn) {
+                    exportTilesBtn.textContent = `タイル作成中... ${Math.round(progress * 100)}%`;
+                }
+            });
+
+            if (exportTilesBtn) {
+                exportTilesBtn.textContent = buttonLabel;
+            }
+
+            const formatInfo = CONFIG.TILE_EXPORT_FORMATS[format];
+            const result = await this.fileHandler.saveBlobWithUserChoice(blob, baseName, formatInfo.extension, {
+                description: formatInfo.label,
+                accept: { [formatInfo.mimeType]: [formatInfo.extension] }
+            });
+            if (!result.success) {
+                if (result.error === 'キャンセル') return;
+                throw new Error(result.error);
+            }
+
+            const emptyNote = emptyCount > 0 ? `、画像と重ならない${emptyCount}枚は省略` : '';
+            this.showMessage(`タイルを保存しました（ズーム${minZoom}〜${maxZoom}、${tileCount}枚${emptyNote}）:\n${result.filename}`);
+
+        } catch (error) {
+            this.logger.error('タイル出力エラー', error);
+            errorHandler.handle(error, error.message, 'タイル出力');
+        } finally {
+            if (exportTilesBtn) {
+                exportTilesBtn.textContent = buttonLabel;
+                exportTilesBtn.disabled = !this.georeferencing.currentTransformation;
+            }
+        }
+    }
+
+    /**
+     * タイルURL（XYZ・WMTS）の地図を背景地図に追加
+     */
+    handleAddBaseMap() {
+        try {
+            const nameInput = document.getElementById('customBaseMapNameInput');
+            const urlInput = document.getElementById('customBaseMapUrlInput');
+            const maxZoomInput = document.getElementById('customBaseMapMaxZoomInput');
+            const definition = this.mapCore.getBaseMapManager().addCustomBaseMap({
+                label: nameInput ? nameInput.value : '',
+                url: urlInput ? urlInput.value : '',
+                maxNativeZoom: maxZoomInput && maxZoomInput.value !== '' ? Number(maxZoomInput.value) : null
+            });
+
+            if (nameInput) nameInput.value = '';
+            if (urlInput) urlInput.value = '';
+            this.showMessage(`背景地図「${definition.label}」を追加しました`);
+
+        } catch (error) {
+            this.logger.error('背景地図追加エラー', error);
+            errorHandler.handle(error, error.message, '背景地図の追加');
+        }
+    }
+
+    /**
+     * 選択中の背景地図（追加した地図）と保存したタイルを削除
+     */
+    async handleRemoveBaseMap() {
+        try {
+            const baseMapManager = this.mapCore.getBaseMapManager();
+            const definition = baseMapManager.getActiveDefinition();
+            if (!definition || !definition.custom) {
+                throw new Error('追加した背景地図のみ削除できます。');
+            }
+            if (!window.confirm(`背景地図「${definition.label}」と保存したタイルを削除しますか？`)) {
+                return;
+            }
+
+            await baseMapManager.removeCustomBaseMap(definition.id);
+            this.showMessage(`背景地図「${definition.label}」を削除しました`);
+
+        } catch (error) {
+            this.logger.error('背景地図削除エラー', error);
+            errorHandler.handle(error, error.message, '背景地図の削除');
+        }
+    }
+
+    /**
+     * 表示範囲の背景地図のタイルを保存（オフライン用）。保存中の場合は中止
+     */
+    async handleDownloadTiles() {
+        const tileCache = this.mapCore.getTileCache();
+        if (tileCache.isRunning()) {
+            tileCache.cancel();
+            return;
+        }
+
+        const downloadTilesBtn = document.getElementById('downloadTilesBtn');
+        const buttonLabel = downloadTilesBtn ? downloadTilesBtn.textContent : '';
+
+        try {
+            if (!TileCache.isSupported()) {
+                throw new Error('このブラウザではタイルを保存できません。');
+            }
+
+            const map = this.mapCore.getMap();
+            const definition = this.mapCore.getBaseMapManager().getActiveDefinition();
+
+            // ズーム範囲未指定の場合は表示中のズームから背景地図の最大ズームまで
+            const readZoom = (id) => {
+                const input = document.getElementById(id);
+                return input && input.value !== '' ? Number(input.value) : null;
+            };
+            const minZoom = readZoom('tileCacheMinZoomInput') ?? Math.round(map.getZoom());
+            const maxZoom = readZoom('tileCacheMaxZoomInput') ?? Math.max(definition.maxNativeZoom, minZoom);
+
+            const result = await tileCache.download(definition, map.getBounds(), minZoom, maxZoom, (completed, total) => {
+                if (downloadTilesBtn) {
+                    downloadTilesBtn.textContent = `保存中... ${completed}/${total}（クリックで中止）`;
+                }
+            });
+
+            const failedNote = result.failed > 0 ? `、取得できなかったタイル${result.failed}枚` : '';
+            const summary = `ズーム${minZoom}〜${maxZoom}、取得${result.downloaded}枚、保存済み${result.skipped}枚${failedNote}`;
+            const useCacheNote = this.mapCore.getBaseMapManager().useCache
+                ? ''
+                : '\n表示に使うには「保存したタイルを使う」をオンにしてください。';
+            if (result.cancelled) {
+                this.showMessage(`タイルの保存を中止しました（${summary}）`, 'warning');
+            } else {
+                this.showMessage(`「${definition.label}」のタイルを保存しました（${summary}）${useCacheNote}`,
+                    result.failed > 0 ? 'warning' : 'info');
+            }
 
         } catch (error) {
-            this.logger.error('GeoJSON出力エラー', error);
-            errorHandler.handle(error, error.message, 'GeoJSON出力');
+            this.logger.error('タイル保存エラー', error);
+            errorHandler.handle(error, error.message, 'タイル保存');
+        } finally {
+            if (downloadTilesBtn) {
+                downloadTilesBtn.textContent = buttonLabel;
+            }
+            this.updateBaseMapControls();
+        }
+    }
+
+    /**
+     * 選択中の背景地図の保存したタイルを削除
+     */
+    async handleClearTileCache() {
+        try {
+            if (this.mapCore.getTileCache().isRunning()) {
+                throw new Error('タイルの保存を実行中です。');
+            }
+            const definition = this.mapCore.getBaseMapManager().getActiveDefinition();
+            if (!window.confirm(`「${definition.label}」の保存したタイルを削除しますか？`)) {
+                return;
+            }
+
+            await this.mapCore.getTileCache().clear(definition.id);
+            this.updateBaseMapControls();
+            this.showMessage(`「${definition.label}」の保存したタイルを削除しました`);
+
+        } catch (error) {
+            this.logger.error('タイル削除エラー', error);
+            errorHandler.handle(error, error.message, 'タイル削除');
+        }
+    }
+
+    // 選択中の背景地図に合わせてボタンの状態と保存済みのタイル数を更新
+    async updateBaseMapControls() {
+        const definition = this.mapCore.getBaseMapManager().getActiveDefinition();
+        const supported = TileCache.isSupported();
+        const running = this.mapCore.getTileCache().isRunning();
+
+        const setDisabled = (id, disabled) => {
+            const element = document.getElementById(id);
+            if (element) element.disabled = disabled;
+        };
+        setDisabled('removeBaseMapBtn', !definition.custom || running);
+        setDisabled('downloadTilesBtn', !supported || !definition.cacheable);
+        setDisabled('clearTileCacheBtn', !supported || running);
+        setDisabled('useTileCacheCheckbox', !supported);
+
+        const status = document.getElementById('tileCacheStatus');
+        if (!status) return;
+        if (!supported) {
+            status.textContent = 'このブラウザではタイルを保存できません';
+            return;
+        }
+        if (!definition.cacheable) {
+            status.textContent = `「${definition.label}」はタイルの保存に対応していません`;
+            return;
+        }
+        try {
+            const count = await this.mapCore.getTileCache().countTiles(definition.id);
+            status.textContent = `保存済みのタイル（${definition.label}）: ${count}枚`;
+        } catch (error) {
+            this.logger.warn('保存済みのタイル数を取得できません', error);
+            status.textContent = '保存済みのタイル数を取得できません';
         }
     }
 
@@ -471,6 +1739,7 @@ class GeoReferencerApp {
             this.logger.error('標高データ取得エラー', error);
             this.showMessage(`標高データの取得中にエラーが発生しました: ${error.message}`, 'error');
         } finally {
+            this.history.checkpoint('標高取得');
             if (fetchElevationBtn) fetchElevationBtn.disabled = false;
             if (document.getElementById('elevationProgressContainer')) {
                 setTimeout(() => {
@@ -530,17 +1799,18 @@ class GeoReferencerApp {
                 for (const marker of this.routeSpotHandler.routeMarkers) {
                     const meta = marker.__meta;
                     if (meta && (meta.origin === 'image' || meta.origin === 'firebase')) { // firebase origin means loaded from external
-                        const routeId = meta.routeId || 'unknown_route';
+                        // 同名のルートを1本にまとめないよう、表示したルートごとのキーで分ける
+                        const routeKey = meta.routeKey || meta.routeId || 'unknown_route';
 
-                        if (!routeGroupMap.has(routeId)) {
-                            routeGroupMap.set(routeId, []);
+                        if (!routeGroupMap.has(routeKey)) {
+                            routeGroupMap.set(routeKey, { routeId: meta.routeId || 'unknown_route', markers: [] });
                         }
-                        routeGroupMap.get(routeId).push(marker);
+                        routeGroupMap.get(routeKey).markers.push(marker);
                     }
                 }
 
                 // 各ルートグループごとに処理
-                for (const [routeId, markers] of routeGroupMap) {
+                for (const { routeId, markers } of routeGroupMap.values()) {
                     // ルートデータから開始・終了ポイント情報を検索
                     let startPoint = 'unknown_start';
                     let endPoint = 'unknown_end';
@@ -791,8 +2061,14 @@ class GeoReferencerApp {
                 }
             }
 
+            // 画像から変換したポイント・スポットに変換後の位置の信頼楕円を付与
+            features
+                .filter(feature => feature.geometry.type === 'Point' && feature.properties.source === 'image_transformed')
+                .forEach(feature => this.addConfidenceEllipseProperties(feature));
+
             return {
                 type: 'FeatureCollection',
+                metadata: this.getGeoJsonMetadata(),
                 features: features
             };
 
@@ -802,6 +2078,68 @@ class GeoReferencerApp {
         }
     }
 
+    /**
+     * 地物のプロパティに信頼楕円（長半径・短半径(m)、長軸の方位角(度)、信頼水準）を追加（計算できない場合は何もしない）
+     * @param {Object} feature - Point地物
+     */
+    addConfidenceEllipseProperties(feature) {
+        const [lng, lat] = feature.geometry.coordinates;
+        const ellipse = this.georeferencing.calculateConfidenceEllipseAt(lat, lng);
+        if (!ellipse) {
+            return;
+        }
+        Object.assign(feature.properties, {
+            ellipseSemiMajor: Math.round(ellipse.semiMajor * 100) / 100,
+            ellipseSemiMinor: Math.round(ellipse.semiMinor * 100) / 100,
+            ellipseAzimuth: Math.round(ellipse.azimuth * 10) / 10,
+            ellipseConfidence: ellipse.confidence
+        });
+    }
+
+    /**
+     * GeoJSONに記録する測地系・精度の情報（座標は世界測地系。ポイントGPSの読み込み元の測地系ごとのポイント数を記録）
+     * @returns {Object} {datum, gpsSourceDatums: [{datum, pointCount, conversion}], accuracy}
+     *   accuracy: {model, solver, rmse, rmseX, rmseY, degreesOfFreedom, crossValidationRmse, checkPointRmse, checkPointCount}
+     *   （m単位。変換前はnull。交差検証・検証点のRMSEは計算できない場合null）
+     */
+    getGeoJsonMetadata() {
+        const counts = {};
+        (this.gpsData.getPoints() || []).forEach(point => {
+            const datum = CONFIG.GPS_DATUMS[point.sourceDatum] ? point.sourceDatum : CONFIG.DEFAULT_GPS_DATUM;
+            counts[datum] = (counts[datum] || 0) + 1;
+        });
+
+        return {
+            datum: CONFIG.GPS_DATUMS[CONFIG.DEFAULT_GPS_DATUM].name,
+            gpsSourceDatums: Object.entries(counts).map(([datum, pointCount]) => ({
+                datum: CONFIG.GPS_DATUMS[datum].name,
+                pointCount,
+                conversion: CONFIG.GPS_DATUMS[datum].conversion || null
+            })),
+            accuracy: this.getGeoJsonAccuracy()
+        };
+    }
+
+    getGeoJsonAccuracy() {
+        const report = this.georeferencing && this.georeferencing.residualReport;
+        const transformation = this.georeferencing && this.georeferencing.currentTransformation;
+        if (!report || !transformation) {
+            return null;
+        }
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            model: transformation.model,
+            solver: transformation.type,
+            rmse: round(report.rmse),
+            rmseX: round(report.rmseX),
+            rmseY: round(report.rmseY),
+            degreesOfFreedom: report.statistics ? report.statistics.degreesOfFreedom : null,
+            crossValidationRmse: report.crossValidation ? round(report.crossValidation.rmse) : null,
+            checkPointRmse: report.checkPointAccuracy ? round(report.checkPointAccuracy.rmse) : null,
+            checkPointCount: report.checkPointCount
+        };
+    }
+
     /**
      * GeoJSONファイル名を生成
      * @param {Object} geoJsonData - GeoJSONデータ（features配列を含む）
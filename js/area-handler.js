@@ -229,8 +229,8 @@ export class AreaHandler {
         try {
             if (!this.currentTransformation) return null;
 
-            // Using mathUtils (assuming it has applyAffineTransform same as in georeferencing.js usage)
-            const result = mathUtils.applyAffineTransform(imageX, imageY, this.currentTransformation);
+            // 変換モデル（アフィン・多項式・TPS）に応じて変換
+            const result = mathUtils.applyTransform(imageX, imageY, this.currentTransformation);
             return result;
         } catch (error) {
             return null;
@@ -0,0 +1,203 @@
+// 作業状態の自動保存・復元モジュール
+// 一定間隔で作業状態（プロジェクトファイルと同じ内容）を確認し、変更があればIndexedDBに保存する
+// スナップショットは一定時間ごとに新しく作成し、それまでは同じスナップショットを上書きする
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { ProjectFile } from './project-file.js';
+import { SessionStore } from './session-store.js';
+
+export class AutoSaver {
+    constructor(app) {
+        this.app = app;
+        this.logger = new Logger('AutoSaver');
+        this.store = new SessionStore();
+        this.projectFile = new ProjectFile();
+        this.enabled = SessionStore.isSupported();
+
+        this.timerId = null;
+        this.saving = false;
+        this.flushRequested = false; // 保存中にタブが非表示になった場合、保存後にもう一度確認する
+        this.lastStateJson = null; // 最後に保存した作業状態（変更検出用、地図の表示範囲は含まない）
+        this.snapshotId = null; // 上書き中のスナップショットID
+        this.snapshotCreatedAt = 0;
+        this.imageFile = null; // 保存済みのPNG画像
+        this.imageKey = null;
+    }
+
+    // 自動保存を開始
+    start() {
+        if (!this.enabled) {
+            this.logger.warn('IndexedDBが利用できないため、自動保存は無効です');
+            return;
+        }
+        if (this.timerId !== null) {
+            return;
+        }
+
+        this.timerId = setInterval(() => this.saveIfChanged(), CONFIG.AUTOSAVE_INTERVAL);
+
+        // タブを閉じる・切り替える時は、非表示になった時点で保存する
+        // （pagehideでは非同期の保存が終わる前にページが破棄されることがあるため使わない）
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+    }
+
+    // 直ちに保存（保存中の場合は、その保存の完了後に改めて確認する）
+    flush() {
+        if (this.saving) {
+            this.flushRequested = true;
+            return;
+        }
+        this.saveIfChanged();
+    }
+
+    /**
+     * 作業状態に変更があれば保存
+     * PNG画像が読み込まれていない間、およびプロジェクト復元中は保存しない
+     * 地図の表示範囲は変更の判定に含めず、他の変更を保存する時に合わせて保存する
+     */
+    async saveIfChanged() {
+        if (!this.enabled || this.saving || this.app.restoringProject) {
+            return;
+        }
+
+        const imageFile = this.app.dataImporter.currentPngFile;
+        const state = imageFile ? this.app.collectProjectState(false) : null;
+        if (!state) {
+            return;
+        }
+
+        const { mapView, ...content } = state;
+        const stateJson = JSON.stringify(content);
+        if (stateJson === this.lastStateJson && imageFile === this.imageFile) {
+            return;
+        }
+
+        this.saving = true;
+        try {
+            // 画像が変わった場合、または一定時間が経過した場合は新しいスナップショットを作成
+            let imageBlob = null;
+            if (imageFile !== this.imageFile) {
+                imageBlob = imageFile;
+                this.imageKey = `${Date.now()}-${imageFile.name}`;
+                this.snapshotId = null;
+            }
+            const now = Date.now();
+            if (this.snapshotId !== null && now - this.snapshotCreatedAt >= CONFIG.AUTOSAVE_SNAPSHOT_INTERVAL) {
+                this.snapshotId = null;
+            }
+            const isNewSnapshot = this.snapshotId === null;
+            if (isNewSnapshot) {
+                this.snapshotCreatedAt = now;
+            }
+
+            // JSONを経由して、作業中のオブジェクトから切り離した複製を保存
+            const project = this.projectFile.create({ ...JSON.parse(stateJson), mapView });
+            this.snapshotId = await this.store.saveSnapshot({
+                id: this.snapshotId,
+                createdAt: new Date(this.snapshotCreatedAt).toISOString(),
+                summary: this.createSummary(project),
+                project,
+                imageKey: this.imageKey
+            }, imageBlob);
+
+            this.imageFile = imageFile;
+            this.lastStateJson = stateJson;
+
+            if (isNewSnapshot) {
+                await this.store.prune(CONFIG.AUTOSAVE_MAX_SNAPSHOTS);
+            }
+
+        } catch (error) {
+            // 容量不足などで保存できない場合も作業は継続できるよう、ログのみ残す
+            this.logger.error('自動保存エラー', error);
+        } finally {
+            this.saving = false;
+            if (this.flushRequested) {
+                this.flushRequested = false;
+                this.saveIfChanged();
+            }
+        }
+    }
+
+    // スナップショット一覧に表示する概要
+    createSummary(project) {
+        const transformation = project.georeference.transformation;
+        return {
+            imageFileName: project.image.fileName,
+            gpsPointCount: project.gpsPoints.length,
+            markerCount: project.imageMarkers.length,
+            areaCount: Array.isArray(project.areas) ? project.areas.length : 0,
+            controlPointCount: project.controlPoints.length,
+            model: transformation ? transformation.model : null
+        };
+    }
+
+    /**
+     * 起動時に、自動保存データがあれば復元の選択肢を表示
+     */
+    async offerRecovery() {
+        if (!this.enabled) {
+            return;
+        }
+
+        try {
+            const snapshots = await this.store.listSnapshots();
+            if (snapshots.length === 0) {
+                return;
+            }
+
+            this.app.uiHandlers.showSessionRecovery(snapshots.map(snapshot => ({
+                id: snapshot.id,
+                label: this.formatSnapshotLabel(snapshot)
+            })));
+
+        } catch (error) {
+            this.logger.error('自動保存データ一覧取得エラー', error);
+        }
+    }
+
+    formatSnapshotLabel(snapshot) {
+        const summary = snapshot.summary || {};
+        const parts = [`GPS ${summary.gpsPointCount || 0}点`];
+        if (summary.markerCount > 0) parts.push(`ポイント ${summary.markerCount}個`);
+        if (summary.areaCount > 0) parts.push(`エリア ${summary.areaCount}個`);
+        if (summary.controlPointCount > 0) parts.push(`制御点 ${summary.controlPointCount}組`);
+        if (summary.model) parts.push(CONFIG.TRANSFORMATION_MODELS[summary.model]?.label || summary.model);
+
+        return `${this.formatDateTime(snapshot.savedAt)} ${summary.imageFileName || ''}（${parts.join('・')}）`;
+    }
+
+    formatDateTime(isoString) {
+        const date = new Date(isoString);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * スナップショットから作業状態を復元
+     * 復元後の作業は新しいスナップショットに保存する（復元元のスナップショットは残る）
+     * @param {number} id - スナップショットID
+     */
+    async restoreSnapshot(id) {
+        const { project, imageBlob, savedAt } = await this.store.loadSnapshot(id);
+        const imageFile = new File([imageBlob], project.image.fileName, { type: imageBlob.type || 'image/png' });
+
+        await this.app.dataImporter.openProject({
+            fileName: `自動保存データ（${this.formatDateTime(savedAt)}）`,
+            data: project
+        }, [imageFile]);
+    }
+
+    // すべての自動保存データを削除
+    async clearAll() {
+        await this.store.clear();
+        this.snapshotId = null;
+        this.imageFile = null;
+        this.imageKey = null;
+        this.lastStateJson = null;
+    }
+}
@@ -0,0 +1,261 @@
+// 背景地図管理モジュール
+// CONFIG.BASE_MAPSの地図と利用者が追加したXYZ・WMTSの地図を登録し、地図上の切り替えコントロールで選択する
+// 選択中の地図・追加した地図・保存したタイルを使うかの設定はlocalStorageに記憶する
+import { Logger, errorHandler } from './utils.js';
+import { CONFIG } from './constants.js';
+import { TileCache, createCachedTileLayer } from './tile-cache.js';
+
+const STORAGE_KEY = 'geoReferencer.baseMaps';
+const CUSTOM_ID_PREFIX = 'custom_';
+
+// WMTSのタイル位置の置換文字列（RESTful・KVP共通）とLeafletの置換文字列の対応
+const WMTS_PLACEHOLDERS = [
+    [/\{TileMatrix\}/gi, '{z}'],
+    [/\{TileCol\}/gi, '{x}'],
+    [/\{TileRow\}/gi, '{y}']
+];
+
+// URLテンプレートで使える置換文字列（{-y}はTMS形式、{s}はサブドメイン）
+const SUPPORTED_PLACEHOLDERS = new Set(['z', 'x', 'y', '-y', 's']);
+const PLACEHOLDER_PATTERN = /\{([^}]*)\}/g;
+
+export class BaseMapManager {
+    /**
+     * @param {L.Map} map - 地図
+     * @param {TileCache} tileCache - タイルキャッシュ
+     */
+    constructor(map, tileCache) {
+        this.logger = new Logger('BaseMapManager');
+        this.map = map;
+        this.tileCache = tileCache;
+        this.layers = new Map(); // 背景地図ID → タイルレイヤー
+        this.changeCallbacks = [];
+
+        const settings = this.loadSettings();
+        this.customDefinitions = (Array.isArray(settings.customBaseMaps) ? settings.customBaseMaps : [])
+            .filter(definition => this.isValidCustomDefinition(definition));
+        this.useCache = Boolean(settings.useCache) && TileCache.isSupported();
+
+        this.control = L.control.layers({}, null, { position: 'topleft' }).addTo(map);
+        this.getDefinitions().forEach(definition => this.registerLayer(definition));
+
+        this.activeId = this.layers.has(settings.activeId) ? settings.activeId : CONFIG.DEFAULT_BASE_MAP;
+        this.layers.get(this.activeId).addTo(map);
+
+        // 切り替えコントロールで選択した場合
+        map.on('baselayerchange', (event) => {
+            const entry = [...this.layers].find(([, layer]) => layer === event.layer);
+            if (entry) {
+                this.activeId = entry[0];
+                this.saveSettings();
+                this.notifyChange();
+            }
+        });
+    }
+
+    // 組み込みの地図と追加した地図の定義 [{id, label, url, attribution, minZoom, maxZoom, maxNativeZoom, cacheable, custom}]
+    getDefinitions() {
+        const builtIn = Object.entries(CONFIG.BASE_MAPS).map(([id, definition]) => ({ id, ...definition, custom: false }));
+        return [...builtIn, ...this.customDefinitions];
+    }
+
+    getDefinition(id) {
+        return this.getDefinitions().find(definition => definition.id === id) || null;
+    }
+
+    // 選択中の背景地図の定義
+    getActiveDefinition() {
+        return this.getDefinition(this.activeId);
+    }
+
+    // 背景地図の変更（選択・追加・削除）時に呼ばれる関数を登録
+    addChangeCallback(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    notifyChange() {
+        const definition = this.getActiveDefinition();
+        this.changeCallbacks.forEach(callback => callback(definition));
+    }
+
+    // タイルレイヤーを作成し、切り替えコントロールに追加
+    registerLayer(definition) {
+        const layer = createCachedTileLayer(definition.url, {
+            attribution: definition.attribution,
+            minZoom: definition.minZoom,
+            maxZoom: definition.maxZoom,
+            maxNativeZoom: definition.maxNativeZoom,
+            layerId: definition.id,
+            tileCache: this.tileCache,
+            useCache: this.useCache
+        });
+        this.layers.set(definition.id, layer);
+        this.control.addBaseLayer(layer, errorHandler.escapeHtml(definition.label));
+        return layer;
+    }
+
+    /**
+     * 背景地図を選択
+     * @param {string} id - 背景地図ID
+     */
+    selectBaseMap(id) {
+        const layer = this.layers.get(id);
+        if (!layer) {
+            throw new Error(`背景地図が見つかりません: ${id}`);
+        }
+        if (id === this.activeId) {
+            return;
+        }
+
+        const currentLayer = this.layers.get(this.activeId);
+        if (currentLayer) {
+            this.map.removeLayer(currentLayer);
+        }
+        layer.addTo(this.map);
+        this.activeId = id;
+        this.saveSettings();
+        this.notifyChange();
+    }
+
+    /**
+     * XYZ・WMTSのタイルURLをLeafletのURLテンプレートに変換
+     * WMTSの{TileMatrix}・{TileCol}・{TileRow}は{z}・{x}・{y}に置き換える（Webメルカトルのタイル行列セットに限る）
+     * それ以外の置換文字列（{Style}・{TileMatrixSet}など）は値を決められないため受け付けない
+     * @param {string} url - タイルURL
+     * @returns {string} URLテンプレート
+     */
+    normalizeUrlTemplate(url) {
+        let template = String(url || '').trim();
+        WMTS_PLACEHOLDERS.forEach(([pattern, replacement]) => {
+            template = template.replace(pattern, replacement);
+        });
+
+        if (!/^https?:\/\//i.test(template)) {
+            throw new Error('タイルURLはhttp://またはhttps://で始まるものを指定してください。');
+        }
+        const unsupported = [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)]
+            .map(match => match[1])
+            .filter(name => !SUPPORTED_PLACEHOLDERS.has(name)))];
+        if (unsupported.length > 0) {
+            throw new Error(`タイルURLに使えない置換文字列が含まれています: ${unsupported.map(name => `{${name}}`).join('、')}。` +
+                '使えるのは{z}・{x}・{y}・{-y}・{s}と、WMTSの{TileMatrix}・{TileCol}・{TileRow}です。' +
+                'WMTSの{Style}・{TileMatrixSet}などは実際の値に書き換えてください。');
+        }
+        if (!template.includes('{z}') || !template.includes('{x}') ||
+            !(template.includes('{y}') || template.includes('{-y}'))) {
+            throw new Error('タイルURLには{z}・{x}・{y}（WMTSの場合は{TileMatrix}・{TileCol}・{TileRow}）を含めてください。');
+        }
+        try {
+            new URL(this.createSampleUrl(template));
+        } catch (error) {
+            throw new Error('タイルURLの形式が正しくありません。');
+        }
+        return template;
+    }
+
+    // URLテンプレートの置換文字列を仮の値にしたURL（形式の確認・ホスト名の取得用、normalizeUrlTemplate()で確認済みのものに限る）
+    createSampleUrl(template) {
+        return template.replace(PLACEHOLDER_PATTERN, (match, name) => (name === 's' ? 'a' : '0'));
+    }
+
+    // 記憶した追加地図の定義が使えるか（以前の版で登録した、置換できない文字列を含むURLを除く）
+    isValidCustomDefinition(definition) {
+        try {
+            return Boolean(definition && definition.id) && this.normalizeUrlTemplate(definition.url) === definition.url;
+        } catch (error) {
+            this.logger.warn(`記憶した背景地図を読み込めません: ${definition && definition.label}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 背景地図を追加して選択
+     * @param {Object} options - {label, url, maxNativeZoom}
+     * @returns {Object} 追加した背景地図の定義
+     */
+    addCustomBaseMap({ label, url, maxNativeZoom }) {
+        const template = this.normalizeUrlTemplate(url);
+        const defaults = CONFIG.CUSTOM_BASE_MAP_DEFAULTS;
+        const nativeZoom = maxNativeZoom ?? defaults.maxNativeZoom;
+        if (!Number.isInteger(nativeZoom) || nativeZoom < CONFIG.TILE_MIN_ZOOM || nativeZoom > CONFIG.TILE_MAX_ZOOM) {
+            throw new Error(`最大ズームには${CONFIG.TILE_MIN_ZOOM}〜${CONFIG.TILE_MAX_ZOOM}の整数を指定してください。`);
+        }
+
+        const host = new URL(this.createSampleUrl(template)).host;
+        const definition = {
+            id: `${CUSTOM_ID_PREFIX}${Date.now()}`,
+            label: String(label || '').trim() || host,
+            url: template,
+            attribution: errorHandler.escapeHtml(host),
+            minZoom: Math.min(defaults.minZoom, nativeZoom),
+            maxZoom: Math.max(defaults.maxZoom, nativeZoom),
+            maxNativeZoom: nativeZoom,
+            cacheable: defaults.cacheable,
+            custom: true
+        };
+
+        this.customDefinitions.push(definition);
+        this.registerLayer(definition);
+        this.selectBaseMap(definition.id);
+        this.logger.info(`背景地図を追加: ${definition.label} (${definition.url})`);
+        return definition;
+    }
+
+    /**
+     * 追加した背景地図と保存したタイルを削除（選択中の場合は既定の地図に切り替える）
+     * @param {string} id - 背景地図ID
+     */
+    async removeCustomBaseMap(id) {
+        const definition = this.customDefinitions.find(item => item.id === id);
+        if (!definition) {
+            throw new Error('追加した背景地図のみ削除できます。');
+        }
+
+        if (this.activeId === id) {
+            this.selectBaseMap(CONFIG.DEFAULT_BASE_MAP);
+        }
+        const layer = this.layers.get(id);
+        this.control.removeLayer(layer);
+        this.layers.delete(id);
+        this.customDefinitions = this.customDefinitions.filter(item => item.id !== id);
+        this.saveSettings();
+        this.notifyChange();
+        this.logger.info(`背景地図を削除: ${definition.label}`);
+
+        if (TileCache.isSupported()) {
+            await this.tileCache.clear(id);
+        }
+    }
+
+    /**
+     * 保存したタイルを使うかを切り替え（表示中の地図を再表示）
+     * @param {boolean} useCache
+     */
+    setUseCache(useCache) {
+        this.useCache = useCache && TileCache.isSupported();
+        this.layers.forEach(layer => layer.setUseCache(this.useCache));
+        this.saveSettings();
+    }
+
+    // 記憶した設定 {activeId, useCache, customBaseMaps}
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        } catch (error) {
+            this.logger.warn('記憶した背景地図の設定を読み込めません', error);
+            return {};
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                activeId: this.activeId,
+                useCache: this.useCache,
+                customBaseMaps: this.customDefinitions
+            }));
+        } catch (error) {
+            this.logger.warn('背景地図の設定を記憶できません', error);
+        }
+    }
+}
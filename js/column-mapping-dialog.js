@@ -0,0 +1,334 @@
+// 列の割り当て画面（Excel・CSV/TSVのポイントGPS読み込み）モジュール
+// 先頭の数行をプレビューし、任意の列をポイントID・名称・緯度・経度・標高・備考に割り当てる
+// 座標は緯度経度（十進度・度分秒）のほか、平面直角座標系のX・Yを系番号を選んで読み込める
+// 測地系は世界測地系（JGD2011）のほか日本測地系を選べ、日本測地系の座標は世界測地系に変換する
+// 割り当ては見出し行の組合せごとに記憶し、同じ見出しのファイルでは前回の割り当てを初期値にする
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { coordinateConverter } from './coordinate-converter.js';
+
+const STORAGE_KEY = 'geoReferencer.columnMappings';
+
+export class ColumnMappingDialog {
+    constructor(gpsFileParser) {
+        this.logger = new Logger('ColumnMappingDialog');
+        this.gpsFileParser = gpsFileParser;
+    }
+
+    /**
+     * 列の割り当て画面を表示し、確定した割り当てで表を変換
+     * @param {string} fileName - ファイル名
+     * @param {Array} sheets - [{name, rows, firstRowNumber, firstColumn, truncated}]
+     * @returns {Promise<Object|null>} {sheetName, datum, points, rejected}（キャンセルした場合はnull）
+     */
+    open(fileName, sheets) {
+        const dialog = document.getElementById('columnMappingDialog');
+        if (!dialog || typeof dialog.showModal !== 'function') {
+            return Promise.reject(new Error('列の割り当て画面を表示できません。'));
+        }
+
+        const title = document.getElementById('columnMappingTitle');
+        const sheetRow = document.getElementById('mappingSheetRow');
+        const sheetSelect = document.getElementById('mappingSheetSelect');
+        const headerCheckbox = document.getElementById('mappingHeaderCheckbox');
+        const coordinateSystemSelect = document.getElementById('mappingCoordinateSystemSelect');
+        const datumSelect = document.getElementById('mappingDatumSelect');
+        const confirmBtn = document.getElementById('mappingConfirmBtn');
+        const cancelBtn = document.getElementById('mappingCancelBtn');
+
+        title.textContent = `列の割り当て: ${fileName}`;
+        sheetSelect.innerHTML = '';
+        sheets.forEach((sheet, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `${sheet.name}（${sheet.rows.length}行）`;
+            sheetSelect.appendChild(option);
+        });
+        sheetRow.style.display = sheets.length > 1 ? '' : 'none';
+
+        coordinateSystemSelect.innerHTML = '';
+        coordinateConverter.getCoordinateSystems().forEach(system => {
+            const option = document.createElement('option');
+            option.value = system.id;
+            option.textContent = system.label;
+            coordinateSystemSelect.appendChild(option);
+        });
+
+        datumSelect.innerHTML = '';
+        Object.entries(CONFIG.GPS_DATUMS).forEach(([datum, { label }]) => {
+            const option = document.createElement('option');
+            option.value = datum;
+            option.textContent = label;
+            datumSelect.appendChild(option);
+        });
+
+        // 最初のデータがあるシートを初期表示
+        const firstIndex = Math.max(0, sheets.findIndex(sheet => sheet.rows.some(row => row.length > 0)));
+        sheetSelect.value = String(firstIndex);
+
+        let sheet = sheets[firstIndex];
+        let setting = this.getInitialSetting(sheet);
+        let result = null;
+
+        const render = () => {
+            headerCheckbox.checked = setting.hasHeader;
+            coordinateSystemSelect.value = setting.coordinateSystem;
+            datumSelect.value = setting.datum;
+            result = this.gpsFileParser.convertRows(sheet, setting);
+            this.renderFields(sheet, setting, () => render());
+            this.renderPreview(sheet, setting);
+            this.renderStatus(sheet, setting, result);
+            confirmBtn.disabled = !this.gpsFileParser.isMappingComplete(setting.mapping) || result.points.length === 0;
+        };
+
+        return new Promise(resolve => {
+            const controller = new AbortController();
+            const { signal } = controller;
+            const finish = (value) => {
+                controller.abort();
+                dialog.close();
+                resolve(value);
+            };
+
+            sheetSelect.addEventListener('change', () => {
+                sheet = sheets[parseInt(sheetSelect.value, 10)];
+                setting = this.getInitialSetting(sheet);
+                render();
+            }, { signal });
+            headerCheckbox.addEventListener('change', () => {
+                setting = { ...setting, hasHeader: headerCheckbox.checked };
+                render();
+            }, { signal });
+            coordinateSystemSelect.addEventListener('change', () => {
+                setting = this.changeCoordinateSystem(sheet, setting, coordinateSystemSelect.value);
+                render();
+            }, { signal });
+            datumSelect.addEventListener('change', () => {
+                setting = { ...setting, datum: datumSelect.value };
+                render();
+            }, { signal });
+            confirmBtn.addEventListener('click', () => {
+                this.saveSetting(sheet, setting);
+                finish({ sheetName: sheet.name, datum: setting.datum, points: result.points, rejected: result.rejected });
+            }, { signal });
+            cancelBtn.addEventListener('click', () => finish(null), { signal });
+            // Escキーで閉じた場合
+            dialog.addEventListener('cancel', (event) => {
+                event.preventDefault();
+                finish(null);
+            }, { signal });
+
+            render();
+            dialog.showModal();
+        });
+    }
+
+    /**
+     * シートの初期の割り当て（同じ見出しの記憶があればそれ、なければ見出しの列名から推定）
+     * @returns {Object} {hasHeader, mapping, coordinateSystem, datum}
+     */
+    getInitialSetting(sheet) {
+        const headerRow = sheet.rows[0] || [];
+        const saved = this.loadSavedSettings()[this.gpsFileParser.getHeaderSignature(headerRow)];
+        if (saved) {
+            return {
+                hasHeader: saved.hasHeader,
+                mapping: { ...saved.mapping },
+                coordinateSystem: saved.coordinateSystem || 'latlng',
+                datum: CONFIG.GPS_DATUMS[saved.datum] ? saved.datum : CONFIG.DEFAULT_GPS_DATUM
+            };
+        }
+        return {
+            hasHeader: true,
+            mapping: this.gpsFileParser.detectColumnMapping(headerRow),
+            coordinateSystem: 'latlng',
+            datum: CONFIG.DEFAULT_GPS_DATUM
+        };
+    }
+
+    // 座標系の変更（緯度・経度の項目が未割り当ての場合は、見出しからX・Yなどの列を推定）
+    changeCoordinateSystem(sheet, setting, coordinateSystem) {
+        const detected = this.gpsFileParser.detectColumnMapping(setting.hasHeader ? sheet.rows[0] : [], coordinateSystem);
+        const mapping = { ...setting.mapping };
+        ['lat', 'lng'].forEach(field => {
+            if (!Number.isInteger(mapping[field]) && Number.isInteger(detected[field])) {
+                mapping[field] = detected[field];
+            }
+        });
+        return { ...setting, mapping, coordinateSystem };
+    }
+
+    // 項目の表示名（平面直角座標系の場合、緯度・経度はX・Y）
+    getFieldLabel(field, setting) {
+        const { label, planeLabel } = CONFIG.GPS_COLUMN_FIELDS[field];
+        return planeLabel && coordinateConverter.getPlaneZone(setting.coordinateSystem) ? planeLabel : label;
+    }
+
+    // 項目ごとの列の選択欄
+    renderFields(sheet, setting, onChange) {
+        const container = document.getElementById('mappingFields');
+        container.innerHTML = '';
+
+        const columnCount = this.getColumnCount(sheet);
+        Object.entries(CONFIG.GPS_COLUMN_FIELDS).forEach(([field, { required }]) => {
+            const label = this.getFieldLabel(field, setting);
+            const item = document.createElement('label');
+            item.className = 'mapping-field';
+            item.textContent = required ? `${label} *` : label;
+
+            const select = document.createElement('select');
+            const noneOption = document.createElement('option');
+            noneOption.value = '';
+            noneOption.textContent = '（なし）';
+            select.appendChild(noneOption);
+            for (let i = 0; i < columnCount; i++) {
+                const option = document.createElement('option');
+                option.value = String(i);
+                option.textContent = this.getColumnLabel(sheet, setting, i);
+                select.appendChild(option);
+            }
+            select.value = Number.isInteger(setting.mapping[field]) ? String(setting.mapping[field]) : '';
+            select.classList.toggle('mapping-missing', required && select.value === '');
+            select.addEventListener('change', () => {
+                setting.mapping = { ...setting.mapping, [field]: select.value === '' ? null : parseInt(select.value, 10) };
+                onChange();
+            });
+
+            item.appendChild(select);
+            container.appendChild(item);
+        });
+    }
+
+    // 先頭の数行のプレビュー（割り当てた列には項目名を表示）
+    renderPreview(sheet, setting) {
+        const table = document.getElementById('mappingPreviewTable');
+        table.innerHTML = '';
+
+        const columnCount = this.getColumnCount(sheet);
+        const fieldsByColumn = {};
+        Object.entries(setting.mapping).forEach(([field, column]) => {
+            if (Number.isInteger(column)) {
+                fieldsByColumn[column] = this.getFieldLabel(field, setting);
+            }
+        });
+
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        headRow.appendChild(document.createElement('th'));
+        for (let i = 0; i < columnCount; i++) {
+            const th = document.createElement('th');
+            th.textContent = this.getColumnLabel(sheet, setting, i);
+            if (fieldsByColumn[i]) {
+                th.classList.add('mapping-assigned');
+                const badge = document.createElement('div');
+                badge.className = 'mapping-badge';
+                badge.textContent = `→ ${fieldsByColumn[i]}`;
+                th.appendChild(badge);
+            }
+            headRow.appendChild(th);
+        }
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        const start = setting.hasHeader ? 1 : 0;
+        sheet.rows.slice(start, start + CONFIG.COLUMN_MAPPING_PREVIEW_ROWS).forEach((row, index) => {
+            const tr = document.createElement('tr');
+            const numberCell = document.createElement('th');
+            numberCell.textContent = String(sheet.firstRowNumber + start + index);
+            tr.appendChild(numberCell);
+            for (let i = 0; i < columnCount; i++) {
+                const td = document.createElement('td');
+                td.textContent = this.gpsFileParser.cellToString(row[i]);
+                td.classList.toggle('mapping-assigned', !!fieldsByColumn[i]);
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+    }
+
+    // 読み込める行数と、読み込めない行の一覧
+    renderStatus(sheet, setting, result) {
+        const status = document.getElementById('mappingStatus');
+        const list = document.getElementById('mappingRejectedList');
+        list.innerHTML = '';
+
+        if (!this.gpsFileParser.isMappingComplete(setting.mapping)) {
+            const missing = Object.entries(CONFIG.GPS_COLUMN_FIELDS)
+                .filter(([field, { required }]) => required && !Number.isInteger(setting.mapping[field]))
+                .map(([field]) => this.getFieldLabel(field, setting));
+            status.textContent = `${missing.join('・')}の列を選択してください。`;
+            status.className = 'mapping-status mapping-status-error';
+            return;
+        }
+
+        let text = `読み込めるポイント: ${result.points.length}件`;
+        if (result.rejected.length > 0) {
+            text += ` / 読み込めない行: ${result.rejected.length}行`;
+        }
+        if (sheet.truncated) {
+            text += `（先頭${CONFIG.MAX_EXCEL_ROWS}行のみ読み込みます）`;
+        }
+        status.textContent = text;
+        status.className = result.rejected.length > 0 || result.points.length === 0
+            ? 'mapping-status mapping-status-error' : 'mapping-status';
+
+        result.rejected.forEach(({ rowNumber, reason }) => {
+            const item = document.createElement('li');
+            item.textContent = `${rowNumber}行目: ${reason}`;
+            list.appendChild(item);
+        });
+    }
+
+    getColumnCount(sheet) {
+        return sheet.rows.reduce((max, row) => Math.max(max, row.length), 0);
+    }
+
+    // 列の表示名（列記号と、見出しがある場合は見出し）
+    getColumnLabel(sheet, setting, index) {
+        const letter = this.getColumnLetter((sheet.firstColumn || 0) + index);
+        const header = setting.hasHeader ? this.gpsFileParser.cellToString((sheet.rows[0] || [])[index]) : '';
+        return header ? `${letter}: ${header}` : letter;
+    }
+
+    // 列番号（0始まり）をExcelの列記号（A, B, ..., Z, AA, ...）に変換
+    getColumnLetter(index) {
+        let letter = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+        }
+        return letter;
+    }
+
+    // 記憶した割り当て {見出しの識別文字列: {hasHeader, mapping, coordinateSystem, datum, savedAt}}
+    loadSavedSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        } catch (error) {
+            this.logger.warn('記憶した列の割り当てを読み込めません', error);
+            return {};
+        }
+    }
+
+    // 割り当てを記憶（上限を超えた場合は古いものから破棄）
+    saveSetting(sheet, setting) {
+        try {
+            const saved = this.loadSavedSettings();
+            saved[this.gpsFileParser.getHeaderSignature(sheet.rows[0] || [])] = {
+                hasHeader: setting.hasHeader,
+                mapping: setting.mapping,
+                coordinateSystem: setting.coordinateSystem,
+                datum: setting.datum,
+                savedAt: new Date().toISOString()
+            };
+
+            const entries = Object.entries(saved)
+                .sort((a, b) => b[1].savedAt.localeCompare(a[1].savedAt))
+                .slice(0, CONFIG.COLUMN_MAPPING_MAX_SAVED);
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
+        } catch (error) {
+            this.logger.warn('列の割り当てを記憶できません', error);
+        }
+    }
+}
@@ -1,5 +1,8 @@
 // アプリケーション全体で使用する定数定義
 
+// 地理院タイルの出典表示
+const GSI_ATTRIBUTION = "<a href='https://maps.gsi.go.jp/development/ichiran.html' target='_blank'>地理院タイル</a>";
+
 // 設定定数
 export const CONFIG = {
     // 地図初期化設定
@@ -14,12 +17,225 @@ export const CONFIG = {
     ACCEPTED_EXCEL_EXTENSIONS: ['.xlsx'],
     ACCEPTED_JSON_EXTENSIONS: ['.json'],
 
-    // Excel読み込み制限
+    // ポイントGPSのファイル形式（拡張子で判定）
+    GPS_FILE_FORMATS: {
+        excel: { label: 'Excel', extensions: ['.xlsx'] },
+        csv: { label: 'CSV/TSV', extensions: ['.csv', '.tsv', '.txt'] },
+        gpx: { label: 'GPX', extensions: ['.gpx'] },
+        kml: { label: 'KML', extensions: ['.kml'] },
+        geojson: { label: 'GeoJSON', extensions: ['.geojson', '.json'] }
+    },
+
+    // Excel・CSV/TSV読み込み制限
     MAX_EXCEL_ROWS: 1000, // ヘッダー行含む最大読み込み行数
 
+    // Excel・CSV/TSVの列の割り当て（ポイントデータの項目）
+    GPS_COLUMN_FIELDS: {
+        pointId: { label: 'ポイントID', required: true },
+        name: { label: '名称', required: false }, // 未割り当て・空の場合はポイントID
+        lat: { label: '緯度', planeLabel: 'X（北）', required: true }, // planeLabel: 平面直角座標系の場合
+        lng: { label: '経度', planeLabel: 'Y（東）', required: true },
+        elevation: { label: '標高', required: false },
+        description: { label: '備考', required: false }
+    },
+    // ポイントGPSの測地系（読み込み時に世界測地系（JGD2011）に変換し、ポイントごとに変換元を記録）
+    // name・conversionはGeoJSON出力のmetadataに記録
+    GPS_DATUMS: {
+        jgd2011: { label: '世界測地系（JGD2011・WGS84）', name: 'JGD2011' },
+        tokyo: { label: '日本測地系（Tokyo Datum）', name: 'Tokyo Datum', conversion: 'Helmert 3-parameter (GSI)' }
+    },
+    DEFAULT_GPS_DATUM: 'jgd2011',
+    COLUMN_MAPPING_PREVIEW_ROWS: 5, // 列の割り当て画面に表示するデータ行数
+    COLUMN_MAPPING_MAX_SAVED: 30, // 記憶する列の割り当ての数（見出しの組合せごと、古いものから破棄）
+
     // アフィン変換設定
     AFFINE_TRANSFORMATION_MODE: 'auto', // 'simple', 'precise', 'auto'
 
+    // 変換モデル設定（モデルごとに必要な最小制御点数が異なる）
+    TRANSFORMATION_MODELS: {
+        affine: { label: 'アフィン変換（1次）', minPoints: 3 },
+        polynomial2: { label: '2次多項式変換', minPoints: 6, order: 2 },
+        polynomial3: { label: '3次多項式変換', minPoints: 10, order: 3 },
+        tps: { label: '薄板スプライン（TPS）', minPoints: 3 }
+    },
+    DEFAULT_TRANSFORMATION_MODEL: 'affine',
+
+    // 推定方法設定（precise: 全ポイントによる最小二乗法、robust: LMedS（最小メディアン二乗法）で誤対応を棄却）
+    SOLVER_MODES: {
+        precise: { label: '最小二乗法（精密版）' },
+        robust: { label: 'ロバスト推定（LMedS）' }
+    },
+    DEFAULT_SOLVER_MODE: 'precise',
+    ROBUST_MAX_SAMPLES: 500, // ロバスト推定の最大試行回数（組合せ総数がこれ以下なら全組合せを試行）
+    ROBUST_THRESHOLD_FACTOR: 2.5, // ロバスト標準偏差の何倍までを正常ポイントとするか
+    ROBUST_MIN_THRESHOLD_METERS: 1.0, // 正常ポイント判定のしきい値の下限
+    ROBUST_MAX_REFIT_ITERATIONS: 5, // 正常ポイントによる再計算の最大反復回数
+    WARP_MESH_DIVISIONS: 16, // 非線形モデルで画像を描画する際の格子分割数
+
+    // 変換後のGPS値（ポイント・ルート・スポット・エリア）の出力形式
+    // gpxRouteElement: GPXでルートを出力する要素（trk: トラック、rte: ルート）
+    VECTOR_EXPORT_FORMATS: {
+        geojson: { label: 'GeoJSON', extension: '.geojson', mimeType: 'application/geo+json' },
+        gpxTrack: { label: 'GPX（ルートをトラックとして出力）', extension: '.gpx', mimeType: 'application/gpx+xml', gpxRouteElement: 'trk' },
+        gpxRoute: { label: 'GPX（ルートをルートとして出力）', extension: '.gpx', mimeType: 'application/gpx+xml', gpxRouteElement: 'rte' },
+        kml: { label: 'KML', extension: '.kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+        kmz: { label: 'KMZ', extension: '.kmz', mimeType: 'application/vnd.google-earth.kmz' },
+        shapefile: { label: 'シェープファイル（ZIP）', extension: '.zip', mimeType: 'application/zip' },
+        geopackage: { label: 'GeoPackage', extension: '.gpkg', mimeType: 'application/geopackage+sqlite3' }
+    },
+    DEFAULT_VECTOR_EXPORT_FORMAT: 'geojson',
+
+    // 画像（ラスター）出力設定
+    EXPORT_CRS: {
+        'EPSG:3857': {
+            label: 'Webメルカトル（EPSG:3857）',
+            epsg: 3857,
+            geographic: false,
+            citation: 'WGS 84 / Pseudo-Mercator',
+            prj: 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Mercator_Auxiliary_Sphere"],PARAMETER["False_Easting",0.0],PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",0.0],PARAMETER["Standard_Parallel_1",0.0],PARAMETER["Auxiliary_Sphere_Type",0.0],UNIT["Meter",1.0]]'
+        },
+        'EPSG:4326': {
+            label: '緯度経度（EPSG:4326）',
+            epsg: 4326,
+            geographic: true,
+            citation: 'WGS 84',
+            prj: 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+        }
+    },
+    DEFAULT_EXPORT_CRS: 'EPSG:3857',
+    EXPORT_TIEPOINT_DIVISIONS: 8, // 非線形変換をタイポイント（GCP）で埋め込む際の格子分割数
+    GEOTIFF_STRIP_BYTES: 65536, // GeoTIFFの1ストリップあたりの目安バイト数
+
+    // 画像ワープ（北が上のEPSG:3857画像への再投影）設定
+    WARP_RESAMPLING_METHODS: {
+        nearest: { label: '最近傍' },
+        bilinear: { label: '双線形（バイリニア）' },
+        bicubic: { label: '3次畳み込み（バイキュービック）' }
+    },
+    DEFAULT_WARP_RESAMPLING: 'bilinear',
+    WARP_GRID_STEP: 16, // 逆変換を厳密に計算する格子点の間隔（出力画素）。格子内は補間
+    WARP_MAX_DIMENSION: 16384, // 出力画像の幅・高さの上限（ブラウザのcanvas上限）
+    WARP_MAX_PIXELS: 64000000, // 出力画像の画素数の上限
+
+    // タイル（z/x/y）出力設定
+    TILE_EXPORT_FORMATS: {
+        zip: { label: 'ZIP（z/x/y.png）', extension: '.zip', mimeType: 'application/zip' },
+        mbtiles: { label: 'MBTiles', extension: '.mbtiles', mimeType: 'application/vnd.sqlite3' }
+    },
+    DEFAULT_TILE_EXPORT_FORMAT: 'zip',
+    TILE_SIZE: 256, // タイル1枚の画素数（幅・高さ）
+    TILE_MIN_ZOOM: 0,
+    TILE_MAX_ZOOM: 22,
+    TILE_DEFAULT_ZOOM_LEVELS: 5, // ズーム範囲未指定時に出力する段数（元画像相当のズームから下へ）
+    TILE_MAX_COUNT: 5000, // 1回に出力するタイル数の上限
+    SQL_JS_SCRIPT_URL: 'lib/sql.js/sql-wasm.js', // sql.js v1.10.3（同梱、初回の出力時に読み込む）
+    SQL_JS_WASM_URL: 'lib/sql.js/', // sql.jsのWASM配置先
+
+    // プロジェクトファイル（作業状態一式の保存・復元）設定
+    PROJECT_FILE_FORMAT: 'georeferencer-project',
+    PROJECT_FILE_VERSION: 1,
+    PROJECT_FILE_EXTENSION: '.georef.json',
+
+    // 自動保存（IndexedDB）設定
+    AUTOSAVE_DB_NAME: 'GeoReferencer',
+    AUTOSAVE_DB_VERSION: 1,
+    AUTOSAVE_INTERVAL: 10000, // ms 変更の有無を確認して保存する間隔
+    AUTOSAVE_SNAPSHOT_INTERVAL: 600000, // ms この間隔ごとに新しいスナップショットを作成（それまでは上書き）
+    AUTOSAVE_MAX_SNAPSHOTS: 10, // 残すスナップショット数
+
+    // 操作履歴（取り消し・やり直し）設定
+    HISTORY_MAX_ENTRIES: 50, // 記録する操作数の上限（古いものから破棄）
+
+    // GPSトラック比較設定
+    TRACK_COMPARISON_DEFAULT_THRESHOLD: 20, // m 許容距離の既定値（これを超えた区間を強調表示）
+    TRACK_COMPARISON_STYLES: {
+        track: { color: '#1E90FF', weight: 3, opacity: 0.8, dashArray: '6 4' },
+        exceeded: { color: '#DC143C', weight: 6, opacity: 0.8 }
+    },
+
+    // 背景地図設定
+    // urlはLeafletのタイルURLテンプレート（{z}/{x}/{y}）。maxNativeZoomを超えるズームは拡大して表示する
+    // cacheable: falseの地図はタイルの一括保存（オフライン用）の対象外（OpenStreetMapはタイル利用規約で一括取得を禁止）
+    BASE_MAPS: {
+        std: {
+            label: '地理院 標準地図',
+            url: 'https://cyberjapandata.gsi.go.jp/xyz/std/{z}/{x}/{y}.png',
+            attribution: GSI_ATTRIBUTION,
+            minZoom: 2, maxZoom: 18, maxNativeZoom: 18, cacheable: true
+        },
+        pale: {
+            label: '地理院 淡色地図',
+            url: 'https://cyberjapandata.gsi.go.jp/xyz/pale/{z}/{x}/{y}.png',
+            attribution: GSI_ATTRIBUTION,
+            minZoom: 2, maxZoom: 18, maxNativeZoom: 18, cacheable: true
+        },
+        seamlessphoto: {
+            label: '地理院 写真',
+            url: 'https://cyberjapandata.gsi.go.jp/xyz/seamlessphoto/{z}/{x}/{y}.jpg',
+            attribution: GSI_ATTRIBUTION,
+            minZoom: 2, maxZoom: 18, maxNativeZoom: 18, cacheable: true
+        },
+        relief: {
+            label: '地理院 色別標高図',
+            url: 'https://cyberjapandata.gsi.go.jp/xyz/relief/{z}/{x}/{y}.png',
+            attribution: GSI_ATTRIBUTION,
+            minZoom: 5, maxZoom: 18, maxNativeZoom: 15, cacheable: true
+        },
+        hillshademap: {
+            label: '地理院 陰影起伏図',
+            url: 'https://cyberjapandata.gsi.go.jp/xyz/hillshademap/{z}/{x}/{y}.png',
+            attribution: GSI_ATTRIBUTION,
+            minZoom: 2, maxZoom: 18, maxNativeZoom: 16, cacheable: true
+        },
+        osm: {
+            label: 'OpenStreetMap',
+            url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: "&copy; <a href='https://www.openstreetmap.org/copyright' target='_blank'>OpenStreetMap</a> contributors",
+            minZoom: 2, maxZoom: 18, maxNativeZoom: 19, cacheable: false
+        }
+    },
+    DEFAULT_BASE_MAP: 'std',
+    CUSTOM_BASE_MAP_DEFAULTS: { minZoom: 2, maxZoom: 18, maxNativeZoom: 18, cacheable: true }, // 追加した地図（XYZ・WMTS）の既定値
+
+    // タイルキャッシュ（IndexedDB、オフライン用）設定
+    TILE_CACHE_DB_NAME: 'GeoReferencerTiles',
+    TILE_CACHE_DB_VERSION: 1,
+    TILE_CACHE_MAX_DOWNLOAD: 10000, // 1回に保存するタイル数の上限
+    TILE_CACHE_CONCURRENCY: 4, // 同時に取得するタイル数
+
+    // 画像と背景地図の比較表示設定
+    OVERLAY_COMPARE_MODES: {
+        none: { label: 'なし' },
+        swipe: { label: 'スワイプ（境界線の左に画像）' },
+        spyglass: { label: 'スパイグラス（カーソルの周りに背景地図）' }
+    },
+    DEFAULT_OVERLAY_COMPARE_MODE: 'none',
+    OVERLAY_SWIPE_DEFAULT_POSITION: 0.5, // スワイプの境界線の初期位置（地図の幅に対する割合）
+    OVERLAY_SPYGLASS_RADIUS: 100, // px スパイグラスの円の半径
+
+    // 歪み可視化（残差ベクトル・歪みグリッド・非線形成分のヒートマップ）設定
+    RESIDUAL_VECTOR_DEFAULT_SCALE: 50, // 残差ベクトル・信頼楕円の表示倍率の既定値
+    RESIDUAL_VECTOR_MAX_SCALE: 10000,
+    DISTORTION_GRID_DIVISIONS: 8, // 歪みグリッドの格子分割数
+    DISTORTION_HEATMAP_DIVISIONS: 24, // ヒートマップの格子分割数
+    DISTORTION_SCALE_RANGE: 10, // % 縮尺の差がこれ以上のセルを最も濃い色で表示
+    DISTORTION_ROTATION_RANGE: 5, // 度 回転の差がこれ以上のセルを最も濃い色で表示
+    DISTORTION_COLOR_STOPS: ['#2E8B57', '#FFD700', '#DC143C'], // 小さい値→大きい値
+    CONFIDENCE_ELLIPSE_LEVEL: 0.95, // 信頼楕円の信頼水準
+    DISTORTION_STYLES: {
+        vector: { weight: 3, opacity: 0.9 },
+        rejectedVector: { dashArray: '4 4' },
+        ellipse: { color: '#8A2BE2', weight: 2, opacity: 0.9, fillOpacity: 0.15 },
+        grid: { weight: 1, opacity: 0.8, fillOpacity: 0 },
+        cross: { weight: 2, opacity: 0.9 },
+        heatmap: { stroke: false, fillOpacity: 0.45 }
+    },
+
+    // 外れ値（誤対応ポイント）検出設定
+    OUTLIER_LOO_FACTOR: 3.0, // 1点除外時の予測誤差がロバスト標準偏差の何倍を超えたら外れ値とするか
+    OUTLIER_SIGMA_FACTOR: 2.5, // 1点除外検定ができない場合、残差がRMSEの何倍を超えたら外れ値とするか
+    OUTLIER_MIN_ERROR_METERS: 1.0, // これ未満の誤差は外れ値とみなさない
+
     // UI設定
     MESSAGE_BOX_Z_INDEX: 10000,
     OVERLAY_CONTROLS_Z_INDEX: 1000,
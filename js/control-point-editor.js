@@ -0,0 +1,477 @@
+// 制御点の手動配置を管理するモジュール
+// 重ね合わせた画像上の地物をクリックし、続けて地理院地図上の同じ地点をクリックすることで
+// 制御点ペア（画像座標とGPS座標）を作成する。ペアはドラッグで移動、ポップアップで編集・削除できる。
+import { Logger } from './utils.js';
+import { mathUtils } from './math-utils.js';
+
+export class ControlPointEditor {
+    constructor(mapCore, imageOverlay, georeferencing) {
+        this.logger = new Logger('ControlPointEditor');
+        this.mapCore = mapCore;
+        this.imageOverlay = imageOverlay;
+        this.georeferencing = georeferencing;
+        this.pairs = []; // {id, name, imageX, imageY, lat, lng, imageMarker, gpsMarker, linkLine}
+        this.pendingPair = null; // 画像側のみ指定済みのペア
+        this.isActive = false;
+        this.changeCallbacks = [];
+        this.messageHandler = null;
+        this.handleMapClick = this.handleMapClick.bind(this);
+
+        // 画像の配置が変わったら画像側マーカーを追従させる
+        this.imageOverlay.addImageUpdateCallback(() => this.syncImageMarkers());
+    }
+
+    /**
+     * 変更時のコールバックを登録
+     * @param {Function} callback - (pairsChanged) ペアが変更された場合はtrue、モード・状態のみの変更はfalse
+     */
+    addChangeCallback(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    // 利用者向けメッセージの表示先を設定
+    setMessageHandler(handler) {
+        this.messageHandler = handler;
+    }
+
+    notifyChange(pairsChanged) {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(pairsChanged);
+            } catch (error) {
+                this.logger.error('制御点変更コールバックエラー', error);
+            }
+        });
+    }
+
+    showMessage(message, type = 'info') {
+        if (this.messageHandler) {
+            this.messageHandler(message, type);
+        }
+    }
+
+    // ==========================================
+    // 配置モード
+    // ==========================================
+
+    activate() {
+        if (!this.imageOverlay.currentImage || !this.imageOverlay.currentImage.src) {
+            throw new Error('PNG画像が読み込まれていません。');
+        }
+        if (this.isActive) {
+            return;
+        }
+
+        const map = this.mapCore.getMap();
+        map.on('click', this.handleMapClick);
+        L.DomUtil.addClass(map.getContainer(), 'control-point-mode');
+        this.isActive = true;
+        this.notifyChange(false);
+    }
+
+    deactivate() {
+        if (!this.isActive) {
+            return;
+        }
+
+        const map = this.mapCore.getMap();
+        map.off('click', this.handleMapClick);
+        L.DomUtil.removeClass(map.getContainer(), 'control-point-mode');
+        this.cancelPendingPair();
+        this.isActive = false;
+        this.notifyChange(false);
+    }
+
+    toggle() {
+        if (this.isActive) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+
+    // 現在の操作案内
+    getStatusText() {
+        if (!this.isActive) {
+            return `手動制御点: ${this.pairs.length}組`;
+        }
+        return this.pendingPair
+            ? '② 地図上で同じ地点をクリックしてください'
+            : '① 画像上の地物をクリックしてください';
+    }
+
+    handleMapClick(event) {
+        try {
+            if (!this.pendingPair) {
+                const pixel = this.latLngToImagePixel(event.latlng);
+                if (!pixel) {
+                    this.showMessage('画像の範囲外です。画像上の地物をクリックしてください。', 'warning');
+                    return;
+                }
+
+                this.pendingPair = { imageX: pixel[0], imageY: pixel[1] };
+                this.pendingPair.imageMarker = this.createImageMarker(event.latlng, this.pendingPair);
+            } else {
+                const pair = this.pendingPair;
+                this.pendingPair = null;
+                pair.id = this.generatePointId();
+                pair.name = '';
+                pair.lat = event.latlng.lat;
+                pair.lng = event.latlng.lng;
+                this.completePair(pair);
+                this.notifyChange(true);
+                return;
+            }
+
+            this.notifyChange(false);
+
+        } catch (error) {
+            this.logger.error('制御点配置エラー', error);
+        }
+    }
+
+    cancelPendingPair() {
+        if (this.pendingPair) {
+            this.removeLayer(this.pendingPair.imageMarker);
+            this.pendingPair = null;
+        }
+    }
+
+    // ==========================================
+    // 座標変換
+    // ==========================================
+
+    getImageSize() {
+        const image = this.imageOverlay.currentImage;
+        return {
+            width: image.naturalWidth || image.width,
+            height: image.naturalHeight || image.height
+        };
+    }
+
+    /**
+     * 地図上の位置を画像のピクセル座標に変換（画像範囲外はnull）
+     * @param {L.LatLng} latLng - 地図上の位置
+     * @returns {Array|null} [imageX, imageY]
+     */
+    latLngToImagePixel(latLng) {
+        return this.georeferencing.latLngToImagePixel(latLng);
+    }
+
+    /**
+     * 画像のピクセル座標を現在の画像配置での地図上の位置に変換
+     * @returns {Array|null} [lat, lng]
+     */
+    imagePixelToLatLng(imageX, imageY) {
+        const transformation = this.georeferencing.currentTransformation;
+        if (transformation) {
+            return mathUtils.applyTransform(imageX, imageY, transformation);
+        }
+
+        const { width, height } = this.getImageSize();
+        if (!this.imageOverlay.imageOverlay || !width || !height) {
+            return null;
+        }
+        return mathUtils.convertImageCoordsToGps(imageX, imageY,
+            this.imageOverlay.imageOverlay.getBounds(), width, height);
+    }
+
+    // ==========================================
+    // マーカー
+    // ==========================================
+
+    createImageMarker(latLng, pair) {
+        const marker = L.marker(latLng, {
+            icon: L.divIcon({
+                className: 'control-point-image-marker',
+                html: '<div></div>',
+                iconSize: [16, 16],
+                iconAnchor: [8, 8]
+            }),
+            draggable: true,
+            pane: 'controlPointMarkers'
+        }).addTo(this.mapCore.getMap());
+
+        marker.on('dragend', () => {
+            const pixel = this.latLngToImagePixel(marker.getLatLng());
+            if (!pixel) {
+                this.showMessage('画像の範囲外には移動できません。', 'warning');
+                this.syncImageMarkers();
+                return;
+            }
+
+            pair.imageX = pixel[0];
+            pair.imageY = pixel[1];
+            this.updateLinkLine(pair);
+
+            // 配置途中（地図側が未指定）のペアは変換に影響しない
+            if (pair !== this.pendingPair) {
+                this.notifyChange(true);
+            }
+        });
+
+        return marker;
+    }
+
+    createGpsMarker(pair) {
+        const marker = L.marker([pair.lat, pair.lng], {
+            icon: L.divIcon({
+                className: 'control-point-gps-marker',
+                html: '<div></div>',
+                iconSize: [16, 16],
+                iconAnchor: [8, 8]
+            }),
+            draggable: true,
+            pane: 'controlPointMarkers'
+        }).addTo(this.mapCore.getMap());
+
+        marker.on('dragend', () => {
+            const latLng = marker.getLatLng();
+            pair.lat = latLng.lat;
+            pair.lng = latLng.lng;
+            this.updateLinkLine(pair);
+            this.notifyChange(true);
+        });
+
+        return marker;
+    }
+
+    // 画像側と地図側を結ぶ線（ずれの大きさの目安）
+    updateLinkLine(pair) {
+        if (!pair.linkLine || !pair.imageMarker || !pair.gpsMarker) {
+            return;
+        }
+        pair.linkLine.setLatLngs([pair.imageMarker.getLatLng(), pair.gpsMarker.getLatLng()]);
+    }
+
+    completePair(pair) {
+        if (!pair.imageMarker) {
+            const latLng = this.imagePixelToLatLng(pair.imageX, pair.imageY);
+            pair.imageMarker = this.createImageMarker(latLng || [pair.lat, pair.lng], pair);
+        }
+        pair.gpsMarker = this.createGpsMarker(pair);
+        pair.linkLine = L.polyline([pair.imageMarker.getLatLng(), pair.gpsMarker.getLatLng()], {
+            color: '#ff00ff',
+            weight: 2,
+            dashArray: '4 4',
+            interactive: false,
+            pane: 'routeLines'
+        }).addTo(this.mapCore.getMap());
+
+        const popup = () => this.createPopupContent(pair);
+        pair.imageMarker.bindPopup(popup);
+        pair.gpsMarker.bindPopup(popup);
+
+        this.pairs.push(pair);
+    }
+
+    // 編集用ポップアップ（ID・名称の変更と削除）
+    createPopupContent(pair) {
+        const container = L.DomUtil.create('div', 'control-point-popup');
+
+        const title = L.DomUtil.create('div', 'control-point-popup-coords', container);
+        title.textContent = `画像(${pair.imageX.toFixed(1)}, ${pair.imageY.toFixed(1)}) → ` +
+            `GPS(${pair.lat.toFixed(6)}, ${pair.lng.toFixed(6)})`;
+
+        const idInput = this.createPopupField(container, 'ID', pair.id);
+        const nameInput = this.createPopupField(container, '名称', pair.name);
+
+        const buttons = L.DomUtil.create('div', 'control-point-popup-buttons', container);
+        const updateBtn = L.DomUtil.create('button', '', buttons);
+        updateBtn.textContent = '更新';
+        const deleteBtn = L.DomUtil.create('button', 'danger', buttons);
+        deleteBtn.textContent = '削除';
+
+        L.DomEvent.on(updateBtn, 'click', () => {
+            if (this.updatePair(pair, idInput.value.trim(), nameInput.value.trim())) {
+                this.mapCore.getMap().closePopup();
+            }
+        });
+        L.DomEvent.on(deleteBtn, 'click', () => {
+            this.mapCore.getMap().closePopup();
+            this.removePair(pair);
+        });
+        L.DomEvent.disableClickPropagation(container);
+
+        return container;
+    }
+
+    createPopupField(container, labelText, value) {
+        const label = L.DomUtil.create('label', '', container);
+        label.textContent = labelText;
+        const input = L.DomUtil.create('input', '', label);
+        input.type = 'text';
+        input.value = value || '';
+        return input;
+    }
+
+    syncImageMarkers() {
+        const targets = this.pendingPair ? [...this.pairs, this.pendingPair] : this.pairs;
+        targets.forEach(pair => {
+            const latLng = this.imagePixelToLatLng(pair.imageX, pair.imageY);
+            if (latLng && pair.imageMarker) {
+                pair.imageMarker.setLatLng(latLng);
+                this.updateLinkLine(pair);
+            }
+        });
+    }
+
+    removeLayer(layer) {
+        const map = this.mapCore.getMap();
+        if (layer && map && map.hasLayer(layer)) {
+            map.removeLayer(layer);
+        }
+    }
+
+    // ==========================================
+    // ペア管理
+    // ==========================================
+
+    /**
+     * ペアのID・名称を更新
+     * @returns {boolean} 更新できた場合true
+     */
+    updatePair(pair, id, name) {
+        if (!id) {
+            this.showMessage('IDを入力してください。', 'warning');
+            return false;
+        }
+        if (id !== pair.id && this.isIdInUse(id)) {
+            this.showMessage(`ID「${id}」は既に使用されています。`, 'warning');
+            return false;
+        }
+
+        const idChanged = id !== pair.id;
+        pair.id = id;
+        pair.name = name;
+        this.notifyChange(idChanged);
+        return true;
+    }
+
+    removePair(pair) {
+        this.removeLayer(pair.imageMarker);
+        this.removeLayer(pair.gpsMarker);
+        this.removeLayer(pair.linkLine);
+        this.pairs = this.pairs.filter(p => p !== pair);
+        this.notifyChange(true);
+    }
+
+    clearAll() {
+        const hadPairs = this.pairs.length > 0;
+        this.cancelPendingPair();
+        this.pairs.forEach(pair => {
+            this.removeLayer(pair.imageMarker);
+            this.removeLayer(pair.gpsMarker);
+            this.removeLayer(pair.linkLine);
+        });
+        this.pairs = [];
+        this.notifyChange(hadPairs);
+    }
+
+    // 手動ペア・読み込み済みポイントJSONのいずれかで使用中のIDか
+    isIdInUse(id) {
+        return this.pairs.some(pair => pair.id === id) || this.georeferencing.hasPointJsonId(id);
+    }
+
+    generatePointId() {
+        let number = this.pairs.length + 1;
+        let id = `CP${String(number).padStart(2, '0')}`;
+        while (this.isIdInUse(id)) {
+            number++;
+            id = `CP${String(number).padStart(2, '0')}`;
+        }
+        return id;
+    }
+
+    hasPairs() {
+        return this.pairs.length > 0;
+    }
+
+    getPairCount() {
+        return this.pairs.length;
+    }
+
+    /**
+     * ジオリファレンス計算用の制御点ペア（matchPointJsonWithGPSの結果と同じ形式）
+     * @returns {Array} [{pointJsonId, pointJson, gpsPoint}]
+     */
+    getControlPointPairs() {
+        return this.pairs.map(pair => ({
+            pointJsonId: pair.id,
+            pointJson: {
+                id: pair.id,
+                name: pair.name,
+                imageX: pair.imageX,
+                imageY: pair.imageY
+            },
+            gpsPoint: {
+                pointId: pair.id,
+                name: pair.name,
+                lat: pair.lat,
+                lng: pair.lng
+            },
+            manual: true
+        }));
+    }
+
+    // ==========================================
+    // 保存・読み込み
+    // ==========================================
+
+    /**
+     * ポイントJSON形式に変換（GPS座標はgpsLat/gpsLngとして併記）
+     * @returns {Object} {points: [...]}
+     */
+    toPointsJson() {
+        return {
+            points: this.pairs.map(pair => ({
+                id: pair.id,
+                name: pair.name,
+                imageX: Math.round(pair.imageX * 100) / 100,
+                imageY: Math.round(pair.imageY * 100) / 100,
+                gpsLat: Math.round(pair.lat * 1e7) / 1e7,
+                gpsLng: Math.round(pair.lng * 1e7) / 1e7
+            }))
+        };
+    }
+
+    // 手動制御点として保存したポイントJSON（全ポイントにgpsLat/gpsLngがある）か判定
+    isControlPointJson(data) {
+        return !!(data && Array.isArray(data.points) && data.points.length > 0 &&
+            data.points.every(point =>
+                (point.id || point.name) &&
+                isFinite(point.imageX) && isFinite(point.imageY) &&
+                isFinite(point.gpsLat) && isFinite(point.gpsLng)));
+    }
+
+    /**
+     * 保存したポイントJSONから制御点ペアを復元
+     * @param {Array} points - toPointsJson()形式のポイント配列
+     * @returns {number} 追加したペア数（ID重複はスキップ）
+     */
+    importPairs(points) {
+        let added = 0;
+        points.forEach(point => {
+            const id = String(point.id || point.name);
+            if (this.isIdInUse(id)) {
+                this.logger.warn(`制御点ID重複のためスキップ: ${id}`);
+                return;
+            }
+
+            this.completePair({
+                id,
+                name: point.name || '',
+                imageX: Number(point.imageX),
+                imageY: Number(point.imageY),
+                lat: Number(point.gpsLat),
+                lng: Number(point.gpsLng)
+            });
+            added++;
+        });
+
+        if (added > 0) {
+            this.notifyChange(true);
+        }
+        return added;
+    }
+}
@@ -0,0 +1,363 @@
+// 座標の解析・測地座標変換モジュール
+// 度分秒（34°51'13.2"N、北緯34度51分13.2秒など）の解析と、
+// 平面直角座標系（第I系〜第XIX系）から緯度経度への換算（ガウス・クリューゲル投影の逆計算）、
+// 日本測地系（Tokyo Datum）から世界測地系（JGD2011）への変換を提供
+// 換算式は国土地理院「平面直角座標への換算」（河瀬, 2011）による
+import { Logger } from './utils.js';
+
+// 楕円体（長半径a、扁平率f）
+const ELLIPSOIDS = {
+    grs80: { a: 6378137, f: 1 / 298.257222101 },
+    bessel: { a: 6377397.155, f: 1 / 299.152813 }
+};
+const PLANE_SCALE_FACTOR = 0.9999; // 座標系原点の縮尺係数
+
+// 測地系（キーはCONFIG.GPS_DATUMSと対応）
+// toJgd2011: 世界測地系への3パラメータ・ヘルマート変換の平行移動量（地心直交座標、m）
+// 日本測地系は国土地理院が公表する変換パラメータ（ΔX=-146.414, ΔY=+507.337, ΔZ=+680.507）。精度は数m程度
+const DATUMS = {
+    jgd2011: { ellipsoid: 'grs80', toJgd2011: null },
+    tokyo: { ellipsoid: 'bessel', toJgd2011: { x: -146.414, y: 507.337, z: 680.507 } }
+};
+
+// 平面直角座標系の原点（緯度, 経度）[度, 分]
+const PLANE_ZONE_ORIGINS = [
+    null,
+    { lat: [33, 0], lng: [129, 30] }, // I 長崎県、鹿児島県の一部
+    { lat: [33, 0], lng: [131, 0] }, // II 福岡県、佐賀県、熊本県、大分県、宮崎県、鹿児島県の一部
+    { lat: [36, 0], lng: [132, 10] }, // III 山口県、島根県、広島県
+    { lat: [33, 0], lng: [133, 30] }, // IV 香川県、愛媛県、徳島県、高知県
+    { lat: [36, 0], lng: [134, 20] }, // V 兵庫県、鳥取県、岡山県
+    { lat: [36, 0], lng: [136, 0] }, // VI 京都府、大阪府、福井県、滋賀県、三重県、奈良県、和歌山県
+    { lat: [36, 0], lng: [137, 10] }, // VII 石川県、富山県、岐阜県、愛知県
+    { lat: [36, 0], lng: [138, 30] }, // VIII 新潟県、長野県、山梨県、静岡県
+    { lat: [36, 0], lng: [139, 50] }, // IX 東京都の一部、福島県、栃木県、茨城県、埼玉県、千葉県、群馬県、神奈川県
+    { lat: [40, 0], lng: [140, 50] }, // X 青森県、秋田県、山形県、岩手県、宮城県
+    { lat: [44, 0], lng: [140, 15] }, // XI 北海道の一部
+    { lat: [44, 0], lng: [142, 15] }, // XII 北海道の一部
+    { lat: [44, 0], lng: [144, 15] }, // XIII 北海道の一部
+    { lat: [26, 0], lng: [142, 0] }, // XIV 東京都の一部（小笠原）
+    { lat: [26, 0], lng: [127, 30] }, // XV 沖縄県の一部
+    { lat: [26, 0], lng: [124, 0] }, // XVI 沖縄県の一部
+    { lat: [26, 0], lng: [131, 0] }, // XVII 沖縄県の一部
+    { lat: [20, 0], lng: [136, 0] }, // XVIII 東京都の一部（沖ノ鳥島）
+    { lat: [26, 0], lng: [154, 0] } // XIX 東京都の一部（南鳥島）
+];
+const PLANE_ZONE_NUMERALS = [null, 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X',
+    'XI', 'XII', 'XIII', 'XIV', 'XV', 'XVI', 'XVII', 'XVIII', 'XIX'];
+const PLANE_ZONE_COUNT = 19;
+
+// 平面直角座標系のEPSGコード（第I系のコード。第n系は +n-1）
+const PLANE_ZONE_EPSG_BASES = [
+    { base: 6669, datum: 'jgd2011' }, // JGD2011
+    { base: 2443, datum: 'jgd2011' }, // JGD2000（同じ楕円体・原点のため同じ式で換算）
+    { base: 30161, datum: 'tokyo' } // 日本測地系
+];
+
+// 緯度経度の座標系のEPSGコード
+const GEOGRAPHIC_EPSG_DATUMS = {
+    4326: 'jgd2011', // WGS84
+    6668: 'jgd2011', // JGD2011
+    4612: 'jgd2011', // JGD2000
+    4301: 'tokyo' // 日本測地系
+};
+
+// 度分秒の半球・方位の表記
+const HEMISPHERES = {
+    N: { axis: 'lat', sign: 1 }, '北緯': { axis: 'lat', sign: 1 },
+    S: { axis: 'lat', sign: -1 }, '南緯': { axis: 'lat', sign: -1 },
+    E: { axis: 'lng', sign: 1 }, '東経': { axis: 'lng', sign: 1 },
+    W: { axis: 'lng', sign: -1 }, '西経': { axis: 'lng', sign: -1 }
+};
+
+export class CoordinateConverter {
+    constructor() {
+        this.logger = new Logger('CoordinateConverter');
+        this.projections = {}; // 楕円体ごとのガウス・クリューゲル投影の係数
+    }
+
+    // ==========================================
+    // 度分秒
+    // ==========================================
+
+    /**
+     * 緯度・経度の値を十進度に変換（十進度の数値・文字列と度分秒の文字列に対応）
+     * 例: 34.8537, "34°51'13.2\"N", "N34 51 13.2", "北緯34度51分13.2秒", "-135:28:19.3"
+     * @param {number|string} value - 緯度・経度
+     * @param {string} axis - 'lat' | 'lng'
+     * @returns {number} 十進度
+     * @throws {Error} 解析できない場合・範囲外の場合（メッセージは理由）
+     */
+    parseAngle(value, axis) {
+        const label = axis === 'lat' ? '緯度' : '経度';
+        const limit = axis === 'lat' ? 90 : 180;
+
+        let degrees;
+        if (typeof value === 'number') {
+            degrees = value;
+        } else {
+            const text = String(value ?? '').normalize('NFKC').trim();
+            if (text === '') {
+                throw new Error(`${label}が空です`);
+            }
+            degrees = /^[+-]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : this.parseDms(text, axis, label);
+        }
+
+        if (!Number.isFinite(degrees)) {
+            throw new Error(`${label}が数値ではありません（${value}）`);
+        }
+        if (degrees < -limit || degrees > limit) {
+            throw new Error(`${label}が範囲外です（${value}、-${limit}〜${limit}）`);
+        }
+        return degrees;
+    }
+
+    /**
+     * 度分秒の文字列を十進度に変換
+     * 度・分・秒は記号（° ' " ′ ″）、漢字（度 分 秒）、コロン、空白で区切る。半球はN/S/E/W・北緯/南緯/東経/西経（前後どちらでも可）または符号
+     */
+    parseDms(text, axis, label) {
+        let body = text;
+        let sign = 1;
+
+        // 半球・方位（前または後ろ）
+        const prefix = body.match(/^(北緯|南緯|東経|西経|[NSEW])\s*/i);
+        const suffix = prefix ? null : body.match(/\s*([NSEW])$/i);
+        const match = prefix || suffix;
+        if (match) {
+            const hemisphere = HEMISPHERES[match[1].toUpperCase()];
+            body = prefix ? body.slice(prefix[0].length) : body.slice(0, suffix.index);
+            if (hemisphere.axis !== axis) {
+                throw new Error(`${label}に${axis === 'lat' ? '東経・西経（E・W）' : '北緯・南緯（N・S）'}は指定できません（${text}）`);
+            }
+            sign = hemisphere.sign;
+        }
+
+        // 符号
+        const signMatch = body.match(/^([+-])\s*(.*)$/);
+        if (signMatch) {
+            if (match && signMatch[1] === '-') {
+                throw new Error(`${label}に符号と半球の両方は指定できません（${text}）`);
+            }
+            sign = signMatch[1] === '-' ? -1 : 1;
+            body = signMatch[2];
+        }
+
+        if (!/^[\d.\s°度˚º'′’"″”分秒:]+$/.test(body)) {
+            throw new Error(`${label}が数値・度分秒ではありません（${text}）`);
+        }
+        const parts = body.match(/\d+(\.\d+)?|\.\d+/g) || [];
+        if (parts.length === 0 || parts.length > 3) {
+            throw new Error(`${label}の度分秒の形式が正しくありません（${text}）`);
+        }
+        // 小数を含められるのは最後の値のみ
+        if (parts.slice(0, -1).some(part => part.includes('.'))) {
+            throw new Error(`${label}の度分秒の形式が正しくありません（${text}）`);
+        }
+
+        const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+        if (minutes >= 60 || seconds >= 60) {
+            throw new Error(`${label}の分・秒は60未満で指定してください（${text}）`);
+        }
+        return sign * (degrees + minutes / 60 + seconds / 3600);
+    }
+
+    // ==========================================
+    // 平面直角座標系
+    // ==========================================
+
+    /**
+     * 読み込み時に選択できる座標系
+     * @returns {Array} [{id, label, zone}]（zoneは平面直角座標系の系番号、緯度経度はnull）
+     */
+    getCoordinateSystems() {
+        const systems = [{ id: 'latlng', label: '緯度・経度（十進度・度分秒）', zone: null }];
+        for (let zone = 1; zone <= PLANE_ZONE_COUNT; zone++) {
+            systems.push({ id: `plane${zone}`, label: `平面直角座標系 第${PLANE_ZONE_NUMERALS[zone]}系`, zone });
+        }
+        return systems;
+    }
+
+    /**
+     * 座標系IDから平面直角座標系の系番号を取得
+     * @param {string} coordinateSystem - getCoordinateSystems()のid
+     * @returns {number|null} 系番号（緯度経度の場合はnull）
+     */
+    getPlaneZone(coordinateSystem) {
+        const match = /^plane(\d+)$/.exec(coordinateSystem || '');
+        const zone = match ? parseInt(match[1], 10) : null;
+        return zone >= 1 && zone <= PLANE_ZONE_COUNT ? zone : null;
+    }
+
+    /**
+     * EPSGコードから測地系と平面直角座標系の系番号を取得
+     * 緯度経度: 4326・6668・4612（世界測地系）、4301（日本測地系）
+     * 平面直角座標系: 6669〜6687（JGD2011）、2443〜2461（JGD2000）、30161〜30179（日本測地系）
+     * @param {number} epsg - EPSGコード
+     * @returns {Object|null} {datum, zone}（zoneは緯度経度の場合null。対応していない場合はnull）
+     */
+    getCrsFromEpsg(epsg) {
+        if (GEOGRAPHIC_EPSG_DATUMS[epsg]) {
+            return { datum: GEOGRAPHIC_EPSG_DATUMS[epsg], zone: null };
+        }
+        for (const { base, datum } of PLANE_ZONE_EPSG_BASES) {
+            if (epsg >= base && epsg < base + PLANE_ZONE_COUNT) {
+                return { datum, zone: epsg - base + 1 };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 平面直角座標を緯度経度に換算
+     * @param {number} x - X座標（m、北向きが正）
+     * @param {number} y - Y座標（m、東向きが正）
+     * @param {number} zone - 系番号（1〜19）
+     * @param {string} datum - 測地系（既定: jgd2011。日本測地系の場合はベッセル楕円体で換算し、日本測地系の緯度経度を返す）
+     * @returns {Object} {lat, lng}（度）
+     */
+    planeRectangularToLatLng(x, y, zone, datum = 'jgd2011') {
+        const origin = PLANE_ZONE_ORIGINS[zone];
+        if (!origin) {
+            throw new Error(`平面直角座標系の系番号が正しくありません: ${zone}`);
+        }
+        const projection = this.getProjection(this.getDatum(datum).ellipsoid);
+
+        const toRadians = ([degrees, minutes]) => (degrees + minutes / 60) * Math.PI / 180;
+        const phi0 = toRadians(origin.lat);
+        const lambda0 = toRadians(origin.lng);
+
+        const xi = (x + this.meridianArcLength(phi0, projection)) / projection.aBar;
+        const eta = y / projection.aBar;
+
+        let xiPrime = xi;
+        let etaPrime = eta;
+        projection.beta.forEach((beta, index) => {
+            const j = index + 1;
+            xiPrime -= beta * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+            etaPrime -= beta * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+        });
+
+        const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+        let phi = chi;
+        projection.delta.forEach((delta, index) => {
+            phi += delta * Math.sin(2 * (index + 1) * chi);
+        });
+        const lambda = lambda0 + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime));
+
+        return { lat: phi * 180 / Math.PI, lng: lambda * 180 / Math.PI };
+    }
+
+    // 楕円体のガウス・クリューゲル投影の係数（初回のみ計算）
+    getProjection(ellipsoidName) {
+        if (this.projections[ellipsoidName]) {
+            return this.projections[ellipsoidName];
+        }
+
+        const { a, f } = ELLIPSOIDS[ellipsoidName];
+        const n = f / (2 - f);
+        const projection = {
+            a,
+            n,
+            aBar: PLANE_SCALE_FACTOR * a / (1 + n) * (1 + n ** 2 / 4 + n ** 4 / 64),
+            beta: [
+                n / 2 - 2 * n ** 2 / 3 + 37 * n ** 3 / 96 - n ** 4 / 360 - 81 * n ** 5 / 512,
+                n ** 2 / 48 + n ** 3 / 15 - 437 * n ** 4 / 1440 + 46 * n ** 5 / 105,
+                17 * n ** 3 / 480 - 37 * n ** 4 / 840 - 209 * n ** 5 / 4480,
+                4397 * n ** 4 / 161280 - 11 * n ** 5 / 504,
+                4583 * n ** 5 / 161280
+            ],
+            delta: [
+                2 * n - 2 * n ** 2 / 3 - 2 * n ** 3 + 116 * n ** 4 / 45 + 26 * n ** 5 / 45,
+                7 * n ** 2 / 3 - 8 * n ** 3 / 5 - 227 * n ** 4 / 45 + 2704 * n ** 5 / 315,
+                56 * n ** 3 / 15 - 136 * n ** 4 / 35 - 1262 * n ** 5 / 105,
+                4279 * n ** 4 / 630 - 332 * n ** 5 / 35,
+                4174 * n ** 5 / 315
+            ]
+        };
+        this.projections[ellipsoidName] = projection;
+        return projection;
+    }
+
+    // 赤道から緯度phiまでの子午線弧長に縮尺係数を掛けたもの（原点のX座標の補正に使用）
+    meridianArcLength(phi, projection) {
+        const n = projection.n;
+        const coefficients = [
+            1 + n ** 2 / 4 + n ** 4 / 64,
+            -3 / 2 * (n - n ** 3 / 8 - n ** 5 / 64),
+            15 / 16 * (n ** 2 - n ** 4 / 4),
+            -35 / 48 * (n ** 3 - 5 / 16 * n ** 5),
+            315 / 512 * n ** 4,
+            -693 / 1280 * n ** 5
+        ];
+        let sum = coefficients[0] * phi;
+        for (let j = 1; j < coefficients.length; j++) {
+            sum += coefficients[j] * Math.sin(2 * j * phi);
+        }
+        return PLANE_SCALE_FACTOR * projection.a / (1 + n) * sum;
+    }
+
+    // ==========================================
+    // 測地系
+    // ==========================================
+
+    getDatum(datum) {
+        const definition = DATUMS[datum];
+        if (!definition) {
+            throw new Error(`対応していない測地系です: ${datum}`);
+        }
+        return definition;
+    }
+
+    /**
+     * 緯度経度を世界測地系（JGD2011）に変換
+     * 日本測地系は地心直交座標に換算して平行移動（3パラメータ・ヘルマート変換）し、GRS80楕円体の緯度経度に戻す
+     * 楕円体高は0として計算する（標高による水平位置の差は数cm以下）
+     * @param {number} lat - 緯度（度）
+     * @param {number} lng - 経度（度）
+     * @param {string} datum - 変換元の測地系（jgd2011の場合はそのまま返す）
+     * @returns {Object} {lat, lng}（度）
+     */
+    toJgd2011(lat, lng, datum) {
+        const shift = this.getDatum(datum).toJgd2011;
+        if (!shift) {
+            return { lat, lng };
+        }
+
+        const source = ELLIPSOIDS[this.getDatum(datum).ellipsoid];
+        const [x, y, z] = this.geodeticToGeocentric(lat, lng, source);
+        return this.geocentricToGeodetic(x + shift.x, y + shift.y, z + shift.z, ELLIPSOIDS.grs80);
+    }
+
+    // 緯度経度（楕円体高0）を地心直交座標に換算
+    geodeticToGeocentric(lat, lng, { a, f }) {
+        const phi = lat * Math.PI / 180;
+        const lambda = lng * Math.PI / 180;
+        const e2 = f * (2 - f);
+        const N = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+        return [
+            N * Math.cos(phi) * Math.cos(lambda),
+            N * Math.cos(phi) * Math.sin(lambda),
+            N * (1 - e2) * Math.sin(phi)
+        ];
+    }
+
+    // 地心直交座標を緯度経度に換算（緯度は反復計算）
+    geocentricToGeodetic(x, y, z, { a, f }) {
+        const e2 = f * (2 - f);
+        const p = Math.hypot(x, y);
+        let phi = Math.atan2(z, p * (1 - e2));
+        for (let i = 0; i < 10; i++) {
+            const N = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+            const next = Math.atan2(z + e2 * N * Math.sin(phi), p);
+            if (Math.abs(next - phi) < 1e-12) {
+                phi = next;
+                break;
+            }
+            phi = next;
+        }
+        return { lat: phi * 180 / Math.PI, lng: Math.atan2(y, x) * 180 / Math.PI };
+    }
+}
+
+export const coordinateConverter = new CoordinateConverter();
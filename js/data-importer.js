@@ -1,16 +1,24 @@
 import { Logger, errorHandler } from './utils.js';
 import { CONFIG } from './constants.js';
+import { ProjectFile } from './project-file.js';
+import { GpsFileParser } from './gps-file-parser.js';
+import { ColumnMappingDialog } from './column-mapping-dialog.js';
 
 export class DataImporter {
     constructor(app) {
         this.app = app;
         this.logger = new Logger('DataImporter');
+        this.projectFile = new ProjectFile();
+        this.gpsFileParser = new GpsFileParser();
+        this.columnMappingDialog = new ColumnMappingDialog(this.gpsFileParser);
+        this.jsonDocuments = []; // 読み込んだJSON [{fileName, data}]（プロジェクト保存用、読み込み順）
+        this.currentPngFile = null; // 読み込んだPNG画像（自動保存用）
     }
 
     /**
-     * GPS Excelファイル読み込み
+     * ポイントGPSファイル読み込み（Excel・CSV/TSV・GPX・KML・GeoJSON）
      */
-    async handleGpsExcelLoad(event) {
+    async handleGpsFileLoad(event) {
         try {
             const files = Array.from(event.target.files);
             if (files.length === 0) return;
@@ -36,7 +44,7 @@ export class DataImporter {
                 mode = 'append';
             }
 
-            this.logger.info(`GPS Excelファイル読み込み開始: ${files.length}ファイル, モード: ${mode}`);
+            this.logger.info(`ポイントGPSファイル読み込み開始: ${files.length}ファイル, モード: ${mode}`);
 
             if (mode === 'clear') {
                 this.app.gpsData.gpsPoints = [];
@@ -45,23 +53,38 @@ export class DataImporter {
 
             let totalLoaded = 0;
             let totalAdded = 0;
+            let cancelledCount = 0;
+            const rejectedRows = []; // 読み込めなかった行 [{fileName, rowNumber, reason}]
+            const convertedCounts = {}; // 世界測地系（JGD2011）に変換したポイント数 {変換元の測地系: 件数}
 
             for (const file of files) {
                 try {
                     this.logger.info(`Processing file: ${file.name}`);
 
-                    // GPSDataクラスのExcel読み込み機能を使用
-                    const rawData = await this.app.fileHandler.loadExcelFile(file);
+                    const loaded = await this.loadGpsPointsFromFile(file);
+                    if (!loaded) {
+                        this.logger.info(`列の割り当てがキャンセルされました: ${file.name}`);
+                        cancelledCount++;
+                        continue;
+                    }
 
-                    // Excel データを検証・変換
-                    const validatedData = this.app.fileHandler.validateAndConvertExcelData(rawData);
+                    loaded.rejected.forEach(({ rowNumber, reason }) => {
+                        this.logger.warn(`読み込めない行: ${file.name} ${rowNumber}行目: ${reason}`);
+                        rejectedRows.push({ fileName: file.name, rowNumber, reason });
+                    });
 
+                    const validatedData = loaded.points;
                     if (validatedData.length === 0) {
                         this.logger.warn(`有効なデータがありません: ${file.name}`);
                         continue;
                     }
 
                     totalLoaded += validatedData.length;
+                    validatedData.forEach(point => {
+                        if (point.sourceDatum && point.sourceDatum !== CONFIG.DEFAULT_GPS_DATUM) {
+                            convertedCounts[point.sourceDatum] = (convertedCounts[point.sourceDatum] || 0) + 1;
+                        }
+                    });
 
                     // マージ（追加）処理
                     const addedCount = this.app.gpsData.mergePoints(validatedData);
@@ -75,6 +98,10 @@ export class DataImporter {
                 }
             }
 
+            if (cancelledCount === files.length) {
+                return;
+            }
+
             // 地図上にGPSポイントを表示（全データ再描画）
             if (this.app.mapCore && this.app.mapCore.getMap()) {
                 this.app.gpsData.displayPointsOnMap(this.app.mapCore.getMap());
@@ -83,23 +110,73 @@ export class DataImporter {
             // GPS ポイント数を更新
             this.app.uiHandlers.updateGpsPointCount(this.app.gpsData);
 
-            // 完了メッセージ
+            // 完了メッセージ（読み込めなかった行があれば先頭の数行を表示、すべての行はログに出力）
             const currentTotal = this.app.gpsData.getPoints().length;
-            if (mode === 'append') {
-                this.app.showMessage(`${totalAdded}個のポイントを追加しました (現在合計: ${currentTotal}個)`);
-            } else {
-                this.app.showMessage(`${currentTotal}個のポイントを読み込みました`);
+            let message = mode === 'append'
+                ? `${totalAdded}個のポイントを追加しました (現在合計: ${currentTotal}個)`
+                : `${currentTotal}個のポイントを読み込みました`;
+            Object.entries(convertedCounts).forEach(([datum, count]) => {
+                message += `\n${CONFIG.GPS_DATUMS[datum].label}から${CONFIG.GPS_DATUMS[CONFIG.DEFAULT_GPS_DATUM].label}に変換: ${count}個`;
+            });
+            if (rejectedRows.length > 0) {
+                const details = rejectedRows.slice(0, 5).map(({ fileName, rowNumber, reason }) => `${fileName} ${rowNumber}行目: ${reason}`);
+                if (rejectedRows.length > details.length) {
+                    details.push(`ほか${rejectedRows.length - details.length}行`);
+                }
+                message += `\n読み込めなかった行: ${rejectedRows.length}行\n${details.join('\n')}`;
             }
+            this.app.showMessage(message, rejectedRows.length > 0 ? 'warning' : 'info');
+
+            this.app.history.checkpoint(mode === 'append' ? 'ポイントGPS追加' : 'ポイントGPS読み込み');
 
         } catch (error) {
-            this.logger.error('GPS Excel一括読み込みエラー', error);
-            errorHandler.handle(error, error.message, 'GPS Excel読み込み');
+            this.logger.error('ポイントGPS一括読み込みエラー', error);
+            errorHandler.handle(error, error.message, 'ポイントGPS読み込み');
         } finally {
             // 同じファイルを再選択できるようにファイル入力をリセット
             event.target.value = '';
         }
     }
 
+    /**
+     * ポイントGPSファイルを形式に応じて読み込み、ポイントデータに変換
+     * ExcelとCSV/TSVは列の割り当て画面で確認した列で検証し、GPX・KML・GeoJSONはポイントの地物のみを取り込む
+     * @param {File} file - ポイントGPSファイル
+     * @returns {Promise<Object|null>} {points: [{pointId, name, lat, lng, elevation, description, sourceDatum}], rejected: [{rowNumber, reason}]}
+     *   （列の割り当てをキャンセルした場合はnull）
+     */
+    async loadGpsPointsFromFile(file) {
+        const format = this.gpsFileParser.detectFormat(file.name);
+        switch (format) {
+            case 'excel':
+                return this.loadGpsPointsFromSheets(file, await this.app.fileHandler.loadExcelFile(file));
+            case 'csv':
+                return this.loadGpsPointsFromSheets(file, [await this.gpsFileParser.readDelimitedFile(file)]);
+            case 'gpx':
+                return { points: await this.gpsFileParser.readGpxFile(file), rejected: [] };
+            case 'kml':
+                return { points: await this.gpsFileParser.readKmlFile(file), rejected: [] };
+            case 'geojson':
+                return { points: await this.gpsFileParser.readGeoJsonFile(file), rejected: [] };
+            default:
+                throw new Error('対応していないファイル形式です（Excel・CSV/TSV・GPX・KML・GeoJSONを選択してください）。');
+        }
+    }
+
+    // 表（Excelのシート・CSV/TSV）の列の割り当てを確認して変換
+    async loadGpsPointsFromSheets(file, sheets) {
+        if (sheets.every(sheet => sheet.rows.length === 0)) {
+            throw new Error('ファイルが空です。');
+        }
+
+        const selection = await this.columnMappingDialog.open(file.name, sheets);
+        if (!selection) {
+            return null;
+        }
+        this.logger.info(`列の割り当て確定: ${file.name}（${selection.sheetName}、${CONFIG.GPS_DATUMS[selection.datum].label}）, ポイント ${selection.points.length}件, 読み込めない行 ${selection.rejected.length}行`);
+        return { points: selection.points, rejected: selection.rejected };
+    }
+
     /**
      * PNG画像ファイル読み込み
      */
@@ -125,77 +202,349 @@ export class DataImporter {
 
             // 既存データをクリア(画面上のみ)
             if (this.app.currentPngFileName) {
-                // 画像クリア
-                if (this.app.imageOverlay) {
-                    // Leaflet ImageOverlayを地図から削除
-                    if (this.app.imageOverlay.imageOverlay && this.app.mapCore && this.app.mapCore.getMap()) {
-                        this.app.mapCore.getMap().removeLayer(this.app.imageOverlay.imageOverlay);
-                    }
-                    // ImageOverlayの内部状態をクリア
-                    this.app.imageOverlay.imageOverlay = null;
-                    this.app.imageOverlay.currentImage = new Image(); // 新しいImageオブジェクトを作成
-                    this.app.imageOverlay.currentImageFileName = null;
-                    this.app.imageOverlay.resetTransformation();
-                }
-
-                // ポイント・ルート・スポットクリア
-                if (this.app.routeSpotHandler) {
-                    this.app.routeSpotHandler.pointData = [];
-                    this.app.routeSpotHandler.routeData = [];
-                    this.app.routeSpotHandler.spotData = [];
-                    this.app.routeSpotHandler.clearAllMarkers();
-                }
+                this.clearImageData();
+            }
 
-                // ポイント(JSON)データクリア
-                this.app.pointJsonData = null;
+            await this.loadPngFile(file);
 
-                // エリアデータクリア
-                if (this.app.areaHandler) {
-                    this.app.areaHandler.areas = []; // Reset areas array
-                    this.app.areaHandler.clearAreaLayers();
-                }
+            // 画像の読み込みは取り消せないため、操作履歴はここから記録し直す
+            this.app.history.reset();
 
-                // Georeferencingポイントマーカークリア (関連するすべてのマーカーをクリア)
-                this.app.imageCoordinateMarkers = [];
-                if (this.app.georeferencing) {
-                    this.app.georeferencing.clearImageCoordinateMarkers('all');
-                    this.app.georeferencing.setPointJsonData(null);
-                }
+            // 成功メッセージを表示
+            this.app.showMessage(`PNG画像ファイルを読み込みました:\n${file.name}`);
 
-                // UIカウント更新 (全クリア)
-                this.app.uiHandlers.clearAllCounts();
+        } catch (error) {
+            this.logger.error('PNG読み込みエラー', error);
+            errorHandler.handle(error, 'PNG画像の読み込みに失敗しました。', 'PNG読み込み');
+        } finally {
+            // 同じファイルを再選択できるようにファイル入力をリセット
+            event.target.value = '';
+        }
+    }
 
-                this.app.currentPngFileName = null;
+    /**
+     * 画像と、画像に紐づくデータ（ポイント・ルート・スポット・エリア・制御点・変換結果）をクリア
+     */
+    clearImageData() {
+        // 画像クリア
+        if (this.app.imageOverlay) {
+            // Leaflet ImageOverlayを地図から削除
+            if (this.app.imageOverlay.imageOverlay && this.app.mapCore && this.app.mapCore.getMap()) {
+                this.app.mapCore.getMap().removeLayer(this.app.imageOverlay.imageOverlay);
             }
+            // ImageOverlayの内部状態をクリア
+            this.app.imageOverlay.imageOverlay = null;
+            this.app.imageOverlay.currentImage = new Image(); // 新しいImageオブジェクトを作成
+            this.app.imageOverlay.currentImageFileName = null;
+            this.app.imageOverlay.resetTransformation();
+        }
 
-            // PNGファイル名を記録（拡張子を除去）
-            this.app.currentPngFileName = file.name.replace(/\.[^/.]+$/, '');
-            this.logger.info('PNGファイル:', this.app.currentPngFileName);
+        this.clearWorkingData();
 
-            // ファイル名を表示
-            const pngFileNameField = document.getElementById('pngFileName');
-            if (pngFileNameField) {
-                pngFileNameField.value = file.name;
-                pngFileNameField.title = file.name; // ツールチップでも表示
-            }
+        // 読み込んだPNG画像の記録クリア
+        this.currentPngFile = null;
+        this.app.currentPngFileName = null;
+    }
+
+    /**
+     * 画像以外の作業データ（JSON由来のデータ・エリア・制御点・変換結果）をクリア
+     * ジオリファレンス済みの画像は読み込み時の配置に戻す
+     */
+    clearWorkingData() {
+        // ポイント・ルート・スポットクリア
+        if (this.app.routeSpotHandler) {
+            this.app.routeSpotHandler.pointData = [];
+            this.app.routeSpotHandler.routeData = [];
+            this.app.routeSpotHandler.spotData = [];
+            this.app.routeSpotHandler.clearAllMarkers();
+        }
+
+        // ポイント(JSON)データクリア
+        this.app.pointJsonData = null;
+
+        // エリアデータクリア
+        if (this.app.areaHandler) {
+            this.app.areaHandler.areas = []; // Reset areas array
+            this.app.areaHandler.clearAreaLayers();
+        }
+
+        // Georeferencingポイントマーカークリア (関連するすべてのマーカーをクリア)
+        this.app.imageCoordinateMarkers = [];
+        if (this.app.georeferencing) {
+            this.app.georeferencing.clearImageCoordinateMarkers('all');
+            this.app.georeferencing.setPointJsonData(null);
+            this.app.georeferencing.clearExcludedPoints();
+            this.app.georeferencing.currentTransformation = null; // 前の画像の変換結果を破棄
+        }
+
+        // 手動配置した制御点クリア
+        if (this.app.controlPointEditor) {
+            this.app.controlPointEditor.clearAll();
+        }
+
+        // GPSトラック比較の表示クリア
+        if (this.app.trackComparator) {
+            this.app.clearTrackComparison();
+        }
+
+        // 歪みの表示クリア
+        if (this.app.distortionVisualizer) {
+            this.app.distortionVisualizer.clear();
+        }
 
-            // PNG画像を読み込み
-            if (this.app.imageOverlay) {
-                await this.app.imageOverlay.loadImage(file);
+        // 変換前の画像配置に戻す
+        if (this.app.imageOverlay) {
+            this.app.imageOverlay.restoreInitialPlacement();
+        }
+
+        // UIカウント更新 (全クリア)
+        this.app.uiHandlers.clearAllCounts();
+
+        // 読み込んだJSONの記録クリア
+        this.jsonDocuments = [];
+    }
+
+    /**
+     * PNG画像を読み込んで表示
+     * @param {File} file - PNG画像ファイル
+     */
+    async loadPngFile(file) {
+        // PNGファイル名を記録（拡張子を除去）
+        this.app.currentPngFileName = file.name.replace(/\.[^/.]+$/, '');
+        this.currentPngFile = file;
+        this.logger.info('PNGファイル:', this.app.currentPngFileName);
+
+        // ファイル名を表示
+        const pngFileNameField = document.getElementById('pngFileName');
+        if (pngFileNameField) {
+            pngFileNameField.value = file.name;
+            pngFileNameField.title = file.name; // ツールチップでも表示
+        }
+
+        // PNG画像を読み込み
+        if (this.app.imageOverlay) {
+            await this.app.imageOverlay.loadImage(file);
+        }
+    }
+
+    /**
+     * プロジェクトファイル（.georef.json）読み込み
+     * 画像を埋め込んでいないプロジェクトは、参照するPNG画像も一緒に選択する
+     */
+    async handleProjectLoad(event) {
+        try {
+            const files = Array.from(event.target.files);
+            if (files.length === 0) return;
+
+            const projectFiles = files.filter(file => /\.json$/i.test(file.name));
+            if (projectFiles.length !== 1) {
+                throw new Error(`プロジェクトファイル（${CONFIG.PROJECT_FILE_EXTENSION}）を1つ選択してください。`);
             }
 
-            // 成功メッセージを表示
-            this.app.showMessage(`PNG画像ファイルを読み込みました:\n${file.name}`);
+            const text = await projectFiles[0].text();
+            await this.openProject({ fileName: projectFiles[0].name, data: JSON.parse(text) }, files);
 
         } catch (error) {
-            this.logger.error('PNG読み込みエラー', error);
-            errorHandler.handle(error, 'PNG画像の読み込みに失敗しました。', 'PNG読み込み');
+            this.logger.error('プロジェクト読み込みエラー', error);
+            errorHandler.handle(error, error.message, 'プロジェクト読み込み');
         } finally {
-            // 同じファイルを再選択できるようにファイル入力をリセット
             event.target.value = '';
         }
     }
 
+    /**
+     * プロジェクトを開く（既存データがある場合は確認してからクリア）
+     * @param {Object} projectDocument - {fileName, data}
+     * @param {Array<File>} files - 一緒に選択されたファイル（参照するPNG画像を含む）
+     */
+    async openProject(projectDocument, files) {
+        try {
+            const project = this.projectFile.parse(projectDocument.data);
+
+            const hasExistingData = this.app.currentPngFileName || this.app.gpsData.getPoints().length > 0;
+            if (hasExistingData && !window.confirm('現在の画像およびデータをクリアして、プロジェクトを開きます。')) {
+                return;
+            }
+
+            this.logger.info(`プロジェクト読み込み開始: ${projectDocument.fileName}`);
+            this.app.showMessage('プロジェクトを読み込んでいます...');
+
+            const warnings = await this.restoreProject(project, files);
+            this.app.history.reset();
+
+            let message = `プロジェクトを開きました:\n${projectDocument.fileName}`;
+            if (warnings.length > 0) {
+                message += `\n${warnings.join('\n')}`;
+            }
+            this.app.showMessage(message, warnings.length > 0 ? 'warning' : 'info');
+
+        } catch (error) {
+            this.logger.error('プロジェクト復元エラー', error);
+            errorHandler.handle(error, error.message, 'プロジェクト読み込み');
+        }
+    }
+
+    /**
+     * プロジェクトの作業状態を復元
+     * 保存時の表示範囲でPNG画像を読み込んでから、作業データを復元する
+     * @param {Object} project - ProjectFile.parse()で検証済みのプロジェクトデータ
+     * @param {Array<File>} files - 一緒に選択されたファイル
+     * @returns {Promise<Array<string>>} 利用者に伝える注意事項
+     */
+    async restoreProject(project, files) {
+        const warnings = [];
+        const map = this.app.mapCore.getMap();
+
+        // 画像を先に用意（見つからない場合は既存データをクリアせずに中止）
+        const imageFile = await this.projectFile.resolveImageFile(project.image, files);
+
+        this.clearImageData();
+
+        // 制御点の取り込み中は変換を再計算しない（最後に保存した変換パラメータで重ね合わせる）
+        this.app.restoringProject = true;
+        try {
+            // 画像の初期配置は地図の表示範囲で決まるため、表示範囲を先に復元
+            if (project.mapView && Array.isArray(project.mapView.center) && isFinite(project.mapView.zoom)) {
+                map.setView(project.mapView.center, project.mapView.zoom, { animate: false });
+            }
+
+            await this.loadPngFile(imageFile);
+            const image = this.app.imageOverlay.currentImage;
+            if (project.image.width && project.image.height &&
+                (image.naturalWidth !== project.image.width || image.naturalHeight !== project.image.height)) {
+                warnings.push(`PNG画像のサイズが保存時と異なります（${image.naturalWidth}×${image.naturalHeight}px、保存時: ${project.image.width}×${project.image.height}px）。`);
+            }
+
+            await this.restoreWorkingState(project, warnings);
+
+        } finally {
+            this.app.restoringProject = false;
+        }
+
+        this.app.uiHandlers.updateControlPointStatus(this.app.controlPointEditor);
+        this.app.updateElevationCounts();
+        this.logger.info('プロジェクト復元完了');
+        return warnings;
+    }
+
+    /**
+     * 画像はそのままで、作業データを指定の状態に置き換える（操作履歴の取り消し・やり直し用）
+     * @param {Object} state - GeoReferencerApp.collectWorkingState()の形式
+     * @returns {Promise<Array<string>>} 利用者に伝える注意事項
+     */
+    async replaceWorkingState(state) {
+        const warnings = [];
+
+        this.app.restoringProject = true;
+        try {
+            this.clearWorkingData();
+            await this.restoreWorkingState(state, warnings);
+        } finally {
+            this.app.restoringProject = false;
+        }
+
+        this.app.uiHandlers.updateControlPointStatus(this.app.controlPointEditor);
+        this.app.updateElevationCounts();
+        return warnings;
+    }
+
+    /**
+     * 作業データ（ポイントGPS・JSON・マーカー・エリア・制御点・変換）を復元
+     * 入力データを読み込み時と同じ順序で取り込み直し、保存時の位置・標高・設定を反映したうえで、
+     * 保存した変換パラメータで画像を重ね合わせる。呼び出し側で作業データをクリアし、restoringProjectを設定しておくこと
+     * @param {Object} state - 作業状態（プロジェクトデータと同じ項目）
+     * @param {Array<string>} warnings - 注意事項の追加先
+     */
+    async restoreWorkingState(state, warnings) {
+        const map = this.app.mapCore.getMap();
+        const georeferencing = this.app.georeferencing;
+
+        // ポイントGPS（ドラッグによる移動・標高を含む）
+        this.app.gpsData.setPointsFromExcelData(state.gpsPoints);
+        this.app.gpsData.displayPointsOnMap(map);
+        this.app.uiHandlers.updateGpsPointCount(this.app.gpsData);
+
+        // 読み込んだJSONを同じ順序で取り込み、マーカーの微調整位置と標高を反映
+        await this.importJsonDocuments(state.jsonDocuments, 'clear');
+        if (!this.applyImageMarkerStates(state.imageMarkers)) {
+            warnings.push('一部のポイントの位置・標高を復元できませんでした。');
+        }
+
+        // エリア（頂点の標高を含む）
+        if (state.areas && state.areas.length > 0) {
+            await this.app.areaHandler.importAreas(state.areas, this.app.imageOverlay);
+            this.app.uiHandlers.updateAreaCount(this.app.areaHandler.areas.length);
+        }
+
+        // 変換モデル・推定方法・除外ポイント・検証点
+        const { model, solverMode, excludedPointIds, checkPointIds, transformation } = state.georeference;
+        georeferencing.setTransformationModel(model);
+        georeferencing.setSolverMode(solverMode);
+        const transformModelSelect = document.getElementById('transformModelSelect');
+        if (transformModelSelect) transformModelSelect.value = model;
+        const solverModeSelect = document.getElementById('solverModeSelect');
+        if (solverModeSelect) solverModeSelect.value = solverMode;
+        excludedPointIds.forEach(pointId => georeferencing.setPointExcluded(pointId, true));
+        (checkPointIds || []).forEach(pointId => georeferencing.setCheckPoint(pointId, true));
+
+        // 手動制御点
+        if (state.controlPoints.length > 0) {
+            this.app.controlPointEditor.importPairs(state.controlPoints);
+        }
+
+        if (transformation) {
+            // 保存した変換パラメータをそのまま適用（ロバスト推定の標本抽出による差を生じさせない）
+            const applied = await this.app.handleMatchPoints({ silent: true, transformation });
+            if (!applied) {
+                warnings.push('保存した変換を適用できませんでした。「画像の重ね合わせ」を実行してください。');
+            }
+        }
+    }
+
+    /**
+     * 画像上のマーカーに、保存時の画像座標（ドラッグによる微調整）と標高を反映
+     * マーカーはJSONの取り込み順に作られるため、保存時と同じ順序で対応付ける
+     * @param {Array} states - [{type, name, imageX, imageY, elevation}]
+     * @returns {boolean} すべて対応付けられた場合true
+     */
+    applyImageMarkerStates(states) {
+        const markers = this.app.imageCoordinateMarkers || [];
+        let matched = 0;
+
+        states.forEach((state, index) => {
+            const data = markers[index] && markers[index].data;
+            if (!data || (data.type || null) !== state.type || (data.name || null) !== state.name) {
+                return;
+            }
+            matched++;
+
+            if (isFinite(state.imageX) && isFinite(state.imageY) &&
+                (state.imageX !== data.imageX || state.imageY !== data.imageY)) {
+                // 元のポイントJSONも同じ位置に更新（ドラッグ時と同様）
+                const source = this.app.georeferencing.findPointJsonSource(data);
+                [source, data].forEach(target => {
+                    if (!target) return;
+                    target.imageX = state.imageX;
+                    target.imageY = state.imageY;
+                    if (target.x !== undefined && target.y !== undefined) {
+                        target.x = state.imageX;
+                        target.y = state.imageY;
+                    }
+                });
+            }
+
+            if (state.elevation !== undefined && state.elevation !== null) {
+                data.elevation = state.elevation;
+            }
+        });
+
+        if (matched < states.length || states.length !== markers.length) {
+            this.logger.warn(`マーカー状態の対応付け: ${matched}/${states.length}（現在のマーカー: ${markers.length}）`);
+            return false;
+        }
+        return true;
+    }
+
     /**
      * ポイント(座標)JSONファイル読み込み
      */
@@ -291,6 +640,24 @@ export class DataImporter {
             const files = Array.from(event.target.files);
             if (!files.length) return;
 
+            // ファイルの読み込み（解析できないファイルはスキップ）
+            const documents = [];
+            for (const file of files) {
+                try {
+                    const text = await file.text();
+                    documents.push({ fileName: file.name, data: JSON.parse(text) });
+                } catch (fileError) {
+                    this.logger.error(`ファイル処理エラー: ${file.name}`, fileError);
+                }
+            }
+
+            // プロジェクトファイルの場合は作業状態を復元
+            const projectDocument = documents.find(item => this.projectFile.isProjectData(item.data));
+            if (projectDocument) {
+                await this.openProject(projectDocument, files);
+                return;
+            }
+
             // 既存データの有無を確認（詳細）
             // GPSデータ(Excel由来)は「ベースデータ」として扱うため、JSON読み込み時の「既存データ」としては扱わない
             // const gpsCount = this.app.gpsData ? this.app.gpsData.getPoints().length : 0;
@@ -327,283 +694,309 @@ export class DataImporter {
             this.logger.info(`複数JSONファイル読み込み開始: ${files.length}ファイル, モード: ${mode}`);
             this.app.showMessage('JSONファイルを読み込んでいます...');
 
-            // クリアモードならデータをリセット
-            if (mode === 'clear') {
-                // GPSデータはクリアしない（Excel由来のデータを保持）
-                // if (this.app.gpsData) {
-                //    this.app.gpsData.gpsPoints = [];
-                //    this.app.gpsData.clearMarkersFromMap();
-                // }
-                this.app.pointJsonData = null;
-                this.app.routeSpotHandler.routeData = [];
-                this.app.routeSpotHandler.spotData = [];
-                this.app.imageCoordinateMarkers = [];
-                this.app.georeferencing.clearImageCoordinateMarkers('georeference-point');
-                if (this.app.referenceLayer && this.app.mapCore && this.app.mapCore.map) {
-                    this.app.mapCore.map.removeLayer(this.app.referenceLayer);
-                    this.app.referenceLayer = null;
+            await this.importJsonDocuments(documents, mode);
+
+            // カウントを取得して詳細なメッセージを作成
+            let pCount = 0;
+            if (this.app.pointJsonData) {
+                if (this.app.pointJsonData.points && Array.isArray(this.app.pointJsonData.points)) {
+                    pCount = this.app.pointJsonData.points.filter(p => !p.type || p.type !== 'waypoint').length;
+                } else if (Array.isArray(this.app.pointJsonData)) {
+                    pCount = this.app.pointJsonData.filter(p => !p.type || p.type !== 'waypoint').length;
                 }
             }
+            const rCount = this.app.routeSpotHandler.getRouteCount();
+            const sCount = this.app.routeSpotHandler.getSpotCount();
+            const aCount = this.app.areaHandler.areas ? this.app.areaHandler.areas.length : 0;
 
-            let geoJsonProcessed = 0;
-            // 既存のGPSポイントがあれば取得（常に追記・マージとして扱う）
-            const allGpsPoints = (this.app.gpsData) ? [...this.app.gpsData.getPoints()] : [];
-            const otherGeoJsonFeatures = [];
-
-            // 各ファイルを処理
-            for (const file of files) {
-                try {
-                    const text = await file.text();
-                    const data = JSON.parse(text);
-
-                    this.logger.info(`JSONファイル処理開始: ${file.name}`);
-
-                    // 1. GeoJSON形式の判定
-                    if (data.type === 'FeatureCollection' && Array.isArray(data.features)) {
-                        for (const feature of data.features) {
-                            if (feature.geometry && feature.geometry.type === 'Point' && feature.properties && feature.properties.type !== 'route' && feature.properties.type !== 'spot' && feature.properties.type !== 'area') {
-                                // ポイントデータ (GPS) - 重複チェック
-                                const newPoint = {
-                                    pointId: feature.properties.id || feature.properties.name || `Point_${allGpsPoints.length + 1}`,
-                                    lat: feature.geometry.coordinates[1],
-                                    lng: feature.geometry.coordinates[0],
-                                    elevation: feature.geometry.coordinates[2] || 0,
-                                    location: feature.properties.name || feature.properties.location || '',
-                                    gpsElevation: feature.properties.gpsElevation || 0
-                                };
-
-                                const isDuplicate = allGpsPoints.some(existing => {
-                                    const EPSILON = 0.0000001;
-                                    return Math.abs(existing.lat - newPoint.lat) < EPSILON &&
-                                        Math.abs(existing.lng - newPoint.lng) < EPSILON;
-                                });
-
-                                if (!isDuplicate) {
-                                    allGpsPoints.push(newPoint);
-                                }
-                            } else {
-                                otherGeoJsonFeatures.push(feature);
-                            }
-                        }
-                        geoJsonProcessed++;
-                        continue;
-                    }
-                    // ... (その他の形式の処理は続く)
+            // 成功メッセージを表示
+            this.app.showMessage(
+                `${files.length}件のファイルを処理しました (${mode === 'append' ? '追記' : '新規'})\n` +
+                `ポイント: ${pCount}個, ルート: ${rCount}本, スポット: ${sCount}個, エリア: ${aCount}個`
+            );
 
-                    // 2. 独自形式 (Route/Spot/Point) の判定
-                    const detectedType = this.app.routeSpotHandler.detectJsonType(data);
+            this.app.history.checkpoint(mode === 'append' ? 'JSON追加' : 'JSON読み込み');
 
-                    if (detectedType === 'route') {
-                        // ルートデータ
-                        const routes = this.app.routeSpotHandler.processRouteData(data, file.name);
-                        this.app.routeSpotHandler.routeData = this.app.routeSpotHandler.mergeAndDeduplicate(
-                            this.app.routeSpotHandler.routeData, routes, 'route'
-                        );
-                        // 画像上にルート中間点を表示 (追加描画)
-                        this.app.imageCoordinateMarkers = await this.app.coordinateDisplay.displayImageCoordinates(data, 'route', this.app.imageCoordinateMarkers);
+        } catch (error) {
+            this.logger.error('JSON読み込みエラー', error);
+            errorHandler.handle(error, 'JSONファイルの読み込みに失敗しました。', 'JSON読み込み');
+        } finally {
+            event.target.value = '';
+        }
+    }
 
-                    } else if (detectedType === 'spot') {
-                        // スポットデータ
-                        const spots = this.app.routeSpotHandler.processSpotData(data, file.name);
-                        this.app.routeSpotHandler.spotData = this.app.routeSpotHandler.mergeAndDeduplicate(
-                            this.app.routeSpotHandler.spotData, spots, 'spot'
-                        );
-                        // 画像上にスポットを表示 (追加描画)
-                        this.app.imageCoordinateMarkers = await this.app.coordinateDisplay.displayImageCoordinates(data, 'spot', this.app.imageCoordinateMarkers);
+    /**
+     * 読み込んだJSONを種類ごとに判定して取り込む
+     * プロジェクト保存用に、取り込んだJSONを読み込み順に記録する
+     * @param {Array} documents - [{fileName, data}]
+     * @param {string} mode - 'clear'（既存のポイント(JSON)・ルート・スポットを置き換え） | 'append'
+     */
+    async importJsonDocuments(documents, mode) {
+        // クリアモードならデータをリセット
+        if (mode === 'clear') {
+            this.jsonDocuments = [];
+            // GPSデータはクリアしない（Excel由来のデータを保持）
+            // if (this.app.gpsData) {
+            //    this.app.gpsData.gpsPoints = [];
+            //    this.app.gpsData.clearMarkersFromMap();
+            // }
+            this.app.pointJsonData = null;
+            this.app.routeSpotHandler.routeData = [];
+            this.app.routeSpotHandler.spotData = [];
+            this.app.imageCoordinateMarkers = [];
+            this.app.georeferencing.clearImageCoordinateMarkers('georeference-point');
+            if (this.app.referenceLayer && this.app.mapCore && this.app.mapCore.map) {
+                this.app.mapCore.map.removeLayer(this.app.referenceLayer);
+                this.app.referenceLayer = null;
+            }
+        }
 
-                    } else if (detectedType === 'point') {
-                        // ポイントデータ (画像処理用)
-                        // 追記モードの場合、ポイントデータの扱いは注意が必要（通常1セットだが、複数ファイルならマージ？）
-                        // ここでは常に上書きせず、既存データがあればマージする方針で
+        let geoJsonProcessed = 0;
+        // 既存のGPSポイントがあれば取得（常に追記・マージとして扱う）
+        const allGpsPoints = (this.app.gpsData) ? [...this.app.gpsData.getPoints()] : [];
+        const otherGeoJsonFeatures = [];
+
+        // 各ファイルを処理
+        for (const { fileName, data } of documents) {
+            try {
+                this.logger.info(`JSONファイル処理開始: ${fileName}`);
+
+                // 1. GeoJSON形式の判定
+                if (data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+                    const documentFeatures = [];
+                    for (const feature of data.features) {
+                        if (feature.geometry && feature.geometry.type === 'Point' && feature.properties && feature.properties.type !== 'route' && feature.properties.type !== 'spot' && feature.properties.type !== 'area') {
+                            // ポイントデータ (GPS) - 重複チェック
+                            const newPoint = {
+                                pointId: feature.properties.id || feature.properties.name || `Point_${allGpsPoints.length + 1}`,
+                                lat: feature.geometry.coordinates[1],
+                                lng: feature.geometry.coordinates[0],
+                                elevation: feature.geometry.coordinates[2] || 0,
+                                location: feature.properties.name || feature.properties.location || '',
+                                gpsElevation: feature.properties.gpsElevation || 0
+                            };
+
+                            const isDuplicate = allGpsPoints.some(existing => {
+                                const EPSILON = 0.0000001;
+                                return Math.abs(existing.lat - newPoint.lat) < EPSILON &&
+                                    Math.abs(existing.lng - newPoint.lng) < EPSILON;
+                            });
 
-                        if (!this.app.pointJsonData || mode === 'clear') {
-                            this.app.pointJsonData = data;
-                        } else {
-                            // マージ処理 (簡易): ID重複チェックを行いつつ追加
-                            if (data.points && Array.isArray(data.points)) {
-                                const currentPoints = this.app.pointJsonData.points || [];
-                                data.points.forEach(p => {
-                                    // 重複チェック (ID & 座標)
-                                    const isDup = currentPoints.some(existing =>
-                                        existing.id === p.id && existing.x === p.x && existing.y === p.y
-                                    );
-                                    if (!isDup) {
-                                        currentPoints.push(p);
-                                    }
-                                });
-                                this.app.pointJsonData.points = currentPoints;
+                            if (!isDuplicate) {
+                                allGpsPoints.push(newPoint);
                             }
+                        } else {
+                            otherGeoJsonFeatures.push(feature);
+                            documentFeatures.push(feature);
                         }
+                    }
+                    // GPSポイントはポイントGPSとして保存するため、参照レイヤー分のみ記録
+                    if (documentFeatures.length > 0) {
+                        this.jsonDocuments.push({ fileName, data: { type: 'FeatureCollection', features: documentFeatures } });
+                    }
+                    geoJsonProcessed++;
+                    continue;
+                }
+                // ... (その他の形式の処理は続く)
 
-                        this.app.georeferencing.setPointJsonData(this.app.pointJsonData);
-
-                        // 画像上にポイント座標を表示 (追加描画)
-                        if (this.app.imageOverlay && data.points) {
-                            this.app.imageCoordinateMarkers = await this.app.coordinateDisplay.displayImageCoordinates(data, 'points', this.app.imageCoordinateMarkers);
-
-                            // GeoreferencingクラスにもmarkerInfoを渡す
-                            // マーカーの重複追加を防ぐロジックが必要だが、displayImageCoordinatesが返すのは新規分含めた全体？いや、実装依存。
-                            // displayImageCoordinatesは既存マーカー配列を受け取って追加して返す仕様のようなのでOK。
-
-                            // ただしGeoreferencing側への追加は重複チェックが必要かもしれないが、
-                            // addImageCoordinateMarkerは単純pushなので、再描画時にクリアするか？
-                            // 効率のため、今回は新規追加分だけ...といきたいが、displayImageCoordinatesの実装を見ると
-                            // 既存マーカー配列にpushして返している。
-                            // なので、全マーカー再登録は重複を生む。
+                // 2. 手動制御点として保存したポイントJSON（gpsLat/gpsLng付き）
+                if (this.app.controlPointEditor && this.app.controlPointEditor.isControlPointJson(data)) {
+                    const added = this.app.controlPointEditor.importPairs(data.points);
+                    this.logger.info(`手動制御点を読み込みました: ${added}組`);
+                    continue;
+                }
 
-                            // 一旦クリアして全再登録が無難
-                            this.app.georeferencing.clearImageCoordinateMarkers('georeference-point');
-                            this.app.imageCoordinateMarkers.forEach(markerInfo => {
-                                this.app.georeferencing.addImageCoordinateMarker(markerInfo);
+                // 3. 独自形式 (Route/Spot/Point) の判定
+                const detectedType = this.app.routeSpotHandler.detectJsonType(data);
+
+                if (detectedType === 'route') {
+                    // ルートデータ
+                    const routes = this.app.routeSpotHandler.processRouteData(data, fileName);
+                    this.app.routeSpotHandler.routeData = this.app.routeSpotHandler.mergeAndDeduplicate(
+                        this.app.routeSpotHandler.routeData, routes, 'route'
+                    );
+                    // 画像上にルート中間点を表示 (追加描画)
+                    this.app.imageCoordinateMarkers = await this.app.coordinateDisplay.displayImageCoordinates(data, 'route', this.app.imageCoordinateMarkers);
+
+                } else if (detectedType === 'spot') {
+                    // スポットデータ
+                    const spots = this.app.routeSpotHandler.processSpotData(data, fileName);
+                    this.app.routeSpotHandler.spotData = this.app.routeSpotHandler.mergeAndDeduplicate(
+                        this.app.routeSpotHandler.spotData, spots, 'spot'
+                    );
+                    // 画像上にスポットを表示 (追加描画)
+                    this.app.imageCoordinateMarkers = await this.app.coordinateDisplay.displayImageCoordinates(data, 'spot', this.app.imageCoordinateMarkers);
+
+                } else if (detectedType === 'point') {
+                    // ポイントデータ (画像処理用)
+                    // 追記モードの場合、ポイントデータの扱いは注意が必要（通常1セットだが、複数ファイルならマージ？）
+                    // ここでは常に上書きせず、既存データがあればマージする方針で
+
+                    if (!this.app.pointJsonData || mode === 'clear') {
+                        this.app.pointJsonData = data;
+                    } else {
+                        // マージ処理 (簡易): ID重複チェックを行いつつ追加
+                        if (data.points && Array.isArray(data.points)) {
+                            const currentPoints = this.app.pointJsonData.points || [];
+                            data.points.forEach(p => {
+                                // 重複チェック (ID & 座標)
+                                const isDup = currentPoints.some(existing =>
+                                    existing.id === p.id && existing.x === p.x && existing.y === p.y
+                                );
+                                if (!isDup) {
+                                    currentPoints.push(p);
+                                }
                             });
+                            this.app.pointJsonData.points = currentPoints;
                         }
+                    }
 
-                    } else if (detectedType === 'area') {
-                        // エリアデータ
-                        if (data.areas && Array.isArray(data.areas)) {
-                            await this.app.areaHandler.importAreas(data.areas, this.app.imageOverlay);
-                        }
+                    this.app.georeferencing.setPointJsonData(this.app.pointJsonData);
+
+                    // 画像上にポイント座標を表示 (追加描画)
+                    if (this.app.imageOverlay && data.points) {
+                        this.app.imageCoordinateMarkers = await this.app.coordinateDisplay.displayImageCoordinates(data, 'points', this.app.imageCoordinateMarkers);
+
+                        // GeoreferencingクラスにもmarkerInfoを渡す
+                        // マーカーの重複追加を防ぐロジックが必要だが、displayImageCoordinatesが返すのは新規分含めた全体？いや、実装依存。
+                        // displayImageCoordinatesは既存マーカー配列を受け取って追加して返す仕様のようなのでOK。
 
-                    } else if (detectedType === 'combined') {
-                        // 複合形式
-                        const combinedData = data.data;
+                        // ただしGeoreferencing側への追加は重複チェックが必要かもしれないが、
+                        // addImageCoordinateMarkerは単純pushなので、再描画時にクリアするか？
+                        // 効率のため、今回は新規追加分だけ...といきたいが、displayImageCoordinatesの実装を見ると
+                        // 既存マーカー配列にpushして返している。
+                        // なので、全マーカー再登録は重複を生む。
 
-                        // 画像上に全座標を表示
-                        this.app.imageCoordinateMarkers = await this.app.coordinateDisplay.displayImageCoordinates(data, 'combined', this.app.imageCoordinateMarkers);
+                        // 一旦クリアして全再登録が無難
                         this.app.georeferencing.clearImageCoordinateMarkers('georeference-point');
                         this.app.imageCoordinateMarkers.forEach(markerInfo => {
                             this.app.georeferencing.addImageCoordinateMarker(markerInfo);
                         });
+                    }
 
-                        // ポイントデータを格納
-                        if (combinedData.points && Array.isArray(combinedData.points)) {
-                            // ポイントデータのマージロジック
-                            if (!this.app.pointJsonData || mode === 'clear') {
-                                this.app.pointJsonData = { points: [] };
-                            }
-                            // combinedDataのpoints形式に注意（imageX/imageY変換など）
-                            const newPoints = combinedData.points.map(p => ({
-                                ...p,
-                                imageX: p.imageX !== undefined ? p.imageX : p.x,
-                                imageY: p.imageY !== undefined ? p.imageY : p.y
-                            }));
+                } else if (detectedType === 'area') {
+                    // エリアデータ
+                    if (data.areas && Array.isArray(data.areas)) {
+                        await this.app.areaHandler.importAreas(data.areas, this.app.imageOverlay);
+                    }
 
-                            const currentPoints = this.app.pointJsonData.points || [];
-                            newPoints.forEach(p => {
-                                const isDup = currentPoints.some(existing =>
-                                    existing.id === p.id && existing.x === p.x && existing.y === p.y
-                                );
-                                if (!isDup) currentPoints.push(p);
-                            });
-                            this.app.pointJsonData.points = currentPoints;
-                            this.app.georeferencing.setPointJsonData(this.app.pointJsonData);
-                        }
+                } else if (detectedType === 'combined') {
+                    // 複合形式
+                    const combinedData = data.data;
 
-                        // ルートデータを格納
-                        if (combinedData.routes && Array.isArray(combinedData.routes)) {
-                            const routes = [];
-                            combinedData.routes.forEach(route => {
-                                routes.push({
-                                    ...route,
-                                    fileName: file.name,
-                                    routeId: route.routeName || file.name
-                                });
-                            });
-                            this.app.routeSpotHandler.routeData = this.app.routeSpotHandler.mergeAndDeduplicate(
-                                this.app.routeSpotHandler.routeData, routes, 'route'
-                            );
+                    // 画像上に全座標を表示
+                    this.app.imageCoordinateMarkers = await this.app.coordinateDisplay.displayImageCoordinates(data, 'combined', this.app.imageCoordinateMarkers);
+                    this.app.georeferencing.clearImageCoordinateMarkers('georeference-point');
+                    this.app.imageCoordinateMarkers.forEach(markerInfo => {
+                        this.app.georeferencing.addImageCoordinateMarker(markerInfo);
+                    });
+
+                    // ポイントデータを格納
+                    if (combinedData.points && Array.isArray(combinedData.points)) {
+                        // ポイントデータのマージロジック
+                        if (!this.app.pointJsonData || mode === 'clear') {
+                            this.app.pointJsonData = { points: [] };
                         }
+                        // combinedDataのpoints形式に注意（imageX/imageY変換など）
+                        const newPoints = combinedData.points.map(p => ({
+                            ...p,
+                            imageX: p.imageX !== undefined ? p.imageX : p.x,
+                            imageY: p.imageY !== undefined ? p.imageY : p.y
+                        }));
+
+                        const currentPoints = this.app.pointJsonData.points || [];
+                        newPoints.forEach(p => {
+                            const isDup = currentPoints.some(existing =>
+                                existing.id === p.id && existing.x === p.x && existing.y === p.y
+                            );
+                            if (!isDup) currentPoints.push(p);
+                        });
+                        this.app.pointJsonData.points = currentPoints;
+                        this.app.georeferencing.setPointJsonData(this.app.pointJsonData);
+                    }
 
-                        // スポットデータを格納
-                        if (combinedData.spots && Array.isArray(combinedData.spots)) {
-                            const spots = [];
-                            combinedData.spots.forEach(spot => {
-                                spots.push({
-                                    ...spot,
-                                    fileName: file.name,
-                                    spotId: spot.name || `${file.name}_spot`
-                                });
+                    // ルートデータを格納
+                    if (combinedData.routes && Array.isArray(combinedData.routes)) {
+                        const routes = [];
+                        combinedData.routes.forEach(route => {
+                            routes.push({
+                                ...route,
+                                fileName: fileName,
+                                routeId: route.routeName || fileName
                             });
-                            this.app.routeSpotHandler.spotData = this.app.routeSpotHandler.mergeAndDeduplicate(
-                                this.app.routeSpotHandler.spotData, spots, 'spot'
-                            );
-                        }
+                        });
+                        this.app.routeSpotHandler.routeData = this.app.routeSpotHandler.mergeAndDeduplicate(
+                            this.app.routeSpotHandler.routeData, routes, 'route'
+                        );
+                    }
 
-                        // エリアデータを処理・表示
-                        if (combinedData.areas && Array.isArray(combinedData.areas)) {
-                            await this.app.areaHandler.importAreas(combinedData.areas, this.app.imageOverlay);
-                        }
+                    // スポットデータを格納
+                    if (combinedData.spots && Array.isArray(combinedData.spots)) {
+                        const spots = [];
+                        combinedData.spots.forEach(spot => {
+                            spots.push({
+                                ...spot,
+                                fileName: fileName,
+                                spotId: spot.name || `${fileName}_spot`
+                            });
+                        });
+                        this.app.routeSpotHandler.spotData = this.app.routeSpotHandler.mergeAndDeduplicate(
+                            this.app.routeSpotHandler.spotData, spots, 'spot'
+                        );
+                    }
 
-                    } else {
-                        this.logger.warn(`未知のJSONファイル形式: ${file.name}`);
+                    // エリアデータを処理・表示
+                    if (combinedData.areas && Array.isArray(combinedData.areas)) {
+                        await this.app.areaHandler.importAreas(combinedData.areas, this.app.imageOverlay);
                     }
 
-                } catch (fileError) {
-                    this.logger.error(`ファイル処理エラー: ${file.name}`, fileError);
+                } else {
+                    this.logger.warn(`未知のJSONファイル形式: ${fileName}`);
+                    continue;
                 }
-            }
 
-            // GeoJSON由来のGPSポイントを表示
-            if (allGpsPoints.length > 0 && this.app.gpsData) {
-                this.app.gpsData.setPointsFromExcelData(allGpsPoints);
-                if (this.app.mapCore && this.app.mapCore.map) {
-                    this.app.gpsData.displayPointsOnMap(this.app.mapCore.map);
-                }
-                this.app.uiHandlers.updateGpsPointCount(this.app.gpsData);
-            }
+                this.jsonDocuments.push({ fileName, data });
 
-            // GeoJSON由来の参照レイヤーを表示
-            if (otherGeoJsonFeatures.length > 0 && this.app.mapCore && this.app.mapCore.map) {
-                if (this.app.referenceLayer) {
-                    this.app.mapCore.map.removeLayer(this.app.referenceLayer);
-                }
-                this.app.referenceLayer = L.geoJSON(otherGeoJsonFeatures, {
-                    style: (feature) => {
-                        switch (feature.geometry.type) {
-                            case 'LineString': return { color: 'blue', weight: 4 };
-                            case 'Polygon': return { color: 'green', weight: 2, fillOpacity: 0.2 };
-                            default: return { color: 'orange' };
-                        }
-                    },
-                    onEachFeature: (feature, layer) => {
-                        if (feature.properties && feature.properties.name) {
-                            layer.bindPopup(feature.properties.name);
-                        }
-                    }
-                }).addTo(this.app.mapCore.map);
+            } catch (fileError) {
+                this.logger.error(`ファイル処理エラー: ${fileName}`, fileError);
             }
+        }
 
-            // UIを更新
-            if (this.app.pointJsonData) {
-                this.app.uiHandlers.updatePointCoordCount(this.app.pointJsonData);
+        // GeoJSON由来のGPSポイントを表示
+        if (allGpsPoints.length > 0 && this.app.gpsData) {
+            this.app.gpsData.setPointsFromExcelData(allGpsPoints);
+            if (this.app.mapCore && this.app.mapCore.map) {
+                this.app.gpsData.displayPointsOnMap(this.app.mapCore.map);
             }
-            this.app.uiHandlers.updateRouteSpotCount(this.app.routeSpotHandler);
-            this.app.uiHandlers.updateAreaCount(this.app.areaHandler.areas ? this.app.areaHandler.areas.length : 0);
+            this.app.uiHandlers.updateGpsPointCount(this.app.gpsData);
+        }
 
-            // カウントを取得して詳細なメッセージを作成
-            let pCount = 0;
-            if (this.app.pointJsonData) {
-                if (this.app.pointJsonData.points && Array.isArray(this.app.pointJsonData.points)) {
-                    pCount = this.app.pointJsonData.points.filter(p => !p.type || p.type !== 'waypoint').length;
-                } else if (Array.isArray(this.app.pointJsonData)) {
-                    pCount = this.app.pointJsonData.filter(p => !p.type || p.type !== 'waypoint').length;
-                }
+        // GeoJSON由来の参照レイヤーを表示
+        if (otherGeoJsonFeatures.length > 0 && this.app.mapCore && this.app.mapCore.map) {
+            if (this.app.referenceLayer) {
+                this.app.mapCore.map.removeLayer(this.app.referenceLayer);
             }
-            const rCount = this.app.routeSpotHandler.getRouteCount();
-            const sCount = this.app.routeSpotHandler.getSpotCount();
-            const aCount = this.app.areaHandler.areas ? this.app.areaHandler.areas.length : 0;
-
-            // 成功メッセージを表示
-            this.app.showMessage(
-                `${files.length}件のファイルを処理しました (${mode === 'append' ? '追記' : '新規'})\n` +
-                `ポイント: ${pCount}個, ルート: ${rCount}本, スポット: ${sCount}個, エリア: ${aCount}個`
-            );
+            this.app.referenceLayer = L.geoJSON(otherGeoJsonFeatures, {
+                style: (feature) => {
+                    switch (feature.geometry.type) {
+                        case 'LineString': return { color: 'blue', weight: 4 };
+                        case 'Polygon': return { color: 'green', weight: 2, fillOpacity: 0.2 };
+                        default: return { color: 'orange' };
+                    }
+                },
+                onEachFeature: (feature, layer) => {
+                    if (feature.properties && feature.properties.name) {
+                        layer.bindPopup(feature.properties.name);
+                    }
+                }
+            }).addTo(this.app.mapCore.map);
+        }
 
-        } catch (error) {
-            this.logger.error('JSON読み込みエラー', error);
-            errorHandler.handle(error, 'JSONファイルの読み込みに失敗しました。', 'JSON読み込み');
-        } finally {
-            event.target.value = '';
+        // UIを更新
+        if (this.app.pointJsonData) {
+            this.app.uiHandlers.updatePointCoordCount(this.app.pointJsonData);
         }
+        this.app.uiHandlers.updateRouteSpotCount(this.app.routeSpotHandler);
+        this.app.uiHandlers.updateAreaCount(this.app.areaHandler.areas ? this.app.areaHandler.areas.length : 0);
     }
 }
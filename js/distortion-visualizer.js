@@ -0,0 +1,403 @@
+// 歪み可視化モジュール
+// ジオリファレンス後の変換について、画像のどこが信頼できないかを地図上に表示する
+// 残差ベクトル: 制御点ごとの残差（変換後の位置 - GPS座標）を拡大した矢印
+// 歪みグリッド: 画像を格子に分割し、セルごとの縮尺・回転を最適なアフィン変換と比べて色分け
+//   セルの中心の十字は画像のx軸・y軸の向きと長さ（局所的な縮尺・回転）を表す
+// ヒートマップ: 非線形モデル（多項式・TPS）が最適なアフィン変換からどれだけずれているか
+// 信頼楕円: 制御点の変換後の位置の信頼楕円（パラメータの標準誤差から計算。最小二乗法のモデルのみ）
+// 距離はcalculateTransformationAccuracy()と同じ実距離(m)。地図に描く際はWebメルカトル上の長さ（÷cos φ）に戻す
+import { Logger, errorHandler } from './utils.js';
+import { CONFIG } from './constants.js';
+import { mathUtils } from './math-utils.js';
+
+const EDGE_SAMPLES = 4; // グリッドのセルの各辺の分割数（非線形モデルで辺が曲がるため）
+const CROSS_RATIO = 0.3; // セルの幅・高さに対する十字の腕の長さ
+const ARROW_HEAD_RATIO = 0.3; // 矢印の長さに対する矢じりの長さ
+const ARROW_HEAD_ANGLE = 25 * Math.PI / 180;
+const ELLIPSE_SEGMENTS = 36; // 信頼楕円の頂点数
+
+export class DistortionVisualizer {
+    constructor(mapCore) {
+        this.logger = new Logger('DistortionVisualizer');
+        this.mapCore = mapCore;
+        this.layerGroup = null;
+        this.analysis = null;
+        this.visible = { vectors: false, grid: false, heatmap: false, ellipses: false };
+        this.vectorScale = CONFIG.RESIDUAL_VECTOR_DEFAULT_SCALE;
+    }
+
+    /**
+     * 表示の切り替え
+     * @param {string} layer - 'vectors' | 'grid' | 'heatmap' | 'ellipses'
+     * @param {boolean} visible
+     */
+    setLayerVisible(layer, visible) {
+        if (!(layer in this.visible)) {
+            throw new Error(`未対応の表示です: ${layer}`);
+        }
+        this.visible[layer] = visible;
+        this.render();
+    }
+
+    getVectorScale() {
+        return this.vectorScale;
+    }
+
+    /**
+     * 残差ベクトル・信頼楕円の表示倍率
+     * @param {number} scale - 1〜CONFIG.RESIDUAL_VECTOR_MAX_SCALE
+     */
+    setVectorScale(scale) {
+        if (!isFinite(scale) || scale < 1 || scale > CONFIG.RESIDUAL_VECTOR_MAX_SCALE) {
+            throw new Error(`表示倍率には1〜${CONFIG.RESIDUAL_VECTOR_MAX_SCALE}を指定してください。`);
+        }
+        this.vectorScale = scale;
+        this.render();
+    }
+
+    /**
+     * 変換結果から歪みを計算して表示を更新（変換がない場合は消去）
+     * @param {Object|null} transformation - ジオリファレンスの変換結果（currentTransformation）
+     * @param {Object|null} statistics - パラメータの統計量（Georeferencing.getTransformationStatistics()）
+     */
+    update(transformation, imageWidth, imageHeight, statistics = null) {
+        try {
+            this.analysis = transformation && imageWidth && imageHeight
+                ? this.analyze(transformation, imageWidth, imageHeight, statistics)
+                : null;
+        } catch (error) {
+            this.logger.error('歪み計算エラー', error);
+            this.analysis = null;
+        }
+        this.render();
+    }
+
+    /**
+     * 残差・局所的な縮尺と回転・アフィン変換との差を計算
+     * @returns {Object} {vectors, grid, heatmap, ellipses, maxError, maxScaleDeviation, maxRotationDeviation, maxDeviation, maxSemiMajor}
+     *   vectors: [{pointId, rejected, origin: [X, Y], dx, dy, error}]
+     *   grid: [{outline, cross, scale, groundScale, scaleDeviation, rotation, rotationDeviation}]（縮尺はm/px、差は%・度）
+     *   heatmap: [{corners, deviation}]（線形モデルではnull）
+     *   ellipses: [{pointId, center: [X, Y], semiMajor, semiMinor, azimuth, confidence}]（統計量がない場合はnull）
+     */
+    analyze(transformation, imageWidth, imageHeight, statistics = null) {
+        const params = transformation.transformation;
+        const controlPoints = transformation.controlPoints || [];
+        const rejectedPoints = transformation.rejectedPoints || [];
+
+        // 残差ベクトル（ロバスト推定で棄却したポイントも表示する）
+        const accuracy = mathUtils.calculateTransformationAccuracy(controlPoints, params);
+        const vectors = controlPoints.map((point, index) => ({
+            pointId: point.pointJsonId,
+            rejected: rejectedPoints.includes(point.pointJsonId),
+            origin: [mathUtils.lonToWebMercatorX(point.gpsPoint.lng), mathUtils.latToWebMercatorY(point.gpsPoint.lat)],
+            ...accuracy.residuals[index]
+        }));
+
+        // 比較の基準とする最適なアフィン変換（棄却したポイントは除く）
+        const nonLinear = Boolean(params.model && params.model !== 'affine');
+        const inliers = controlPoints.filter(point => !rejectedPoints.includes(point.pointJsonId));
+        const reference = nonLinear ? mathUtils.calculateAffineTransformation(inliers) : params;
+        if (!reference) {
+            throw new Error('比較用のアフィン変換を計算できませんでした。');
+        }
+        const referenceScale = Math.sqrt(Math.abs(reference.a * reference.e - reference.b * reference.d));
+        const referenceRotation = Math.atan2(reference.d, reference.a) * 180 / Math.PI;
+
+        const transform = (x, y) => mathUtils.imageToWebMercator(x, y, params);
+
+        // 歪みグリッド
+        const divisions = CONFIG.DISTORTION_GRID_DIVISIONS;
+        const cellWidth = imageWidth / divisions;
+        const cellHeight = imageHeight / divisions;
+        const grid = [];
+        for (let row = 0; row < divisions; row++) {
+            for (let col = 0; col < divisions; col++) {
+                const left = col * cellWidth;
+                const top = row * cellHeight;
+                const centerX = left + cellWidth / 2;
+                const centerY = top + cellHeight / 2;
+                const local = this.calculateLocalDistortion(transform, centerX, centerY);
+                const armX = cellWidth * CROSS_RATIO;
+                const armY = cellHeight * CROSS_RATIO;
+                const centerLat = mathUtils.webMercatorYToLat(transform(centerX, centerY)[1]);
+
+                grid.push({
+                    outline: this.sampleCellOutline(transform, left, top, cellWidth, cellHeight),
+                    cross: [
+                        [transform(centerX - armX, centerY), transform(centerX + armX, centerY)],
+                        [transform(centerX, centerY - armY), transform(centerX, centerY + armY)]
+                    ],
+                    scale: local.scale,
+                    groundScale: local.scale * Math.cos(centerLat * Math.PI / 180),
+                    scaleDeviation: (local.scale / referenceScale - 1) * 100,
+                    rotation: local.rotation,
+                    rotationDeviation: this.normalizeAngle(local.rotation - referenceRotation)
+                });
+            }
+        }
+
+        // 非線形成分のヒートマップ（セルの中心でのアフィン変換との差）
+        let heatmap = null;
+        if (nonLinear) {
+            const heatDivisions = CONFIG.DISTORTION_HEATMAP_DIVISIONS;
+            const heatWidth = imageWidth / heatDivisions;
+            const heatHeight = imageHeight / heatDivisions;
+            heatmap = [];
+            for (let row = 0; row < heatDivisions; row++) {
+                for (let col = 0; col < heatDivisions; col++) {
+                    const left = col * heatWidth;
+                    const top = row * heatHeight;
+                    const centerX = left + heatWidth / 2;
+                    const centerY = top + heatHeight / 2;
+                    const [modelX, modelY] = transform(centerX, centerY);
+                    const [affineX, affineY] = mathUtils.imageToWebMercator(centerX, centerY, reference);
+                    const groundScale = Math.cos(mathUtils.webMercatorYToLat(modelY) * Math.PI / 180);
+                    heatmap.push({
+                        corners: [
+                            transform(left, top),
+                            transform(left + heatWidth, top),
+                            transform(left + heatWidth, top + heatHeight),
+                            transform(left, top + heatHeight)
+                        ],
+                        deviation: Math.hypot(modelX - affineX, modelY - affineY) * groundScale
+                    });
+                }
+            }
+        }
+
+        // 制御点の変換後の位置の信頼楕円
+        const ellipses = statistics
+            ? controlPoints.map(point => ({
+                pointId: point.pointJsonId,
+                ...mathUtils.calculateConfidenceEllipse(point.pointJson.imageX, point.pointJson.imageY,
+                    params, statistics, CONFIG.CONFIDENCE_ELLIPSE_LEVEL)
+            }))
+            : null;
+
+        const maxOf = (items, getValue) => items.reduce((max, item) => Math.max(max, getValue(item)), 0);
+        const analysis = {
+            vectors,
+            grid,
+            heatmap,
+            ellipses,
+            maxError: maxOf(vectors, vector => vector.error),
+            maxScaleDeviation: maxOf(grid, cell => Math.abs(cell.scaleDeviation)),
+            maxRotationDeviation: maxOf(grid, cell => Math.abs(cell.rotationDeviation)),
+            maxDeviation: heatmap ? maxOf(heatmap, cell => cell.deviation) : null,
+            maxSemiMajor: ellipses ? maxOf(ellipses, ellipse => ellipse.semiMajor) : null
+        };
+
+        this.logger.info(`歪み計算: 残差 最大${analysis.maxError.toFixed(2)}m, 縮尺の差 最大${analysis.maxScaleDeviation.toFixed(1)}%, ` +
+            `回転の差 最大${analysis.maxRotationDeviation.toFixed(1)}°` +
+            (heatmap ? `, アフィン変換との差 最大${analysis.maxDeviation.toFixed(2)}m` : ''));
+        return analysis;
+    }
+
+    /**
+     * 画像座標での局所的な縮尺・回転（変換の微分を中心差分で求める）
+     * @returns {Object} {scale: 面積の比の平方根(m/px), rotation: 画像のx軸の向き(度、東から反時計回り)}
+     */
+    calculateLocalDistortion(transform, x, y) {
+        const h = 0.5;
+        const [xPlusX, xPlusY] = transform(x + h, y);
+        const [xMinusX, xMinusY] = transform(x - h, y);
+        const [yPlusX, yPlusY] = transform(x, y + h);
+        const [yMinusX, yMinusY] = transform(x, y - h);
+
+        const dXdx = (xPlusX - xMinusX) / (2 * h);
+        const dYdx = (xPlusY - xMinusY) / (2 * h);
+        const dXdy = (yPlusX - yMinusX) / (2 * h);
+        const dYdy = (yPlusY - yMinusY) / (2 * h);
+
+        return {
+            scale: Math.sqrt(Math.abs(dXdx * dYdy - dXdy * dYdx)),
+            rotation: Math.atan2(dYdx, dXdx) * 180 / Math.PI
+        };
+    }
+
+    // セルの外周を辺ごとに分割して変換（[X, Y]の配列）
+    sampleCellOutline(transform, left, top, width, height) {
+        const corners = [[left, top], [left + width, top], [left + width, top + height], [left, top + height]];
+        const outline = [];
+        corners.forEach(([startX, startY], index) => {
+            const [endX, endY] = corners[(index + 1) % corners.length];
+            for (let i = 0; i < EDGE_SAMPLES; i++) {
+                const t = i / EDGE_SAMPLES;
+                outline.push(transform(startX + (endX - startX) * t, startY + (endY - startY) * t));
+            }
+        });
+        return outline;
+    }
+
+    // 角度を-180〜180度に正規化
+    normalizeAngle(degrees) {
+        return ((degrees + 540) % 360) - 180;
+    }
+
+    /**
+     * 値の大きさに応じた色（CONFIG.DISTORTION_COLOR_STOPSを線形補間）
+     * @param {number} ratio - 0〜1
+     * @returns {string} #RRGGBB
+     */
+    getColor(ratio) {
+        const stops = CONFIG.DISTORTION_COLOR_STOPS;
+        const position = Math.min(Math.max(ratio || 0, 0), 1) * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const t = position - index;
+        const parse = hex => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+        const from = parse(stops[index]);
+        const to = parse(stops[index + 1]);
+        return '#' + from.map((value, i) => Math.round(value + (to[i] - value) * t).toString(16).padStart(2, '0')).join('');
+    }
+
+    // 非線形成分のヒートマップを表示できるか（線形モデルでは表示しない）
+    hasHeatmap() {
+        return Boolean(this.analysis && this.analysis.heatmap);
+    }
+
+    // 信頼楕円を表示できるか（TPS・自由度0では表示しない）
+    hasEllipses() {
+        return Boolean(this.analysis && this.analysis.ellipses);
+    }
+
+    /**
+     * 表示中の項目の概要
+     * @returns {Object|null} {maxError, vectorScale, maxScaleDeviation, maxRotationDeviation, maxDeviation, maxSemiMajor}（非表示の項目はnull）
+     */
+    getSummary() {
+        if (!this.analysis) {
+            return null;
+        }
+        return {
+            maxError: this.visible.vectors ? this.analysis.maxError : null,
+            vectorScale: this.vectorScale,
+            maxScaleDeviation: this.visible.grid ? this.analysis.maxScaleDeviation : null,
+            maxRotationDeviation: this.visible.grid ? this.analysis.maxRotationDeviation : null,
+            maxDeviation: this.visible.heatmap && this.hasHeatmap() ? this.analysis.maxDeviation : null,
+            maxSemiMajor: this.visible.ellipses && this.hasEllipses() ? this.analysis.maxSemiMajor : null
+        };
+    }
+
+    // 計算結果を地図に表示（前回の表示は消去）
+    render() {
+        this.clearFromMap();
+        const map = this.mapCore.getMap();
+        if (!map || !this.analysis) {
+            return;
+        }
+
+        const styles = CONFIG.DISTORTION_STYLES;
+        const toLatLng = ([x, y]) => [mathUtils.webMercatorYToLat(y), mathUtils.webMercatorXToLon(x)];
+        this.layerGroup = L.layerGroup().addTo(map);
+
+        if (this.visible.heatmap && this.analysis.heatmap) {
+            const maxDeviation = this.analysis.maxDeviation;
+            this.analysis.heatmap.forEach(cell => {
+                const color = this.getColor(maxDeviation > 0 ? cell.deviation / maxDeviation : 0);
+                L.polygon(cell.corners.map(toLatLng), { ...styles.heatmap, fillColor: color })
+                    .bindPopup(`アフィン変換との差: ${cell.deviation.toFixed(2)}m`)
+                    .addTo(this.layerGroup);
+            });
+        }
+
+        if (this.visible.grid) {
+            this.analysis.grid.forEach(cell => {
+                const ratio = Math.max(
+                    Math.abs(cell.scaleDeviation) / CONFIG.DISTORTION_SCALE_RANGE,
+                    Math.abs(cell.rotationDeviation) / CONFIG.DISTORTION_ROTATION_RANGE);
+                const color = this.getColor(ratio);
+                const sign = value => (value >= 0 ? '+' : '');
+                L.polygon(cell.outline.map(toLatLng), { ...styles.grid, color })
+                    .bindPopup(
+                        `縮尺: ${cell.groundScale.toFixed(3)}m/px（${sign(cell.scaleDeviation)}${cell.scaleDeviation.toFixed(1)}%）<br>` +
+                        `回転: ${cell.rotation.toFixed(1)}°（${sign(cell.rotationDeviation)}${cell.rotationDeviation.toFixed(1)}°）<br>` +
+                        '（括弧内は画像全体のアフィン変換との差）')
+                    .addTo(this.layerGroup);
+                cell.cross.forEach(line => {
+                    L.polyline(line.map(toLatLng), { ...styles.cross, color, interactive: false })
+                        .addTo(this.layerGroup);
+                });
+            });
+        }
+
+        if (this.visible.vectors) {
+            const maxError = this.analysis.maxError;
+            this.analysis.vectors.forEach(vector => {
+                const [originX, originY] = vector.origin;
+                const toMercator = this.vectorScale / this.getGroundScale(originY);
+                const endX = originX + vector.dx * toMercator;
+                const endY = originY + vector.dy * toMercator;
+                const headLength = Math.hypot(endX - originX, endY - originY) * ARROW_HEAD_RATIO;
+                const angle = Math.atan2(originY - endY, originX - endX);
+                const head = [-ARROW_HEAD_ANGLE, ARROW_HEAD_ANGLE].map(offset => [
+                    endX + headLength * Math.cos(angle + offset),
+                    endY + headLength * Math.sin(angle + offset)
+                ]);
+
+                const style = {
+                    ...styles.vector,
+                    ...(vector.rejected ? styles.rejectedVector : {}),
+                    color: this.getColor(maxError > 0 ? vector.error / maxError : 0),
+                    pane: 'routeLines'
+                };
+                L.polyline([
+                    [toLatLng(vector.origin), toLatLng([endX, endY])],
+                    [toLatLng(head[0]), toLatLng([endX, endY]), toLatLng(head[1])]
+                ], style)
+                    .bindPopup(
+                        `ポイント: ${errorHandler.escapeHtml(vector.pointId)}${vector.rejected ? '（棄却）' : ''}<br>` +
+                        `dx: ${vector.dx.toFixed(2)}m, dy: ${vector.dy.toFixed(2)}m<br>` +
+                        `誤差: ${vector.error.toFixed(2)}m（×${this.vectorScale}で表示）`)
+                    .addTo(this.layerGroup);
+            });
+        }
+
+        if (this.visible.ellipses && this.analysis.ellipses) {
+            const confidence = Math.round(CONFIG.CONFIDENCE_ELLIPSE_LEVEL * 100);
+            this.analysis.ellipses.forEach(ellipse => {
+                L.polygon(this.createEllipseOutline(ellipse).map(toLatLng), { ...styles.ellipse, pane: 'routeLines' })
+                    .bindPopup(
+                        `ポイント: ${errorHandler.escapeHtml(ellipse.pointId)}<br>` +
+                        `${confidence}%信頼楕円: 長半径 ${ellipse.semiMajor.toFixed(2)}m, 短半径 ${ellipse.semiMinor.toFixed(2)}m<br>` +
+                        `長軸の方位: ${ellipse.azimuth.toFixed(1)}°（×${this.vectorScale}で表示）`)
+                    .addTo(this.layerGroup);
+            });
+        }
+    }
+
+    // 信頼楕円の外周（Webメルカトル上の[X, Y]の配列。表示倍率で拡大）
+    createEllipseOutline({ center, semiMajor, semiMinor, azimuth }) {
+        const toMercator = this.vectorScale / this.getGroundScale(center[1]);
+        const angle = (90 - azimuth) * Math.PI / 180; // 長軸の向き（東から反時計回り）
+        const outline = [];
+        for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+            const t = 2 * Math.PI * i / ELLIPSE_SEGMENTS;
+            const major = semiMajor * Math.cos(t) * toMercator;
+            const minor = semiMinor * Math.sin(t) * toMercator;
+            outline.push([
+                center[0] + major * Math.cos(angle) - minor * Math.sin(angle),
+                center[1] + major * Math.sin(angle) + minor * Math.cos(angle)
+            ]);
+        }
+        return outline;
+    }
+
+    // Webメルカトル上の長さを実距離に換算する係数（cos φ）
+    getGroundScale(mercatorY) {
+        return Math.cos(mathUtils.webMercatorYToLat(mercatorY) * Math.PI / 180);
+    }
+
+    clearFromMap() {
+        if (this.layerGroup) {
+            this.layerGroup.remove();
+            this.layerGroup = null;
+        }
+    }
+
+    // 計算結果と地図の表示を消去
+    clear() {
+        this.clearFromMap();
+        this.analysis = null;
+    }
+}
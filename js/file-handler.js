@@ -46,15 +46,25 @@ export class FileHandler {
      * データをファイルとしてダウンロード（従来方式）
      * @param {Object} data - データオブジェクト
      * @param {string} filename - ファイル名
+     * @param {string} extension - 拡張子（既定: .geojson）
      */
-    downloadData(data, filename) {
-        try {
-            const dataStr = JSON.stringify(data, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    downloadData(data, filename, extension = '.geojson') {
+        const dataStr = JSON.stringify(data, null, 2);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        this.downloadBlob(dataBlob, filename, extension);
+    }
 
+    /**
+     * Blobをファイルとしてダウンロード（従来方式）
+     * @param {Blob} blob - ファイル内容
+     * @param {string} filename - ファイル名
+     * @param {string} extension - 拡張子
+     */
+    downloadBlob(blob, filename, extension) {
+        try {
             const link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = filename.endsWith('.geojson') ? filename : filename + '.geojson';
+            link.href = URL.createObjectURL(blob);
+            link.download = filename.endsWith(extension) ? filename : filename + extension;
 
             document.body.appendChild(link);
             link.click();
@@ -72,23 +82,36 @@ export class FileHandler {
      * ユーザーが場所を指定してデータファイルを保存
      * @param {Object} data - データオブジェクト
      * @param {string} defaultFilename - デフォルトファイル名
+     * @param {string} extension - 拡張子（既定: .geojson）
      * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
      */
-    async saveDataWithUserChoice(data, defaultFilename) {
+    async saveDataWithUserChoice(data, defaultFilename, extension = '.geojson') {
         const dataStr = JSON.stringify(data, null, 2);
         const blob = new Blob([dataStr], { type: 'application/json' });
 
+        return this.saveBlobWithUserChoice(blob, defaultFilename, extension, {
+            description: 'Data Files',
+            accept: {
+                'application/json': ['.geojson', '.json']
+            }
+        });
+    }
+
+    /**
+     * ユーザーが場所を指定してファイルを保存（テキスト・バイナリ共通）
+     * @param {Blob} blob - ファイル内容
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @param {string} extension - 拡張子
+     * @param {Object} fileType - 保存ダイアログのファイル種別 {description, accept}
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveBlobWithUserChoice(blob, defaultFilename, extension, fileType) {
         try {
             // File System Access APIが利用可能かチェック
             if ('showSaveFilePicker' in window) {
                 let savePickerOptions = {
-                    suggestedName: defaultFilename.endsWith('.geojson') ? defaultFilename : defaultFilename + '.geojson',
-                    types: [{
-                        description: 'Data Files',
-                        accept: {
-                            'application/json': ['.geojson', '.json']
-                        }
-                    }]
+                    suggestedName: defaultFilename.endsWith(extension) ? defaultFilename : defaultFilename + extension,
+                    types: [fileType]
                 };
 
                 // 前回ファイルを読み込んだフォルダから開始
@@ -122,7 +145,7 @@ export class FileHandler {
                 return { success: true, filename: fileHandle.name };
             } else {
                 // File System Access APIが使用できない場合は従来のダウンロード方式
-                this.downloadData(data, defaultFilename);
+                this.downloadBlob(blob, defaultFilename, extension);
                 return { success: true, filename: defaultFilename };
             }
         } catch (error) {
@@ -132,7 +155,7 @@ export class FileHandler {
 
             // エラー時は従来のダウンロード方式にフォールバック
             try {
-                this.downloadData(data, defaultFilename);
+                this.downloadBlob(blob, defaultFilename, extension);
                 return { success: true, filename: defaultFilename };
             } catch (downloadError) {
                 return { success: false, error: error.message };
@@ -166,7 +189,10 @@ export class FileHandler {
     }
 
     /**
-     * Excelファイル読み込み
+     * Excelファイル読み込み（すべてのシート）
+     * @param {File} file - Excelファイル
+     * @returns {Promise<Array>} シート配列 [{name, rows, firstRowNumber, firstColumn, truncated}]
+     *   rowsはシートの使用範囲の行配列（空のセルは''）、firstRowNumber・firstColumnは使用範囲の先頭の行番号（1始まり）・列番号（0始まり）
      */
     async loadExcelFile(file) {
         if (!this.isExcelFile(file)) {
@@ -181,25 +207,31 @@ export class FileHandler {
                     const data = new Uint8Array(e.target.result);
                     const workbook = XLSX.read(data, { type: 'array' });
 
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
+                    const sheets = workbook.SheetNames.map(sheetName => {
+                        const worksheet = workbook.Sheets[sheetName];
+                        const range = worksheet['!ref'];
+                        if (!range) {
+                            return { name: sheetName, rows: [], firstRowNumber: 1, firstColumn: 0, truncated: false };
+                        }
 
-                    // 読み込み行数を制限
-                    const range = worksheet['!ref'];
-                    if (range) {
+                        // 読み込み行数を制限
                         const decoded = XLSX.utils.decode_range(range);
-                        const originalRows = decoded.e.r + 1; // 1ベースの行数
-
-                        // データ行数を制限（設定値から1を引いて0ベースインデックスに調整）
-                        const maxRows = CONFIG.MAX_EXCEL_ROWS - 1;
-                        if (decoded.e.r > maxRows) {
-                            decoded.e.r = maxRows;
-                            worksheet['!ref'] = XLSX.utils.encode_range(decoded);
+                        const maxRow = decoded.s.r + CONFIG.MAX_EXCEL_ROWS - 1;
+                        const truncated = decoded.e.r > maxRow;
+                        if (truncated) {
+                            decoded.e.r = maxRow;
                         }
-                    }
 
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-                    resolve(jsonData);
+                        // 行番号がずれないよう空行も含め、空のセルは''とする
+                        const rows = XLSX.utils.sheet_to_json(worksheet, {
+                            header: 1,
+                            range: XLSX.utils.encode_range(decoded),
+                            blankrows: true,
+                            defval: ''
+                        });
+                        return { name: sheetName, rows, firstRowNumber: decoded.s.r + 1, firstColumn: decoded.s.c, truncated };
+                    });
+                    resolve(sheets);
                 } catch (error) {
                     reject(new Error('Excelファイルの読み込みに失敗しました: ' + error.message));
                 }
@@ -255,100 +287,4 @@ export class FileHandler {
     isJsonFile(file) {
         return file && (file.type.includes('json') || file.name.toLowerCase().endsWith('.json'));
     }
-
-    // ==========================================
-    // Excel データ検証・変換機能（統合）
-    // ==========================================
-
-    /**
-     * Excelデータの検証と変換
-     * @param {Array} rawData - Excel生データ
-     * @returns {Array} 検証済みデータ
-     */
-    validateAndConvertExcelData(rawData) {
-        try {
-            if (!rawData || rawData.length === 0) {
-                throw new Error('Excelファイルが空です。');
-            }
-
-            const requiredColumns = ['ポイントID', '名称', '緯度', '経度'];
-            const optionalColumns = ['標高', '備考'];
-            const allColumns = [...requiredColumns, ...optionalColumns];
-
-            const headerRow = rawData[0];
-            if (!headerRow || headerRow.length === 0) {
-                throw new Error('ヘッダー行が見つかりません。');
-            }
-
-            const columnIndexMap = {};
-            for (const column of allColumns) {
-                const index = headerRow.indexOf(column);
-                if (index !== -1) {
-                    columnIndexMap[column] = index;
-                } else if (requiredColumns.includes(column)) {
-                    throw new Error(`必須列「${column}」が見つかりません。`);
-                }
-            }
-
-            const validatedData = [];
-            for (let i = 1; i < rawData.length; i++) {
-                const row = rawData[i];
-                if (!row || row.length === 0) continue;
-
-                const pointData = {};
-                let isValidRow = true;
-
-                for (const column of requiredColumns) {
-                    const value = row[columnIndexMap[column]];
-                    if (value === undefined || value === null || value === '') {
-                        isValidRow = false;
-                        break;
-                    }
-                    pointData[column] = value;
-                }
-
-                if (!isValidRow) continue;
-
-                for (const column of optionalColumns) {
-                    if (columnIndexMap[column] !== undefined) {
-                        const value = row[columnIndexMap[column]];
-                        if (value !== undefined && value !== null && value !== '') {
-                            pointData[column] = value;
-                        }
-                    }
-                }
-
-                try {
-                    const lat = parseFloat(pointData['緯度']);
-                    const lng = parseFloat(pointData['経度']);
-
-                    if (isNaN(lat) || isNaN(lng)) {
-                        continue;
-                    }
-
-                    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-                        continue;
-                    }
-
-                    validatedData.push({
-                        pointId: pointData['ポイントID'],
-                        name: pointData['名称'],
-                        lat: lat,
-                        lng: lng,
-                        elevation: pointData['標高'] || null,
-                        description: pointData['備考'] || null
-                    });
-
-                } catch (error) {
-                    continue;
-                }
-            }
-
-            return validatedData;
-
-        } catch (error) {
-            console.error('Excel データ検証エラー', error);
-            throw error;
-        }
-    }
-}
\ No newline at end of file
+}
@@ -0,0 +1,207 @@
+// GeoPackage作成モジュール
+// sql.jsのデータベースにOGC GeoPackage（1.3）の必須テーブルと地物テーブルを作成する
+// 地物の形状はGeoPackageバイナリ（ヘッダー + WKB、リトルエンディアン）で格納し、座標系はEPSG:4326とする
+
+const APPLICATION_ID = 0x47504B47; // 'GPKG'
+const USER_VERSION = 10300; // GeoPackage 1.3
+const SRS_ID = 4326;
+const WGS84_DEFINITION = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]';
+
+// WKBの形状タイプ
+const WKB_TYPES = {
+    POINT: 1,
+    LINESTRING: 2,
+    POLYGON: 3
+};
+
+export class GeoPackageWriter {
+    /**
+     * @param {Object} database - sql.jsのDatabase（空のもの）
+     */
+    constructor(database) {
+        this.database = database;
+        this.initialize();
+    }
+
+    // 必須テーブル（空間参照系・内容・形状列）
+    initialize() {
+        this.database.run(`
+            PRAGMA application_id = ${APPLICATION_ID};
+            PRAGMA user_version = ${USER_VERSION};
+            CREATE TABLE gpkg_spatial_ref_sys (
+                srs_name TEXT NOT NULL,
+                srs_id INTEGER NOT NULL PRIMARY KEY,
+                organization TEXT NOT NULL,
+                organization_coordsys_id INTEGER NOT NULL,
+                definition TEXT NOT NULL,
+                description TEXT
+            );
+            CREATE TABLE gpkg_contents (
+                table_name TEXT NOT NULL PRIMARY KEY,
+                data_type TEXT NOT NULL,
+                identifier TEXT UNIQUE,
+                description TEXT DEFAULT '',
+                last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+                min_x DOUBLE,
+                min_y DOUBLE,
+                max_x DOUBLE,
+                max_y DOUBLE,
+                srs_id INTEGER,
+                CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
+            );
+            CREATE TABLE gpkg_geometry_columns (
+                table_name TEXT NOT NULL,
+                column_name TEXT NOT NULL,
+                geometry_type_name TEXT NOT NULL,
+                srs_id INTEGER NOT NULL,
+                z TINYINT NOT NULL,
+                m TINYINT NOT NULL,
+                CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+                CONSTRAINT uk_gc_table_name UNIQUE (table_name),
+                CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+                CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
+            );
+        `);
+
+        const insert = 'INSERT INTO gpkg_spatial_ref_sys (srs_name, srs_id, organization, organization_coordsys_id, definition, description) VALUES (?, ?, ?, ?, ?, ?)';
+        this.database.run(insert, ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system']);
+        this.database.run(insert, ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system']);
+        this.database.run(insert, ['WGS 84 geodetic', SRS_ID, 'EPSG', SRS_ID, WGS84_DEFINITION, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']);
+    }
+
+    /**
+     * 地物テーブルを追加
+     * @param {string} tableName - テーブル名（英数字・アンダースコア）
+     * @param {string} geometryType - 'POINT' | 'LINESTRING' | 'POLYGON'
+     * @param {Array} columns - 属性列 [{name, type}]（typeは'TEXT' | 'REAL'）
+     * @param {Array} records - [{coordinates, attributes}]
+     *   coordinatesはGeoJSONと同じ形（POINT: [x, y]、LINESTRING: [[x, y], ...]、POLYGON: [[[x, y], ...], ...]）
+     * @param {string} description - 説明
+     */
+    addLayer(tableName, geometryType, columns, records, description = '') {
+        const columnDefinitions = columns.map(column => `"${column.name}" ${column.type}`).join(', ');
+        this.database.run(`CREATE TABLE "${tableName}" (fid INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, geom ${geometryType}, ${columnDefinitions})`);
+
+        const columnNames = ['geom', ...columns.map(column => `"${column.name}"`)].join(', ');
+        const placeholders = new Array(columns.length + 1).fill('?').join(', ');
+        const statement = this.database.prepare(`INSERT INTO "${tableName}" (${columnNames}) VALUES (${placeholders})`);
+        try {
+            records.forEach(record => {
+                const values = columns.map(column => record.attributes[column.name] ?? null);
+                statement.run([this.encodeGeometry(geometryType, record.coordinates), ...values]);
+            });
+        } finally {
+            statement.free();
+        }
+
+        const points = this.flattenCoordinates(geometryType, records.map(record => record.coordinates));
+        const bbox = this.calculateEnvelope(points);
+        this.database.run(
+            'INSERT INTO gpkg_contents (table_name, data_type, identifier, description, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [tableName, 'features', tableName, description, bbox.minX, bbox.minY, bbox.maxX, bbox.maxY, SRS_ID]);
+        this.database.run(
+            'INSERT INTO gpkg_geometry_columns (table_name, column_name, geometry_type_name, srs_id, z, m) VALUES (?, ?, ?, ?, 0, 0)',
+            [tableName, 'geom', geometryType, SRS_ID]);
+    }
+
+    /**
+     * GeoPackageバイナリ（ヘッダー・外接矩形・WKB）に変換
+     * ポイントは外接矩形を省略する
+     * @returns {Uint8Array}
+     */
+    encodeGeometry(geometryType, coordinates) {
+        const points = this.flattenCoordinates(geometryType, [coordinates]);
+        const hasEnvelope = geometryType !== 'POINT';
+        const wkb = this.encodeWkb(geometryType, coordinates);
+        const headerLength = 8 + (hasEnvelope ? 32 : 0);
+
+        const bytes = new Uint8Array(headerLength + wkb.length);
+        const view = new DataView(bytes.buffer);
+        bytes[0] = 0x47; // 'G'
+        bytes[1] = 0x50; // 'P'
+        bytes[2] = 0; // バージョン
+        bytes[3] = hasEnvelope ? 0x03 : 0x01; // リトルエンディアン、外接矩形 [minx, maxx, miny, maxy] の有無
+        view.setInt32(4, SRS_ID, true);
+        if (hasEnvelope) {
+            const bbox = this.calculateEnvelope(points);
+            [bbox.minX, bbox.maxX, bbox.minY, bbox.maxY].forEach((value, index) => {
+                view.setFloat64(8 + index * 8, value, true);
+            });
+        }
+        bytes.set(wkb, headerLength);
+        return bytes;
+    }
+
+    // WKB（2次元、リトルエンディアン）
+    encodeWkb(geometryType, coordinates) {
+        const rings = geometryType === 'POINT' ? [[coordinates]]
+            : geometryType === 'LINESTRING' ? [coordinates]
+                : coordinates;
+        const pointCount = rings.reduce((sum, ring) => sum + ring.length, 0);
+        const length = geometryType === 'POINT' ? 21
+            : geometryType === 'LINESTRING' ? 9 + pointCount * 16
+                : 9 + rings.length * 4 + pointCount * 16;
+
+        const bytes = new Uint8Array(length);
+        const view = new DataView(bytes.buffer);
+        bytes[0] = 1;
+        view.setUint32(1, WKB_TYPES[geometryType], true);
+        let offset = 5;
+        const writePoint = ([x, y]) => {
+            view.setFloat64(offset, x, true);
+            view.setFloat64(offset + 8, y, true);
+            offset += 16;
+        };
+
+        if (geometryType === 'POINT') {
+            writePoint(coordinates);
+        } else if (geometryType === 'LINESTRING') {
+            view.setUint32(offset, coordinates.length, true);
+            offset += 4;
+            coordinates.forEach(writePoint);
+        } else {
+            view.setUint32(offset, rings.length, true);
+            offset += 4;
+            rings.forEach(ring => {
+                view.setUint32(offset, ring.length, true);
+                offset += 4;
+                ring.forEach(writePoint);
+            });
+        }
+        return bytes;
+    }
+
+    // 形状の座標を点の配列にする
+    flattenCoordinates(geometryType, coordinatesList) {
+        if (geometryType === 'POINT') {
+            return coordinatesList;
+        }
+        if (geometryType === 'LINESTRING') {
+            return coordinatesList.flat();
+        }
+        return coordinatesList.flat(2);
+    }
+
+    calculateEnvelope(points) {
+        if (points.length === 0) {
+            return { minX: null, minY: null, maxX: null, maxY: null };
+        }
+        // 頂点数が多いとスプレッド構文の引数が上限を超えるため、ループで求める
+        const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        points.forEach(([x, y]) => {
+            box.minX = Math.min(box.minX, x);
+            box.minY = Math.min(box.minY, y);
+            box.maxX = Math.max(box.maxX, x);
+            box.maxY = Math.max(box.maxY, y);
+        });
+        return box;
+    }
+
+    /**
+     * GeoPackageファイルの内容
+     * @returns {Uint8Array}
+     */
+    export() {
+        return this.database.export();
+    }
+}
@@ -14,6 +14,13 @@ export class Georeferencing {
         this.currentTransformation = null;
         this.imageCoordinateMarkers = [];
         this.imageUpdateCallbackRegistered = false;
+        this.transformationModel = CONFIG.DEFAULT_TRANSFORMATION_MODEL;
+        this.solverMode = CONFIG.DEFAULT_SOLVER_MODE;
+        this.excludedPointIds = new Set(); // 変換計算から除外するポイントID
+        this.checkPointIds = new Set(); // 変換計算に使わず検証にのみ使うポイントID（検証点）
+        this.residualReport = null;
+        this.draggingMarker = null; // ドラッグ中のポイントマーカー（位置同期の対象外）
+        this.pointDragHandler = null;
 
         // 分離されたモジュールのインスタンス化
         this.affineTransformation = new AffineTransformation();
@@ -66,16 +73,39 @@ export class Georeferencing {
         }
     }
 
-    async performGeoreferencingCalculations() {
+    /**
+     * 制御点ペアを集めて変換を求め、画像に適用
+     * @param {Object} options - {transformation: 保存済みの変換結果}を指定した場合は再計算せずに適用（プロジェクト復元用）
+     *   {live: true}の場合はドラッグ中の軽量な再計算として、残差レポート（交差検証を含む）と非線形モデルのメッシュを更新しない
+     */
+    async performGeoreferencingCalculations(options = {}) {
         try {
             const gpsPoints = this.gpsData.getPoints();
             const matchResult = this.matchPointJsonWithGPS(gpsPoints);
 
-            if (matchResult.matchedPairs.length >= 3) {
-                await this.performAutomaticGeoreferencing(matchResult.matchedPairs);
+            // 手動配置した制御点ペアをIDマッチング結果に加える
+            const manualPairs = this.controlPointEditor ? this.controlPointEditor.getControlPointPairs() : [];
+            const allPairs = [...matchResult.matchedPairs, ...manualPairs];
+
+            const modelConfig = CONFIG.TRANSFORMATION_MODELS[this.transformationModel];
+            // 除外中のポイントと検証点は変換計算に使わない
+            const usedPairs = allPairs.filter(pair =>
+                !this.excludedPointIds.has(pair.pointJsonId) && !this.checkPointIds.has(pair.pointJsonId));
+
+            if (usedPairs.length >= modelConfig.minPoints) {
+                await this.performAutomaticGeoreferencing(usedPairs, options.transformation, options.live);
             } else {
-                this.logger.error(`精密版ジオリファレンシングには最低3つのポイントが必要です。現在: ${matchResult.matchedPairs.length}ポイント`);
-                throw new Error(`精密版ジオリファレンシングには最低3つのポイントが必要です。現在: ${matchResult.matchedPairs.length}ポイント`);
+                const excludedNote = usedPairs.length < allPairs.length
+                    ? `（除外中・検証点: ${allPairs.length - usedPairs.length}ポイント）`
+                    : '';
+                const message = `${modelConfig.label}によるジオリファレンシングには最低${modelConfig.minPoints}つのポイントが必要です。現在: ${usedPairs.length}ポイント${excludedNote}`;
+                this.logger.error(message);
+                throw new Error(message);
+            }
+
+            if (!options.live) {
+                this.residualReport = this.affineTransformation.calculateResidualReport(
+                    allPairs, this.currentTransformation, this.excludedPointIds, this.checkPointIds);
             }
 
             // 画像更新時のコールバックを登録（重複登録を防ぐ）
@@ -88,11 +118,15 @@ export class Georeferencing {
             }
 
             return {
-                matchedCount: matchResult.matchedPairs.length,
+                matchedCount: allPairs.length,
+                usedCount: this.currentTransformation.usedPoints,
+                rejectedPoints: this.currentTransformation.rejectedPoints || [],
+                checkPoints: allPairs.map(pair => pair.pointJsonId).filter(pointId => this.checkPointIds.has(pointId)),
                 unmatchedPoints: matchResult.unmatchedPointJsonIds,
                 totalPoints: gpsPoints.length,
                 totalPointJsons: matchResult.totalPointJsons,
-                matchedPairs: matchResult.matchedPairs,
+                matchedPairs: allPairs,
+                residualReport: this.residualReport,
                 georeferenceCompleted: true
             };
 
@@ -102,20 +136,32 @@ export class Georeferencing {
         }
     }
 
-    async performAutomaticGeoreferencing(matchedPairs) {
+    async performAutomaticGeoreferencing(matchedPairs, savedTransformation = null, live = false) {
         try {
-            // 一致するポイント数をすべて使用（精密版のみ）
+            // 一致するポイント数をすべて使用（ロバスト推定では誤対応を棄却）
             const controlPoints = matchedPairs;
 
-            const transformation = this.affineTransformation.calculatePreciseTransformation(controlPoints);
+            // 保存済みの変換結果はそのまま適用（ロバスト推定の標本抽出は乱数のため、再計算すると結果が変わりうる）
+            let transformation;
+            if (savedTransformation) {
+                // ロバスト推定で棄却したポイントは制御点に戻さない（残差・精度・表示を保存時の変換と一致させる）
+                const rejectedPointIds = new Set(savedTransformation.rejectedPoints || []);
+                const inliers = controlPoints.filter(pair => !rejectedPointIds.has(pair.pointJsonId));
+                transformation = { ...savedTransformation, controlPoints: inliers, usedPoints: inliers.length };
+            } else {
+                transformation = this.solverMode === 'robust'
+                    ? this.affineTransformation.calculateRobustTransformation(controlPoints, this.transformationModel)
+                    : this.affineTransformation.calculatePreciseTransformation(controlPoints, this.transformationModel);
+            }
 
             if (transformation) {
-                await this.applyTransformationToImage(transformation, controlPoints);
+                await this.applyTransformationToImage(transformation, controlPoints, live);
 
                 // 変換適用後に手動でルート・スポット同期を実行
                 await this.syncRouteSpotPositions();
             } else {
                 this.logger.warn('変換パラメータの計算に失敗しました');
+                throw new Error('変換パラメータの計算に失敗しました。ポイントの配置（一直線上に並んでいないか等）を確認してください。');
             }
 
         } catch (error) {
@@ -128,12 +174,13 @@ export class Georeferencing {
 
 
 
-    async applyTransformationToImage(transformation, controlPoints) {
+    async applyTransformationToImage(transformation, controlPoints, live = false) {
         try {
-            if (transformation.type === 'precise') {
-                await this.applyPreciseTransformation(transformation);
+            if (CONFIG.SOLVER_MODES[transformation.type]) {
+                // 最小二乗法・ロバスト推定とも変換結果の形式は共通
+                await this.applyPreciseTransformation(transformation, live);
             } else {
-                this.logger.error('精密版以外の変換はサポートされていません');
+                this.logger.error(`未対応の変換方式です: ${transformation.type}`);
                 return;
             }
 
@@ -143,14 +190,15 @@ export class Georeferencing {
         }
     }
 
-    async applyPreciseTransformation(transformation) {
+    // live: ドラッグ中は非線形モデルでもメッシュを作らず、4隅による近似で描画する（ドラッグ終了時に作り直す）
+    async applyPreciseTransformation(transformation, live = false) {
         try {
             this.currentTransformation = transformation;
 
             const imageWidth = this.imageOverlay.currentImage.naturalWidth || this.imageOverlay.currentImage.width;
             const imageHeight = this.imageOverlay.currentImage.naturalHeight || this.imageOverlay.currentImage.height;
 
-            // 画像の4隅の座標をアフィン変換でGPS座標に変換
+            // 画像の4隅の座標を変換モデルでGPS座標に変換
             const corners = [
                 { x: 0, y: 0 },                    // 左上
                 { x: imageWidth, y: 0 },           // 右上
@@ -158,39 +206,15 @@ export class Georeferencing {
                 { x: 0, y: imageHeight }           // 左下
             ];
 
-            const transformedCorners = corners.map(corner => {
-                const webMercatorX = transformation.transformation.a * corner.x +
-                    transformation.transformation.b * corner.y +
-                    transformation.transformation.c;
-                const webMercatorY = transformation.transformation.d * corner.x +
-                    transformation.transformation.e * corner.y +
-                    transformation.transformation.f;
-
-                return {
-                    lat: mathUtils.webMercatorYToLat(webMercatorY),
-                    lng: mathUtils.webMercatorXToLon(webMercatorX)
-                };
-            });
-
-            // 変換後の境界を計算
-            const lats = transformedCorners.map(c => c.lat);
-            const lngs = transformedCorners.map(c => c.lng);
-            const minLat = Math.min(...lats);
-            const maxLat = Math.max(...lats);
-            const minLng = Math.min(...lngs);
-            const maxLng = Math.max(...lngs);
+            const transformedCorners = corners.map(corner => this.transformImageToLatLng(corner.x, corner.y, transformation));
 
-            // 画像の中心位置を計算
-            const centerLat = (minLat + maxLat) / 2;
-            const centerLng = (minLng + maxLng) / 2;
+            // 非線形モデルは三角形メッシュで歪みを再現する
+            const mesh = !live && this.isNonLinearTransformation(transformation)
+                ? this.buildWarpMesh(transformation, imageWidth, imageHeight)
+                : null;
 
-            // スケール計算（制御点ベース）
-            const scale = this.calculateScaleFromTransformation(transformation);
-
-            this.logger.info(`アフィン変換適用: 中心位置=(${centerLat.toFixed(6)}, ${centerLng.toFixed(6)}), スケール=${scale.toFixed(6)}`);
-
-            // アフィン変換結果による画像位置・スケール設定
-            this.imageOverlay.setTransformedPosition(centerLat, centerLng, scale);
+            // 回転・せん断（非線形モデルでは局所的な歪み）を含めて画像を配置
+            this.imageOverlay.setTransformedCorners(transformedCorners, mesh);
 
             await this.updatePointJsonMarkersAfterTransformation();
 
@@ -200,71 +224,164 @@ export class Georeferencing {
         }
     }
 
-    calculateScaleFromTransformation(transformation) {
-        try {
-            // アフィン変換行列から直接スケールを計算
-            const t = transformation.transformation;
-
-            // アフィン変換行列の変形スケールを計算
-            // スケールは回転を考慮したベクトルの長さで計算
-            const scaleX = Math.sqrt(t.a * t.a + t.d * t.d);
-            const scaleY = Math.sqrt(t.b * t.b + t.e * t.e);
-
-            // 平均スケールを使用（等方的スケーリングと仮定）
-            const averageScale = (scaleX + scaleY) / 2;
-
-            // 制御点から実際のスケールを計算して検証
-            if (transformation.controlPoints && transformation.controlPoints.length >= 2) {
-                const point1 = transformation.controlPoints[0];
-                const point2 = transformation.controlPoints[1];
-
-                // 画像座標での距離
-                const imageDistance = Math.sqrt(
-                    Math.pow(point2.pointJson.imageX - point1.pointJson.imageX, 2) +
-                    Math.pow(point2.pointJson.imageY - point1.pointJson.imageY, 2)
-                );
+    // 変換モデルを設定（次回のジオリファレンシングから適用）
+    setTransformationModel(model) {
+        if (!CONFIG.TRANSFORMATION_MODELS[model]) {
+            this.logger.warn(`未対応の変換モデルです: ${model}`);
+            return;
+        }
+        this.transformationModel = model;
+    }
 
-                // GPS座標での距離（メートル）
-                const gpsDistance = mathUtils.calculateGpsDistance(
-                    point1.gpsPoint.lat, point1.gpsPoint.lng,
-                    point2.gpsPoint.lat, point2.gpsPoint.lng
-                );
+    getTransformationModel() {
+        return this.transformationModel;
+    }
 
-                if (imageDistance > 0 && gpsDistance > 0) {
-                    // 実際のスケール（メートル/ピクセル）
-                    const actualScale = gpsDistance / imageDistance;
+    // 推定方法を設定（'precise' または 'robust'、次回のジオリファレンシングから適用）
+    setSolverMode(mode) {
+        if (!CONFIG.SOLVER_MODES[mode]) {
+            this.logger.warn(`未対応の推定方法です: ${mode}`);
+            return;
+        }
+        this.solverMode = mode;
+    }
 
-                    // 現在のズームレベルでの地図解像度で正規化
-                    const centerPos = this.mapCore.getMap().getCenter();
-                    const currentZoom = this.mapCore.getMap().getZoom();
-                    const metersPerPixelAtCenter = mathUtils.calculateMetersPerPixel(centerPos.lat, currentZoom);
+    getSolverMode() {
+        return this.solverMode;
+    }
 
-                    // 実際のスケールをLeafletのスケールに変換
-                    const leafletScale = actualScale / metersPerPixelAtCenter;
+    // ポイントを変換計算に含める/除外する（次回のジオリファレンシングから適用）
+    setPointExcluded(pointId, excluded) {
+        if (excluded) {
+            this.excludedPointIds.add(pointId);
+        } else {
+            this.excludedPointIds.delete(pointId);
+        }
+    }
 
-                    this.logger.info(`スケール計算: 画像距離=${imageDistance.toFixed(2)}px, GPS距離=${gpsDistance.toFixed(2)}m, 実際スケール=${actualScale.toFixed(6)}m/px, Leafletスケール=${leafletScale.toFixed(6)}`);
+    isPointExcluded(pointId) {
+        return this.excludedPointIds.has(pointId);
+    }
 
-                    return leafletScale;
-                }
-            }
+    // ポイントを検証点にする/検証点から戻す（検証点は変換計算に使わず、予測誤差の検証にのみ使う）
+    setCheckPoint(pointId, checkPoint) {
+        if (checkPoint) {
+            this.checkPointIds.add(pointId);
+            this.excludedPointIds.delete(pointId); // 検証点は除外中の扱いにしない
+        } else {
+            this.checkPointIds.delete(pointId);
+        }
+    }
 
-            // フォールバック: アフィン変換行列から計算
-            const centerPos = this.mapCore.getMap().getCenter();
-            const currentZoom = this.mapCore.getMap().getZoom();
-            const metersPerPixelAtCenter = mathUtils.calculateMetersPerPixel(centerPos.lat, currentZoom);
-            const leafletScale = averageScale / metersPerPixelAtCenter;
+    isCheckPoint(pointId) {
+        return this.checkPointIds.has(pointId);
+    }
 
-            this.logger.info(`フォールバックスケール計算: 平均スケール=${averageScale.toFixed(6)}, Leafletスケール=${leafletScale.toFixed(6)}`);
+    clearExcludedPoints() {
+        this.excludedPointIds.clear();
+        this.checkPointIds.clear();
+        this.residualReport = null;
+    }
 
-            return leafletScale;
+    isNonLinearTransformation(transformation) {
+        const params = transformation && transformation.transformation;
+        return !!(params && params.model && params.model !== 'affine');
+    }
 
-        } catch (error) {
-            this.logger.error('スケール計算エラー', error);
-            return this.imageOverlay.getDefaultScale();
+    // 画像座標を {lat, lng} に変換
+    transformImageToLatLng(imageX, imageY, transformation) {
+        const [webMercatorX, webMercatorY] = mathUtils.imageToWebMercator(imageX, imageY, transformation.transformation);
+        return {
+            lat: mathUtils.webMercatorYToLat(webMercatorY),
+            lng: mathUtils.webMercatorXToLon(webMercatorX)
+        };
+    }
+
+    /**
+     * 地図上の位置を画像のピクセル座標に変換（画像範囲外はnull）
+     * @param {L.LatLng} latLng - 地図上の位置
+     * @returns {Array|null} [imageX, imageY]
+     */
+    latLngToImagePixel(latLng) {
+        const image = this.imageOverlay.currentImage;
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        if (!width || !height) {
+            return null;
+        }
+
+        let pixel = null;
+        if (this.currentTransformation) {
+            pixel = mathUtils.applyInverseTransform(latLng.lat, latLng.lng, this.currentTransformation);
+        } else if (this.imageOverlay.imageOverlay) {
+            pixel = mathUtils.convertGpsToImageCoords(latLng.lat, latLng.lng,
+                this.imageOverlay.imageOverlay.getBounds(), width, height);
+        }
+
+        if (!pixel || pixel[0] < 0 || pixel[1] < 0 || pixel[0] > width || pixel[1] > height) {
+            return null;
         }
+        return pixel;
+    }
+
+    // 現在の変換のパラメータの統計量（標準誤差・信頼楕円の計算用。TPS・自由度0の場合はnull）
+    getTransformationStatistics() {
+        return this.residualReport ? this.residualReport.statistics : null;
     }
 
+    /**
+     * 変換後の位置の信頼楕円（画像座標は現在の変換の逆変換で求める）
+     * @param {number} lat
+     * @param {number} lng
+     * @returns {Object|null} mathUtils.calculateConfidenceEllipse()の結果（計算できない場合はnull）
+     */
+    calculateConfidenceEllipseAt(lat, lng) {
+        const statistics = this.getTransformationStatistics();
+        if (!statistics || !this.currentTransformation) {
+            return null;
+        }
+        const pixel = mathUtils.applyInverseTransform(lat, lng, this.currentTransformation);
+        if (!pixel || !isFinite(pixel[0]) || !isFinite(pixel[1])) {
+            return null;
+        }
+        return mathUtils.calculateConfidenceEllipse(pixel[0], pixel[1], this.currentTransformation.transformation,
+            statistics, CONFIG.CONFIDENCE_ELLIPSE_LEVEL);
+    }
+
+    // 画像を格子状に分割し、各セルを2つの三角形として変換後座標を求める
+    buildWarpMesh(transformation, imageWidth, imageHeight) {
+        const divisions = CONFIG.WARP_MESH_DIVISIONS;
+        const grid = [];
+
+        for (let row = 0; row <= divisions; row++) {
+            const gridRow = [];
+            for (let col = 0; col <= divisions; col++) {
+                const x = imageWidth * col / divisions;
+                const y = imageHeight * row / divisions;
+                gridRow.push({ x, y, latLng: this.transformImageToLatLng(x, y, transformation) });
+            }
+            grid.push(gridRow);
+        }
+
+        const toTriangle = vertices => ({
+            imagePoints: vertices.map(v => ({ x: v.x, y: v.y })),
+            latLngs: vertices.map(v => v.latLng)
+        });
 
+        const triangles = [];
+        for (let row = 0; row < divisions; row++) {
+            for (let col = 0; col < divisions; col++) {
+                const topLeft = grid[row][col];
+                const topRight = grid[row][col + 1];
+                const bottomLeft = grid[row + 1][col];
+                const bottomRight = grid[row + 1][col + 1];
+                triangles.push(toTriangle([topLeft, topRight, bottomLeft]));
+                triangles.push(toTriangle([topRight, bottomRight, bottomLeft]));
+            }
+        }
+
+        return triangles;
+    }
 
     matchPointJsonWithGPS(gpsPoints) {
         try {
@@ -353,6 +470,10 @@ export class Georeferencing {
                 const marker = markerInfo.marker;
                 const data = markerInfo.data;  // dataから直接取得
 
+                if (marker === this.draggingMarker) {
+                    continue;
+                }
+
                 if (!data || data.imageX === undefined || data.imageY === undefined) {
                     this.logger.warn('マーカーの画像座標データが不足しています', data);
                     continue;
@@ -389,15 +510,15 @@ export class Georeferencing {
     transformImageCoordsToGps(imageX, imageY, transformation) {
         try {
 
-            if (transformation.type === 'precise') {
+            if (CONFIG.SOLVER_MODES[transformation.type]) {
                 this.logger.info(`変換前: 画像座標=(${imageX}, ${imageY}), 変換パラメータ=`, transformation.transformation);
-                const result = mathUtils.applyAffineTransform(imageX, imageY, transformation);
+                const result = mathUtils.applyTransform(imageX, imageY, transformation);
                 if (result) {
                     this.logger.info(`変換後: GPS座標=(${result[0]}, ${result[1]})`);
                 }
                 return result;
             } else {
-                this.logger.error('精密版以外の変換はサポートされていません');
+                this.logger.error(`未対応の変換方式です: ${transformation.type}`);
                 return null;
             }
 
@@ -594,9 +715,6 @@ export class Georeferencing {
             let created = 0;
             let skipped = 0;
 
-            // 既存のマーカーを全てクリア
-            this.routeSpotHandler.clearPointMarkers();
-
             // pointDataの各ポイントについてGPS座標を計算し、マーカーを作成
             for (const point of this.routeSpotHandler.pointData) {
                 if (point.imageX === undefined || point.imageY === undefined) {
@@ -622,9 +740,24 @@ export class Georeferencing {
                 }
             }
 
+            // ドラッグ中はマーカーを作り直さず、ドラッグ中以外のマーカー位置のみ更新する
+            if (this.draggingMarker) {
+                this.routeSpotHandler.updatePointMarkerPositions(this.draggingMarker);
+                return;
+            }
+
+            // 既存のマーカーを全てクリア
+            this.routeSpotHandler.clearPointMarkers();
+
             // 更新されたpointDataでマーカーを再表示
             if (created > 0) {
                 await this.routeSpotHandler.displayPointsOnMap(this.routeSpotHandler.pointData);
+                this.routeSpotHandler.pointMarkers.forEach(marker => {
+                    const point = this.routeSpotHandler.pointData.find(p => p.id === marker.__meta.id);
+                    if (point) {
+                        this.enablePointMarkerDragging(marker, [point, marker.__meta]);
+                    }
+                });
                 this.logger.info(`✅ 外部ポイント ${created}個のGPS座標を計算し、マーカーを作成しました（スキップ: ${skipped}個）`);
             }
 
@@ -710,6 +843,99 @@ export class Georeferencing {
         this.areaHandler = areaHandler;
     }
 
+    // ControlPointEditorインスタンスを設定（手動配置した制御点ペアを計算に含める）
+    setControlPointEditor(controlPointEditor) {
+        this.controlPointEditor = controlPointEditor;
+    }
+
+    // 読み込み済みのポイントJSONに指定IDのポイントがあるか
+    hasPointJsonId(id) {
+        let pointJsonArray = [];
+        if (this.routeSpotHandler && this.routeSpotHandler.pointData && this.routeSpotHandler.pointData.length > 0) {
+            pointJsonArray = this.routeSpotHandler.pointData;
+        } else if (this.pointJsonData) {
+            pointJsonArray = Array.isArray(this.pointJsonData) ? this.pointJsonData :
+                (this.pointJsonData.points ? this.pointJsonData.points : [this.pointJsonData]);
+        }
+        return pointJsonArray.some(pointJson => (pointJson.Id || pointJson.id || pointJson.name) === id);
+    }
+
+    // ポイントマーカードラッグ時の処理を設定（handler(point, isFinal)）
+    setPointDragHandler(handler) {
+        this.pointDragHandler = handler;
+    }
+
+    /**
+     * ポイントマーカーをドラッグ可能にする
+     * ドラッグ位置を画像座標に逆変換し、targetsの画像座標を更新する
+     * @param {L.Marker} marker - ポイントマーカー
+     * @param {Array} targets - 画像座標（imageX/imageY、x/y形式の場合はx/yも）を更新するオブジェクト
+     */
+    enablePointMarkerDragging(marker, targets) {
+        if (!marker.dragging || marker.dragging.enabled()) {
+            return;
+        }
+        marker.dragging.enable();
+
+        marker.on('dragstart', () => {
+            this.draggingMarker = marker;
+        });
+        marker.on('drag', () => {
+            this.handlePointMarkerDrag(marker, targets, false);
+        });
+        marker.on('dragend', () => {
+            this.draggingMarker = null;
+            if (!this.handlePointMarkerDrag(marker, targets, true)) {
+                // 画像範囲外で離した場合は直前の画像座標の位置に戻す
+                this.logger.warn('画像の範囲外にはポイントを移動できません');
+                this.syncPointPositions();
+                this.syncRouteSpotPositions();
+                // ドラッグ中に反映した位置までの移動を確定
+                if (this.pointDragHandler) {
+                    this.pointDragHandler(targets[0], true);
+                }
+            }
+        });
+    }
+
+    handlePointMarkerDrag(marker, targets, isFinal = false) {
+        const pixel = this.latLngToImagePixel(marker.getLatLng());
+        if (!pixel) {
+            return false;
+        }
+
+        targets.forEach(target => {
+            target.imageX = pixel[0];
+            target.imageY = pixel[1];
+            if (target.x !== undefined && target.y !== undefined) {
+                target.x = pixel[0];
+                target.y = pixel[1];
+            }
+        });
+
+        if (this.pointDragHandler) {
+            this.pointDragHandler(targets[0], isFinal);
+        }
+        return true;
+    }
+
+    // ポイントJSONのうち、表示データ（ID・画像座標）に対応する元データを取得
+    findPointJsonSource(data) {
+        if (!this.pointJsonData) {
+            return null;
+        }
+        const pointJsonArray = Array.isArray(this.pointJsonData) ? this.pointJsonData :
+            (this.pointJsonData.points ? this.pointJsonData.points : [this.pointJsonData]);
+        const id = data.id || data.name;
+
+        return pointJsonArray.find(pointJson => {
+            const imageX = pointJson.imageX !== undefined ? pointJson.imageX : pointJson.x;
+            const imageY = pointJson.imageY !== undefined ? pointJson.imageY : pointJson.y;
+            return (pointJson.Id || pointJson.id || pointJson.name) === id &&
+                imageX === data.imageX && imageY === data.imageY;
+        }) || null;
+    }
+
     // マーカー位置更新の統合メソッド
     updateMarkerPositions(useTransformation) {
         const georefMarkers = this.imageCoordinateMarkers.filter(markerInfo =>
@@ -720,6 +946,11 @@ export class Georeferencing {
             const marker = markerInfo.marker;
             const data = markerInfo.data;
 
+            // ドラッグ中のマーカーはカーソル位置に追従させる
+            if (marker === this.draggingMarker) {
+                return;
+            }
+
             if (!data || data.imageX === undefined || data.imageY === undefined) {
                 this.logger.warn(`マーカー${index}: 画像座標データが不完全`, data);
                 return;
@@ -755,6 +986,15 @@ export class Georeferencing {
 
     addImageCoordinateMarker(markerInfo) {
         this.imageCoordinateMarkers.push(markerInfo);
+
+        // ポイントJSONに元データがあるポイント（ルート中間点・スポット以外）はドラッグで微調整できる
+        const data = markerInfo.data;
+        if (markerInfo.type === 'georeference-point' && data && data.type !== 'waypoint' && data.type !== 'spot') {
+            const source = this.findPointJsonSource(data);
+            if (source) {
+                this.enablePointMarkerDragging(markerInfo.marker, [source, data]);
+            }
+        }
     }
 
     clearImageCoordinateMarkers(markerType = 'all') {
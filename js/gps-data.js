@@ -1,5 +1,5 @@
 // GPS データ処理機能を管理するモジュール
-// GeoJSONファイル読み込み、Excelファイル読み込み、地図表示機能を提供
+// ポイントGPSの保持・マージ、地図表示機能を提供（ファイルの読み込みはGpsFileParser・FileHandler）
 import { Logger, errorHandler } from './utils.js';
 import { CONFIG } from './constants.js';
 import { mathUtils } from './math-utils.js';
@@ -11,86 +11,7 @@ export class GPSData {
         this.gpsMarkers = []; // GPSマーカーとデータを保持
         this.gpsPoints = []; // GPSポイントデータ
         this.map = null;
-    }
-
-    // GeoJSONファイル読み込み処理
-    async loadGeoJsonFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const geoJsonData = JSON.parse(e.target.result);
-                    const processedData = this.processGeoJsonData(geoJsonData);
-                    this.gpsPoints = processedData;
-
-                    this.logger.info(`GeoJSON読み込み完了: GPSポイント ${processedData.length}件`);
-                    resolve(processedData);
-                } catch (error) {
-                    this.logger.error('GeoJSON処理エラー', error);
-                    reject(new Error('GeoJSONデータの処理に失敗しました: ' + error.message));
-                }
-            };
-
-            reader.onerror = () => {
-                const error = new Error('ファイルの読み込みに失敗しました');
-                this.logger.error('ファイル読み込みエラー', error);
-                reject(error);
-            };
-
-            reader.readAsText(file);
-        });
-    }
-
-    // GeoJSONデータ処理
-    processGeoJsonData(geoJsonData) {
-        const processedData = [];
-
-        try {
-            if (geoJsonData.type === 'FeatureCollection' && geoJsonData.features) {
-                // FeatureCollection形式の場合
-                geoJsonData.features.forEach((feature, index) => {
-                    if (feature.geometry && feature.geometry.type === 'Point') {
-                        const coordinates = feature.geometry.coordinates;
-                        const properties = feature.properties || {};
-
-                        const point = {
-                            pointId: properties.id || properties.name || `Point_${index + 1}`,
-                            lat: coordinates[1],
-                            lng: coordinates[0],
-                            elevation: coordinates[2] || properties.elevation || 0,
-                            location: properties.name || properties.location || properties.description || '',
-                            gpsElevation: properties.gpsElevation || 0
-                        };
-
-                        processedData.push(point);
-                    }
-                });
-            } else if (geoJsonData.type === 'Feature' && geoJsonData.geometry) {
-                // 単一Feature形式の場合
-                if (geoJsonData.geometry.type === 'Point') {
-                    const coordinates = geoJsonData.geometry.coordinates;
-                    const properties = geoJsonData.properties || {};
-
-                    const point = {
-                        pointId: properties.id || properties.name || 'Point_1',
-                        lat: coordinates[1],
-                        lng: coordinates[0],
-                        elevation: coordinates[2] || properties.elevation || 0,
-                        location: properties.name || properties.location || properties.description || '',
-                        gpsElevation: properties.gpsElevation || 0
-                    };
-
-                    processedData.push(point);
-                }
-            }
-
-            return processedData;
-
-        } catch (error) {
-            this.logger.error('GeoJSONデータ処理エラー', error);
-            throw new Error('GeoJSONデータの形式が正しくありません');
-        }
+        this.pointDragHandler = null; // マーカードラッグ時に呼び出す処理
     }
 
     // 地図上にGPSポイントを表示
@@ -107,6 +28,7 @@ export class GPSData {
             this.gpsPoints.forEach((point, index) => {
                 const marker = mathUtils.createCustomMarker([point.lat, point.lng], 'gps-point').addTo(map);
                 marker.options.title = point.pointId;
+                this.enableMarkerDragging(marker, point);
 
                 // ポップアップを設定
                 const popupContent = CoordinateDisplay.createGpsPopupContent(point);
@@ -127,6 +49,31 @@ export class GPSData {
     }
 
 
+    // マーカードラッグ時の処理を設定（handler(point, isFinal)）
+    setPointDragHandler(handler) {
+        this.pointDragHandler = handler;
+    }
+
+    // マーカーをドラッグ可能にし、移動に合わせてGPS座標を更新する
+    enableMarkerDragging(marker, point) {
+        marker.dragging.enable();
+
+        const updatePoint = (isFinal) => {
+            const latLng = marker.getLatLng();
+            point.lat = latLng.lat;
+            point.lng = latLng.lng;
+            if (this.pointDragHandler) {
+                this.pointDragHandler(point, isFinal);
+            }
+        };
+
+        marker.on('drag', () => updatePoint(false));
+        marker.on('dragend', () => {
+            updatePoint(true);
+            this.logger.info(`GPSポイント移動: ${point.pointId} → (${point.lat.toFixed(6)}, ${point.lng.toFixed(6)})`);
+        });
+    }
+
     // 地図からマーカーを削除
     clearMarkersFromMap() {
         try {
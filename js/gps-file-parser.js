@@ -0,0 +1,803 @@
+// ポイントGPSファイル読み込みモジュール
+// CSV/TSV・GPX・KML・GeoJSONからポイントGPSを読み込み、Excelと同じポイントデータ
+// {pointId, name, lat, lng, elevation, description} に変換する
+// CSV/TSVは文字コード（UTF-8・Shift_JISなど）と区切り文字を自動判定する
+// Excel・CSV/TSVの表は、列の割り当て（ColumnMappingDialogで確認）に従って行ごとに検証する
+// GPX・KML・GeoJSONの線・面は、画像座標への逆変換用の地物データとして読み込む
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { coordinateConverter } from './coordinate-converter.js';
+
+// CSV/TSVの区切り文字の候補（判定できない場合は先頭を使用）
+const DELIMITER_CANDIDATES = [',', '\t', ';', '|'];
+const DELIMITER_SAMPLE_LINES = 20;
+
+// BOMがない場合に試す文字コード（誤判定しにくい順）
+const FALLBACK_ENCODINGS = ['utf-8', 'shift_jis', 'euc-jp'];
+
+// 見出しから列の割り当てを推定する際の列名（CONFIG.GPS_COLUMN_FIELDSのキーごと。小文字・前後の空白を除いて比較）
+const COLUMN_ALIASES = {
+    pointId: ['ポイントid', 'id', 'pointid', 'point_id', 'point id', 'no', 'no.', '番号'],
+    name: ['名称', 'name', '名前', '地点名', 'title'],
+    lat: ['緯度', 'lat', 'latitude'],
+    lng: ['経度', 'lng', 'lon', 'long', 'longitude'],
+    elevation: ['標高', 'ele', 'elevation', 'alt', 'altitude', '高度'],
+    description: ['備考', 'description', 'desc', 'comment', 'note', 'memo', 'メモ']
+};
+
+// 平面直角座標系の場合に緯度・経度の項目に割り当てる列名（X: 北向き、Y: 東向き）
+const PLANE_COLUMN_ALIASES = {
+    lat: ['x', 'x座標', 'x(m)', 'northing'],
+    lng: ['y', 'y座標', 'y(m)', 'easting']
+};
+
+// 本アプリが出力する地物の種類（GeoJSONのproperties.type・KMLの拡張データtype）
+const FEATURE_TYPES = ['point', 'route', 'spot', 'area'];
+
+export class GpsFileParser {
+    constructor() {
+        this.logger = new Logger('GpsFileParser');
+    }
+
+    /**
+     * ファイル名の拡張子からファイル形式を判定
+     * @param {string} fileName - ファイル名
+     * @returns {string|null} CONFIG.GPS_FILE_FORMATSのキー（未対応の場合はnull）
+     */
+    detectFormat(fileName) {
+        const lowerName = (fileName || '').toLowerCase();
+        const format = Object.keys(CONFIG.GPS_FILE_FORMATS).find(key =>
+            CONFIG.GPS_FILE_FORMATS[key].extensions.some(extension => lowerName.endsWith(extension))
+        );
+        return format || null;
+    }
+
+    /**
+     * ファイルをテキストとして読み込む（文字コードを自動判定）
+     * @param {File} file - 読み込むファイル
+     * @returns {Promise<Object>} {text, encoding}
+     */
+    async readText(file) {
+        const buffer = await file.arrayBuffer();
+        return this.decodeText(new Uint8Array(buffer));
+    }
+
+    /**
+     * バイト列の文字コードを判定してテキストに変換
+     * BOMがあればそれに従い、なければUTF-8 → Shift_JIS → EUC-JPの順に、不正なバイト列にならないものを採用する
+     * @param {Uint8Array} bytes - ファイルの内容
+     * @param {string} [declaredEncoding] - XML宣言などで指定された文字コード
+     * @returns {Object} {text, encoding}
+     */
+    decodeText(bytes, declaredEncoding = null) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+        }
+
+        const encodings = declaredEncoding ? [declaredEncoding.toLowerCase(), ...FALLBACK_ENCODINGS] : FALLBACK_ENCODINGS;
+        for (const encoding of encodings) {
+            try {
+                return { text: new TextDecoder(encoding, { fatal: true }).decode(bytes), encoding };
+            } catch (error) {
+                // 不正なバイト列、またはブラウザが対応していない文字コードの場合は次の候補を試す
+            }
+        }
+
+        this.logger.warn('文字コードを判定できないため、Shift_JISとして読み込みます');
+        return { text: new TextDecoder('shift_jis').decode(bytes), encoding: 'shift_jis' };
+    }
+
+    // ==========================================
+    // CSV/TSV
+    // ==========================================
+
+    /**
+     * CSV/TSVファイルを読み込み、Excelのシートと同じ形式の表に変換
+     * @param {File} file - CSV/TSVファイル
+     * @returns {Promise<Object>} {name, rows, firstRowNumber, firstColumn, truncated}
+     */
+    async readDelimitedFile(file) {
+        const { text, encoding } = await this.readText(file);
+        const delimiter = this.detectDelimiter(text, file.name.toLowerCase().endsWith('.tsv') ? '\t' : ',');
+        const allRows = this.parseDelimitedText(text, delimiter);
+        const rows = allRows.slice(0, CONFIG.MAX_EXCEL_ROWS);
+
+        this.logger.info(`CSV/TSV読み込み: ${file.name}, 文字コード: ${encoding}, 区切り文字: ${JSON.stringify(delimiter)}, ${rows.length}行`);
+        return { name: file.name, rows, firstRowNumber: 1, firstColumn: 0, truncated: allRows.length > rows.length };
+    }
+
+    /**
+     * 区切り文字を判定
+     * 先頭の数行を候補の区切り文字で分割し、2列以上でヘッダー行と同じ列数になる行が最も多いものを採用する
+     * @param {string} text - ファイルの内容
+     * @param {string} defaultDelimiter - 判定できない場合の区切り文字
+     * @returns {string} 区切り文字
+     */
+    detectDelimiter(text, defaultDelimiter = ',') {
+        const sample = text.split(/\r\n|\r|\n/).filter(line => line.trim() !== '').slice(0, DELIMITER_SAMPLE_LINES).join('\n');
+
+        let best = { delimiter: defaultDelimiter, score: 0, columns: 0 };
+        for (const delimiter of DELIMITER_CANDIDATES) {
+            const rows = this.parseDelimitedText(sample, delimiter).filter(row => row.length > 0);
+            const columns = rows.length > 0 ? rows[0].length : 0;
+            if (columns < 2) continue;
+
+            const score = rows.filter(row => row.length === columns).length;
+            if (score > best.score || (score === best.score && columns > best.columns)) {
+                best = { delimiter, score, columns };
+            }
+        }
+        return best.delimiter;
+    }
+
+    /**
+     * 区切り文字で分割（ダブルクォートで囲んだ値の区切り文字・改行と、""によるエスケープに対応）
+     * @param {string} text - ファイルの内容
+     * @param {string} delimiter - 区切り文字
+     * @returns {Array<Array<string>>} 行配列（行番号がずれないよう、空行は空の配列）
+     */
+    parseDelimitedText(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+
+        const endValue = () => {
+            row.push(value.trim());
+            value = '';
+        };
+        const endRow = () => {
+            endValue();
+            rows.push(row.some(cell => cell !== '') ? row : []);
+            row = [];
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        value += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    value += char;
+                }
+            } else if (char === '"' && value.trim() === '') {
+                value = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                endValue();
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                endRow();
+            } else {
+                value += char;
+            }
+        }
+        endRow();
+
+        // 末尾の空行は除く
+        while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+            rows.pop();
+        }
+        return rows;
+    }
+
+    // ==========================================
+    // 表（Excel・CSV/TSV）の列の割り当て
+    // ==========================================
+
+    /**
+     * 見出し行の列名から列の割り当てを推定
+     * @param {Array} headerRow - 見出し行
+     * @param {string} coordinateSystem - 座標系（平面直角座標系の場合は緯度・経度にX・Yの列を割り当てる）
+     * @returns {Object} CONFIG.GPS_COLUMN_FIELDSのキーごとの列番号（該当する列がない場合はnull）
+     */
+    detectColumnMapping(headerRow, coordinateSystem = 'latlng') {
+        const header = (headerRow || []).map(cell => this.cellToString(cell).toLowerCase());
+        const aliases = coordinateConverter.getPlaneZone(coordinateSystem)
+            ? { ...COLUMN_ALIASES, ...PLANE_COLUMN_ALIASES } : COLUMN_ALIASES;
+        const mapping = {};
+        const used = new Set();
+        Object.keys(CONFIG.GPS_COLUMN_FIELDS).forEach(field => {
+            const index = header.findIndex((cell, i) => !used.has(i) && aliases[field].includes(cell));
+            mapping[field] = index === -1 ? null : index;
+            if (index !== -1) {
+                used.add(index);
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * 見出し行の識別文字列（同じ見出しの表に、前回の列の割り当てを適用するために使用）
+     * @param {Array} headerRow - 先頭行
+     * @returns {string}
+     */
+    getHeaderSignature(headerRow) {
+        return JSON.stringify((headerRow || []).map(cell => this.cellToString(cell)));
+    }
+
+    // 必須の項目がすべて割り当てられているか
+    isMappingComplete(mapping) {
+        return Object.entries(CONFIG.GPS_COLUMN_FIELDS)
+            .every(([field, { required }]) => !required || Number.isInteger(mapping[field]));
+    }
+
+    /**
+     * 列の割り当てに従って表の各行を検証し、ポイントデータに変換
+     * 空行以外で読み込めない行は、行番号と理由を記録する
+     * @param {Object} sheet - {rows, firstRowNumber}
+     * @param {Object} setting - {hasHeader, mapping, coordinateSystem, datum}
+     *   coordinateSystemが平面直角座標系の場合、緯度・経度の列をX・Y（m）として換算する
+     *   datumが日本測地系の場合、世界測地系（JGD2011）に変換する
+     * @returns {Object} {points, rejected: [{rowNumber, reason}]}
+     */
+    convertRows(sheet, { hasHeader, mapping, coordinateSystem = 'latlng', datum = CONFIG.DEFAULT_GPS_DATUM }) {
+        const points = [];
+        const rejected = [];
+        const zone = coordinateConverter.getPlaneZone(coordinateSystem);
+        const getValue = (row, field) => Number.isInteger(mapping[field]) ? row[mapping[field]] : undefined;
+
+        sheet.rows.forEach((row, index) => {
+            if (hasHeader && index === 0) return;
+            if (!row || row.every(cell => this.cellToString(cell) === '')) return;
+
+            const rowNumber = sheet.firstRowNumber + index;
+            const reject = reason => rejected.push({ rowNumber, reason });
+
+            const pointId = getValue(row, 'pointId');
+            if (this.cellToString(pointId) === '') {
+                reject('ポイントIDが空です');
+                return;
+            }
+
+            const position = this.parsePositionCells(getValue(row, 'lat'), getValue(row, 'lng'), zone, datum);
+            if (position.error) {
+                reject(position.error);
+                return;
+            }
+            // 標高は任意（空の場合はnull）
+            let elevation = null;
+            if (this.cellToString(getValue(row, 'elevation')) !== '') {
+                const parsed = this.parseNumberCell(getValue(row, 'elevation'), '標高');
+                if (parsed.error) {
+                    reject(parsed.error);
+                    return;
+                }
+                elevation = parsed.value;
+            }
+
+            const name = this.cellToString(getValue(row, 'name'));
+            const description = this.cellToString(getValue(row, 'description'));
+            points.push({
+                // Excelの数値のIDは、画像上のポイント（JSON）のIDと照合するため数値のまま保持
+                pointId: typeof pointId === 'string' ? pointId.trim() : pointId,
+                name: name || String(pointId).trim(),
+                lat: position.lat,
+                lng: position.lng,
+                elevation,
+                description: description || null,
+                sourceDatum: datum
+            });
+        });
+
+        return { points, rejected };
+    }
+
+    /**
+     * 緯度・経度（平面直角座標系の場合はX・Y）のセルを解析し、世界測地系（JGD2011）の緯度経度に変換
+     * @param {number|null} zone - 平面直角座標系の系番号（緯度経度の場合はnull）
+     * @param {string} datum - 測地系（CONFIG.GPS_DATUMSのキー）
+     * @returns {Object} {lat, lng, error}
+     */
+    parsePositionCells(latCell, lngCell, zone, datum) {
+        const position = zone
+            ? this.parsePlaneCells(latCell, lngCell, zone, datum)
+            : this.parseAngleCells(latCell, lngCell);
+        if (position.error) {
+            return position;
+        }
+        return { ...coordinateConverter.toJgd2011(position.lat, position.lng, datum), error: null };
+    }
+
+    // 緯度・経度のセル（十進度・度分秒）を解析
+    parseAngleCells(latCell, lngCell) {
+        try {
+            return {
+                lat: coordinateConverter.parseAngle(latCell, 'lat'),
+                lng: coordinateConverter.parseAngle(lngCell, 'lng'),
+                error: null
+            };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    // 平面直角座標系のX・Yのセルを解析し、同じ測地系の緯度経度に換算
+    parsePlaneCells(xCell, yCell, zone, datum = CONFIG.DEFAULT_GPS_DATUM) {
+        const x = this.parseNumberCell(xCell, 'X');
+        if (x.error) {
+            return { error: x.error };
+        }
+        const y = this.parseNumberCell(yCell, 'Y');
+        if (y.error) {
+            return { error: y.error };
+        }
+        return { ...coordinateConverter.planeRectangularToLatLng(x.value, y.value, zone, datum), error: null };
+    }
+
+    /**
+     * セルの値を数値に変換
+     * @returns {Object} {value, error}（変換できない・範囲外の場合はerrorに理由）
+     */
+    parseNumberCell(cell, label, min = -Infinity, max = Infinity) {
+        const text = this.cellToString(cell);
+        if (text === '') {
+            return { value: null, error: `${label}が空です` };
+        }
+        const value = typeof cell === 'number' ? cell : Number(text);
+        if (!Number.isFinite(value)) {
+            return { value: null, error: `${label}が数値ではありません（${text}）` };
+        }
+        if (value < min || value > max) {
+            return { value, error: `${label}が範囲外です（${text}、${min}〜${max}）` };
+        }
+        return { value, error: null };
+    }
+
+    cellToString(cell) {
+        return (cell === undefined || cell === null) ? '' : String(cell).trim();
+    }
+
+    // ==========================================
+    // GPX・KML
+    // ==========================================
+
+    /**
+     * GPXファイルのウェイポイント（wpt）を読み込む
+     * @param {File} file - GPXファイル
+     * @returns {Promise<Array>} ポイントデータ配列
+     */
+    async readGpxFile(file) {
+        const doc = await this.readXmlFile(file);
+        const points = [];
+
+        Array.from(doc.getElementsByTagNameNS('*', 'wpt')).forEach((waypoint, index) => {
+            const name = this.getChildText(waypoint, 'name');
+            const point = this.createPoint({
+                pointId: name || `WPT_${index + 1}`,
+                name: name || `WPT_${index + 1}`,
+                lat: waypoint.getAttribute('lat'),
+                lng: waypoint.getAttribute('lon'),
+                elevation: this.getChildText(waypoint, 'ele'),
+                description: this.getChildText(waypoint, 'desc') || this.getChildText(waypoint, 'cmt')
+            });
+            if (point) {
+                points.push(point);
+            }
+        });
+
+        this.logger.info(`GPX読み込み: ${file.name}, ウェイポイント ${points.length}件`);
+        return points;
+    }
+
+    /**
+     * KMLファイルのポイントの目印（Point を持つ Placemark）を読み込む
+     * ポイントIDは拡張データ（ExtendedData）の id / ポイントID、なければ名称とする
+     * @param {File} file - KMLファイル
+     * @returns {Promise<Array>} ポイントデータ配列
+     */
+    async readKmlFile(file) {
+        const doc = await this.readXmlFile(file);
+        const points = [];
+
+        Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).forEach((placemark, index) => {
+            const pointElement = placemark.getElementsByTagNameNS('*', 'Point')[0];
+            const coordinates = pointElement ? this.getChildText(pointElement, 'coordinates') : '';
+            if (!coordinates) return;
+
+            // 座標は「経度,緯度[,高度]」
+            const [lng, lat, altitude] = coordinates.split(/\s+/)[0].split(',');
+            const name = this.getChildText(placemark, 'name');
+            const extendedData = this.getKmlExtendedData(placemark);
+            const pointId = extendedData['id'] || extendedData['ポイントID'] || name || `Placemark_${index + 1}`;
+
+            const point = this.createPoint({
+                pointId,
+                name: name || pointId,
+                lat,
+                lng,
+                elevation: extendedData['標高'] || extendedData['elevation'] || altitude,
+                description: this.getChildText(placemark, 'description')
+            });
+            if (point) {
+                points.push(point);
+            }
+        });
+
+        this.logger.info(`KML読み込み: ${file.name}, ポイント ${points.length}件`);
+        return points;
+    }
+
+    // XMLファイルを読み込む（XML宣言の文字コードを優先）
+    async readXmlFile(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const declaration = new TextDecoder('ascii').decode(bytes.subarray(0, 200));
+        const match = declaration.match(/<\?xml[^>]*encoding=["']([^"']+)["']/i);
+        const { text } = this.decodeText(bytes, match ? match[1] : null);
+
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('XMLの形式が正しくありません。');
+        }
+        return doc;
+    }
+
+    // 直下の子要素のテキスト（名前空間は問わない）
+    getChildText(element, localName) {
+        const child = Array.from(element.children).find(node => node.localName === localName);
+        return child ? child.textContent.trim() : '';
+    }
+
+    // KMLの拡張データ（Data・SimpleData）を {名前: 値} で取得
+    getKmlExtendedData(placemark) {
+        const values = {};
+        Array.from(placemark.getElementsByTagNameNS('*', 'Data')).forEach(data => {
+            const name = data.getAttribute('name');
+            if (name) {
+                values[name] = this.getChildText(data, 'value');
+            }
+        });
+        Array.from(placemark.getElementsByTagNameNS('*', 'SimpleData')).forEach(data => {
+            const name = data.getAttribute('name');
+            if (name) {
+                values[name] = data.textContent.trim();
+            }
+        });
+        return values;
+    }
+
+    // ==========================================
+    // GeoJSON
+    // ==========================================
+
+    /**
+     * GeoJSONファイルのPoint地物を読み込む
+     * @param {File} file - GeoJSONファイル
+     * @returns {Promise<Array>} ポイントデータ配列
+     */
+    async readGeoJsonFile(file) {
+        const points = this.parseGeoJson(await this.readJsonFile(file));
+        this.logger.info(`GeoJSON読み込み: ${file.name}, ポイント ${points.length}件`);
+        return points;
+    }
+
+    /**
+     * GeoJSON（FeatureCollection・Feature）のPoint地物をポイントデータに変換
+     * ポイントIDはプロパティの id / pointId / ポイントID、なければ名称とする
+     * crs（旧仕様）で平面直角座標系が指定されている場合は座標を[Y, X]として緯度経度に換算し、
+     * 日本測地系が指定されている場合は世界測地系（JGD2011）に変換する
+     * @param {Object} data - GeoJSONデータ
+     * @returns {Array} ポイントデータ配列
+     */
+    parseGeoJson(data) {
+        const { datum, zone } = this.getGeoJsonCrs(data);
+        let features;
+        if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+            features = data.features;
+        } else if (data && data.type === 'Feature') {
+            features = [data];
+        } else {
+            throw new Error('GeoJSON（FeatureCollectionまたはFeature）ではありません。');
+        }
+
+        const points = [];
+        features.forEach((feature, index) => {
+            if (!feature || !feature.geometry || feature.geometry.type !== 'Point') return;
+
+            const coordinates = feature.geometry.coordinates || [];
+            const properties = feature.properties || {};
+            const name = properties.name ?? properties['名称'];
+            const pointId = properties.id ?? properties.pointId ?? properties['ポイントID'] ?? feature.id ?? name ?? `Point_${index + 1}`;
+
+            const position = this.parsePositionCells(coordinates[1], coordinates[0], zone, datum);
+            if (position.error) {
+                this.logger.warn(`ポイント「${pointId}」を読み込めません: ${position.error}`);
+                return;
+            }
+
+            const point = this.createPoint({
+                pointId,
+                name: name ?? pointId,
+                lat: position.lat,
+                lng: position.lng,
+                elevation: coordinates[2] ?? properties.elevation ?? properties['標高'],
+                description: properties.description ?? properties['備考'],
+                sourceDatum: datum
+            });
+            if (point) {
+                points.push(point);
+            }
+        });
+        return points;
+    }
+
+    async readJsonFile(file) {
+        const { text } = await this.readText(file);
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error('JSONの形式が正しくありません: ' + error.message);
+        }
+    }
+
+    /**
+     * GeoJSONのcrsから測地系と平面直角座標系の系番号を取得
+     * @returns {Object} {datum, zone}（crsがない場合は世界測地系の緯度経度）
+     * @throws {Error} 対応していない座標系の場合
+     */
+    getGeoJsonCrs(data) {
+        const crsName = data && data.crs && data.crs.properties && data.crs.properties.name;
+        if (!crsName || /CRS84$/i.test(crsName)) {
+            return { datum: CONFIG.DEFAULT_GPS_DATUM, zone: null };
+        }
+
+        const match = /EPSG:+(\d+)$/i.exec(crsName);
+        const crs = match ? coordinateConverter.getCrsFromEpsg(parseInt(match[1], 10)) : null;
+        if (!crs) {
+            throw new Error(`対応していない座標系です: ${crsName}（緯度経度または平面直角座標系のみ対応）`);
+        }
+        const datumLabel = CONFIG.GPS_DATUMS[crs.datum].label;
+        this.logger.info(`GeoJSONの座標系: ${crsName}（${datumLabel}${crs.zone ? `、平面直角座標系 第${crs.zone}系` : ''}）`);
+        return crs;
+    }
+
+    // ==========================================
+    // 地物（画像座標への逆変換用）
+    // ==========================================
+
+    /**
+     * GPX・KML・GeoJSONファイルのポイント・線・面を読み込む
+     * @param {File} file - GPX・KML・GeoJSONファイル
+     * @returns {Promise<Array>} 地物データ配列 [{geometry, type, id, name, description, startPoint, endPoint, latLngs}]
+     *   geometry: 'point' | 'line' | 'polygon'、type: 本アプリの出力の種類（point・route・spot・area。不明な場合はnull）
+     *   latLngs: 世界測地系（JGD2011）の [{lat, lng}]（面は外周のみで、始点と同じ終点は含めない）
+     */
+    async readGpsFeatures(file) {
+        let features;
+        switch (this.detectFormat(file.name)) {
+            case 'gpx':
+                features = this.parseGpxFeatures(await this.readXmlFile(file));
+                break;
+            case 'kml':
+                features = this.parseKmlFeatures(await this.readXmlFile(file));
+                break;
+            case 'geojson':
+                features = this.parseGeoJsonFeatures(await this.readJsonFile(file));
+                break;
+            default:
+                throw new Error('対応していないファイル形式です（GPX・KML・GeoJSONを選択してください）。');
+        }
+
+        this.logger.info(`地物読み込み: ${file.name}, ${features.length}件`);
+        return features;
+    }
+
+    // GPXのウェイポイント（wpt）・ルート（rte）・トラック（trk、セグメントごと）
+    parseGpxFeatures(doc) {
+        const features = [];
+        const getPositions = (elements) => elements.map(element => [element.getAttribute('lat'), element.getAttribute('lon')]);
+        const getDescription = (element) => this.getChildText(element, 'desc') || this.getChildText(element, 'cmt');
+
+        Array.from(doc.getElementsByTagNameNS('*', 'wpt')).forEach((waypoint, index) => {
+            features.push(this.createFeature({
+                geometry: 'point',
+                name: this.getChildText(waypoint, 'name') || `WPT_${index + 1}`,
+                description: getDescription(waypoint),
+                positions: getPositions([waypoint])
+            }));
+        });
+
+        Array.from(doc.getElementsByTagNameNS('*', 'rte')).forEach((route, index) => {
+            features.push(this.createFeature({
+                geometry: 'line',
+                name: this.getChildText(route, 'name') || `RTE_${index + 1}`,
+                description: getDescription(route),
+                positions: getPositions(Array.from(route.getElementsByTagNameNS('*', 'rtept')))
+            }));
+        });
+
+        Array.from(doc.getElementsByTagNameNS('*', 'trk')).forEach((track, index) => {
+            const name = this.getChildText(track, 'name') || `TRK_${index + 1}`;
+            const segments = Array.from(track.getElementsByTagNameNS('*', 'trkseg'));
+            segments.forEach((segment, segmentIndex) => {
+                features.push(this.createFeature({
+                    geometry: 'line',
+                    name: segments.length > 1 ? `${name} (${segmentIndex + 1})` : name,
+                    description: getDescription(track),
+                    positions: getPositions(Array.from(segment.getElementsByTagNameNS('*', 'trkpt')))
+                }));
+            });
+        });
+
+        return features.filter(Boolean);
+    }
+
+    // KMLの目印（Point・LineString・Polygon。MultiGeometryは形状ごと）
+    parseKmlFeatures(doc) {
+        const features = [];
+        // 座標は「経度,緯度[,高度]」を空白区切り
+        const getPositions = (element) => this.getChildText(element, 'coordinates')
+            .split(/\s+/).filter(Boolean)
+            .map(tuple => {
+                const [lng, lat] = tuple.split(',');
+                return [lat, lng];
+            });
+
+        Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).forEach((placemark, index) => {
+            const extendedData = this.getKmlExtendedData(placemark);
+            const name = this.getChildText(placemark, 'name') || `Placemark_${index + 1}`;
+            const properties = {
+                type: extendedData['type'],
+                id: extendedData['id'] || extendedData['ポイントID'],
+                name,
+                description: this.getChildText(placemark, 'description')
+            };
+
+            const geometries = [
+                ...Array.from(placemark.getElementsByTagNameNS('*', 'Point')).map(element => ['point', getPositions(element)]),
+                ...Array.from(placemark.getElementsByTagNameNS('*', 'LineString')).map(element => ['line', getPositions(element)]),
+                ...Array.from(placemark.getElementsByTagNameNS('*', 'Polygon')).map(element => {
+                    const outer = element.getElementsByTagNameNS('*', 'outerBoundaryIs')[0];
+                    const ring = outer && outer.getElementsByTagNameNS('*', 'LinearRing')[0];
+                    return ['polygon', ring ? getPositions(ring) : []];
+                })
+            ];
+            geometries.forEach(([geometry, positions]) => {
+                features.push(this.createFeature({ ...properties, geometry, positions }));
+            });
+        });
+
+        return features.filter(Boolean);
+    }
+
+    // GeoJSONの地物（Multi*は形状ごと。crsの座標系・測地系はポイントと同様に変換）
+    parseGeoJsonFeatures(data) {
+        const { datum, zone } = this.getGeoJsonCrs(data);
+        let features;
+        if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+            features = data.features;
+        } else if (data && data.type === 'Feature') {
+            features = [data];
+        } else {
+            throw new Error('GeoJSON（FeatureCollectionまたはFeature）ではありません。');
+        }
+
+        const toPositions = (coordinates) => (Array.isArray(coordinates) ? coordinates : [])
+            .filter(Array.isArray)
+            .map(coordinate => [coordinate[1], coordinate[0]]);
+        const results = [];
+        features.forEach((feature, index) => {
+            if (!feature || !feature.geometry || !Array.isArray(feature.geometry.coordinates)) return;
+
+            const { type, coordinates } = feature.geometry;
+            const properties = feature.properties || {};
+            const name = properties.name ?? properties['名称'] ?? `Feature_${index + 1}`;
+            const base = {
+                type: properties.type,
+                id: properties.id ?? feature.id,
+                name,
+                description: properties.description ?? properties['備考'],
+                startPoint: properties.startPoint,
+                endPoint: properties.endPoint,
+                zone,
+                datum
+            };
+
+            const parts = {
+                Point: [['point', [coordinates]]],
+                MultiPoint: coordinates.map(point => ['point', [point]]),
+                LineString: [['line', coordinates]],
+                MultiLineString: coordinates.map(line => ['line', line]),
+                Polygon: [['polygon', coordinates[0] || []]],
+                MultiPolygon: coordinates.map(polygon => ['polygon', polygon[0] || []])
+            }[type];
+            if (!parts) {
+                this.logger.warn(`対応していない形状です: ${type}`);
+                return;
+            }
+
+            parts.forEach(([geometry, partCoordinates], partIndex) => {
+                results.push(this.createFeature({
+                    ...base,
+                    name: parts.length > 1 ? `${name} (${partIndex + 1})` : name,
+                    geometry,
+                    positions: toPositions(partCoordinates)
+                }));
+            });
+        });
+
+        return results.filter(Boolean);
+    }
+
+    /**
+     * 地物データを作成（解析できない頂点は除き、頂点が足りない場合はnull）
+     * @param {Array} positions - [[緯度, 経度], ...]（平面直角座標系の場合は [X, Y]）
+     * @returns {Object|null} {geometry, type, id, name, description, startPoint, endPoint, latLngs}
+     */
+    createFeature({ geometry, type, id, name, description, startPoint, endPoint, positions, zone = null, datum = CONFIG.DEFAULT_GPS_DATUM }) {
+        const latLngs = [];
+        positions.forEach(([latCell, lngCell]) => {
+            const position = this.parsePositionCells(latCell, lngCell, zone, datum);
+            if (position.error) {
+                this.logger.warn(`「${name}」の頂点を読み込めません: ${position.error}`);
+                return;
+            }
+            latLngs.push({ lat: position.lat, lng: position.lng });
+        });
+
+        // 面の終点（始点と同じ）を除く
+        if (geometry === 'polygon' && latLngs.length > 1) {
+            const first = latLngs[0];
+            const last = latLngs[latLngs.length - 1];
+            if (first.lat === last.lat && first.lng === last.lng) {
+                latLngs.pop();
+            }
+        }
+
+        const minimumCount = { point: 1, line: 2, polygon: 3 }[geometry];
+        if (latLngs.length < minimumCount) {
+            this.logger.warn(`「${name}」は頂点が足りないため読み込みません`);
+            return null;
+        }
+
+        return {
+            geometry,
+            type: FEATURE_TYPES.includes(type) ? type : null,
+            id: id !== undefined && id !== null && id !== '' ? String(id) : null,
+            name: String(name),
+            description: description ? String(description) : null,
+            startPoint: startPoint ? String(startPoint) : null,
+            endPoint: endPoint ? String(endPoint) : null,
+            latLngs
+        };
+    }
+
+    /**
+     * ポイントデータを作成（緯度・経度は十進度・度分秒。解析できない・範囲外の場合はnull）
+     * @param {string} sourceDatum - 読み込み元の測地系（緯度・経度は変換済みの値を渡す。GPX・KMLは世界測地系）
+     * @returns {Object|null} {pointId, name, lat, lng, elevation, description, sourceDatum}
+     */
+    createPoint({ pointId, name, lat, lng, elevation, description, sourceDatum = CONFIG.DEFAULT_GPS_DATUM }) {
+        const position = this.parseAngleCells(lat, lng);
+        if (position.error) {
+            this.logger.warn(`ポイント「${pointId}」を読み込めません: ${position.error}`);
+            return null;
+        }
+        const latValue = position.lat;
+        const lngValue = position.lng;
+
+        const elevationValue = parseFloat(elevation);
+        return {
+            pointId: String(pointId),
+            name: String(name),
+            lat: latValue,
+            lng: lngValue,
+            elevation: isNaN(elevationValue) ? null : elevationValue,
+            description: description ? String(description) : null,
+            sourceDatum
+        };
+    }
+}
@@ -0,0 +1,158 @@
+// 操作履歴（取り消し・やり直し）モジュール
+// 各操作を「操作前の作業状態」と「操作後の作業状態」を持つコマンドとして記録する
+// 作業状態はJSON文字列で保持し（操作後の状態は次のコマンドの操作前の状態と共有）、
+// 取り消し・やり直し時は画像を読み込み直さずに作業データのみを置き換える
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+
+export class HistoryManager {
+    constructor(app) {
+        this.app = app;
+        this.logger = new Logger('HistoryManager');
+        this.commands = []; // [{label, time, before, after}]
+        this.position = 0; // 適用済みのコマンド数（commands[position]以降はやり直し可能）
+        this.currentState = null; // 現在の作業状態（JSON文字列）
+        this.applying = false;
+        this.changeCallbacks = [];
+    }
+
+    // 履歴の変更時に呼び出す処理を追加
+    addChangeCallback(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    notifyChange() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                this.logger.error('履歴変更通知エラー', error);
+            }
+        });
+    }
+
+    captureState() {
+        return JSON.stringify(this.app.collectWorkingState());
+    }
+
+    /**
+     * 履歴を破棄し、現在の状態を起点にする（PNG画像の読み込み・プロジェクトを開いた時）
+     */
+    reset() {
+        this.commands = [];
+        this.position = 0;
+        this.currentState = this.captureState();
+        this.notifyChange();
+    }
+
+    /**
+     * 操作の完了後に呼び出し、前回の記録から作業状態が変わっていればコマンドとして記録
+     * @param {string} label - 履歴パネルに表示する操作名
+     * @returns {boolean} 記録した場合true
+     */
+    checkpoint(label) {
+        if (this.applying || this.app.restoringProject) {
+            return false;
+        }
+
+        const state = this.captureState();
+        if (this.currentState === null) {
+            this.currentState = state;
+            return false;
+        }
+        if (state === this.currentState) {
+            return false;
+        }
+
+        // やり直し可能なコマンドは破棄
+        this.commands.splice(this.position);
+        this.commands.push({ label, time: new Date(), before: this.currentState, after: state });
+        if (this.commands.length > CONFIG.HISTORY_MAX_ENTRIES) {
+            this.commands.splice(0, this.commands.length - CONFIG.HISTORY_MAX_ENTRIES);
+        }
+        this.position = this.commands.length;
+        this.currentState = state;
+
+        this.logger.info(`操作を記録: ${label}`);
+        this.notifyChange();
+        return true;
+    }
+
+    canUndo() {
+        return !this.applying && this.position > 0;
+    }
+
+    canRedo() {
+        return !this.applying && this.position < this.commands.length;
+    }
+
+    /**
+     * 直前の操作を取り消す
+     * @returns {Promise<Object|null>} {label, warnings}（取り消せない場合はnull）
+     */
+    async undo() {
+        if (!this.canUndo()) {
+            return null;
+        }
+        const command = this.commands[this.position - 1];
+        const warnings = await this.applyState(command.before, this.position - 1);
+        return { label: command.label, warnings };
+    }
+
+    /**
+     * 取り消した操作をやり直す
+     * @returns {Promise<Object|null>} {label, warnings}（やり直せない場合はnull）
+     */
+    async redo() {
+        if (!this.canRedo()) {
+            return null;
+        }
+        const command = this.commands[this.position];
+        const warnings = await this.applyState(command.after, this.position + 1);
+        return { label: command.label, warnings };
+    }
+
+    /**
+     * 指定した位置の状態に移動（履歴パネルで選択した時）
+     * @param {number} position - 0: 最初の操作の前、n: n番目の操作の後
+     * @returns {Promise<Array<string>|null>} 注意事項（移動しない場合はnull）
+     */
+    async goTo(position) {
+        if (this.applying || position === this.position || position < 0 || position > this.commands.length) {
+            return null;
+        }
+        const state = position === 0 ? this.commands[0].before : this.commands[position - 1].after;
+        return this.applyState(state, position);
+    }
+
+    async applyState(state, position) {
+        this.applying = true;
+        this.notifyChange();
+        try {
+            const warnings = await this.app.dataImporter.replaceWorkingState(JSON.parse(state));
+            this.position = position;
+            return warnings;
+        } finally {
+            // 復元の途中で失敗した場合も、次の記録は実際の状態を起点にする
+            this.currentState = this.captureState();
+            this.applying = false;
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * 履歴パネルの表示内容
+     * @returns {Array} [{position, label, time, applied, current}]（0番目は最初の状態）
+     */
+    getEntries() {
+        const entries = [{ position: 0, label: '最初の状態', time: null }];
+        this.commands.forEach((command, index) => {
+            entries.push({ position: index + 1, label: command.label, time: command.time });
+        });
+        return entries.map(entry => ({
+            ...entry,
+            applied: entry.position <= this.position,
+            current: entry.position === this.position
+        }));
+    }
+}
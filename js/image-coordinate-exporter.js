@@ -0,0 +1,119 @@
+// 画像座標（JSON）出力モジュール
+// GPX・KML・GeoJSONの地物を、ジオリファレンスの変換の逆変換で画像のピクセル座標に変換し、
+// 本アプリのJSONの複合形式（{data: {points, routes, spots, areas}}）として出力する
+// 種類は本アプリの出力の種類（type）を優先し、不明な場合はポイント→スポット、線→ルート、面→エリアとする
+import { Logger } from './utils.js';
+import { mathUtils } from './math-utils.js';
+
+// 形状ごとの既定の種類
+const DEFAULT_FEATURE_TYPES = {
+    point: 'spot',
+    line: 'route',
+    polygon: 'area'
+};
+
+// 種類ごとの形状と最少頂点数
+const FEATURE_TYPE_GEOMETRIES = {
+    point: { geometry: 'point', minimumCount: 1 },
+    spot: { geometry: 'point', minimumCount: 1 },
+    route: { geometry: 'line', minimumCount: 2 },
+    area: { geometry: 'polygon', minimumCount: 3 }
+};
+
+export class ImageCoordinateExporter {
+    constructor() {
+        this.logger = new Logger('ImageCoordinateExporter');
+    }
+
+    /**
+     * 地物を画像座標のJSONに変換
+     * 画像の範囲外の頂点もそのまま出力し、件数を集計する。逆変換できない頂点は除く
+     * @param {Array} features - GpsFileParser.readGpsFeatures()の地物データ
+     * @param {Object} transformation - ジオリファレンスの変換結果（currentTransformation）
+     * @param {Object} options - {imageFileName, imageWidth, imageHeight, sourceFileName}
+     * @returns {Object} {json, summary: {points, routes, spots, areas, skipped, outsideCount, failedCount}}
+     */
+    createImageJson(features, transformation, { imageFileName, imageWidth, imageHeight, sourceFileName }) {
+        const data = { points: [], routes: [], spots: [], areas: [] };
+        const summary = { skipped: 0, outsideCount: 0, failedCount: 0 };
+
+        const toPixel = ({ lat, lng }) => {
+            const pixel = mathUtils.applyInverseTransform(lat, lng, transformation);
+            if (!pixel || !isFinite(pixel[0]) || !isFinite(pixel[1])) {
+                summary.failedCount++;
+                return null;
+            }
+            if (pixel[0] < 0 || pixel[1] < 0 || pixel[0] > imageWidth || pixel[1] > imageHeight) {
+                summary.outsideCount++;
+            }
+            return {
+                x: Math.round(pixel[0] * 100) / 100,
+                y: Math.round(pixel[1] * 100) / 100
+            };
+        };
+
+        features.forEach(feature => {
+            // 種類と形状が合わない場合（種類がルートのポイントなど）は形状から決める
+            const type = feature.type && FEATURE_TYPE_GEOMETRIES[feature.type].geometry === feature.geometry
+                ? feature.type
+                : DEFAULT_FEATURE_TYPES[feature.geometry];
+            const vertices = feature.latLngs.map(toPixel).filter(Boolean);
+            if (vertices.length < FEATURE_TYPE_GEOMETRIES[type].minimumCount) {
+                this.logger.warn(`「${feature.name}」は画像座標に変換できないためスキップします`);
+                summary.skipped++;
+                return;
+            }
+
+            switch (type) {
+                case 'point':
+                    data.points.push({ id: feature.id || feature.name, name: feature.name, ...vertices[0] });
+                    break;
+                case 'spot':
+                    data.spots.push({
+                        name: feature.name,
+                        ...vertices[0],
+                        ...(feature.description ? { description: feature.description } : {})
+                    });
+                    break;
+                case 'route':
+                    data.routes.push({
+                        routeName: feature.name,
+                        routeInfo: {
+                            startPoint: feature.startPoint || `${feature.name}（始点）`,
+                            endPoint: feature.endPoint || `${feature.name}（終点）`
+                        },
+                        waypoints: vertices
+                    });
+                    break;
+                case 'area':
+                    data.areas.push({
+                        id: feature.id || `area_${String(data.areas.length + 1).padStart(2, '0')}`,
+                        name: feature.name,
+                        vertices
+                    });
+                    break;
+            }
+        });
+
+        // 地物のない種類は出力しない（読み込み時に既存のデータに影響しないように）
+        const json = {
+            version: '2.0',
+            imageReference: imageFileName,
+            imageInfo: { width: imageWidth, height: imageHeight },
+            source: sourceFileName,
+            data: Object.fromEntries(Object.entries(data).filter(([, items]) => items.length > 0))
+        };
+
+        this.logger.info(`画像座標変換: ポイント ${data.points.length}, ルート ${data.routes.length}, スポット ${data.spots.length}, エリア ${data.areas.length}`);
+        return {
+            json,
+            summary: {
+                points: data.points.length,
+                routes: data.routes.length,
+                spots: data.spots.length,
+                areas: data.areas.length,
+                ...summary
+            }
+        };
+    }
+}
@@ -1,6 +1,8 @@
 // 画像オーバーレイ機能を管理するモジュール
 import { DEFAULTS } from './constants.js';
 import { Logger } from './utils.js';
+import { createAffineImageLayer } from './affine-image-layer.js';
+import { OverlayCompareTool } from './overlay-compare-tool.js';
 
 export class ImageOverlay {
     constructor(mapCore) {
@@ -13,11 +15,16 @@ export class ImageOverlay {
         this.centerMarker = null;
         this.isMovingImage = false;
         this.imageUpdateCallbacks = [];
-        this.transformedCenter = null; // アフィン変換結果の中心位置
+        this.warpedLayer = null; // アフィン変換結果（回転・せん断込み）で描画するレイヤー
+        this.initialBounds = null; // 読み込み時の画像配置（ジオリファレンス前の状態に戻す際に使用）
 
         // 内部scale管理（初期値はconstantsから取得）
         this.currentScale = this.getDefaultScale();
 
+        // 透過度（%）と背景地図との比較表示（スワイプ・スパイグラス）
+        this.opacity = this.getDefaultOpacity();
+        this.compareTool = new OverlayCompareTool(mapCore);
+
         // 初期スケール値を設定
         this.initializeScaleInput();
 
@@ -62,7 +69,19 @@ export class ImageOverlay {
 
 
     getDisplayOpacity() {
-        return this.getDefaultOpacity() / 100;
+        return this.opacity / 100;
+    }
+
+    // 透過度（%）を設定し、表示中の画像レイヤーに反映
+    setOpacity(opacity) {
+        this.opacity = Math.min(Math.max(opacity, 0), 100);
+        const displayOpacity = this.getDisplayOpacity();
+        if (this.imageOverlay) {
+            this.imageOverlay.setOpacity(displayOpacity);
+        }
+        if (this.warpedLayer) {
+            this.warpedLayer.setOpacity(displayOpacity);
+        }
     }
 
     updateImageDisplay() {
@@ -70,17 +89,19 @@ export class ImageOverlay {
             return;
         }
 
+        // ジオリファレンス済みの場合は変換結果の配置を維持する
+        if (this.warpedLayer) {
+            this.notifyImageUpdate();
+            return;
+        }
+
         // 内部管理のscale値を使用
         const scale = this.getCurrentScale();
 
-        // 画像の中心位置：アフィン変換結果があればそれを使用、なければ地図中心を使用
-        const centerPos = this.transformedCenter || this.map.getCenter();
+        // 画像の中心位置：地図中心
+        const centerPos = this.map.getCenter();
 
-        if (this.transformedCenter) {
-            this.logger.info(`📍 画像表示: ジオリファレンス済み位置 (${centerPos.lat.toFixed(6)}, ${centerPos.lng.toFixed(6)}), scale=${scale.toFixed(6)}`);
-        } else {
-            this.logger.info(`📍 画像表示: 地図中心 (${centerPos.lat.toFixed(6)}, ${centerPos.lng.toFixed(6)}), scale=${scale.toFixed(6)}`);
-        }
+        this.logger.info(`📍 画像表示: 地図中心 (${centerPos.lat.toFixed(6)}, ${centerPos.lng.toFixed(6)}), scale=${scale.toFixed(6)}`);
 
 
         // naturalWidth/naturalHeightを使用して正確なピクセル数を取得
@@ -100,19 +121,8 @@ export class ImageOverlay {
             return;
         }
 
-        // スケールがアフィン変換から計算された場合は、そのまま使用
-        // そうでない場合は、従来の計算方法を使用
-        let scaledImageWidthMeters, scaledImageHeightMeters;
-
-        if (this.transformedCenter) {
-            // アフィン変換結果の場合：スケールは既に正規化済み
-            scaledImageWidthMeters = imageWidth * scale * metersPerPixel;
-            scaledImageHeightMeters = imageHeight * scale * metersPerPixel;
-        } else {
-            // 通常の場合：従来の計算
-            scaledImageWidthMeters = imageWidth * scale * metersPerPixel;
-            scaledImageHeightMeters = imageHeight * scale * metersPerPixel;
-        }
+        const scaledImageWidthMeters = imageWidth * scale * metersPerPixel;
+        const scaledImageHeightMeters = imageHeight * scale * metersPerPixel;
 
         // 地球半径と緯度による補正
         const earthRadius = 6378137;
@@ -174,7 +184,26 @@ export class ImageOverlay {
 
 
     setupEventHandlers() {
-        // 透過度は固定値のみ使用するため、イベントハンドラーは不要
+        // 透過度スライダー
+        const opacitySlider = document.getElementById('overlayOpacitySlider');
+        const opacityValue = document.getElementById('overlayOpacityValue');
+        if (opacitySlider) {
+            opacitySlider.value = this.opacity;
+            if (opacityValue) opacityValue.textContent = `${this.opacity}%`;
+            opacitySlider.addEventListener('input', () => {
+                this.setOpacity(Number(opacitySlider.value));
+                if (opacityValue) opacityValue.textContent = `${this.opacity}%`;
+            });
+        }
+
+        // 比較表示（なし・スワイプ・スパイグラス）
+        const compareModeSelect = document.getElementById('overlayCompareModeSelect');
+        if (compareModeSelect) {
+            compareModeSelect.value = this.compareTool.getMode();
+            compareModeSelect.addEventListener('change', () => {
+                this.compareTool.setMode(compareModeSelect.value);
+            });
+        }
     }
 
     loadImage(file) {
@@ -197,9 +226,11 @@ export class ImageOverlay {
                     // 画像サイズに基づいて初期表示境界を計算（画面に収まるように）
                     const bounds = this.calculateInitialBounds(imageWidth, imageHeight);
 
+                    this.initialBounds = bounds;
                     this.imageOverlay = L.imageOverlay(e.target.result, bounds, {
                         opacity: this.getDisplayOpacity(),
-                        interactive: false
+                        interactive: false,
+                        pane: 'imageOverlay'
                     }).addTo(this.map);
 
                     // ファイル名を記録
@@ -285,7 +316,12 @@ export class ImageOverlay {
 
     // ジオリファレンス状態をリセット（画像読み込み時に呼ぶ）
     resetTransformation() {
-        this.transformedCenter = null;
+        if (this.warpedLayer) {
+            if (this.map.hasLayer(this.warpedLayer)) {
+                this.map.removeLayer(this.warpedLayer);
+            }
+            this.warpedLayer = null;
+        }
         // 初期読み込み時のスケールを1.0に設定
         // ジオリファレンス時にはExcelファイルのGPS座標を使用するため、
         // 初期スケールはジオリファレンス結果に影響しない
@@ -293,68 +329,77 @@ export class ImageOverlay {
         this.logger.info(`🔄 ジオリファレンス状態をリセットしました (scale=${this.currentScale.toFixed(6)})`);
     }
 
-    // アフィン変換結果による画像位置・スケール設定
-    setTransformedPosition(centerLat, centerLng, scale) {
-        this.logger.info(`ジオリファレンス適用: 中心位置=(${centerLat.toFixed(6)}, ${centerLng.toFixed(6)}), スケール=${scale.toFixed(6)}`);
-        this.transformedCenter = { lat: centerLat, lng: centerLng };
-        this.setCurrentScale(scale);
-
-        // アフィン変換結果の場合は、直接境界を設定
-        if (this.imageOverlay && this.currentImage.src) {
-            const imageWidth = this.currentImage.naturalWidth || this.currentImage.width;
-            const imageHeight = this.currentImage.naturalHeight || this.currentImage.height;
-
-            if (imageWidth && imageHeight) {
-                // より正確なメートル/ピクセル変換
-                const metersPerPixel = 156543.03392 * Math.cos(centerLat * Math.PI / 180) / Math.pow(2, this.map.getZoom());
-
-                if (isFinite(metersPerPixel) && metersPerPixel > 0) {
-                    const scaledImageWidthMeters = imageWidth * scale * metersPerPixel;
-                    const scaledImageHeightMeters = imageHeight * scale * metersPerPixel;
-
-                    // 地球半径と緯度による補正
-                    const earthRadius = 6378137;
-                    const cosLat = Math.cos(centerLat * Math.PI / 180);
-
-                    const latOffset = (scaledImageHeightMeters / 2) / earthRadius * (180 / Math.PI);
-                    const lngOffset = (scaledImageWidthMeters / 2) / (earthRadius * cosLat) * (180 / Math.PI);
-
-                    if (isFinite(latOffset) && isFinite(lngOffset)) {
-                        const southWest = [centerLat - latOffset, centerLng - lngOffset];
-                        const northEast = [centerLat + latOffset, centerLng + lngOffset];
-
-                        if (isFinite(southWest[0]) && isFinite(southWest[1]) &&
-                            isFinite(northEast[0]) && isFinite(northEast[1])) {
-
-                            const bounds = L.latLngBounds(southWest, northEast);
-                            this.imageOverlay.setBounds(bounds);
-
-                            // 画像レイヤーが地図に追加されていない場合は再追加
-                            if (!this.map.hasLayer(this.imageOverlay)) {
-                                this.imageOverlay.addTo(this.map);
-                            }
-
-                            // 強制的に画像レイヤーを再描画
-                            if (this.imageOverlay._image && typeof this.imageOverlay._reset === 'function') {
-                                this.imageOverlay._reset();
-                            }
-
-                            // 短時間後に地図の強制更新
-                            setTimeout(() => {
-                                this.map.invalidateSize();
-                            }, 50);
-
-                            // 画像更新をコールバックに通知
-                            this.notifyImageUpdate();
-                            return;
-                        }
-                    }
-                }
+    // ジオリファレンス前の配置（読み込み時の初期境界）に戻す
+    restoreInitialPlacement() {
+        if (!this.warpedLayer || !this.imageOverlay) {
+            return;
+        }
+
+        this.resetTransformation();
+        if (this.initialBounds) {
+            this.imageOverlay.setBounds(this.initialBounds);
+        }
+        if (!this.map.hasLayer(this.imageOverlay)) {
+            this.imageOverlay.addTo(this.map);
+        }
+        this.notifyImageUpdate();
+    }
+
+    /**
+     * アフィン変換結果による画像配置
+     * 中心とスケールに縮約せず、画像4隅のGPS座標から回転・せん断を含めて描画する
+     * @param {Array} corners - [左上, 右上, 右下, 左下] の {lat, lng}
+     * @param {Array|null} mesh - 非線形モデル用の三角形メッシュ（nullの場合は4隅によるアフィン描画）
+     */
+    setTransformedCorners(corners, mesh = null) {
+        if (!this.currentImage.src) {
+            return;
+        }
+
+        const imageWidth = this.currentImage.naturalWidth || this.currentImage.width;
+        const imageHeight = this.currentImage.naturalHeight || this.currentImage.height;
+
+        if (!imageWidth || !imageHeight) {
+            return;
+        }
+
+        const isValid = corners.length === 4 && corners.every(c => isFinite(c.lat) && isFinite(c.lng));
+        if (!isValid) {
+            this.logger.warn('画像4隅の座標が不正なため、変換結果を描画できません', corners);
+            return;
+        }
+
+        if (!this.warpedLayer) {
+            this.warpedLayer = createAffineImageLayer(
+                this.currentImage.src,
+                corners,
+                { width: imageWidth, height: imageHeight },
+                { opacity: this.getDisplayOpacity(), pane: 'imageOverlay' }
+            );
+        }
+
+        if (mesh && mesh.length > 0) {
+            this.warpedLayer.setMesh(corners, mesh);
+        } else {
+            this.warpedLayer.setCorners(corners);
+        }
+
+        if (!this.map.hasLayer(this.warpedLayer)) {
+            this.warpedLayer.addTo(this.map);
+        }
+
+        // 軸平行の画像レイヤーは非表示にし、境界のみ外接矩形に合わせる
+        if (this.imageOverlay) {
+            this.imageOverlay.setBounds(this.warpedLayer.getBounds());
+            if (this.map.hasLayer(this.imageOverlay)) {
+                this.map.removeLayer(this.imageOverlay);
             }
         }
 
-        // フォールバック: 通常の更新処理
-        this.updateImageDisplay();
+        this.logger.info(`ジオリファレンス適用: 左上=(${corners[0].lat.toFixed(6)}, ${corners[0].lng.toFixed(6)}), 右下=(${corners[2].lat.toFixed(6)}, ${corners[2].lng.toFixed(6)})`);
+
+        // 画像更新をコールバックに通知
+        this.notifyImageUpdate();
     }
 
     // 画像更新時のコールバックを実行
@@ -369,6 +414,11 @@ export class ImageOverlay {
 
 
     getBounds() {
+        // ジオリファレンス済みの場合は変換後4隅の外接矩形
+        if (this.warpedLayer) {
+            return this.warpedLayer.getBounds();
+        }
+
         // Leafletのimageoverlayインスタンスから現在の境界を取得
         if (this.imageOverlay && typeof this.imageOverlay.getBounds === 'function') {
             return this.imageOverlay.getBounds();
@@ -0,0 +1,194 @@
+// 画像ワープ（再投影・リサンプリング）モジュール
+// ジオリファレンス結果の逆変換で元画像を北が上のEPSG:3857画像へリサンプリングする
+// 画素ごとの処理はWeb Worker（warp-worker.js）で行い、メインスレッドでは
+// 出力範囲の計算と、格子点（WARP_GRID_STEP画素間隔）の逆変換のみを行う
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { mathUtils } from './math-utils.js';
+
+export class ImageWarper {
+    constructor() {
+        this.logger = new Logger('ImageWarper');
+        this.worker = null;
+    }
+
+    // 処理中か
+    isRunning() {
+        return this.worker !== null;
+    }
+
+    /**
+     * 元画像1画素あたりの大きさ（EPSG:3857の単位、m）の目安
+     * 画像中心付近の微小範囲の変換から求める（非線形モデルにも対応）
+     */
+    estimateSourceResolution(transformation, imageWidth, imageHeight) {
+        const params = transformation.transformation;
+        const cx = imageWidth / 2;
+        const cy = imageHeight / 2;
+        const origin = mathUtils.imageToWebMercator(cx, cy, params);
+        const right = mathUtils.imageToWebMercator(cx + 1, cy, params);
+        const down = mathUtils.imageToWebMercator(cx, cy + 1, params);
+        if (!origin || !right || !down) {
+            return null;
+        }
+
+        const area = Math.abs((right[0] - origin[0]) * (down[1] - origin[1]) -
+            (down[0] - origin[0]) * (right[1] - origin[1]));
+        return Math.sqrt(area);
+    }
+
+    /**
+     * 元画像の外周を変換し、出力画像の範囲（EPSG:3857）を求める
+     * @returns {Object|null} {minX, minY, maxX, maxY}
+     */
+    calculateOutputBounds(transformation, imageWidth, imageHeight) {
+        const params = transformation.transformation;
+        const divisions = CONFIG.WARP_MESH_DIVISIONS;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (let i = 0; i <= divisions; i++) {
+            const t = i / divisions;
+            const edgePoints = [
+                [imageWidth * t, 0],
+                [imageWidth * t, imageHeight],
+                [0, imageHeight * t],
+                [imageWidth, imageHeight * t]
+            ];
+            edgePoints.forEach(([x, y]) => {
+                const point = mathUtils.imageToWebMercator(x, y, params);
+                if (point && isFinite(point[0]) && isFinite(point[1])) {
+                    minX = Math.min(minX, point[0]);
+                    minY = Math.min(minY, point[1]);
+                    maxX = Math.max(maxX, point[0]);
+                    maxY = Math.max(maxY, point[1]);
+                }
+            });
+        }
+
+        if (!isFinite(minX) || !isFinite(minY)) {
+            return null;
+        }
+        return { minX, minY, maxX, maxY };
+    }
+
+    /**
+     * 出力画像の寸法と範囲を決める
+     * @param {number} resolution - 出力画素の大きさ（EPSG:3857の単位、m）
+     * @returns {Object} {width, height, resolution, minX, maxY}（minX, maxYは出力画像左上の角）
+     */
+    calculateOutputGeometry(transformation, imageWidth, imageHeight, resolution) {
+        if (!(resolution > 0)) {
+            throw new Error('出力解像度には正の数値を指定してください。');
+        }
+
+        const bounds = this.calculateOutputBounds(transformation, imageWidth, imageHeight);
+        if (!bounds) {
+            throw new Error('出力範囲を計算できませんでした。');
+        }
+
+        const width = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / resolution));
+        const height = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) / resolution));
+        if (width > CONFIG.WARP_MAX_DIMENSION || height > CONFIG.WARP_MAX_DIMENSION ||
+            width * height > CONFIG.WARP_MAX_PIXELS) {
+            throw new Error(`出力画像が大きすぎます（${width}×${height}px）。解像度の値を大きくしてください。`);
+        }
+
+        return { width, height, resolution, minX: bounds.minX, maxY: bounds.maxY };
+    }
+
+    /**
+     * 出力画像の格子点（画素中心）を逆変換し、元画像の座標を求める
+     * @returns {Object} {step, cols, rows, coords: Float64Array}
+     */
+    calculateSourceGrid(transformation, geometry) {
+        const step = CONFIG.WARP_GRID_STEP;
+        const cols = Math.floor((geometry.width - 1) / step) + 2;
+        const rows = Math.floor((geometry.height - 1) / step) + 2;
+        const coords = new Float64Array(cols * rows * 2);
+
+        for (let row = 0; row < rows; row++) {
+            const mercatorY = geometry.maxY - (row * step + 0.5) * geometry.resolution;
+            const lat = mathUtils.webMercatorYToLat(mercatorY);
+            for (let col = 0; col < cols; col++) {
+                const mercatorX = geometry.minX + (col * step + 0.5) * geometry.resolution;
+                const lng = mathUtils.webMercatorXToLon(mercatorX);
+                const imageCoords = mathUtils.applyInverseTransform(lat, lng, transformation);
+                const index = (row * cols + col) * 2;
+                coords[index] = imageCoords ? imageCoords[0] : NaN;
+                coords[index + 1] = imageCoords ? imageCoords[1] : NaN;
+            }
+        }
+
+        return { step, cols, rows, coords };
+    }
+
+    /**
+     * 元画像を北が上のEPSG:3857画像にワープ
+     * @param {ImageData} imageData - 元画像のRGBA
+     * @param {Object} transformation - ジオリファレンスの変換結果
+     * @param {Object} options - {resolution, resampling}
+     * @param {Function} onProgress - 進捗（0〜1）の通知
+     * @returns {Promise<{blob: Blob, geometry: Object}>} PNG画像と出力範囲
+     */
+    async warp(imageData, transformation, options, onProgress = () => {}) {
+        if (this.isRunning()) {
+            throw new Error('画像の変換を実行中です。');
+        }
+
+        const geometry = this.calculateOutputGeometry(
+            transformation, imageData.width, imageData.height, options.resolution);
+        const grid = this.calculateSourceGrid(transformation, geometry);
+        this.logger.info(`画像ワープ開始: ${geometry.width}×${geometry.height}px, ${geometry.resolution}m/px, ${options.resampling}`);
+
+        const result = await this.runWorker({
+            source: { width: imageData.width, height: imageData.height, data: imageData.data },
+            output: { width: geometry.width, height: geometry.height },
+            grid,
+            resampling: options.resampling
+        }, [imageData.data.buffer, grid.coords.buffer], onProgress);
+
+        const blob = result.blob || await this.encodePng(result.pixels, geometry.width, geometry.height);
+        return { blob, geometry };
+    }
+
+    runWorker(message, transfer, onProgress) {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(new URL('./warp-worker.js', import.meta.url), { type: 'module' });
+
+            const finish = () => {
+                this.worker.terminate();
+                this.worker = null;
+            };
+
+            this.worker.onmessage = (event) => {
+                const data = event.data;
+                if (data.type === 'progress') {
+                    onProgress(data.progress);
+                } else if (data.type === 'done') {
+                    finish();
+                    resolve(data);
+                } else if (data.type === 'error') {
+                    finish();
+                    reject(new Error(data.message));
+                }
+            };
+            this.worker.onerror = (event) => {
+                finish();
+                reject(new Error(event.message || '画像変換処理でエラーが発生しました。'));
+            };
+
+            this.worker.postMessage(message, transfer);
+        });
+    }
+
+    // WorkerでPNGに変換できない環境向け
+    encodePng(pixels, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNGの作成に失敗しました。')), 'image/png');
+        });
+    }
+}
@@ -0,0 +1,64 @@
+// IndexedDB共通モジュール
+// データベースを開く処理（初回のストア作成・失敗時の再試行）とトランザクションの完了待ちをまとめる
+// 自動保存（SessionStore）とタイルキャッシュ（TileCache）で使う
+import { Logger } from './utils.js';
+
+export class IndexedDbDatabase {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - データベース名
+     * @param {number} options.version - データベースのバージョン
+     * @param {Function} options.upgrade - (db) => ストアを作成する関数（バージョン更新時に呼ばれる）
+     * @param {string} options.label - メッセージに使う用途名（例: '自動保存'）
+     */
+    constructor({ name, version, upgrade, label }) {
+        this.logger = new Logger('IndexedDbDatabase');
+        this.name = name;
+        this.version = version;
+        this.upgrade = upgrade;
+        this.label = label;
+        this.dbPromise = null;
+    }
+
+    // IndexedDBが利用可能か
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // データベースを開く（初回のみストアを作成）
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => this.upgrade(request.result);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error || new Error(`${this.label}用データベースを開けませんでした。`));
+                request.onblocked = () => this.logger.warn(`${this.label}用データベースの更新が他のタブにより保留されています`);
+            });
+            // 失敗した場合は次回に再試行できるようにする
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * トランザクションを実行し、完了を待つ
+     * @param {Array<string>} storeNames - 対象ストア
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - (...stores) => 結果を返す関数（IDBRequestを返した場合はその結果）
+     * @returns {Promise<*>}
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => tx.objectStore(name));
+            const result = callback(...stores);
+            tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error(`${this.label}の処理が中断されました。`));
+        });
+    }
+}
@@ -1,11 +1,15 @@
 // 地図コア機能を管理するモジュール
 import { DEFAULTS } from './constants.js';
+import { BaseMapManager } from './base-map-manager.js';
+import { TileCache } from './tile-cache.js';
 
 export class MapCore {
     constructor() {
         this.initialCenter = DEFAULTS.MAP_CENTER;
         this.initialZoom = DEFAULTS.MAP_ZOOM;
         this.map = null;
+        this.tileCache = null;
+        this.baseMapManager = null;
         this.initPromise = this.init();
     }
 
@@ -62,12 +66,13 @@ export class MapCore {
             L.control.zoom({ position: 'topleft' }).addTo(this.map);
             L.control.zoom({ position: 'bottomright' }).addTo(this.map);
 
-            // 国土地理院タイルレイヤー
-            const tileLayer = L.tileLayer('https://cyberjapandata.gsi.go.jp/xyz/std/{z}/{x}/{y}.png', {
-                attribution: "<a href='https://maps.gsi.go.jp/development/ichiran.html' target='_blank'>地理院タイル</a>",
-                minZoom: 2, maxZoom: 18
-            });
-            tileLayer.addTo(this.map);
+            // 背景地図（CONFIG.BASE_MAPSと追加した地図の切り替えコントロール・オフライン用のタイルキャッシュ）
+            this.tileCache = new TileCache();
+            this.baseMapManager = new BaseMapManager(this.map, this.tileCache);
+
+            // 画像オーバーレイ用ペイン（タイルより上、ベクター・マーカーより下。比較表示で切り抜く）
+            this.map.createPane('imageOverlay');
+            this.map.getPane('imageOverlay').style.zIndex = 350;
 
             // マーカー用のペインを作成（z軸順序: 下から画像、ポイントGPS、ポイントJSON、ルート中間点、スポット）
             // ポイントGPSマーカー用ペイン
@@ -89,6 +94,10 @@ export class MapCore {
             // 経路線用の専用ペインを作成
             this.map.createPane('routeLines');
             this.map.getPane('routeLines').style.zIndex = 600;
+
+            // 手動配置した制御点マーカー用ペイン（ドラッグ操作のため最前面）
+            this.map.createPane('controlPointMarkers');
+            this.map.getPane('controlPointMarkers').style.zIndex = 640;
             
         } catch (error) {
             console.error('地図の初期化に失敗しました:', error.message);
@@ -99,6 +108,14 @@ export class MapCore {
         return this.map;
     }
 
+    getBaseMapManager() {
+        return this.baseMapManager;
+    }
+
+    getTileCache() {
+        return this.tileCache;
+    }
+
     getInitialCenter() {
         return this.initialCenter;
     }
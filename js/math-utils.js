@@ -134,6 +134,119 @@ export class MathUtils {
         }
     }
 
+    // 変換モデルに応じて画像座標をGPS座標に変換（アフィン・多項式・TPS共通）
+    applyTransform(imageX, imageY, transformation) {
+        try {
+            if (!transformation || !transformation.transformation) {
+                this.logger.error('変換パラメータが不正です');
+                return null;
+            }
+
+            const params = transformation.transformation;
+            if (!params.model || params.model === 'affine') {
+                return this.applyAffineTransform(imageX, imageY, transformation);
+            }
+
+            const webMercator = this.imageToWebMercator(imageX, imageY, params);
+            if (!webMercator) {
+                return null;
+            }
+
+            return [this.webMercatorYToLat(webMercator[1]), this.webMercatorXToLon(webMercator[0])];
+
+        } catch (error) {
+            this.logger.error('座標変換エラー', error);
+            return null;
+        }
+    }
+
+    // 変換パラメータのモデルに応じて画像座標をWeb Mercator座標[X, Y]に変換
+    imageToWebMercator(imageX, imageY, params) {
+        switch (params.model) {
+            case 'polynomial':
+                return this.applyPolynomialTransform(imageX, imageY, params);
+            case 'tps':
+                return this.applyThinPlateSpline(imageX, imageY, params);
+            default:
+                return [
+                    params.a * imageX + params.b * imageY + params.c,
+                    params.d * imageX + params.e * imageY + params.f
+                ];
+        }
+    }
+
+    // GPS座標を画像座標に逆変換（applyTransformの逆変換）
+    // アフィン変換は解析的に、多項式・TPSはニュートン法で求める
+    applyInverseTransform(lat, lng, transformation) {
+        try {
+            if (!transformation || !transformation.transformation) {
+                this.logger.error('変換パラメータが不正です');
+                return null;
+            }
+
+            const params = transformation.transformation;
+            const targetX = this.lonToWebMercatorX(lng);
+            const targetY = this.latToWebMercatorY(lat);
+
+            if (!params.model || params.model === 'affine') {
+                const det = params.a * params.e - params.b * params.d;
+                if (Math.abs(det) < 1e-12) {
+                    this.logger.warn('アフィン変換が逆変換できません');
+                    return null;
+                }
+                const dx = targetX - params.c;
+                const dy = targetY - params.f;
+                return [
+                    (params.e * dx - params.b * dy) / det,
+                    (-params.d * dx + params.a * dy) / det
+                ];
+            }
+
+            return this.solveInverseByNewton(targetX, targetY, params);
+
+        } catch (error) {
+            this.logger.error('逆変換エラー', error);
+            return null;
+        }
+    }
+
+    // ニュートン法で imageToWebMercator(x, y) = (targetX, targetY) となる画像座標を求める
+    solveInverseByNewton(targetX, targetY, params) {
+        const norm = params.normalization;
+        let x = norm ? norm.imageCenterX : 0;
+        let y = norm ? norm.imageCenterY : 0;
+        const h = 0.5; // 数値微分の刻み（ピクセル）
+
+        for (let iteration = 0; iteration < 30; iteration++) {
+            const [fx, fy] = this.imageToWebMercator(x, y, params);
+            const rx = fx - targetX;
+            const ry = fy - targetY;
+
+            const [fxX, fyX] = this.imageToWebMercator(x + h, y, params);
+            const [fxY, fyY] = this.imageToWebMercator(x, y + h, params);
+            const j11 = (fxX - fx) / h, j21 = (fyX - fy) / h;
+            const j12 = (fxY - fx) / h, j22 = (fyY - fy) / h;
+
+            const det = j11 * j22 - j12 * j21;
+            if (Math.abs(det) < 1e-12) {
+                this.logger.warn('逆変換の計算が収束しません（ヤコビ行列が特異）');
+                return null;
+            }
+
+            const stepX = (j22 * rx - j12 * ry) / det;
+            const stepY = (-j21 * rx + j11 * ry) / det;
+            x -= stepX;
+            y -= stepY;
+
+            if (Math.abs(stepX) < 1e-4 && Math.abs(stepY) < 1e-4) {
+                return [x, y];
+            }
+        }
+
+        this.logger.warn('逆変換の計算が収束しませんでした');
+        return null;
+    }
+
     // ==========================================
     // 行列計算関数
     // ==========================================
@@ -233,6 +346,20 @@ export class MathUtils {
         }
     }
 
+    // 逆行列（単位行列の列ごとに連立方程式を解く。特異行列の場合はnull）
+    invertMatrix(A) {
+        const n = A.length;
+        const columns = [];
+        for (let j = 0; j < n; j++) {
+            const column = this.gaussJordan(A, A.map((_, i) => (i === j ? 1 : 0)));
+            if (!column) {
+                return null;
+            }
+            columns.push(column);
+        }
+        return this.transpose(columns);
+    }
+
     // ==========================================
     // マーカー作成機能（統合）
     // ==========================================
@@ -242,12 +369,15 @@ export class MathUtils {
         switch (markerType) {
             case 'pointJSON':
             case 'georeference-point':
-                return L.circleMarker(latLng, {
-                    radius: 6,
-                    color: '#ff0000',
-                    fillColor: '#ff0000',
-                    fillOpacity: 1,
-                    weight: 0,
+                // ドラッグで位置を微調整できるようにdivIconのマーカーとする
+                const redCircleIcon = L.divIcon({
+                    className: 'point-json-marker',
+                    html: '<div style="width: 12px; height: 12px; background-color: #ff0000; border-radius: 50%;"></div>',
+                    iconSize: [12, 12],
+                    iconAnchor: [6, 6]
+                });
+                return L.marker(latLng, {
+                    icon: redCircleIcon,
                     pane: 'pointJsonMarkers'
                 });
 
@@ -385,47 +515,407 @@ export class MathUtils {
         }
     }
 
-    // 変換精度を計算
-    calculateTransformationAccuracy(controlPoints, transformation) {
+    // ==========================================
+    // 多項式・薄板スプライン変換関数
+    // ==========================================
+
+    // 制御点の画像座標・Web Mercator座標を正規化するパラメータを計算
+    // （高次項の桁あふれと正規方程式の悪条件化を防ぐ）
+    calculateNormalization(controlPoints) {
+        const n = controlPoints.length;
+        const imageXs = controlPoints.map(p => p.pointJson.imageX);
+        const imageYs = controlPoints.map(p => p.pointJson.imageY);
+        const mercatorXs = controlPoints.map(p => this.lonToWebMercatorX(p.gpsPoint.lng));
+        const mercatorYs = controlPoints.map(p => this.latToWebMercatorY(p.gpsPoint.lat));
+
+        const mean = values => values.reduce((sum, v) => sum + v, 0) / n;
+        const imageCenterX = mean(imageXs);
+        const imageCenterY = mean(imageYs);
+        const mercatorCenterX = mean(mercatorXs);
+        const mercatorCenterY = mean(mercatorYs);
+
+        const maxDeviation = (xs, ys, cx, cy) => {
+            const deviation = Math.max(
+                xs.reduce((max, x) => Math.max(max, Math.abs(x - cx)), 0),
+                ys.reduce((max, y) => Math.max(max, Math.abs(y - cy)), 0));
+            return deviation > 0 ? deviation : 1;
+        };
+
+        return {
+            imageCenterX,
+            imageCenterY,
+            imageScale: maxDeviation(imageXs, imageYs, imageCenterX, imageCenterY),
+            mercatorCenterX,
+            mercatorCenterY,
+            mercatorScale: maxDeviation(mercatorXs, mercatorYs, mercatorCenterX, mercatorCenterY)
+        };
+    }
+
+    // 多項式の項（x^i * y^j, i + j <= order）の指数一覧
+    getPolynomialTerms(order) {
+        const terms = [];
+        for (let degree = 0; degree <= order; degree++) {
+            for (let i = degree; i >= 0; i--) {
+                terms.push([i, degree - i]);
+            }
+        }
+        return terms;
+    }
+
+    // 最小二乗法で多項式変換パラメータを計算（2次: 6項、3次: 10項）
+    calculatePolynomialTransformation(controlPoints, order) {
         try {
-            const errors = [];
-            
+            const terms = this.getPolynomialTerms(order);
+            if (controlPoints.length < terms.length) {
+                this.logger.error(`${order}次多項式変換には最低${terms.length}つのポイントが必要です`);
+                return null;
+            }
+
+            const normalization = this.calculateNormalization(controlPoints);
+
+            const A = [];
+            const BX = [];
+            const BY = [];
             for (const point of controlPoints) {
-                const imageX = point.pointJson.imageX;
-                const imageY = point.pointJson.imageY;
-                
-                // 変換後座標を計算
-                const transformedX = transformation.a * imageX + transformation.b * imageY + transformation.c;
-                const transformedY = transformation.d * imageX + transformation.e * imageY + transformation.f;
-                
-                // 実際のGPS座標（Web Mercator）
-                const actualX = this.lonToWebMercatorX(point.gpsPoint.lng);
-                const actualY = this.latToWebMercatorY(point.gpsPoint.lat);
-                
-                // 誤差計算（メートル単位）
-                const errorDistance = Math.sqrt(
-                    Math.pow(transformedX - actualX, 2) + 
-                    Math.pow(transformedY - actualY, 2)
-                );
-                
-                errors.push(errorDistance);
+                const u = (point.pointJson.imageX - normalization.imageCenterX) / normalization.imageScale;
+                const v = (point.pointJson.imageY - normalization.imageCenterY) / normalization.imageScale;
+                A.push(terms.map(([i, j]) => Math.pow(u, i) * Math.pow(v, j)));
+                BX.push((this.lonToWebMercatorX(point.gpsPoint.lng) - normalization.mercatorCenterX) / normalization.mercatorScale);
+                BY.push((this.latToWebMercatorY(point.gpsPoint.lat) - normalization.mercatorCenterY) / normalization.mercatorScale);
             }
+
+            // 正規方程式 (A^T * A) * x = A^T * B をX・Yそれぞれ解く
+            const At = this.transpose(A);
+            const AtA = this.multiply(At, A);
+            const coefficientsX = this.gaussJordan(AtA, this.multiplyVector(At, BX));
+            const coefficientsY = this.gaussJordan(AtA, this.multiplyVector(At, BY));
+
+            if (!coefficientsX || !coefficientsY) {
+                return null;
+            }
+
+            return {
+                model: 'polynomial',
+                order,
+                terms,
+                coefficientsX,
+                coefficientsY,
+                normalization
+            };
+
+        } catch (error) {
+            this.logger.error('多項式変換パラメータ計算エラー', error);
+            return null;
+        }
+    }
+
+    // 多項式変換で画像座標をWeb Mercator座標[X, Y]に変換
+    applyPolynomialTransform(imageX, imageY, params) {
+        const norm = params.normalization;
+        const u = (imageX - norm.imageCenterX) / norm.imageScale;
+        const v = (imageY - norm.imageCenterY) / norm.imageScale;
+
+        let x = 0;
+        let y = 0;
+        params.terms.forEach(([i, j], index) => {
+            const value = Math.pow(u, i) * Math.pow(v, j);
+            x += params.coefficientsX[index] * value;
+            y += params.coefficientsY[index] * value;
+        });
+
+        return [
+            x * norm.mercatorScale + norm.mercatorCenterX,
+            y * norm.mercatorScale + norm.mercatorCenterY
+        ];
+    }
+
+    // 薄板スプラインの動径基底関数 U(r) = r^2 * log(r)
+    thinPlateKernel(distanceSquared) {
+        return distanceSquared > 0 ? distanceSquared * Math.log(distanceSquared) / 2 : 0;
+    }
+
+    // 薄板スプライン（TPS）変換パラメータを計算（制御点を厳密に通る補間）
+    calculateThinPlateSplineTransformation(controlPoints) {
+        try {
+            const n = controlPoints.length;
+            if (n < 3) {
+                this.logger.error('薄板スプライン変換には最低3つのポイントが必要です');
+                return null;
+            }
+
+            const normalization = this.calculateNormalization(controlPoints);
+            const centers = controlPoints.map(point => [
+                (point.pointJson.imageX - normalization.imageCenterX) / normalization.imageScale,
+                (point.pointJson.imageY - normalization.imageCenterY) / normalization.imageScale
+            ]);
+
+            // [K P; P^T 0] [w; a] = [v; 0]
+            const size = n + 3;
+            const L = new Array(size).fill(0).map(() => new Array(size).fill(0));
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    const dx = centers[i][0] - centers[j][0];
+                    const dy = centers[i][1] - centers[j][1];
+                    L[i][j] = this.thinPlateKernel(dx * dx + dy * dy);
+                }
+                L[i][n] = 1;
+                L[i][n + 1] = centers[i][0];
+                L[i][n + 2] = centers[i][1];
+                L[n][i] = 1;
+                L[n + 1][i] = centers[i][0];
+                L[n + 2][i] = centers[i][1];
+            }
+
+            const BX = new Array(size).fill(0);
+            const BY = new Array(size).fill(0);
+            controlPoints.forEach((point, i) => {
+                BX[i] = (this.lonToWebMercatorX(point.gpsPoint.lng) - normalization.mercatorCenterX) / normalization.mercatorScale;
+                BY[i] = (this.latToWebMercatorY(point.gpsPoint.lat) - normalization.mercatorCenterY) / normalization.mercatorScale;
+            });
+
+            const solutionX = this.gaussJordan(L, BX);
+            const solutionY = this.gaussJordan(L, BY);
+
+            if (!solutionX || !solutionY) {
+                return null;
+            }
+
+            return {
+                model: 'tps',
+                centers,
+                weightsX: solutionX.slice(0, n),
+                weightsY: solutionY.slice(0, n),
+                affineX: solutionX.slice(n),
+                affineY: solutionY.slice(n),
+                normalization
+            };
+
+        } catch (error) {
+            this.logger.error('薄板スプライン変換パラメータ計算エラー', error);
+            return null;
+        }
+    }
+
+    // 薄板スプライン変換で画像座標をWeb Mercator座標[X, Y]に変換
+    applyThinPlateSpline(imageX, imageY, params) {
+        const norm = params.normalization;
+        const u = (imageX - norm.imageCenterX) / norm.imageScale;
+        const v = (imageY - norm.imageCenterY) / norm.imageScale;
+
+        let x = params.affineX[0] + params.affineX[1] * u + params.affineX[2] * v;
+        let y = params.affineY[0] + params.affineY[1] * u + params.affineY[2] * v;
+        params.centers.forEach(([cu, cv], i) => {
+            const kernel = this.thinPlateKernel((u - cu) * (u - cu) + (v - cv) * (v - cv));
+            x += params.weightsX[i] * kernel;
+            y += params.weightsY[i] * kernel;
+        });
+
+        return [
+            x * norm.mercatorScale + norm.mercatorCenterX,
+            y * norm.mercatorScale + norm.mercatorCenterY
+        ];
+    }
+
+    // 制御点ごとの残差（変換後座標 - 実際のGPS座標）を計算
+    // Webメルカトル上の差に緯度の縮尺係数（cos φ）を掛けて実距離(m)に換算する
+    calculatePointResidual(point, transformation) {
+        const imageX = point.pointJson.imageX;
+        const imageY = point.pointJson.imageY;
+
+        // 変換後座標を計算（モデル共通）
+        const [transformedX, transformedY] = this.imageToWebMercator(imageX, imageY, transformation);
+
+        // 実際のGPS座標（Web Mercator）
+        const actualX = this.lonToWebMercatorX(point.gpsPoint.lng);
+        const actualY = this.latToWebMercatorY(point.gpsPoint.lat);
+
+        const scale = Math.cos(point.gpsPoint.lat * Math.PI / 180);
+        const dx = (transformedX - actualX) * scale;
+        const dy = (transformedY - actualY) * scale;
+
+        return { dx, dy, error: Math.sqrt(dx * dx + dy * dy) };
+    }
+
+    // 変換精度を計算
+    calculateTransformationAccuracy(controlPoints, transformation) {
+        try {
+            const residuals = controlPoints.map(point => this.calculatePointResidual(point, transformation));
+            const errors = residuals.map(r => r.error);
             
             const meanError = errors.reduce((sum, err) => sum + err, 0) / errors.length;
-            const maxError = Math.max(...errors);
-            const minError = Math.min(...errors);
+            const maxError = errors.reduce((max, err) => Math.max(max, err), -Infinity);
+            const minError = errors.reduce((min, err) => Math.min(min, err), Infinity);
+            const rmse = Math.sqrt(errors.reduce((sum, err) => sum + err * err, 0) / errors.length);
+            const rmseX = Math.sqrt(residuals.reduce((sum, r) => sum + r.dx * r.dx, 0) / residuals.length);
+            const rmseY = Math.sqrt(residuals.reduce((sum, r) => sum + r.dy * r.dy, 0) / residuals.length);
             
             return {
                 meanError,
                 maxError,
                 minError,
-                errors
+                rmse,
+                rmseX,
+                rmseY,
+                errors,
+                residuals
             };
             
         } catch (error) {
             this.logger.error('精度計算エラー', error);
-            return { meanError: 0, maxError: 0, minError: 0, errors: [] };
+            return { meanError: 0, maxError: 0, minError: 0, rmse: 0, rmseX: 0, rmseY: 0, errors: [], residuals: [] };
+        }
+    }
+
+    // 最小二乗法の計画行列の行（アフィン: [x, y, 1]、多項式: 正規化した画像座標の各項）。TPSはnull
+    getDesignRow(imageX, imageY, params) {
+        switch (params.model) {
+            case 'polynomial': {
+                const norm = params.normalization;
+                const u = (imageX - norm.imageCenterX) / norm.imageScale;
+                const v = (imageY - norm.imageCenterY) / norm.imageScale;
+                return params.terms.map(([i, j]) => Math.pow(u, i) * Math.pow(v, j));
+            }
+            case 'tps':
+                return null;
+            default:
+                return [imageX, imageY, 1];
+        }
+    }
+
+    /**
+     * 変換パラメータの統計量（正規方程式の共分散行列による標準誤差）
+     * X・Yは同じ計画行列Aを使うため、パラメータの共分散は 残差の共分散 ⊗ (A^T A)^-1 となる
+     * 最小二乗法のアフィン変換・多項式変換のみ。TPS（制御点を厳密に通る）・自由度0の場合はnull
+     * @param {Array} controlPoints - 変換計算に使用した制御点
+     * @param {Object} params - 変換パラメータ
+     * @returns {Object|null} {degreesOfFreedom, sigmaX, sigmaY, residualCovariance, cofactor, parameters}
+     *   sigmaX・sigmaY: 単位重みの標準偏差（実距離m）
+     *   residualCovariance: 残差の共分散 {xx, yy, xy}（Webメルカトル、m²）
+     *   cofactor: (A^T A)^-1
+     *   parameters: [{axis: 'X'|'Y', name, value, standardError}]（多項式の係数は正規化した画像座標に対するm）
+     */
+    calculateTransformationStatistics(controlPoints, params) {
+        try {
+            if (!params || params.model === 'tps' || controlPoints.length === 0) {
+                return null;
+            }
+
+            const design = controlPoints.map(point => this.getDesignRow(point.pointJson.imageX, point.pointJson.imageY, params));
+            const degreesOfFreedom = controlPoints.length - design[0].length;
+            if (degreesOfFreedom <= 0) {
+                return null;
+            }
+
+            const cofactor = this.invertMatrix(this.multiply(this.transpose(design), design));
+            if (!cofactor) {
+                return null;
+            }
+
+            // 残差の共分散（Webメルカトル）と単位重みの標準偏差（実距離）
+            const sums = { xx: 0, yy: 0, xy: 0, groundXX: 0, groundYY: 0 };
+            controlPoints.forEach(point => {
+                const [transformedX, transformedY] = this.imageToWebMercator(point.pointJson.imageX, point.pointJson.imageY, params);
+                const rx = transformedX - this.lonToWebMercatorX(point.gpsPoint.lng);
+                const ry = transformedY - this.latToWebMercatorY(point.gpsPoint.lat);
+                const scale = Math.cos(point.gpsPoint.lat * Math.PI / 180);
+                sums.xx += rx * rx;
+                sums.yy += ry * ry;
+                sums.xy += rx * ry;
+                sums.groundXX += rx * rx * scale * scale;
+                sums.groundYY += ry * ry * scale * scale;
+            });
+            const residualCovariance = {
+                xx: sums.xx / degreesOfFreedom,
+                yy: sums.yy / degreesOfFreedom,
+                xy: sums.xy / degreesOfFreedom
+            };
+
+            // パラメータ名と値（多項式は正規化を戻してm単位にする）
+            let namesX;
+            let namesY;
+            let valuesX;
+            let valuesY;
+            if (params.model === 'polynomial') {
+                namesX = namesY = params.terms.map(([i, j]) => this.formatPolynomialTerm(i, j));
+                valuesX = params.coefficientsX.map(value => value * params.normalization.mercatorScale);
+                valuesY = params.coefficientsY.map(value => value * params.normalization.mercatorScale);
+            } else {
+                namesX = ['a', 'b', 'c'];
+                namesY = ['d', 'e', 'f'];
+                valuesX = [params.a, params.b, params.c];
+                valuesY = [params.d, params.e, params.f];
+            }
+
+            const toParameters = (axis, names, values, variance) => values.map((value, index) => ({
+                axis,
+                name: names[index],
+                value,
+                standardError: Math.sqrt(variance * cofactor[index][index])
+            }));
+            const parameters = [
+                ...toParameters('X', namesX, valuesX, residualCovariance.xx),
+                ...toParameters('Y', namesY, valuesY, residualCovariance.yy)
+            ];
+
+            return {
+                degreesOfFreedom,
+                sigmaX: Math.sqrt(sums.groundXX / degreesOfFreedom),
+                sigmaY: Math.sqrt(sums.groundYY / degreesOfFreedom),
+                residualCovariance,
+                cofactor,
+                parameters
+            };
+
+        } catch (error) {
+            this.logger.error('変換パラメータの統計量計算エラー', error);
+            return null;
+        }
+    }
+
+    // 多項式の項の表記（例: 1, u, v, u², uv）
+    formatPolynomialTerm(i, j) {
+        const power = (symbol, exponent) => (exponent === 0 ? '' : symbol + (exponent === 1 ? '' : '⁰¹²³'[exponent]));
+        return power('u', i) + power('v', j) || '1';
+    }
+
+    /**
+     * 画像座標を変換した位置の信頼楕円
+     * 変換後の位置の共分散 = 残差の共分散 × (g^T (A^T A)^-1 g)（gは計画行列の行）
+     * 倍率は自由度を考慮したF分布による（k² = 2F(2, 自由度)）
+     * @param {Object} statistics - calculateTransformationStatistics()の結果
+     * @param {number} confidence - 信頼水準（0〜1）
+     * @returns {Object|null} {center: [X, Y], semiMajor, semiMinor, azimuth, confidence}
+     *   半径は実距離(m)、azimuthは長軸の方位角（北から時計回り、0〜180度）
+     */
+    calculateConfidenceEllipse(imageX, imageY, params, statistics, confidence) {
+        const row = statistics ? this.getDesignRow(imageX, imageY, params) : null;
+        if (!row) {
+            return null;
         }
+
+        const leverage = this.multiplyVector(statistics.cofactor, row).reduce((sum, value, i) => sum + value * row[i], 0);
+        const { xx, yy, xy } = statistics.residualCovariance;
+        const half = (xx - yy) / 2;
+        const radius = Math.sqrt(half * half + xy * xy);
+        const major = Math.max(((xx + yy) / 2 + radius) * leverage, 0);
+        const minor = Math.max(((xx + yy) / 2 - radius) * leverage, 0);
+
+        const dof = statistics.degreesOfFreedom;
+        const factor = Math.sqrt(dof * (Math.pow(1 - confidence, -2 / dof) - 1));
+        const center = this.imageToWebMercator(imageX, imageY, params);
+        const scale = Math.cos(this.webMercatorYToLat(center[1]) * Math.PI / 180);
+
+        // 長軸の向き（東から反時計回り）を方位角に変換
+        const angle = Math.atan2(2 * xy, xx - yy) / 2 * 180 / Math.PI;
+        const azimuth = ((90 - angle) % 180 + 180) % 180;
+
+        return {
+            center,
+            semiMajor: Math.sqrt(major) * factor * scale,
+            semiMinor: Math.sqrt(minor) * factor * scale,
+            azimuth,
+            confidence
+        };
     }
 }
 
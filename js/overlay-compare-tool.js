@@ -0,0 +1,167 @@
+// 画像と背景地図の比較表示モジュール
+// 画像レイヤー用のペイン（imageOverlay）をclip-pathで切り抜き、重ね合わせの精度を目視で確認できるようにする
+// スワイプ: 縦の境界線の左側だけ画像を表示（境界線はドラッグで移動）
+// スパイグラス: カーソルの周りの円内だけ画像を消して背景地図を表示
+// clip-pathの座標はペイン（地図のレイヤー座標）基準のため、地図の移動・ズームのたびに計算し直す
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+
+const IMAGE_PANE = 'imageOverlay';
+
+export class OverlayCompareTool {
+    constructor(mapCore) {
+        this.logger = new Logger('OverlayCompareTool');
+        this.map = mapCore.getMap();
+        this.pane = this.map.getPane(IMAGE_PANE);
+        this.mode = CONFIG.DEFAULT_OVERLAY_COMPARE_MODE;
+        this.swipePosition = CONFIG.OVERLAY_SWIPE_DEFAULT_POSITION;
+        this.cursorPoint = null; // スパイグラスの中心（コンテナ座標）
+        this.divider = null;
+        this.lens = null;
+
+        this.handleMapChange = () => this.update();
+        this.handleMouseMove = (event) => {
+            this.cursorPoint = event.containerPoint;
+            this.update();
+        };
+        this.handleMouseOut = () => {
+            this.cursorPoint = null;
+            this.update();
+        };
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * 比較表示の切り替え
+     * @param {string} mode - 'none' | 'swipe' | 'spyglass'
+     */
+    setMode(mode) {
+        if (!CONFIG.OVERLAY_COMPARE_MODES[mode]) {
+            throw new Error(`未対応の比較表示です: ${mode}`);
+        }
+        if (mode === this.mode) {
+            return;
+        }
+
+        this.map.off('move zoom viewreset resize', this.handleMapChange);
+        this.map.off('mousemove', this.handleMouseMove);
+        this.map.off('mouseout', this.handleMouseOut);
+        this.setElementVisible(this.divider, false);
+        this.setElementVisible(this.lens, false);
+        this.cursorPoint = null;
+
+        this.mode = mode;
+        if (mode !== 'none') {
+            this.map.on('move zoom viewreset resize', this.handleMapChange);
+        }
+        if (mode === 'swipe') {
+            this.setElementVisible(this.getDivider(), true);
+        } else if (mode === 'spyglass') {
+            this.map.on('mousemove', this.handleMouseMove);
+            this.map.on('mouseout', this.handleMouseOut);
+        }
+
+        this.logger.info(`比較表示: ${mode}`);
+        this.update();
+    }
+
+    /**
+     * スワイプの境界線の位置
+     * @param {number} ratio - 地図の幅に対する割合（0〜1）
+     */
+    setSwipePosition(ratio) {
+        this.swipePosition = Math.min(Math.max(ratio, 0), 1);
+        this.update();
+    }
+
+    // 現在の表示に合わせて画像ペインの切り抜きと境界線・レンズの位置を更新
+    update() {
+        if (!this.pane) {
+            return;
+        }
+
+        const size = this.map.getSize();
+        const toLayer = (x, y) => this.map.containerPointToLayerPoint([x, y]);
+
+        if (this.mode === 'swipe') {
+            const x = size.x * this.swipePosition;
+            const corners = [toLayer(0, 0), toLayer(x, 0), toLayer(x, size.y), toLayer(0, size.y)];
+            this.pane.style.clipPath = `polygon(${corners.map(point => `${point.x}px ${point.y}px`).join(', ')})`;
+            this.getDivider().style.left = `${x}px`;
+            return;
+        }
+
+        if (this.mode === 'spyglass' && this.cursorPoint) {
+            // 地図全体の矩形から円をくり抜く（evenodd）
+            const radius = CONFIG.OVERLAY_SPYGLASS_RADIUS;
+            const topLeft = toLayer(0, 0);
+            const bottomRight = toLayer(size.x, size.y);
+            const center = toLayer(this.cursorPoint.x, this.cursorPoint.y);
+            const path = `M ${topLeft.x} ${topLeft.y} H ${bottomRight.x} V ${bottomRight.y} H ${topLeft.x} Z ` +
+                `M ${center.x - radius} ${center.y} a ${radius} ${radius} 0 1 0 ${radius * 2} 0 a ${radius} ${radius} 0 1 0 ${-radius * 2} 0 Z`;
+            this.pane.style.clipPath = `path(evenodd, "${path}")`;
+
+            const lens = this.getLens();
+            lens.style.width = lens.style.height = `${radius * 2}px`;
+            lens.style.left = `${this.cursorPoint.x - radius}px`;
+            lens.style.top = `${this.cursorPoint.y - radius}px`;
+            this.setElementVisible(lens, true);
+            return;
+        }
+
+        this.pane.style.clipPath = '';
+        this.setElementVisible(this.lens, false);
+    }
+
+    // スワイプの境界線（ドラッグで移動。地図のドラッグとは区別する）
+    getDivider() {
+        if (this.divider) {
+            return this.divider;
+        }
+
+        this.divider = L.DomUtil.create('div', 'overlay-swipe-divider', this.map.getContainer());
+        L.DomUtil.create('div', 'overlay-swipe-handle', this.divider).title = 'ドラッグして境界線を移動';
+        L.DomEvent.disableClickPropagation(this.divider);
+
+        let dragging = false;
+        this.divider.addEventListener('pointerdown', (event) => {
+            dragging = true;
+            this.divider.setPointerCapture(event.pointerId);
+            event.preventDefault();
+        });
+        this.divider.addEventListener('pointermove', (event) => {
+            if (!dragging) {
+                return;
+            }
+            const rect = this.map.getContainer().getBoundingClientRect();
+            this.setSwipePosition((event.clientX - rect.left) / rect.width);
+        });
+        const endDrag = (event) => {
+            dragging = false;
+            if (this.divider.hasPointerCapture(event.pointerId)) {
+                this.divider.releasePointerCapture(event.pointerId);
+            }
+        };
+        this.divider.addEventListener('pointerup', endDrag);
+        this.divider.addEventListener('pointercancel', endDrag);
+
+        return this.divider;
+    }
+
+    // スパイグラスの円の縁（表示のみ。マウス操作は地図に渡す）
+    getLens() {
+        if (!this.lens) {
+            this.lens = L.DomUtil.create('div', 'overlay-spyglass-lens', this.map.getContainer());
+        }
+        return this.lens;
+    }
+
+    setElementVisible(element, visible) {
+        if (element) {
+            element.style.display = visible ? '' : 'none';
+        }
+    }
+}
@@ -0,0 +1,133 @@
+// プロジェクトファイル（.georef.json）モジュール
+// 入力データ（PNG画像・ポイントGPS・読み込んだJSON）、手動制御点と使用/除外の設定、変換モデル、
+// 求めた変換パラメータ、取得した標高を1つのファイルにまとめ、1回の読み込みで作業状態を復元できるようにする
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+
+export class ProjectFile {
+    constructor() {
+        this.logger = new Logger('ProjectFile');
+    }
+
+    /**
+     * プロジェクトデータを作成
+     * @param {Object} state - 作業状態
+     * @param {Object} state.image - {fileName, width, height, dataUrl}（dataUrlがnullの場合はファイル名のみ参照）
+     * @param {Object} state.mapView - {center: [lat, lng], zoom}
+     * @param {Array} state.gpsPoints - ポイントGPS（ドラッグによる移動・標高を含む）
+     * @param {Array} state.jsonDocuments - 読み込んだJSON [{fileName, data}]（読み込み順）
+     * @param {Array} state.imageMarkers - 画像上のマーカーの状態 [{type, name, imageX, imageY, elevation}]
+     * @param {Array} state.areas - エリア（頂点の標高を含む）
+     * @param {Array} state.controlPoints - 手動制御点（ControlPointEditor.toPointsJson()のpoints）
+     * @param {Object} state.georeference - {model, solverMode, excludedPointIds, checkPointIds, transformation}
+     * @returns {Object} プロジェクトデータ
+     */
+    create(state) {
+        return {
+            format: CONFIG.PROJECT_FILE_FORMAT,
+            version: CONFIG.PROJECT_FILE_VERSION,
+            savedAt: new Date().toISOString(),
+            image: state.image,
+            mapView: state.mapView,
+            gpsPoints: state.gpsPoints,
+            jsonDocuments: state.jsonDocuments,
+            imageMarkers: state.imageMarkers,
+            areas: state.areas,
+            controlPoints: state.controlPoints,
+            georeference: {
+                model: state.georeference.model,
+                solverMode: state.georeference.solverMode,
+                excludedPointIds: state.georeference.excludedPointIds,
+                checkPointIds: state.georeference.checkPointIds,
+                transformation: this.serializeTransformation(state.georeference.transformation)
+            }
+        };
+    }
+
+    // 変換結果のうち復元に必要な項目のみを残す（制御点ペアは入力データから再構成する）
+    serializeTransformation(transformation) {
+        if (!transformation) {
+            return null;
+        }
+        return {
+            type: transformation.type,
+            model: transformation.model,
+            transformation: transformation.transformation,
+            accuracy: transformation.accuracy || null,
+            usedPoints: transformation.usedPoints,
+            rejectedPoints: transformation.rejectedPoints || [],
+            robust: transformation.robust || null
+        };
+    }
+
+    // プロジェクトファイルか判定
+    isProjectData(data) {
+        return !!(data && typeof data === 'object' && data.format === CONFIG.PROJECT_FILE_FORMAT);
+    }
+
+    /**
+     * 読み込んだプロジェクトデータを検証し、欠けている項目を既定値で補う
+     * @param {Object} data - プロジェクトデータ
+     * @returns {Object} 検証済みのプロジェクトデータ
+     */
+    parse(data) {
+        if (!this.isProjectData(data)) {
+            throw new Error('GeoReferencerのプロジェクトファイルではありません。');
+        }
+        if (!Number.isInteger(data.version) || data.version > CONFIG.PROJECT_FILE_VERSION) {
+            throw new Error(`対応していないプロジェクトファイルのバージョンです: ${data.version}`);
+        }
+        if (!data.image || !data.image.fileName) {
+            throw new Error('プロジェクトファイルにPNG画像の情報がありません。');
+        }
+
+        const georeference = data.georeference || {};
+        const transformation = georeference.transformation;
+        if (transformation && !CONFIG.SOLVER_MODES[transformation.type]) {
+            throw new Error(`未対応の変換方式です: ${transformation.type}`);
+        }
+
+        return {
+            ...data,
+            mapView: data.mapView || null,
+            gpsPoints: Array.isArray(data.gpsPoints) ? data.gpsPoints : [],
+            jsonDocuments: Array.isArray(data.jsonDocuments) ? data.jsonDocuments : [],
+            imageMarkers: Array.isArray(data.imageMarkers) ? data.imageMarkers : [],
+            areas: Array.isArray(data.areas) ? data.areas : null,
+            controlPoints: Array.isArray(data.controlPoints) ? data.controlPoints : [],
+            georeference: {
+                model: CONFIG.TRANSFORMATION_MODELS[georeference.model]
+                    ? georeference.model : CONFIG.DEFAULT_TRANSFORMATION_MODEL,
+                solverMode: CONFIG.SOLVER_MODES[georeference.solverMode]
+                    ? georeference.solverMode : CONFIG.DEFAULT_SOLVER_MODE,
+                excludedPointIds: Array.isArray(georeference.excludedPointIds) ? georeference.excludedPointIds : [],
+                checkPointIds: Array.isArray(georeference.checkPointIds) ? georeference.checkPointIds : [],
+                transformation: transformation || null
+            }
+        };
+    }
+
+    /**
+     * プロジェクトのPNG画像をFileとして取得
+     * 埋め込まれていない場合は、一緒に選択されたファイルから同じファイル名のPNGを探す
+     * @param {Object} image - プロジェクトの画像情報
+     * @param {Array<File>} files - プロジェクトファイルと一緒に選択されたファイル
+     * @returns {Promise<File>}
+     */
+    async resolveImageFile(image, files) {
+        if (image.dataUrl) {
+            const blob = await (await fetch(image.dataUrl)).blob();
+            return new File([blob], image.fileName, { type: blob.type || 'image/png' });
+        }
+
+        const pngFiles = files.filter(file => file.type === 'image/png' || /\.png$/i.test(file.name));
+        const file = pngFiles.find(f => f.name === image.fileName) || (pngFiles.length === 1 ? pngFiles[0] : null);
+        if (!file) {
+            throw new Error(`プロジェクトが参照するPNG画像「${image.fileName}」を、プロジェクトファイルと一緒に選択してください。`);
+        }
+        if (file.name !== image.fileName) {
+            this.logger.warn(`PNG画像のファイル名がプロジェクトと異なります: ${file.name}（プロジェクト: ${image.fileName}）`);
+        }
+        return file;
+    }
+}
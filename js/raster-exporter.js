@@ -0,0 +1,369 @@
+// 画像（ラスター）出力モジュール
+// ジオリファレンス結果をワールドファイル（.pgw + .prj）またはGeoTIFFとして出力する
+// アフィン変換をWebメルカトルで出力する場合は変換パラメータをそのまま書き出し、
+// それ以外（非線形モデル・緯度経度出力）は格子状のタイポイントで変換を表す
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { mathUtils } from './math-utils.js';
+
+// TIFFのフィールド型（型番号と1要素のバイト数）
+const TIFF_TYPES = {
+    ASCII: { id: 2, size: 1 },
+    SHORT: { id: 3, size: 2 },
+    LONG: { id: 4, size: 4 },
+    DOUBLE: { id: 12, size: 8 }
+};
+
+// GeoTIFFのタグ・GeoKey番号
+const GEOTIFF_TAGS = {
+    MODEL_TIEPOINT: 33922,
+    MODEL_TRANSFORMATION: 34264,
+    GEO_KEY_DIRECTORY: 34735,
+    GEO_ASCII_PARAMS: 34737
+};
+
+const GEO_KEYS = {
+    GT_MODEL_TYPE: 1024,
+    GT_RASTER_TYPE: 1025,
+    GT_CITATION: 1026,
+    GEOGRAPHIC_TYPE: 2048,
+    GEOG_ANGULAR_UNITS: 2054,
+    PROJECTED_CS_TYPE: 3072,
+    PROJ_LINEAR_UNITS: 3076
+};
+
+export class RasterExporter {
+    constructor() {
+        this.logger = new Logger('RasterExporter');
+    }
+
+    /**
+     * 画像座標を出力座標系の座標 [X, Y] に変換
+     * @param {string} crs - CONFIG.EXPORT_CRSのキー
+     * @returns {Array|null} EPSG:3857は[X, Y]（m）、EPSG:4326は[経度, 緯度]
+     */
+    imageToCrs(imageX, imageY, transformation, crs) {
+        if (CONFIG.EXPORT_CRS[crs].geographic) {
+            const latLng = mathUtils.applyTransform(imageX, imageY, transformation);
+            return latLng ? [latLng[1], latLng[0]] : null;
+        }
+        return mathUtils.imageToWebMercator(imageX, imageY, transformation.transformation);
+    }
+
+    // 出力座標系の座標を [lat, lng] に変換
+    crsToLatLng(x, y, crs) {
+        if (CONFIG.EXPORT_CRS[crs].geographic) {
+            return [y, x];
+        }
+        return [mathUtils.webMercatorYToLat(y), mathUtils.webMercatorXToLon(x)];
+    }
+
+    // 変換が出力座標系で6パラメータのアフィン変換として厳密に表せるか
+    isExactAffine(transformation, crs) {
+        const params = transformation.transformation;
+        return (!params.model || params.model === 'affine') && !CONFIG.EXPORT_CRS[crs].geographic;
+    }
+
+    /**
+     * 画像を格子状に分割し、格子点の画像座標と出力座標系の座標を求める
+     * @returns {Array} [{imageX, imageY, x, y}]
+     */
+    sampleGrid(transformation, imageWidth, imageHeight, crs) {
+        const divisions = CONFIG.EXPORT_TIEPOINT_DIVISIONS;
+        const samples = [];
+
+        for (let row = 0; row <= divisions; row++) {
+            for (let col = 0; col <= divisions; col++) {
+                const imageX = imageWidth * col / divisions;
+                const imageY = imageHeight * row / divisions;
+                const coords = this.imageToCrs(imageX, imageY, transformation, crs);
+                if (coords && isFinite(coords[0]) && isFinite(coords[1])) {
+                    samples.push({ imageX, imageY, x: coords[0], y: coords[1] });
+                }
+            }
+        }
+
+        return samples;
+    }
+
+    /**
+     * 画像座標 → 出力座標系のアフィン係数を求める
+     * X = a*x + b*y + c, Y = d*x + e*y + f（x, yは画像左上の角を原点とするピクセル座標）
+     * @returns {Object|null} {a, b, c, d, e, f, exact, maxDeviationMeters}
+     */
+    calculateAffineParameters(transformation, imageWidth, imageHeight, crs) {
+        if (this.isExactAffine(transformation, crs)) {
+            const { a, b, c, d, e, f } = transformation.transformation;
+            return { a, b, c, d, e, f, exact: true, maxDeviationMeters: 0 };
+        }
+
+        // 格子点に最小二乗法でアフィン変換を当てはめて近似する
+        const samples = this.sampleGrid(transformation, imageWidth, imageHeight, crs);
+        if (samples.length < 3) {
+            return null;
+        }
+
+        const normalMatrix = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const rhsX = [0, 0, 0];
+        const rhsY = [0, 0, 0];
+        samples.forEach(sample => {
+            const row = [sample.imageX, sample.imageY, 1];
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    normalMatrix[i][j] += row[i] * row[j];
+                }
+                rhsX[i] += row[i] * sample.x;
+                rhsY[i] += row[i] * sample.y;
+            }
+        });
+
+        const solutionX = mathUtils.gaussJordan(normalMatrix.map(r => [...r]), rhsX);
+        const solutionY = mathUtils.gaussJordan(normalMatrix.map(r => [...r]), rhsY);
+        if (!solutionX || !solutionY) {
+            return null;
+        }
+
+        const [a, b, c] = solutionX;
+        const [d, e, f] = solutionY;
+
+        // 近似による最大のずれ（m）
+        let maxDeviationMeters = 0;
+        samples.forEach(sample => {
+            const exact = this.crsToLatLng(sample.x, sample.y, crs);
+            const approx = this.crsToLatLng(
+                a * sample.imageX + b * sample.imageY + c,
+                d * sample.imageX + e * sample.imageY + f, crs);
+            const deviation = mathUtils.calculateGpsDistance(exact[0], exact[1], approx[0], approx[1]);
+            maxDeviationMeters = Math.max(maxDeviationMeters, deviation);
+        });
+
+        return { a, b, c, d, e, f, exact: false, maxDeviationMeters };
+    }
+
+    /**
+     * ワールドファイル（.pgw）の内容を作成
+     * ワールドファイルは左上画素の中心座標を基準とするため、半画素分ずらす
+     * @param {Object} params - calculateAffineParametersの結果
+     * @param {string} crs - CONFIG.EXPORT_CRSのキー
+     * @returns {string} 6行のテキスト
+     */
+    createWorldFile(params, crs) {
+        // 度単位の画素サイズは非常に小さいため、桁数を多く出力する
+        const digits = CONFIG.EXPORT_CRS[crs].geographic ? 15 : 10;
+        const lines = [
+            params.a,
+            params.d,
+            params.b,
+            params.e,
+            params.c + (params.a + params.b) / 2,
+            params.f + (params.d + params.e) / 2
+        ];
+        return lines.map(value => value.toFixed(digits)).join('\n') + '\n';
+    }
+
+    // 座標系定義ファイル（.prj）の内容を作成
+    createPrj(crs) {
+        return CONFIG.EXPORT_CRS[crs].prj + '\n';
+    }
+
+    // 画像のRGBA画素データを取得
+    getImageData(image) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+        return context.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * ジオリファレンス済み画像をGeoTIFFとして作成
+     * @param {HTMLImageElement} image - 読み込み済みのPNG画像
+     * @param {Object} transformation - ジオリファレンスの変換結果
+     * @param {string} crs - CONFIG.EXPORT_CRSのキー
+     * @returns {{blob: Blob, tiepointCount: number}} tiepointCountは変換パラメータを埋め込んだ場合0
+     */
+    createGeoTiff(image, transformation, crs) {
+        const imageData = this.getImageData(image);
+        const { width, height } = imageData;
+
+        const geoEntries = [];
+        let tiepointCount = 0;
+
+        if (this.isExactAffine(transformation, crs)) {
+            // 回転・せん断を含むアフィン変換は変換行列（4×4）で表す
+            const { a, b, c, d, e, f } = transformation.transformation;
+            geoEntries.push({
+                tag: GEOTIFF_TAGS.MODEL_TRANSFORMATION,
+                type: TIFF_TYPES.DOUBLE,
+                values: [a, b, 0, c, d, e, 0, f, 0, 0, 0, 0, 0, 0, 0, 1]
+            });
+        } else {
+            // 非線形モデル・緯度経度出力は格子点をタイポイント（GCP）として埋め込む
+            const samples = this.sampleGrid(transformation, width, height, crs);
+            const values = [];
+            samples.forEach(sample => {
+                values.push(sample.imageX, sample.imageY, 0, sample.x, sample.y, 0);
+            });
+            geoEntries.push({ tag: GEOTIFF_TAGS.MODEL_TIEPOINT, type: TIFF_TYPES.DOUBLE, values });
+            tiepointCount = samples.length;
+        }
+
+        geoEntries.push(...this.createGeoKeyEntries(crs));
+
+        const buffer = this.writeTiff(width, height, imageData.data, geoEntries);
+        this.logger.info(`GeoTIFF作成: ${width}×${height}px, ${crs}, タイポイント${tiepointCount}点`);
+
+        return {
+            blob: new Blob([buffer], { type: 'image/tiff' }),
+            tiepointCount
+        };
+    }
+
+    // 座標系を表すGeoKeyディレクトリとASCIIパラメータのタグを作成
+    createGeoKeyEntries(crs) {
+        const crsConfig = CONFIG.EXPORT_CRS[crs];
+        const citation = crsConfig.citation + '|';
+
+        // [キー番号, 格納先タグ（0は値を直接保持）, 要素数, 値またはオフセット]
+        const keys = [
+            [GEO_KEYS.GT_MODEL_TYPE, 0, 1, crsConfig.geographic ? 2 : 1],
+            [GEO_KEYS.GT_RASTER_TYPE, 0, 1, 1], // PixelIsArea
+            [GEO_KEYS.GT_CITATION, GEOTIFF_TAGS.GEO_ASCII_PARAMS, citation.length, 0]
+        ];
+        if (crsConfig.geographic) {
+            keys.push([GEO_KEYS.GEOGRAPHIC_TYPE, 0, 1, crsConfig.epsg]);
+            keys.push([GEO_KEYS.GEOG_ANGULAR_UNITS, 0, 1, 9102]); // 度
+        } else {
+            keys.push([GEO_KEYS.PROJECTED_CS_TYPE, 0, 1, crsConfig.epsg]);
+            keys.push([GEO_KEYS.PROJ_LINEAR_UNITS, 0, 1, 9001]); // メートル
+        }
+
+        return [
+            {
+                tag: GEOTIFF_TAGS.GEO_KEY_DIRECTORY,
+                type: TIFF_TYPES.SHORT,
+                values: [1, 1, 0, keys.length, ...keys.flat()]
+            },
+            {
+                tag: GEOTIFF_TAGS.GEO_ASCII_PARAMS,
+                type: TIFF_TYPES.ASCII,
+                values: citation
+            }
+        ];
+    }
+
+    /**
+     * 非圧縮RGBA（8bit×4、アルファは非乗算）のTIFFを書き出す
+     * @param {number} width - 画像幅
+     * @param {number} height - 画像高さ
+     * @param {Uint8ClampedArray} rgba - 画素データ
+     * @param {Array} extraEntries - 追加するタグ [{tag, type, values}]
+     * @returns {ArrayBuffer} TIFFファイルの内容
+     */
+    writeTiff(width, height, rgba, extraEntries = []) {
+        const bytesPerRow = width * 4;
+        const rowsPerStrip = Math.max(1, Math.floor(CONFIG.GEOTIFF_STRIP_BYTES / bytesPerRow));
+        const stripCount = Math.ceil(height / rowsPerStrip);
+        const stripOffsets = new Array(stripCount).fill(0);
+        const stripByteCounts = [];
+        for (let i = 0; i < stripCount; i++) {
+            const rows = Math.min(rowsPerStrip, height - i * rowsPerStrip);
+            stripByteCounts.push(rows * bytesPerRow);
+        }
+
+        const entries = [
+            { tag: 256, type: TIFF_TYPES.LONG, values: [width] },            // ImageWidth
+            { tag: 257, type: TIFF_TYPES.LONG, values: [height] },           // ImageLength
+            { tag: 258, type: TIFF_TYPES.SHORT, values: [8, 8, 8, 8] },      // BitsPerSample
+            { tag: 259, type: TIFF_TYPES.SHORT, values: [1] },               // Compression: なし
+            { tag: 262, type: TIFF_TYPES.SHORT, values: [2] },               // PhotometricInterpretation: RGB
+            { tag: 273, type: TIFF_TYPES.LONG, values: stripOffsets },       // StripOffsets
+            { tag: 277, type: TIFF_TYPES.SHORT, values: [4] },               // SamplesPerPixel
+            { tag: 278, type: TIFF_TYPES.LONG, values: [rowsPerStrip] },     // RowsPerStrip
+            { tag: 279, type: TIFF_TYPES.LONG, values: stripByteCounts },    // StripByteCounts
+            { tag: 284, type: TIFF_TYPES.SHORT, values: [1] },               // PlanarConfiguration
+            { tag: 338, type: TIFF_TYPES.SHORT, values: [2] },               // ExtraSamples: 非乗算アルファ
+            ...extraEntries
+        ].sort((x, y) => x.tag - y.tag);
+
+        // レイアウト: ヘッダー(8) → IFD → 4バイトを超える値 → 画素データ
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let offset = 8 + ifdSize;
+        entries.forEach(entry => {
+            entry.count = entry.type === TIFF_TYPES.ASCII ? entry.values.length + 1 : entry.values.length;
+            entry.byteLength = entry.count * entry.type.size;
+            if (entry.byteLength > 4) {
+                offset += offset % 2; // 値はワード境界に配置
+                entry.valueOffset = offset;
+                offset += entry.byteLength;
+            }
+        });
+
+        const pixelOffset = offset + (offset % 2);
+        const totalSize = pixelOffset + rgba.length;
+        if (totalSize > 0xFFFFFFFF) {
+            throw new Error('画像が大きすぎるためGeoTIFFを出力できません。');
+        }
+        for (let i = 0; i < stripCount; i++) {
+            stripOffsets[i] = pixelOffset + i * rowsPerStrip * bytesPerRow;
+        }
+
+        const buffer = new ArrayBuffer(totalSize);
+        const view = new DataView(buffer);
+
+        // ヘッダー（リトルエンディアン）
+        view.setUint8(0, 0x49);
+        view.setUint8(1, 0x49);
+        view.setUint16(2, 42, true);
+        view.setUint32(4, 8, true);
+
+        // IFD
+        view.setUint16(8, entries.length, true);
+        entries.forEach((entry, index) => {
+            const entryOffset = 10 + index * 12;
+            view.setUint16(entryOffset, entry.tag, true);
+            view.setUint16(entryOffset + 2, entry.type.id, true);
+            view.setUint32(entryOffset + 4, entry.count, true);
+
+            if (entry.byteLength > 4) {
+                view.setUint32(entryOffset + 8, entry.valueOffset, true);
+                this.writeValues(view, entry.valueOffset, entry);
+            } else {
+                this.writeValues(view, entryOffset + 8, entry);
+            }
+        });
+        view.setUint32(10 + entries.length * 12, 0, true); // 次のIFDなし
+
+        new Uint8Array(buffer, pixelOffset).set(rgba);
+
+        return buffer;
+    }
+
+    writeValues(view, offset, entry) {
+        if (entry.type === TIFF_TYPES.ASCII) {
+            for (let i = 0; i < entry.values.length; i++) {
+                view.setUint8(offset + i, entry.values.charCodeAt(i));
+            }
+            view.setUint8(offset + entry.values.length, 0);
+            return;
+        }
+
+        entry.values.forEach((value, i) => {
+            const position = offset + i * entry.type.size;
+            switch (entry.type) {
+                case TIFF_TYPES.SHORT:
+                    view.setUint16(position, value, true);
+                    break;
+                case TIFF_TYPES.LONG:
+                    view.setUint32(position, value, true);
+                    break;
+                case TIFF_TYPES.DOUBLE:
+                    view.setFloat64(position, value, true);
+                    break;
+            }
+        });
+    }
+}
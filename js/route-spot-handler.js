@@ -15,6 +15,7 @@ export class RouteSpotHandler {
         this.routeMarkers = [];
         this.spotMarkers = [];
         this.pointMarkers = [];
+        this.routeKeySequence = 0; // ルートごとの一意なキーの連番（同名のルートを区別する）
     }
 
     async importRouteSpotData(dataItems) {
@@ -605,6 +606,7 @@ export class RouteSpotHandler {
 
 
                     if (latLngs.length > 1) {
+                        const routeKey = `route-${++this.routeKeySequence}`;
                         points.forEach((point, pointIndex) => {
                             let label = 'ポイント';
 
@@ -627,6 +629,7 @@ export class RouteSpotHandler {
                                     imageX: point.imageX || point.__imageX,
                                     imageY: point.imageY || point.__imageY,
                                     routeId: item.name || item.routeId,
+                                    routeKey,
                                     label: label
                                 };
                             }
@@ -706,6 +709,25 @@ export class RouteSpotHandler {
         return Array.isArray(this.pointData) ? this.pointData.length : 0;
     }
 
+    /**
+     * 地図上のルート（ルートごとの中間点マーカーを表示順に結んだ線）を取得
+     * 同名のルートを1本にまとめないよう、表示したルートごとの一意なキー（routeKey）で分ける
+     * @returns {Array} [{routeKey, routeId, latLngs: [{lat, lng}]}]（routeIdは表示名）
+     */
+    getRouteLatLngs() {
+        const routes = new Map();
+        (this.routeMarkers || []).forEach(marker => {
+            const meta = marker.__meta || {};
+            const routeKey = meta.routeKey || meta.routeId || 'unknown_route';
+            if (!routes.has(routeKey)) {
+                routes.set(routeKey, { routeKey, routeId: meta.routeId || 'unknown_route', latLngs: [] });
+            }
+            const latLng = marker.getLatLng();
+            routes.get(routeKey).latLngs.push({ lat: latLng.lat, lng: latLng.lng });
+        });
+        return Array.from(routes.values());
+    }
+
     getRouteCount() {
         return Array.isArray(this.routeData) ? this.routeData.length : 0;
     }
@@ -877,15 +899,7 @@ export class RouteSpotHandler {
                     };
 
                     // ポップアップを追加
-                    const popupContent = `
-                        <div style="font-size: 12px;">
-                            <strong>${point.id}</strong><br>
-                            緯度: ${point.lat.toFixed(6)}<br>
-                            経度: ${point.lng.toFixed(6)}<br>
-                            画像座標: (${Math.round(point.imageX)}, ${Math.round(point.imageY)})
-                        </div>
-                    `;
-                    marker.bindPopup(popupContent);
+                    marker.bindPopup(this.createPointPopupContent(point));
 
                     this.pointMarkers.push(marker);
                 }
@@ -898,4 +912,30 @@ export class RouteSpotHandler {
             throw error;
         }
     }
+
+    /**
+     * 表示中のポイントマーカーをpointDataの座標へ移動（マーカーは作り直さない）
+     * @param {L.Marker} skipMarker - 位置を更新しないマーカー（ドラッグ中のマーカー）
+     */
+    updatePointMarkerPositions(skipMarker = null) {
+        this.pointMarkers.forEach(marker => {
+            const point = this.pointData.find(p => p.id === marker.__meta.id);
+            if (!point || marker === skipMarker || !isFinite(point.lat) || !isFinite(point.lng)) {
+                return;
+            }
+            marker.setLatLng([point.lat, point.lng]);
+            marker.setPopupContent(this.createPointPopupContent(point));
+        });
+    }
+
+    createPointPopupContent(point) {
+        return `
+            <div style="font-size: 12px;">
+                <strong>${point.id}</strong><br>
+                緯度: ${point.lat.toFixed(6)}<br>
+                経度: ${point.lng.toFixed(6)}<br>
+                画像座標: (${Math.round(point.imageX)}, ${Math.round(point.imageY)})
+            </div>
+        `;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+// 作業状態の自動保存先（IndexedDB）モジュール
+// スナップショット（プロジェクトデータ）とPNG画像を別々のストアに保存し、
+// 同じ画像を参照する複数のスナップショットで画像を共有する
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { IndexedDbDatabase } from './indexed-db.js';
+
+const SNAPSHOT_STORE = 'snapshots';
+const IMAGE_STORE = 'images';
+
+export class SessionStore {
+    constructor() {
+        this.logger = new Logger('SessionStore');
+        this.database = new IndexedDbDatabase({
+            name: CONFIG.AUTOSAVE_DB_NAME,
+            version: CONFIG.AUTOSAVE_DB_VERSION,
+            label: '自動保存',
+            upgrade: (db) => {
+                if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                    db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+                    db.createObjectStore(IMAGE_STORE, { keyPath: 'key' });
+                }
+            }
+        });
+    }
+
+    // IndexedDBが利用可能か
+    static isSupported() {
+        return IndexedDbDatabase.isSupported();
+    }
+
+    // トランザクションを実行し、完了を待つ（IndexedDbDatabase.transaction()を参照）
+    transaction(storeNames, mode, callback) {
+        return this.database.transaction(storeNames, mode, callback);
+    }
+
+    /**
+     * スナップショットを保存
+     * @param {Object} snapshot - {id（上書きする場合）, createdAt, summary, project, imageKey}
+     * @param {Blob|null} imageBlob - 新しい画像の場合のみ指定（同じimageKeyの画像は保存済み）
+     * @returns {Promise<number>} スナップショットID
+     */
+    async saveSnapshot(snapshot, imageBlob = null) {
+        const record = { ...snapshot, savedAt: new Date().toISOString() };
+        if (record.id === null || record.id === undefined) {
+            delete record.id;
+        }
+
+        return this.transaction([SNAPSHOT_STORE, IMAGE_STORE], 'readwrite', (snapshots, images) => {
+            if (imageBlob) {
+                images.put({ key: snapshot.imageKey, blob: imageBlob });
+            }
+            return snapshots.put(record);
+        });
+    }
+
+    /**
+     * スナップショットの一覧（新しい順、プロジェクトデータ本体は含まない）
+     * @returns {Promise<Array>} [{id, createdAt, savedAt, summary}]
+     */
+    async listSnapshots() {
+        const records = await this.transaction([SNAPSHOT_STORE], 'readonly', snapshots => snapshots.getAll());
+        return records
+            .map(({ id, createdAt, savedAt, summary }) => ({ id, createdAt, savedAt, summary }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * スナップショットを読み込む
+     * @param {number} id - スナップショットID
+     * @returns {Promise<Object>} {project, imageBlob, savedAt}
+     */
+    async loadSnapshot(id) {
+        const result = {};
+        await this.transaction([SNAPSHOT_STORE, IMAGE_STORE], 'readonly', (snapshots, images) => {
+            const request = snapshots.get(id);
+            request.onsuccess = () => {
+                result.snapshot = request.result;
+                if (result.snapshot) {
+                    const imageRequest = images.get(result.snapshot.imageKey);
+                    imageRequest.onsuccess = () => {
+                        result.image = imageRequest.result;
+                    };
+                }
+            };
+        });
+
+        if (!result.snapshot) {
+            throw new Error('自動保存データが見つかりません。');
+        }
+        if (!result.image) {
+            throw new Error('自動保存データのPNG画像が見つかりません。');
+        }
+        return { project: result.snapshot.project, imageBlob: result.image.blob, savedAt: result.snapshot.savedAt };
+    }
+
+    /**
+     * 古いスナップショットと、どのスナップショットからも参照されない画像を削除
+     * @param {number} maxSnapshots - 残すスナップショット数
+     */
+    async prune(maxSnapshots) {
+        const list = await this.listSnapshots();
+        const removeIds = list.slice(maxSnapshots).map(item => item.id);
+
+        await this.transaction([SNAPSHOT_STORE, IMAGE_STORE], 'readwrite', (snapshots, images) => {
+            removeIds.forEach(id => snapshots.delete(id));
+
+            const usedKeys = new Set();
+            const cursorRequest = snapshots.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    if (!removeIds.includes(cursor.value.id)) {
+                        usedKeys.add(cursor.value.imageKey);
+                    }
+                    cursor.continue();
+                    return;
+                }
+                const keysRequest = images.getAllKeys();
+                keysRequest.onsuccess = () => {
+                    keysRequest.result
+                        .filter(key => !usedKeys.has(key))
+                        .forEach(key => images.delete(key));
+                };
+            };
+        });
+
+        if (removeIds.length > 0) {
+            this.logger.info(`古い自動保存データを削除: ${removeIds.length}件`);
+        }
+    }
+
+    // すべての自動保存データを削除
+    async clear() {
+        await this.transaction([SNAPSHOT_STORE, IMAGE_STORE], 'readwrite', (snapshots, images) => {
+            snapshots.clear();
+            images.clear();
+        });
+    }
+}
@@ -0,0 +1,195 @@
+// シェープファイル作成モジュール
+// 1つの形状タイプ（ポイント・ポリライン・ポリゴン）のレイヤーを、.shp・.shx・.dbfのバイト列として作成する
+// 座標は2次元（経度・緯度）。属性の文字列はUTF-8で格納する（.cpgでUTF-8を指定すること）
+
+// 形状タイプ（ESRI Shapefile Technical Description）
+const SHAPE_TYPES = {
+    point: 1,
+    polyline: 3,
+    polygon: 5
+};
+
+const HEADER_BYTES = 100;
+const RECORD_HEADER_BYTES = 8;
+
+export class ShapefileWriter {
+    /**
+     * @param {string} shapeType - 'point' | 'polyline' | 'polygon'
+     * @param {Array} fields - 属性の定義 [{name, type, length, decimals}]
+     *   name: 10バイト以内、type: 'C'（文字列）| 'N'（数値）
+     */
+    constructor(shapeType, fields) {
+        if (!SHAPE_TYPES[shapeType]) {
+            throw new Error(`未対応の形状タイプです: ${shapeType}`);
+        }
+        this.shapeType = shapeType;
+        this.fields = fields;
+        this.records = []; // [{parts, attributes}]
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * レコードを追加
+     * @param {Array} parts - 点列の配列 [[[x, y], ...], ...]（ポイントは [[[x, y]]]）
+     *   ポリゴンの外周は時計回り・穴は反時計回りとすること
+     * @param {Object} attributes - {フィールド名: 値}（null・undefinedは空）
+     */
+    addRecord(parts, attributes) {
+        this.records.push({ parts, attributes });
+    }
+
+    /**
+     * ファイルの内容を作成
+     * @returns {Object} {shp, shx, dbf}（Uint8Array）
+     */
+    build() {
+        const contents = this.records.map(record => this.createShapeContent(record.parts));
+        const shpLength = HEADER_BYTES + contents.reduce((sum, content) => sum + RECORD_HEADER_BYTES + content.byteLength, 0);
+        const shxLength = HEADER_BYTES + contents.length * RECORD_HEADER_BYTES;
+        const bbox = this.calculateBoundingBox(this.records.flatMap(record => record.parts.flat()));
+
+        const shp = new Uint8Array(shpLength);
+        const shx = new Uint8Array(shxLength);
+        this.writeFileHeader(new DataView(shp.buffer), shpLength, bbox);
+        this.writeFileHeader(new DataView(shx.buffer), shxLength, bbox);
+
+        const shpView = new DataView(shp.buffer);
+        const shxView = new DataView(shx.buffer);
+        let offset = HEADER_BYTES;
+        contents.forEach((content, index) => {
+            // レコード番号・長さ・位置は16ビットワード単位のビッグエンディアン
+            shpView.setInt32(offset, index + 1, false);
+            shpView.setInt32(offset + 4, content.byteLength / 2, false);
+            shp.set(new Uint8Array(content), offset + RECORD_HEADER_BYTES);
+
+            shxView.setInt32(HEADER_BYTES + index * RECORD_HEADER_BYTES, offset / 2, false);
+            shxView.setInt32(HEADER_BYTES + index * RECORD_HEADER_BYTES + 4, content.byteLength / 2, false);
+
+            offset += RECORD_HEADER_BYTES + content.byteLength;
+        });
+
+        return { shp, shx, dbf: this.createDbf() };
+    }
+
+    // .shp・.shxの共通ヘッダー
+    writeFileHeader(view, byteLength, bbox) {
+        view.setInt32(0, 9994, false); // ファイルコード
+        view.setInt32(24, byteLength / 2, false);
+        view.setInt32(28, 1000, true); // バージョン
+        view.setInt32(32, SHAPE_TYPES[this.shapeType], true);
+        [bbox.minX, bbox.minY, bbox.maxX, bbox.maxY].forEach((value, index) => {
+            view.setFloat64(36 + index * 8, value, true);
+        });
+    }
+
+    // 形状レコードの内容（リトルエンディアン）
+    createShapeContent(parts) {
+        const shapeType = SHAPE_TYPES[this.shapeType];
+        if (this.shapeType === 'point') {
+            const [x, y] = parts[0][0];
+            const view = new DataView(new ArrayBuffer(20));
+            view.setInt32(0, shapeType, true);
+            view.setFloat64(4, x, true);
+            view.setFloat64(12, y, true);
+            return view.buffer;
+        }
+
+        const points = parts.flat();
+        const pointsOffset = 44 + parts.length * 4;
+        const view = new DataView(new ArrayBuffer(pointsOffset + points.length * 16));
+        const bbox = this.calculateBoundingBox(points);
+        view.setInt32(0, shapeType, true);
+        [bbox.minX, bbox.minY, bbox.maxX, bbox.maxY].forEach((value, index) => {
+            view.setFloat64(4 + index * 8, value, true);
+        });
+        view.setInt32(36, parts.length, true);
+        view.setInt32(40, points.length, true);
+
+        let start = 0;
+        parts.forEach((part, index) => {
+            view.setInt32(44 + index * 4, start, true);
+            start += part.length;
+        });
+        points.forEach(([x, y], index) => {
+            view.setFloat64(pointsOffset + index * 16, x, true);
+            view.setFloat64(pointsOffset + index * 16 + 8, y, true);
+        });
+        return view.buffer;
+    }
+
+    calculateBoundingBox(points) {
+        if (points.length === 0) {
+            return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        }
+        // 頂点数が多いとスプレッド構文の引数が上限を超えるため、ループで求める
+        const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        points.forEach(([x, y]) => {
+            box.minX = Math.min(box.minX, x);
+            box.minY = Math.min(box.minY, y);
+            box.maxX = Math.max(box.maxX, x);
+            box.maxY = Math.max(box.maxY, y);
+        });
+        return box;
+    }
+
+    // 属性ファイル（dBASE III）
+    createDbf() {
+        const headerLength = 32 + this.fields.length * 32 + 1;
+        const recordLength = 1 + this.fields.reduce((sum, field) => sum + field.length, 0);
+        const bytes = new Uint8Array(headerLength + this.records.length * recordLength + 1);
+        const view = new DataView(bytes.buffer);
+
+        const now = new Date();
+        view.setUint8(0, 0x03);
+        view.setUint8(1, now.getFullYear() - 1900);
+        view.setUint8(2, now.getMonth() + 1);
+        view.setUint8(3, now.getDate());
+        view.setUint32(4, this.records.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+
+        this.fields.forEach((field, index) => {
+            const offset = 32 + index * 32;
+            bytes.set(this.encoder.encode(field.name).slice(0, 10), offset);
+            view.setUint8(offset + 11, field.type.charCodeAt(0));
+            view.setUint8(offset + 16, field.length);
+            view.setUint8(offset + 17, field.decimals || 0);
+        });
+        view.setUint8(headerLength - 1, 0x0D);
+
+        // 値は空白で埋める（削除フラグも空白）
+        bytes.fill(0x20, headerLength, headerLength + this.records.length * recordLength);
+        this.records.forEach((record, recordIndex) => {
+            let offset = headerLength + recordIndex * recordLength + 1;
+            this.fields.forEach(field => {
+                const encoded = this.encodeValue(record.attributes[field.name], field);
+                // 数値は右詰め、文字列は左詰め
+                bytes.set(encoded, field.type === 'N' ? offset + field.length - encoded.length : offset);
+                offset += field.length;
+            });
+        });
+        bytes[bytes.length - 1] = 0x1A;
+
+        return bytes;
+    }
+
+    // 属性値をフィールド幅に収まるバイト列に変換（文字列は文字の途中で切らない）
+    encodeValue(value, field) {
+        if (value === null || value === undefined || value === '') {
+            return new Uint8Array(0);
+        }
+        if (field.type === 'N') {
+            const number = Number(value);
+            const text = Number.isFinite(number) ? number.toFixed(field.decimals || 0) : '';
+            return this.encoder.encode(text.length <= field.length ? text : '');
+        }
+
+        const characters = [...String(value)];
+        let encoded = this.encoder.encode(characters.join(''));
+        while (encoded.length > field.length) {
+            characters.pop();
+            encoded = this.encoder.encode(characters.join(''));
+        }
+        return encoded;
+    }
+}
@@ -0,0 +1,54 @@
+// sql.js（SQLite WASM）読み込みモジュール
+// sql.jsとWASMはリポジトリ内（lib/sql.js/）に同梱し、オフラインでもGeoPackage・MBTiles出力を利用できる
+// 出力しない場合は読み込まないよう、初回の出力時にスクリプトを追加してWASMを初期化し、以降は同じモジュールを使う
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+
+export class SqlJsLoader {
+    constructor() {
+        this.logger = new Logger('SqlJsLoader');
+        this.sqlPromise = null;
+    }
+
+    /**
+     * sql.jsを初期化
+     * @param {string} purpose - メッセージに使う用途名（例: 'GeoPackage出力'）
+     * @returns {Promise<Object>} sql.jsのモジュール（SQL.Databaseを持つ）
+     */
+    async load(purpose) {
+        if (!this.sqlPromise) {
+            this.sqlPromise = this.loadScript()
+                .then(() => initSqlJs({ locateFile: (file) => `${CONFIG.SQL_JS_WASM_URL}${file}` }));
+            // 失敗した場合は次回に再試行できるようにする
+            this.sqlPromise.catch(() => {
+                this.sqlPromise = null;
+            });
+        }
+
+        try {
+            return await this.sqlPromise;
+        } catch (error) {
+            this.logger.error('sql.jsの初期化エラー', error);
+            throw new Error(`${purpose}用のライブラリ（sql.js）を読み込めませんでした。`);
+        }
+    }
+
+    // sql.jsのスクリプトを追加して読み込みを待つ（読み込み済みの場合は何もしない）
+    loadScript() {
+        if (typeof initSqlJs !== 'undefined') {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CONFIG.SQL_JS_SCRIPT_URL;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`スクリプトを読み込めません: ${CONFIG.SQL_JS_SCRIPT_URL}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+}
+
+export const sqlJsLoader = new SqlJsLoader();
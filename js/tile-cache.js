@@ -0,0 +1,290 @@
+// タイルキャッシュ（IndexedDB）モジュール
+// 背景地図のタイルを範囲・ズームを指定して一括取得し、オフラインでも表示できるように保存する
+// タイルは背景地図ID・z/x/y（XYZ形式、yは北から）をキーに保存し、createCachedTileLayer()のレイヤーが通信より優先して使う
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { IndexedDbDatabase } from './indexed-db.js';
+
+const TILE_STORE = 'tiles';
+const LAYER_INDEX = 'layerId';
+
+let CachedTileLayerClass = null;
+
+export class TileCache {
+    constructor() {
+        this.logger = new Logger('TileCache');
+        this.database = new IndexedDbDatabase({
+            name: CONFIG.TILE_CACHE_DB_NAME,
+            version: CONFIG.TILE_CACHE_DB_VERSION,
+            label: 'タイルキャッシュ',
+            upgrade: (db) => {
+                if (!db.objectStoreNames.contains(TILE_STORE)) {
+                    const store = db.createObjectStore(TILE_STORE, { keyPath: 'key' });
+                    store.createIndex(LAYER_INDEX, 'layerId', { unique: false });
+                }
+            }
+        });
+        this.running = false;
+        this.cancelRequested = false;
+    }
+
+    // IndexedDBが利用可能か
+    static isSupported() {
+        return IndexedDbDatabase.isSupported();
+    }
+
+    // タイルのキー
+    static createKey(layerId, z, x, y) {
+        return `${layerId}/${z}/${x}/${y}`;
+    }
+
+    /**
+     * タイルのストアでトランザクションを実行し、完了を待つ
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - (store) => 結果を返す関数（IDBRequestを返した場合はその結果）
+     * @returns {Promise<*>}
+     */
+    transaction(mode, callback) {
+        return this.database.transaction([TILE_STORE], mode, callback);
+    }
+
+    /**
+     * 保存したタイル
+     * @returns {Promise<Blob|null>}
+     */
+    async getTile(layerId, z, x, y) {
+        const record = await this.transaction('readonly', store => store.get(TileCache.createKey(layerId, z, x, y)));
+        return record ? record.blob : null;
+    }
+
+    /**
+     * 保存したタイルの枚数
+     * @param {string|null} layerId - 背景地図ID（nullの場合はすべて）
+     * @returns {Promise<number>}
+     */
+    async countTiles(layerId = null) {
+        return this.transaction('readonly', store => (layerId === null
+            ? store.count()
+            : store.index(LAYER_INDEX).count(layerId)));
+    }
+
+    /**
+     * 保存したタイルを削除
+     * @param {string|null} layerId - 背景地図ID（nullの場合はすべて）
+     */
+    async clear(layerId = null) {
+        await this.transaction('readwrite', store => {
+            if (layerId === null) {
+                store.clear();
+                return;
+            }
+            const keysRequest = store.index(LAYER_INDEX).getAllKeys(layerId);
+            keysRequest.onsuccess = () => {
+                keysRequest.result.forEach(key => store.delete(key));
+            };
+        });
+        this.logger.info(`タイルキャッシュを削除: ${layerId === null ? 'すべて' : layerId}`);
+    }
+
+    /**
+     * 範囲を覆うタイルの一覧
+     * @param {L.LatLngBounds} latLngBounds - 範囲
+     * @returns {Array<{z, x, y}>}
+     */
+    listTiles(latLngBounds, minZoom, maxZoom) {
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const last = Math.pow(2, z) - 1;
+            const toTile = (latLng) => {
+                const point = L.CRS.EPSG3857.latLngToPoint(latLng, z).divideBy(CONFIG.TILE_SIZE);
+                return {
+                    x: Math.min(Math.max(Math.floor(point.x), 0), last),
+                    y: Math.min(Math.max(Math.floor(point.y), 0), last)
+                };
+            };
+            const northWest = toTile(latLngBounds.getNorthWest());
+            const southEast = toTile(latLngBounds.getSouthEast());
+            for (let x = northWest.x; x <= southEast.x; x++) {
+                for (let y = northWest.y; y <= southEast.y; y++) {
+                    tiles.push({ z, x, y });
+                }
+            }
+        }
+        return tiles;
+    }
+
+    // タイルのURL（サブドメインは先頭のものを使う）
+    createTileUrl(definition, { z, x, y }) {
+        const subdomains = definition.subdomains || 'abc';
+        return L.Util.template(definition.url, {
+            z, x, y,
+            '-y': Math.pow(2, z) - 1 - y,
+            s: subdomains[0],
+            r: ''
+        });
+    }
+
+    // 実行中か
+    isRunning() {
+        return this.running;
+    }
+
+    // 実行中の一括保存を中止（取得済みのタイルは残す）
+    cancel() {
+        if (this.running) {
+            this.cancelRequested = true;
+        }
+    }
+
+    /**
+     * 範囲・ズームのタイルを取得して保存（保存済みのタイルは取得しない）
+     * @param {Object} definition - 背景地図の定義 {id, label, url, subdomains, cacheable}
+     * @param {L.LatLngBounds} latLngBounds - 範囲
+     * @param {number} minZoom - 最小ズーム
+     * @param {number} maxZoom - 最大ズーム
+     * @param {Function} onProgress - (完了数, 総数) の通知
+     * @returns {Promise<{total, downloaded, skipped, failed, cancelled}>}
+     */
+    async download(definition, latLngBounds, minZoom, maxZoom, onProgress = () => {}) {
+        if (this.running) {
+            throw new Error('タイルの保存を実行中です。');
+        }
+        if (!definition.cacheable) {
+            throw new Error(`「${definition.label}」はタイルの一括保存に対応していません。`);
+        }
+        const valid = (zoom) => Number.isInteger(zoom) && zoom >= CONFIG.TILE_MIN_ZOOM && zoom <= CONFIG.TILE_MAX_ZOOM;
+        if (!valid(minZoom) || !valid(maxZoom)) {
+            throw new Error(`ズームレベルには${CONFIG.TILE_MIN_ZOOM}〜${CONFIG.TILE_MAX_ZOOM}の整数を指定してください。`);
+        }
+        if (minZoom > maxZoom) {
+            throw new Error('最小ズームは最大ズーム以下にしてください。');
+        }
+
+        const tiles = this.listTiles(latLngBounds, minZoom, maxZoom);
+        if (tiles.length > CONFIG.TILE_CACHE_MAX_DOWNLOAD) {
+            throw new Error(`保存するタイルが多すぎます（${tiles.length}枚、上限${CONFIG.TILE_CACHE_MAX_DOWNLOAD}枚）。範囲を狭くするか、最大ズームを小さくしてください。`);
+        }
+
+        this.running = true;
+        this.cancelRequested = false;
+        const result = { total: tiles.length, downloaded: 0, skipped: 0, failed: 0, cancelled: false };
+        try {
+            const cachedKeys = new Set(await this.transaction('readonly',
+                store => store.index(LAYER_INDEX).getAllKeys(definition.id)));
+            const pending = tiles.filter(tile => !cachedKeys.has(TileCache.createKey(definition.id, tile.z, tile.x, tile.y)));
+            result.skipped = tiles.length - pending.length;
+            this.logger.info(`タイル保存開始: ${definition.id} z${minZoom}〜${maxZoom}, ${tiles.length}枚（保存済み ${result.skipped}枚）`);
+
+            let completed = result.skipped;
+            onProgress(completed, tiles.length);
+
+            // 同時取得数を制限して順に処理する
+            const worker = async () => {
+                while (pending.length > 0 && !this.cancelRequested) {
+                    const tile = pending.shift();
+                    try {
+                        const blob = await this.fetchTile(this.createTileUrl(definition, tile));
+                        await this.transaction('readwrite', store => store.put({
+                            key: TileCache.createKey(definition.id, tile.z, tile.x, tile.y),
+                            layerId: definition.id,
+                            z: tile.z, x: tile.x, y: tile.y,
+                            blob,
+                            savedAt: new Date().toISOString()
+                        }));
+                        result.downloaded++;
+                    } catch (error) {
+                        this.logger.warn(`タイルを取得できませんでした: ${tile.z}/${tile.x}/${tile.y}`, error);
+                        result.failed++;
+                    }
+                    completed++;
+                    onProgress(completed, tiles.length);
+                }
+            };
+
+            await Promise.all(Array.from({ length: CONFIG.TILE_CACHE_CONCURRENCY }, worker));
+            result.cancelled = this.cancelRequested;
+        } finally {
+            this.running = false;
+            this.cancelRequested = false;
+        }
+
+        this.logger.info(`タイル保存完了: 取得 ${result.downloaded}枚, 失敗 ${result.failed}枚${result.cancelled ? '（中止）' : ''}`);
+        return result;
+    }
+
+    async fetchTile(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.blob();
+    }
+}
+
+/**
+ * Leafletタイルレイヤークラスを生成（Leaflet読み込み後に初めて定義する）
+ * 保存したタイルを優先して表示し、保存したタイルがない場合・読み込めない場合は通常どおり取得する
+ * @returns {Function} L.TileLayerを継承したクラス
+ */
+function getCachedTileLayerClass() {
+    if (CachedTileLayerClass) {
+        return CachedTileLayerClass;
+    }
+
+    CachedTileLayerClass = L.TileLayer.extend({
+        createTile(coords, done) {
+            const tile = document.createElement('img');
+            L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+            L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+            if (this.options.crossOrigin || this.options.crossOrigin === '') {
+                tile.crossOrigin = this.options.crossOrigin === true ? '' : this.options.crossOrigin;
+            }
+            tile.alt = '';
+            tile.setAttribute('role', 'presentation');
+
+            const url = this.getTileUrl(coords);
+            const { tileCache, useCache, layerId } = this.options;
+            if (!useCache || !tileCache || !TileCache.isSupported()) {
+                tile.src = url;
+                return tile;
+            }
+
+            tileCache.getTile(layerId, this._getZoomForUrl(), coords.x, coords.y)
+                .then(blob => {
+                    if (!blob) {
+                        tile.src = url;
+                        return;
+                    }
+                    const objectUrl = URL.createObjectURL(blob);
+                    const revoke = () => URL.revokeObjectURL(objectUrl);
+                    tile.addEventListener('load', revoke, { once: true });
+                    tile.addEventListener('error', revoke, { once: true });
+                    tile.src = objectUrl;
+                })
+                .catch(() => {
+                    tile.src = url;
+                });
+            return tile;
+        },
+
+        // 保存したタイルを使うかを切り替えて再表示
+        setUseCache(useCache) {
+            this.options.useCache = useCache;
+            this.redraw();
+            return this;
+        }
+    });
+
+    return CachedTileLayerClass;
+}
+
+/**
+ * 保存したタイルを優先して表示するタイルレイヤーを作成
+ * @param {string} url - タイルURLテンプレート
+ * @param {Object} options - L.tileLayerのオプションと layerId（背景地図ID）・tileCache（TileCache）・useCache（保存したタイルを使うか）
+ * @returns {L.TileLayer}
+ */
+export function createCachedTileLayer(url, options = {}) {
+    const LayerClass = getCachedTileLayerClass();
+    return new LayerClass(url, options);
+}
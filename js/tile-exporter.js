@@ -0,0 +1,329 @@
+// タイル出力モジュール
+// ジオリファレンス結果の逆変換で元画像をWebメルカトルのz/x/yタイル（256px PNG）に切り出し、
+// ZIP（z/x/y.png）またはMBTiles（SQLite）にまとめる
+// 出力したタイルは地理院タイルと同じ形式で、L.tileLayerやモバイルアプリで読み込める
+// 画素ごとの処理はWeb Worker（warp-worker.js）で行い、格子点の逆変換はImageWarperを利用する
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { mathUtils } from './math-utils.js';
+import { ImageWarper } from './image-warper.js';
+import { ZipWriter } from './zip-writer.js';
+import { sqlJsLoader } from './sql-js-loader.js';
+
+export class TileExporter {
+    constructor() {
+        this.logger = new Logger('TileExporter');
+        this.imageWarper = new ImageWarper();
+        this.worker = null;
+        this.pending = null;
+        this.running = false;
+    }
+
+    // 処理中か（ライブラリの準備中を含む）
+    isRunning() {
+        return this.running;
+    }
+
+    // ズームレベルでのタイル1枚の一辺の長さ（EPSG:3857の単位、m）
+    getTileSpan(zoom) {
+        return 2 * mathUtils.WEB_MERCATOR_MAX / Math.pow(2, zoom);
+    }
+
+    // ズームレベルでのタイル1画素の大きさ（m）
+    getTileResolution(zoom) {
+        return this.getTileSpan(zoom) / CONFIG.TILE_SIZE;
+    }
+
+    /**
+     * ズーム範囲未指定時の既定値
+     * 元画像の解像度を下回らない最小のズームを最大ズームとし、そこからTILE_DEFAULT_ZOOM_LEVELS段
+     * @returns {Object} {minZoom, maxZoom}
+     */
+    calculateDefaultZoomRange(transformation, imageWidth, imageHeight) {
+        const sourceResolution = this.imageWarper.estimateSourceResolution(transformation, imageWidth, imageHeight);
+        if (!(sourceResolution > 0)) {
+            throw new Error('元画像の解像度を計算できませんでした。ズーム範囲を指定してください。');
+        }
+
+        const zoom = Math.ceil(Math.log2(this.getTileResolution(0) / sourceResolution));
+        const maxZoom = Math.min(Math.max(zoom, CONFIG.TILE_MIN_ZOOM), CONFIG.TILE_MAX_ZOOM);
+        const minZoom = Math.max(maxZoom - CONFIG.TILE_DEFAULT_ZOOM_LEVELS + 1, CONFIG.TILE_MIN_ZOOM);
+        return { minZoom, maxZoom };
+    }
+
+    /**
+     * 出力範囲を覆うタイル番号の範囲
+     * @param {Object} bounds - {minX, minY, maxX, maxY}（EPSG:3857）
+     * @returns {Object} {minX, maxX, minY, maxY}（タイル番号、y は北から）
+     */
+    calculateTileRange(bounds, zoom) {
+        const span = this.getTileSpan(zoom);
+        const last = Math.pow(2, zoom) - 1;
+        const clamp = (value) => Math.min(Math.max(value, 0), last);
+        const max = mathUtils.WEB_MERCATOR_MAX;
+
+        return {
+            minX: clamp(Math.floor((bounds.minX + max) / span)),
+            maxX: clamp(Math.ceil((bounds.maxX + max) / span) - 1),
+            minY: clamp(Math.floor((max - bounds.maxY) / span)),
+            maxY: clamp(Math.ceil((max - bounds.minY) / span) - 1)
+        };
+    }
+
+    /**
+     * 出力するタイルの一覧
+     * @returns {Array<{z, x, y}>}
+     */
+    listTiles(bounds, minZoom, maxZoom) {
+        let count = 0;
+        const ranges = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const range = this.calculateTileRange(bounds, z);
+            ranges.push({ z, range });
+            count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+        }
+        if (count > CONFIG.TILE_MAX_COUNT) {
+            throw new Error(`出力するタイルが多すぎます（${count}枚、上限${CONFIG.TILE_MAX_COUNT}枚）。最大ズームを小さくしてください。`);
+        }
+
+        const tiles = [];
+        ranges.forEach(({ z, range }) => {
+            for (let x = range.minX; x <= range.maxX; x++) {
+                for (let y = range.minY; y <= range.maxY; y++) {
+                    tiles.push({ z, x, y });
+                }
+            }
+        });
+        return tiles;
+    }
+
+    // ズーム範囲の検証
+    validateZoomRange(minZoom, maxZoom) {
+        const valid = (zoom) => Number.isInteger(zoom) && zoom >= CONFIG.TILE_MIN_ZOOM && zoom <= CONFIG.TILE_MAX_ZOOM;
+        if (!valid(minZoom) || !valid(maxZoom)) {
+            throw new Error(`ズームレベルには${CONFIG.TILE_MIN_ZOOM}〜${CONFIG.TILE_MAX_ZOOM}の整数を指定してください。`);
+        }
+        if (minZoom > maxZoom) {
+            throw new Error('最小ズームは最大ズーム以下にしてください。');
+        }
+    }
+
+    /**
+     * 元画像をタイルに切り出してZIPまたはMBTilesにまとめる
+     * @param {ImageData} imageData - 元画像のRGBA
+     * @param {Object} transformation - ジオリファレンスの変換結果
+     * @param {Object} options - {minZoom, maxZoom, format, resampling, name}
+     * @param {Function} onProgress - 進捗（0〜1）の通知
+     * @returns {Promise<{blob: Blob, tileCount: number, emptyCount: number}>}
+     */
+    async export(imageData, transformation, options, onProgress = () => {}) {
+        if (this.isRunning()) {
+            throw new Error('タイルの出力を実行中です。');
+        }
+        this.validateZoomRange(options.minZoom, options.maxZoom);
+        if (!CONFIG.TILE_EXPORT_FORMATS[options.format]) {
+            throw new Error(`未対応のタイル形式です: ${options.format}`);
+        }
+
+        const bounds = this.imageWarper.calculateOutputBounds(transformation, imageData.width, imageData.height);
+        if (!bounds) {
+            throw new Error('出力範囲を計算できませんでした。');
+        }
+        const tiles = this.listTiles(bounds, options.minZoom, options.maxZoom);
+        const sourceResolution = this.imageWarper.estimateSourceResolution(
+            transformation, imageData.width, imageData.height);
+        const metadata = this.createMetadata(bounds, options);
+
+        // 最初のawaitより前に実行中とし、ライブラリの準備中に次の出力を始めないようにする
+        this.running = true;
+        try {
+            // MBTilesはライブラリの準備を先に行う（読み込めない場合はタイル生成前に中止）
+            const database = options.format === 'mbtiles' ? await this.createMbtilesDatabase(metadata) : null;
+            const zip = options.format === 'zip' ? new ZipWriter() : null;
+            this.logger.info(`タイル出力開始: z${options.minZoom}〜${options.maxZoom}, ${tiles.length}枚, ${options.format}`);
+
+            let tileCount = 0;
+            try {
+                this.startWorker();
+                await this.request({
+                    command: 'setSource',
+                    source: { width: imageData.width, height: imageData.height, data: imageData.data }
+                }, [imageData.data.buffer]);
+
+                const date = new Date();
+                for (let i = 0; i < tiles.length; i++) {
+                    const bytes = await this.renderTile(tiles[i], transformation, sourceResolution, options.resampling);
+                    if (bytes) {
+                        const { z, x, y } = tiles[i];
+                        if (zip) {
+                            zip.addFile(`${z}/${x}/${y}.png`, bytes, date);
+                        } else {
+                            // MBTilesの行番号はTMS（南から数える）
+                            database.run('INSERT INTO tiles (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)',
+                                [z, x, Math.pow(2, z) - 1 - y, bytes]);
+                        }
+                        tileCount++;
+                    }
+                    onProgress((i + 1) / tiles.length);
+                }
+
+            } catch (error) {
+                if (database) {
+                    database.close();
+                }
+                throw error;
+
+            } finally {
+                this.stopWorker();
+            }
+
+            if (tileCount === 0) {
+                if (database) {
+                    database.close();
+                }
+                throw new Error('画像と重なるタイルがありませんでした。');
+            }
+
+            let blob;
+            if (zip) {
+                zip.addFile('metadata.json', JSON.stringify(metadata, null, 2), new Date());
+                blob = zip.toBlob();
+            } else {
+                blob = new Blob([database.export()], { type: CONFIG.TILE_EXPORT_FORMATS.mbtiles.mimeType });
+                database.close();
+            }
+
+            return { blob, tileCount, emptyCount: tiles.length - tileCount };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * タイル1枚を作成
+     * @returns {Promise<Uint8Array|null>} PNGのバイト列（画像と重ならない透明タイルはnull）
+     */
+    async renderTile(tile, transformation, sourceResolution, resampling) {
+        const span = this.getTileSpan(tile.z);
+        const geometry = {
+            width: CONFIG.TILE_SIZE,
+            height: CONFIG.TILE_SIZE,
+            resolution: this.getTileResolution(tile.z),
+            minX: -mathUtils.WEB_MERCATOR_MAX + tile.x * span,
+            maxY: mathUtils.WEB_MERCATOR_MAX - tile.y * span
+        };
+        const grid = this.imageWarper.calculateSourceGrid(transformation, geometry);
+
+        // 元画像より粗いズームでは縮小画像（1/2^level）から補間する
+        const level = sourceResolution > 0
+            ? Math.max(0, Math.floor(Math.log2(geometry.resolution / sourceResolution)))
+            : 0;
+
+        const result = await this.request({
+            command: 'tile',
+            id: `${tile.z}/${tile.x}/${tile.y}`,
+            output: { width: geometry.width, height: geometry.height },
+            grid,
+            level,
+            resampling
+        }, [grid.coords.buffer]);
+
+        if (result.empty) {
+            return null;
+        }
+        const blob = result.blob || await this.imageWarper.encodePng(result.pixels, geometry.width, geometry.height);
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+
+    /**
+     * タイルセットのメタデータ
+     * ZIPではTileJSON形式のmetadata.json、MBTilesではmetadataテーブルに格納する
+     */
+    createMetadata(bounds, options) {
+        const west = mathUtils.webMercatorXToLon(bounds.minX);
+        const east = mathUtils.webMercatorXToLon(bounds.maxX);
+        const south = mathUtils.webMercatorYToLat(bounds.minY);
+        const north = mathUtils.webMercatorYToLat(bounds.maxY);
+        const round = (value) => Math.round(value * 1e7) / 1e7;
+
+        return {
+            tilejson: '3.0.0',
+            name: options.name || 'georeferenced-map',
+            format: 'png',
+            scheme: 'xyz',
+            tiles: ['{z}/{x}/{y}.png'],
+            minzoom: options.minZoom,
+            maxzoom: options.maxZoom,
+            bounds: [west, south, east, north].map(round),
+            center: [round((west + east) / 2), round((south + north) / 2), options.minZoom]
+        };
+    }
+
+    // MBTiles（sql.js）のデータベースを作成
+    async createMbtilesDatabase(metadata) {
+        const SQL = await sqlJsLoader.load('MBTiles出力');
+        const database = new SQL.Database();
+        database.run(`
+            CREATE TABLE metadata (name TEXT, value TEXT);
+            CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB);
+            CREATE UNIQUE INDEX tile_index ON tiles (zoom_level, tile_column, tile_row);
+        `);
+
+        const rows = {
+            name: metadata.name,
+            format: metadata.format,
+            type: 'overlay',
+            version: '1.1',
+            minzoom: String(metadata.minzoom),
+            maxzoom: String(metadata.maxzoom),
+            bounds: metadata.bounds.join(','),
+            center: metadata.center.join(',')
+        };
+        Object.entries(rows).forEach(([name, value]) => {
+            database.run('INSERT INTO metadata (name, value) VALUES (?, ?)', [name, value]);
+        });
+
+        return database;
+    }
+
+    // タイル生成用のWorkerを起動（元画像を保持したまま複数のタイルを処理する）
+    startWorker() {
+        this.worker = new Worker(new URL('./warp-worker.js', import.meta.url), { type: 'module' });
+
+        this.worker.onmessage = (event) => {
+            const data = event.data;
+            if (data.type === 'progress' || !this.pending) {
+                return;
+            }
+            const { resolve, reject } = this.pending;
+            this.pending = null;
+            if (data.type === 'error') {
+                reject(new Error(data.message));
+            } else {
+                resolve(data);
+            }
+        };
+        this.worker.onerror = (event) => {
+            if (this.pending) {
+                this.pending.reject(new Error(event.message || 'タイル作成処理でエラーが発生しました。'));
+                this.pending = null;
+            }
+        };
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending = null;
+    }
+
+    // Workerへ1件送信し、応答を待つ
+    request(message, transfer) {
+        return new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+            this.worker.postMessage(message, transfer);
+        });
+    }
+}
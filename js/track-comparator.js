@@ -0,0 +1,217 @@
+// GPSトラック比較モジュール
+// 記録したGPSトラックをジオリファレンス後のルート（中間点を結んだ線）と比較し、
+// トラックの各点から最も近いルートまでの横断距離をルートごとに集計する
+// 許容距離を超えた区間は地図上に強調表示する
+import { Logger, errorHandler } from './utils.js';
+import { CONFIG } from './constants.js';
+import { mathUtils } from './math-utils.js';
+
+export class TrackComparator {
+    constructor(mapCore) {
+        this.logger = new Logger('TrackComparator');
+        this.mapCore = mapCore;
+        this.layerGroup = null;
+        this.result = null;
+    }
+
+    /**
+     * トラックとルートを比較
+     * @param {Array} tracks - [{name, latLngs: [{lat, lng}]}]（トラックのセグメントごと）
+     * @param {Array} routes - [{routeKey, routeId, latLngs: [{lat, lng}]}]（RouteSpotHandler.getRouteLatLngs()。routeKeyで区別し、routeIdは表示名）
+     * @param {number} threshold - 許容距離(m)
+     * @returns {Object} {threshold, pointCount, meanDistance, maxDistance, withinRatio, routes}
+     *   routes: [{routeKey, routeId, pointCount, meanDistance, maxDistance, withinRatio, exceededSegments}]
+     *   exceededSegments: [{latLngs, length, maxDistance}]（許容距離を超えた点の連続と前後の点）
+     *   トラックの点が割り当てられなかったルートの統計値はnull
+     */
+    compare(tracks, routes, threshold) {
+        const routeLines = routes
+            .filter(route => route.latLngs.length >= 2)
+            .map(route => ({
+                routeKey: route.routeKey,
+                routeId: route.routeId,
+                points: route.latLngs.map(latLng => this.toMercator(latLng))
+            }));
+        if (routeLines.length === 0) {
+            throw new Error('比較するルートがありません。ルートのJSONを読み込んでください。');
+        }
+
+        const routeStats = new Map(routeLines.map(line => [line.routeKey, { distances: [], exceededSegments: [] }]));
+        const allDistances = [];
+
+        tracks.forEach(track => {
+            const matches = track.latLngs.map(latLng => this.findNearestRoute(latLng, routeLines));
+            matches.forEach(match => {
+                routeStats.get(match.routeKey).distances.push(match.distance);
+                allDistances.push(match.distance);
+            });
+            this.extractExceededSegments(track.latLngs, matches, threshold).forEach(segment => {
+                routeStats.get(segment.routeKey).exceededSegments.push(segment);
+            });
+        });
+
+        this.result = {
+            threshold,
+            ...this.summarize(allDistances, threshold),
+            routes: routeLines.map(line => {
+                const { distances, exceededSegments } = routeStats.get(line.routeKey);
+                return {
+                    routeKey: line.routeKey,
+                    routeId: line.routeId,
+                    ...this.summarize(distances, threshold),
+                    exceededSegments: exceededSegments.map(({ latLngs, length, maxDistance }) => ({ latLngs, length, maxDistance }))
+                };
+            })
+        };
+
+        this.logger.info(`トラック比較: ${allDistances.length}点, ルート ${routeLines.length}本, 許容距離 ${threshold}m`);
+        return this.result;
+    }
+
+    // 距離の集計（点数・平均・最大・許容距離以内の割合）
+    summarize(distances, threshold) {
+        if (distances.length === 0) {
+            return { pointCount: 0, meanDistance: null, maxDistance: null, withinRatio: null };
+        }
+        return {
+            pointCount: distances.length,
+            meanDistance: distances.reduce((sum, distance) => sum + distance, 0) / distances.length,
+            maxDistance: distances.reduce((max, distance) => Math.max(max, distance), 0),
+            withinRatio: distances.filter(distance => distance <= threshold).length / distances.length
+        };
+    }
+
+    /**
+     * 最も近いルートと横断距離（ルートの線分までの最短距離）
+     * Webメルカトル上で計算し、点の緯度の縮尺係数で実距離(m)に換算する
+     * @returns {Object} {routeKey, distance}
+     */
+    findNearestRoute(latLng, routeLines) {
+        const point = this.toMercator(latLng);
+        const scale = Math.cos(latLng.lat * Math.PI / 180);
+
+        let nearest = null;
+        routeLines.forEach(line => {
+            for (let i = 0; i < line.points.length - 1; i++) {
+                const distance = this.distanceToSegment(point, line.points[i], line.points[i + 1]) * scale;
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { routeKey: line.routeKey, distance };
+                }
+            }
+        });
+        return nearest;
+    }
+
+    distanceToSegment([px, py], [ax, ay], [bx, by]) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared))
+            : 0;
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    }
+
+    /**
+     * 許容距離を超えた区間（同じルートに割り当てられた点の連続）を抽出
+     * 強調表示のため、区間の前後の点（許容距離以内）も線に含める
+     * @returns {Array} [{routeKey, latLngs, length, maxDistance}]
+     */
+    extractExceededSegments(latLngs, matches, threshold) {
+        const segments = [];
+        let start = null;
+
+        const closeSegment = (end) => {
+            const from = Math.max(start - 1, 0);
+            const to = Math.min(end + 1, latLngs.length - 1);
+            const segmentLatLngs = latLngs.slice(from, to + 1);
+            let length = 0;
+            for (let i = 1; i < segmentLatLngs.length; i++) {
+                const a = segmentLatLngs[i - 1];
+                const b = segmentLatLngs[i];
+                length += mathUtils.calculateGpsDistance(a.lat, a.lng, b.lat, b.lng);
+            }
+            // 長いトラックでスプレッド構文の引数が上限を超えないよう、ループで最大値を求める
+            let maxDistance = 0;
+            for (let i = start; i <= end; i++) {
+                maxDistance = Math.max(maxDistance, matches[i].distance);
+            }
+            segments.push({
+                routeKey: matches[start].routeKey,
+                latLngs: segmentLatLngs,
+                length,
+                maxDistance
+            });
+            start = null;
+        };
+
+        matches.forEach((match, index) => {
+            const exceeded = match.distance > threshold;
+            if (start !== null && (!exceeded || match.routeKey !== matches[start].routeKey)) {
+                closeSegment(index - 1);
+            }
+            if (exceeded && start === null) {
+                start = index;
+            }
+        });
+        if (start !== null) {
+            closeSegment(matches.length - 1);
+        }
+        return segments;
+    }
+
+    toMercator({ lat, lng }) {
+        return [mathUtils.lonToWebMercatorX(lng), mathUtils.latToWebMercatorY(lat)];
+    }
+
+    /**
+     * トラックと許容距離を超えた区間を地図に表示（前回の表示は消去）
+     * @param {Array} tracks - compare()に渡したトラック
+     */
+    showOnMap(tracks) {
+        this.clearFromMap();
+        const map = this.mapCore.getMap();
+        if (!map || !this.result) {
+            return;
+        }
+
+        const styles = CONFIG.TRACK_COMPARISON_STYLES;
+        this.layerGroup = L.layerGroup().addTo(map);
+        tracks.forEach(track => {
+            L.polyline(track.latLngs, { ...styles.track, interactive: false, pane: 'routeLines' })
+                .addTo(this.layerGroup);
+        });
+        this.result.routes.forEach(route => {
+            route.exceededSegments.forEach(segment => {
+                L.polyline(segment.latLngs, { ...styles.exceeded, pane: 'routeLines' })
+                    .bindPopup(`ルート: ${errorHandler.escapeHtml(route.routeId)}<br>最大距離: ${segment.maxDistance.toFixed(1)}m<br>区間の長さ: ${segment.length.toFixed(0)}m`)
+                    .addTo(this.layerGroup);
+            });
+        });
+    }
+
+    /**
+     * ルートの許容距離を超えた区間が見えるように地図を移動（区間がなければ何もしない）
+     * @param {string} routeKey - ルートのキー（RouteSpotHandler.getRouteLatLngs()のrouteKey）
+     */
+    fitToExceededSegments(routeKey) {
+        const route = this.result && this.result.routes.find(item => item.routeKey === routeKey);
+        const latLngs = route ? route.exceededSegments.flatMap(segment => segment.latLngs) : [];
+        if (latLngs.length > 0) {
+            this.mapCore.getMap().fitBounds(L.latLngBounds(latLngs), { padding: [40, 40] });
+        }
+    }
+
+    clearFromMap() {
+        if (this.layerGroup) {
+            this.layerGroup.remove();
+            this.layerGroup = null;
+        }
+    }
+
+    // 比較結果と地図の表示を消去
+    clear() {
+        this.clearFromMap();
+        this.result = null;
+    }
+}
@@ -1,5 +1,6 @@
 // UIイベントハンドリング機能を管理するモジュール
 import { Logger, errorHandler } from './utils.js';
+import { CONFIG } from './constants.js';
 
 export class UIHandlers {
     constructor() {
@@ -124,6 +125,407 @@ export class UIHandlers {
         }
     }
 
+    /**
+     * 制御点ごとの残差レポートを表示
+     * @param {Object|null} report - AffineTransformation.calculateResidualReport()の結果
+     * @param {Function} onToggle - (pointId, included) 使用チェック変更時のコールバック
+     * @param {Function} onToggleCheckPoint - (pointId, checkPoint) 検証チェック変更時のコールバック
+     */
+    updateResidualReport(report, onToggle, onToggleCheckPoint) {
+        try {
+            const container = document.getElementById('residualReport');
+            const summary = document.getElementById('residualSummary');
+            const validationSummary = document.getElementById('residualValidationSummary');
+            const tbody = document.getElementById('residualTableBody');
+            if (!container || !summary || !tbody) {
+                return;
+            }
+
+            tbody.innerHTML = '';
+            if (!report || report.rows.length === 0) {
+                container.style.display = 'none';
+                return;
+            }
+
+            let summaryText = `RMSE: ${report.rmse.toFixed(2)}m（X ${report.rmseX.toFixed(2)}m / Y ${report.rmseY.toFixed(2)}m、使用${report.usedCount}点`;
+            if (report.excludedCount > 0) {
+                summaryText += ` / 除外${report.excludedCount}点`;
+            }
+            if (report.rejectedCount > 0) {
+                summaryText += ` / 棄却${report.rejectedCount}点`;
+            }
+            if (report.checkPointCount > 0) {
+                summaryText += ` / 検証点${report.checkPointCount}点`;
+            }
+            summaryText += '）';
+            if (report.outlierCount > 0) {
+                summaryText += ` ⚠ 誤対応の疑い: ${report.outlierCount}点`;
+            }
+            summary.textContent = summaryText;
+            if (validationSummary) {
+                validationSummary.textContent = this.formatValidationSummary(report);
+            }
+
+            report.rows.forEach(row => {
+                const tr = document.createElement('tr');
+                if (row.isOutlier) {
+                    tr.classList.add('residual-outlier');
+                    tr.title = row.looError !== null
+                        ? `誤対応の疑い（このポイントを除いた変換での予測誤差: ${row.looError.toFixed(2)}m）`
+                        : '誤対応の疑い（誤差がRMSEに比べて大きい）';
+                }
+                if (row.checkPoint) {
+                    tr.classList.add('residual-check');
+                    tr.title = '検証点（計算に使用せず、現在の変換での誤差を検証）';
+                } else if (!row.included) {
+                    tr.classList.add('residual-excluded');
+                    tr.title = '計算から除外中（現在の変換での誤差を表示）';
+                } else if (row.rejected) {
+                    tr.classList.add('residual-rejected');
+                    tr.title = 'ロバスト推定で棄却（現在の変換での誤差を表示）';
+                }
+
+                const checkboxCell = document.createElement('td');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = row.included;
+                checkbox.disabled = row.checkPoint;
+                checkbox.addEventListener('change', () => {
+                    if (onToggle) {
+                        onToggle(row.pointId, checkbox.checked);
+                    }
+                });
+                checkboxCell.appendChild(checkbox);
+                tr.appendChild(checkboxCell);
+
+                const checkPointCell = document.createElement('td');
+                const checkPointCheckbox = document.createElement('input');
+                checkPointCheckbox.type = 'checkbox';
+                checkPointCheckbox.checked = row.checkPoint;
+                checkPointCheckbox.addEventListener('change', () => {
+                    if (onToggleCheckPoint) {
+                        onToggleCheckPoint(row.pointId, checkPointCheckbox.checked);
+                    }
+                });
+                checkPointCell.appendChild(checkPointCheckbox);
+                tr.appendChild(checkPointCell);
+
+                const idCell = document.createElement('td');
+                idCell.textContent = row.isOutlier ? `⚠ ${row.pointId}` :
+                    (row.included && row.rejected ? `✕ ${row.pointId}` : row.pointId);
+                tr.appendChild(idCell);
+
+                [row.dx, row.dy, row.error, row.predictionError].forEach(value => {
+                    const td = document.createElement('td');
+                    td.className = 'numeric';
+                    td.textContent = value !== null ? value.toFixed(2) : '-';
+                    tr.appendChild(td);
+                });
+
+                tbody.appendChild(tr);
+            });
+
+            this.updateTransformationStatistics(report.statistics);
+            container.style.display = '';
+
+        } catch (error) {
+            this.logger.error('残差レポート表示エラー', error);
+        }
+    }
+
+    /**
+     * 独立した検証の結果（1点除外の交差検証・検証点）の要約
+     * @param {Object} report - AffineTransformation.calculateResidualReport()の結果
+     * @returns {string}
+     */
+    formatValidationSummary(report) {
+        const format = accuracy =>
+            `${accuracy.rmse.toFixed(2)}m（X ${accuracy.rmseX.toFixed(2)}m / Y ${accuracy.rmseY.toFixed(2)}m、${accuracy.count}点）`;
+        const items = [];
+        items.push(report.crossValidation
+            ? `交差検証RMSE: ${format(report.crossValidation)}`
+            : '交差検証RMSE: -（1点除くと最小ポイント数を下回るため計算不可）');
+        if (report.checkPointAccuracy) {
+            items.push(`検証点RMSE: ${format(report.checkPointAccuracy)}`);
+        }
+        return items.join(' / ');
+    }
+
+    /**
+     * 変換パラメータの標準誤差を表示
+     * @param {Object|null} statistics - MathUtils.calculateTransformationStatistics()の結果
+     */
+    updateTransformationStatistics(statistics) {
+        const summary = document.getElementById('residualStatisticsSummary');
+        const tbody = document.getElementById('residualStatisticsTableBody');
+        if (!summary || !tbody) {
+            return;
+        }
+
+        tbody.innerHTML = '';
+        if (!statistics) {
+            summary.textContent = 'TPS・自由度0（制御点数がパラメータ数以下）の場合は計算できません';
+            return;
+        }
+
+        summary.textContent = `単位重みの標準偏差: X ${statistics.sigmaX.toFixed(2)}m / Y ${statistics.sigmaY.toFixed(2)}m（自由度${statistics.degreesOfFreedom}）`;
+        statistics.parameters.forEach(parameter => {
+            const tr = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            nameCell.textContent = `${parameter.axis}: ${parameter.name}`;
+            tr.appendChild(nameCell);
+
+            [parameter.value, parameter.standardError].forEach(value => {
+                const td = document.createElement('td');
+                td.className = 'numeric';
+                td.textContent = value.toPrecision(6);
+                tr.appendChild(td);
+            });
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    /**
+     * 歪みの可視化の凡例を表示（表示中の項目がない場合は非表示）
+     * @param {Object|null} summary - DistortionVisualizer.getSummary()の結果
+     * @param {boolean} heatmapAvailable - アフィン変換との差を表示できるか（非線形モデルのみ）
+     * @param {boolean} ellipsesAvailable - 誤差楕円を表示できるか（最小二乗法のモデルで自由度がある場合のみ）
+     */
+    updateDistortionLegend(summary, heatmapAvailable = false, ellipsesAvailable = false) {
+        try {
+            const heatmapCheckbox = document.getElementById('showDistortionHeatmapCheckbox');
+            if (heatmapCheckbox) {
+                heatmapCheckbox.disabled = !heatmapAvailable;
+                heatmapCheckbox.parentElement.title = heatmapAvailable
+                    ? '非線形モデル（多項式・TPS）がアフィン変換からどれだけずれているかを色で表示します'
+                    : 'アフィン変換では表示できません（変換モデルで多項式・TPSを選択してください）';
+            }
+
+            const ellipsesCheckbox = document.getElementById('showConfidenceEllipsesCheckbox');
+            if (ellipsesCheckbox) {
+                ellipsesCheckbox.disabled = !ellipsesAvailable;
+                ellipsesCheckbox.parentElement.title = ellipsesAvailable
+                    ? `制御点の変換後の位置の${Math.round(CONFIG.CONFIDENCE_ELLIPSE_LEVEL * 100)}%信頼楕円（変換パラメータの標準誤差から計算）を表示します`
+                    : 'TPS・自由度0（制御点数がパラメータ数以下）では表示できません';
+            }
+
+            const legend = document.getElementById('distortionLegend');
+            const legendText = document.getElementById('distortionLegendText');
+            if (!legend || !legendText) {
+                return;
+            }
+
+            const items = [];
+            if (summary && summary.maxError !== null) {
+                items.push(`残差 最大${summary.maxError.toFixed(2)}m（×${summary.vectorScale}で表示）`);
+            }
+            if (summary && summary.maxScaleDeviation !== null) {
+                items.push(`縮尺の差 最大${summary.maxScaleDeviation.toFixed(1)}%・回転の差 最大${summary.maxRotationDeviation.toFixed(1)}°`);
+            }
+            if (summary && summary.maxDeviation !== null) {
+                items.push(`アフィン変換との差 最大${summary.maxDeviation.toFixed(2)}m`);
+            }
+            if (summary && summary.maxSemiMajor !== null) {
+                items.push(`誤差楕円 長半径 最大${summary.maxSemiMajor.toFixed(2)}m（×${summary.vectorScale}で表示）`);
+            }
+            if (items.length === 0) {
+                legend.style.display = 'none';
+                return;
+            }
+
+            const bar = legend.querySelector('.distortion-legend-bar');
+            if (bar) {
+                bar.style.background = `linear-gradient(to right, ${CONFIG.DISTORTION_COLOR_STOPS.join(', ')})`;
+                bar.title = `小さい → 大きい（歪みグリッドは縮尺の差${CONFIG.DISTORTION_SCALE_RANGE}%・回転の差${CONFIG.DISTORTION_ROTATION_RANGE}°以上を最大の色で表示）`;
+            }
+            legendText.textContent = items.join(' / ');
+            legend.style.display = '';
+
+        } catch (error) {
+            this.logger.error('歪み凡例表示エラー', error);
+        }
+    }
+
+    /**
+     * GPSトラックとルートの比較結果を表示（resultがnullの場合は非表示）
+     * @param {Object|null} result - TrackComparator.compare()の結果
+     * @param {Function} onSelect - 許容距離を超えた区間があるルートの行をクリックしたときの処理 (routeKey)
+     */
+    updateTrackComparisonReport(result, onSelect) {
+        try {
+            const container = document.getElementById('trackComparisonReport');
+            const summary = document.getElementById('trackComparisonSummary');
+            const tbody = document.getElementById('trackComparisonTableBody');
+            if (!container || !summary || !tbody) {
+                return;
+            }
+
+            tbody.innerHTML = '';
+            if (!result) {
+                container.style.display = 'none';
+                return;
+            }
+
+            const formatDistance = value => (value === null ? '-' : value.toFixed(1));
+            const formatRatio = value => (value === null ? '-' : (value * 100).toFixed(1));
+            const exceededCount = result.routes.reduce((sum, route) => sum + route.exceededSegments.length, 0);
+            summary.textContent = `トラック ${result.pointCount}点: 平均 ${formatDistance(result.meanDistance)}m / ` +
+                `最大 ${formatDistance(result.maxDistance)}m / ${result.threshold}m以内 ${formatRatio(result.withinRatio)}%` +
+                (exceededCount > 0 ? ` ⚠ 超過区間: ${exceededCount}` : '');
+
+            result.routes.forEach(route => {
+                const tr = document.createElement('tr');
+                if (route.exceededSegments.length > 0) {
+                    tr.classList.add('track-comparison-exceeded');
+                    tr.title = 'クリックすると許容距離を超えた区間を表示します';
+                    tr.addEventListener('click', () => {
+                        if (onSelect) {
+                            onSelect(route.routeKey);
+                        }
+                    });
+                }
+
+                const nameCell = document.createElement('td');
+                nameCell.textContent = route.routeId;
+                tr.appendChild(nameCell);
+
+                [
+                    String(route.pointCount),
+                    formatDistance(route.meanDistance),
+                    formatDistance(route.maxDistance),
+                    formatRatio(route.withinRatio),
+                    String(route.exceededSegments.length)
+                ].forEach(value => {
+                    const td = document.createElement('td');
+                    td.className = 'numeric';
+                    td.textContent = value;
+                    tr.appendChild(td);
+                });
+
+                tbody.appendChild(tr);
+            });
+
+            container.style.display = '';
+
+        } catch (error) {
+            this.logger.error('トラック比較結果表示エラー', error);
+        }
+    }
+
+    /**
+     * 手動制御点の配置状況を表示
+     * @param {ControlPointEditor} controlPointEditor
+     */
+    updateControlPointStatus(controlPointEditor) {
+        try {
+            const statusField = document.getElementById('controlPointStatus');
+            const modeBtn = document.getElementById('controlPointModeBtn');
+            const clearBtn = document.getElementById('clearControlPointsBtn');
+            const saveBtn = document.getElementById('saveControlPointsBtn');
+
+            if (statusField) {
+                statusField.textContent = controlPointEditor.getStatusText();
+            }
+            if (modeBtn) {
+                modeBtn.classList.toggle('selected', controlPointEditor.isActive);
+                modeBtn.textContent = controlPointEditor.isActive ? '手動配置を終了' : '制御点を手動配置';
+            }
+            if (clearBtn) {
+                clearBtn.disabled = !controlPointEditor.hasPairs();
+            }
+            if (saveBtn) {
+                saveBtn.disabled = !controlPointEditor.hasPairs();
+            }
+        } catch (error) {
+            this.logger.error('手動制御点表示更新エラー', error);
+        }
+    }
+
+    /**
+     * 自動保存データの復元パネルを表示
+     * @param {Array} snapshots - [{id, label}]（新しい順）
+     */
+    showSessionRecovery(snapshots) {
+        try {
+            const panel = document.getElementById('sessionRecoveryPanel');
+            const select = document.getElementById('sessionSnapshotSelect');
+            if (!panel || !select) {
+                return;
+            }
+
+            select.innerHTML = '';
+            snapshots.forEach(snapshot => {
+                const option = document.createElement('option');
+                option.value = String(snapshot.id);
+                option.textContent = snapshot.label;
+                select.appendChild(option);
+            });
+            panel.style.display = 'block';
+        } catch (error) {
+            this.logger.error('自動保存データ表示エラー', error);
+        }
+    }
+
+    hideSessionRecovery() {
+        const panel = document.getElementById('sessionRecoveryPanel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * 操作履歴パネルと取り消し・やり直しボタンを更新
+     * @param {HistoryManager} history
+     * @param {Function} onSelect - (position) => 選択した時点に移動する処理
+     */
+    updateHistoryPanel(history, onSelect) {
+        try {
+            const undoBtn = document.getElementById('undoBtn');
+            const redoBtn = document.getElementById('redoBtn');
+            const list = document.getElementById('historyList');
+
+            if (undoBtn) undoBtn.disabled = !history.canUndo();
+            if (redoBtn) redoBtn.disabled = !history.canRedo();
+            if (!list) {
+                return;
+            }
+
+            list.innerHTML = '';
+            history.getEntries().forEach(entry => {
+                const item = document.createElement('li');
+                item.classList.toggle('history-current', entry.current);
+                item.classList.toggle('history-undone', !entry.applied);
+
+                const label = document.createElement('span');
+                label.className = 'history-label';
+                label.textContent = entry.label;
+                item.appendChild(label);
+
+                if (entry.time) {
+                    const time = document.createElement('span');
+                    time.className = 'history-time';
+                    time.textContent = entry.time.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+                    item.appendChild(time);
+                }
+
+                if (!entry.current && !history.applying) {
+                    item.title = 'クリックするとこの操作の後の状態に戻します';
+                    item.addEventListener('click', () => onSelect(entry.position));
+                }
+                list.appendChild(item);
+            });
+
+            // 現在の位置が見えるようにスクロール
+            const current = list.querySelector('.history-current');
+            if (current) {
+                current.scrollIntoView({ block: 'nearest' });
+            }
+        } catch (error) {
+            this.logger.error('操作履歴表示エラー', error);
+        }
+    }
+
     clearAllCounts() {
         try {
             // ポイント・ルート・スポット・エリア数（既存メソッド利用）
@@ -136,6 +538,9 @@ export class UIHandlers {
             const unmatchedPointsField = document.getElementById('unmatchedPointsField');
             if (matchedCountField) matchedCountField.value = '0';
             if (unmatchedPointsField) unmatchedPointsField.value = '';
+            this.updateResidualReport(null);
+            this.updateTrackComparisonReport(null);
+            this.updateDistortionLegend(null);
 
             // 標高未取得カウント
             const elevationPointCount = document.getElementById('elevationPointCount');
@@ -0,0 +1,378 @@
+// ベクター（GPX・KML・KMZ）出力モジュール
+// collectGeoreferencedData()で収集したGeoJSONの地物を、登山用アプリ・GPS機器・Google Earth向けの形式に変換する
+// GPX: ポイント・スポットはwpt、ルートはtrkまたはrte、エリアは外周をtrkとして出力（GPXに面はないため）
+// KML: 種類ごとのフォルダにスタイル付きの目印を出力し、エリアはポリゴンとする。KMZはKMLをZIPにまとめたもの
+// シェープファイル・GeoPackage: ポイント（ポイント・スポット）・ライン（ルート）・ポリゴン（エリア）の3レイヤーに分け、
+// 属性（id・name・type・elevation・description）を付けて出力する。シェープファイルはレイヤーごとのファイル一式をZIPにまとめる
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { ZipWriter } from './zip-writer.js';
+import { ShapefileWriter } from './shapefile-writer.js';
+import { GeoPackageWriter } from './geopackage-writer.js';
+import { sqlJsLoader } from './sql-js-loader.js';
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+
+// KMLのスタイル（地図上のマーカー・線と同じ色。KMLの色はaabbggrr）
+const KML_STYLES = {
+    point: { icon: 'http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png', color: 'ff0000ff' }, // 赤
+    spot: { icon: 'http://maps.google.com/mapfiles/kml/shapes/placemark_square.png', color: 'ffff0000' }, // 青
+    route: { lineColor: 'ff00a5ff', lineWidth: 3 }, // オレンジ
+    area: { lineColor: 'ffb469ff', lineWidth: 2, polyColor: '80c1b6ff' } // ピンク（塗りは半透明）
+};
+
+// KMLのフォルダ名（出力順）
+const KML_FOLDERS = {
+    point: 'ポイント',
+    route: 'ルート',
+    spot: 'スポット',
+    area: 'エリア'
+};
+
+// シェープファイル・GeoPackageのレイヤー（GeoJSONの形状タイプごと）
+const FEATURE_LAYERS = {
+    Point: { name: 'points', shapeType: 'point', geometryType: 'POINT', description: 'ポイント・スポット' },
+    LineString: { name: 'lines', shapeType: 'polyline', geometryType: 'LINESTRING', description: 'ルート' },
+    Polygon: { name: 'polygons', shapeType: 'polygon', geometryType: 'POLYGON', description: 'エリア' }
+};
+
+// シェープファイルの属性（.dbfのフィールド名は10バイト以内）
+const SHAPEFILE_FIELDS = [
+    { name: 'ID', key: 'id', type: 'C', length: 80 },
+    { name: 'NAME', key: 'name', type: 'C', length: 254 },
+    { name: 'TYPE', key: 'type', type: 'C', length: 10 },
+    { name: 'ELEVATION', key: 'elevation', type: 'N', length: 12, decimals: 2 },
+    { name: 'DESCR', key: 'description', type: 'C', length: 254 },
+    { name: 'ELL_MAJOR', key: 'ellipse_major', type: 'N', length: 12, decimals: 2 },
+    { name: 'ELL_MINOR', key: 'ellipse_minor', type: 'N', length: 12, decimals: 2 },
+    { name: 'ELL_AZIM', key: 'ellipse_azimuth', type: 'N', length: 6, decimals: 1 }
+];
+
+// GeoPackageの属性列
+const GEOPACKAGE_COLUMNS = [
+    { name: 'id', type: 'TEXT' },
+    { name: 'name', type: 'TEXT' },
+    { name: 'type', type: 'TEXT' },
+    { name: 'elevation', type: 'REAL' },
+    { name: 'description', type: 'TEXT' },
+    { name: 'ellipse_major', type: 'REAL' },
+    { name: 'ellipse_minor', type: 'REAL' },
+    { name: 'ellipse_azimuth', type: 'REAL' }
+];
+
+export class VectorExporter {
+    constructor() {
+        this.logger = new Logger('VectorExporter');
+    }
+
+    /**
+     * GeoJSONの地物をGPXに変換
+     * @param {Object} geoJson - FeatureCollection
+     * @param {string} name - 文書名
+     * @param {string} routeElement - ルートの出力要素 'trk' | 'rte'
+     * @returns {string} GPX（XML）
+     */
+    createGpx(geoJson, name, routeElement = 'trk') {
+        const waypoints = [];
+        const routes = [];
+        const tracks = [];
+
+        geoJson.features.forEach(feature => {
+            const { geometry } = feature;
+            const info = this.getGpxInfo(feature.properties || {});
+
+            if (geometry.type === 'Point') {
+                waypoints.push(this.createGpxPoint('wpt', geometry.coordinates, '  ', info));
+            } else if (geometry.type === 'LineString' && routeElement === 'rte') {
+                routes.push([
+                    '  <rte>',
+                    ...info.map(line => `    ${line}`),
+                    ...geometry.coordinates.map(coordinates => this.createGpxPoint('rtept', coordinates, '    ')),
+                    '  </rte>'
+                ].join('\n'));
+            } else if (geometry.type === 'LineString' || geometry.type === 'Polygon') {
+                const line = geometry.type === 'Polygon' ? geometry.coordinates[0] : geometry.coordinates;
+                tracks.push([
+                    '  <trk>',
+                    ...info.map(text => `    ${text}`),
+                    '    <trkseg>',
+                    ...line.map(coordinates => this.createGpxPoint('trkpt', coordinates, '      ')),
+                    '    </trkseg>',
+                    '  </trk>'
+                ].join('\n'));
+            }
+        });
+
+        // GPXの要素の順序はmetadata, wpt, rte, trk
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="GeoReferencer" xmlns="${GPX_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${GPX_NAMESPACE} ${GPX_NAMESPACE}/gpx.xsd">`,
+            `  <metadata>\n    <name>${this.escapeXml(name)}</name>\n    <time>${new Date().toISOString()}</time>\n  </metadata>`,
+            ...waypoints,
+            ...routes,
+            ...tracks,
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+
+    // GPXの名称・説明・種類（wpt・rte・trkの子要素）
+    getGpxInfo(properties) {
+        const lines = [];
+        if (properties.name !== undefined && properties.name !== null) {
+            lines.push(`<name>${this.escapeXml(properties.name)}</name>`);
+        }
+        if (properties.description) {
+            lines.push(`<desc>${this.escapeXml(properties.description)}</desc>`);
+        }
+        if (properties.type) {
+            lines.push(`<type>${this.escapeXml(properties.type)}</type>`);
+        }
+        return lines;
+    }
+
+    // GPXの地点（wpt・rtept・trkpt）。標高は<ele>、名称などがある場合は複数行
+    createGpxPoint(tagName, [lng, lat, elevation], indent, info = []) {
+        const children = [];
+        if (elevation !== undefined && elevation !== null) {
+            children.push(`<ele>${elevation}</ele>`);
+        }
+        children.push(...info);
+
+        const open = `${indent}<${tagName} lat="${lat}" lon="${lng}">`;
+        if (info.length === 0) {
+            return `${open}${children.join('')}</${tagName}>`;
+        }
+        return [open, ...children.map(child => `${indent}  ${child}`), `${indent}</${tagName}>`].join('\n');
+    }
+
+    /**
+     * GeoJSONの地物をKMLに変換（種類ごとのフォルダ・スタイル付き）
+     * @param {Object} geoJson - FeatureCollection
+     * @param {string} name - 文書名
+     * @returns {string} KML（XML）
+     */
+    createKml(geoJson, name) {
+        const placemarksByType = {};
+        geoJson.features.forEach(feature => {
+            const type = KML_FOLDERS[feature.properties?.type] ? feature.properties.type : 'point';
+            const placemark = this.createKmlPlacemark(feature, type);
+            if (placemark) {
+                (placemarksByType[type] = placemarksByType[type] || []).push(placemark);
+            }
+        });
+
+        const folders = Object.entries(KML_FOLDERS)
+            .filter(([type]) => placemarksByType[type])
+            .map(([type, folderName]) => [
+                '    <Folder>',
+                `      <name>${folderName}</name>`,
+                ...placemarksByType[type],
+                '    </Folder>'
+            ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<kml xmlns="${KML_NAMESPACE}">`,
+            '  <Document>',
+            `    <name>${this.escapeXml(name)}</name>`,
+            ...this.createKmlStyles(),
+            ...folders,
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    createKmlStyles() {
+        return Object.entries(KML_STYLES).map(([type, style]) => {
+            const lines = [`    <Style id="${type}">`];
+            if (style.icon) {
+                lines.push(`      <IconStyle><color>${style.color}</color><scale>1.0</scale><Icon><href>${style.icon}</href></Icon></IconStyle>`);
+            }
+            if (style.lineColor) {
+                lines.push(`      <LineStyle><color>${style.lineColor}</color><width>${style.lineWidth}</width></LineStyle>`);
+            }
+            if (style.polyColor) {
+                lines.push(`      <PolyStyle><color>${style.polyColor}</color></PolyStyle>`);
+            }
+            lines.push('    </Style>');
+            return lines.join('\n');
+        });
+    }
+
+    // KMLの目印（名称・説明・スタイル・拡張データ（id・type）と形状）
+    createKmlPlacemark(feature, type) {
+        const { geometry } = feature;
+        const properties = feature.properties || {};
+
+        let geometryXml;
+        if (geometry.type === 'Point') {
+            geometryXml = `<Point><coordinates>${this.formatKmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+        } else if (geometry.type === 'LineString') {
+            geometryXml = `<LineString><tessellate>1</tessellate><coordinates>${this.formatKmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+        } else if (geometry.type === 'Polygon') {
+            geometryXml = `<Polygon><tessellate>1</tessellate><outerBoundaryIs><LinearRing><coordinates>${this.formatKmlCoordinates(geometry.coordinates[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+        } else {
+            this.logger.warn(`KMLに出力できない形状です: ${geometry.type}`);
+            return null;
+        }
+
+        const extendedData = ['id', 'type', 'ellipseSemiMajor', 'ellipseSemiMinor', 'ellipseAzimuth', 'ellipseConfidence']
+            .filter(key => properties[key] !== undefined && properties[key] !== null)
+            .map(key => `<Data name="${key}"><value>${this.escapeXml(properties[key])}</value></Data>`)
+            .join('');
+
+        return [
+            '      <Placemark>',
+            `        <name>${this.escapeXml(properties.name ?? properties.id ?? '')}</name>`,
+            properties.description ? `        <description>${this.escapeXml(properties.description)}</description>` : null,
+            `        <styleUrl>#${type}</styleUrl>`,
+            extendedData ? `        <ExtendedData>${extendedData}</ExtendedData>` : null,
+            `        ${geometryXml}`,
+            '      </Placemark>'
+        ].filter(line => line !== null).join('\n');
+    }
+
+    // KMLの座標（経度,緯度[,標高]を空白区切り）
+    formatKmlCoordinates(coordinates) {
+        return coordinates.map(coordinate => coordinate.join(',')).join(' ');
+    }
+
+    /**
+     * KMLをKMZ（doc.kmlを格納したZIP）にまとめる
+     * @param {string} kml - KML（XML）
+     * @returns {Blob}
+     */
+    createKmz(kml) {
+        const zip = new ZipWriter();
+        zip.addFile('doc.kml', kml);
+        return zip.toBlob();
+    }
+
+    /**
+     * 地物を形状タイプごとのレイヤーに分ける（座標は2次元）
+     * 標高の属性はポイントの標高。ライン・ポリゴンは頂点ごとに標高が異なるため空とする
+     * 信頼楕円の属性は画像から変換したポイント・スポットのみ（それ以外は空）
+     * ポリゴンの外周は向きを揃える（clockwise: trueで時計回り）
+     * @returns {Array} [{name, shapeType, geometryType, description, records: [{coordinates, attributes}]}]
+     */
+    createFeatureLayers(geoJson, { clockwise }) {
+        const recordsByType = {};
+        geoJson.features.forEach(feature => {
+            const { geometry } = feature;
+            if (!FEATURE_LAYERS[geometry.type]) {
+                this.logger.warn(`出力できない形状です: ${geometry.type}`);
+                return;
+            }
+            const properties = feature.properties || {};
+            const toXY = ([x, y]) => [x, y];
+
+            let coordinates;
+            if (geometry.type === 'Point') {
+                coordinates = toXY(geometry.coordinates);
+            } else if (geometry.type === 'LineString') {
+                coordinates = geometry.coordinates.map(toXY);
+            } else {
+                coordinates = geometry.coordinates.map((ring, index) => {
+                    const points = ring.map(toXY);
+                    // 外周と穴は逆向き
+                    return this.isClockwise(points) === (index === 0 ? clockwise : !clockwise) ? points : points.reverse();
+                });
+            }
+
+            (recordsByType[geometry.type] = recordsByType[geometry.type] || []).push({
+                coordinates,
+                attributes: {
+                    id: properties.id !== undefined && properties.id !== null ? String(properties.id) : null,
+                    name: properties.name ?? null,
+                    type: properties.type ?? null,
+                    elevation: geometry.type === 'Point' && Number.isFinite(geometry.coordinates[2]) ? geometry.coordinates[2] : null,
+                    description: properties.description ?? null,
+                    ellipse_major: properties.ellipseSemiMajor ?? null,
+                    ellipse_minor: properties.ellipseSemiMinor ?? null,
+                    ellipse_azimuth: properties.ellipseAzimuth ?? null
+                }
+            });
+        });
+
+        return Object.entries(FEATURE_LAYERS)
+            .filter(([geometryType]) => recordsByType[geometryType])
+            .map(([geometryType, layer]) => ({ ...layer, records: recordsByType[geometryType] }));
+    }
+
+    // 点列が時計回りか（経度をx、緯度をyとした符号付き面積）
+    isClockwise(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return area < 0;
+    }
+
+    /**
+     * シェープファイル一式（レイヤーごとの.shp・.shx・.dbf・.prj・.cpg）をZIPにまとめる
+     * @param {Object} geoJson - FeatureCollection
+     * @param {string} name - ファイル名の基本部分（[name]_points.shp など）
+     * @returns {Blob}
+     */
+    createShapefileZip(geoJson, name) {
+        const layers = this.createFeatureLayers(geoJson, { clockwise: true });
+        const zip = new ZipWriter();
+        const date = new Date();
+
+        layers.forEach(layer => {
+            const writer = new ShapefileWriter(layer.shapeType, SHAPEFILE_FIELDS);
+            layer.records.forEach(({ coordinates, attributes }) => {
+                const parts = layer.shapeType === 'point' ? [[coordinates]]
+                    : layer.shapeType === 'polyline' ? [coordinates]
+                        : coordinates;
+                const values = Object.fromEntries(SHAPEFILE_FIELDS.map(field => [field.name, attributes[field.key]]));
+                writer.addRecord(parts, values);
+            });
+
+            const { shp, shx, dbf } = writer.build();
+            const baseName = `${name}_${layer.name}`;
+            zip.addFile(`${baseName}.shp`, shp, date);
+            zip.addFile(`${baseName}.shx`, shx, date);
+            zip.addFile(`${baseName}.dbf`, dbf, date);
+            zip.addFile(`${baseName}.prj`, CONFIG.EXPORT_CRS['EPSG:4326'].prj, date);
+            zip.addFile(`${baseName}.cpg`, 'UTF-8', date);
+            this.logger.info(`シェープファイル作成: ${baseName}（${layer.records.length}件）`);
+        });
+
+        return zip.toBlob();
+    }
+
+    /**
+     * GeoPackage（レイヤーごとの地物テーブル）を作成
+     * @param {Object} geoJson - FeatureCollection
+     * @returns {Promise<Blob>}
+     */
+    async createGeoPackage(geoJson) {
+        const SQL = await sqlJsLoader.load('GeoPackage出力');
+        const database = new SQL.Database();
+        try {
+            const writer = new GeoPackageWriter(database);
+            this.createFeatureLayers(geoJson, { clockwise: false }).forEach(layer => {
+                writer.addLayer(layer.name, layer.geometryType, GEOPACKAGE_COLUMNS, layer.records, layer.description);
+                this.logger.info(`GeoPackageレイヤー作成: ${layer.name}（${layer.records.length}件）`);
+            });
+            return new Blob([writer.export()], { type: CONFIG.VECTOR_EXPORT_FORMATS.geopackage.mimeType });
+        } finally {
+            database.close();
+        }
+    }
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
@@ -0,0 +1,292 @@
+// 画像ワープ（再投影・リサンプリング）用Web Worker
+// メインスレッドで逆変換した格子点の元画像座標を受け取り、格子内を双線形補間して
+// 出力画像の各画素を元画像からリサンプリングする（地図画面を止めないため別スレッドで処理）
+// WorkerではDOM・localStorageに依存するLogger等のモジュールは読み込まない
+//
+// メッセージ（command）:
+//   'warp'（省略時）: 1枚の画像をワープして返す
+//   'setSource': タイル生成用に元画像を保持し、縮小画像（ミップマップ）を作成
+//   'tile': 保持した元画像から1枚のタイルを作成して返す（id付き、透明のみのタイルはempty）
+
+// 進捗を通知する行数の間隔
+const PROGRESS_INTERVAL_ROWS = 64;
+
+// タイル生成用の元画像（[0]が原寸、以降1/2ずつ縮小）
+let sourceLevels = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    try {
+        switch (message.command) {
+            case 'setSource':
+                sourceLevels = buildMipmaps(message.source);
+                self.postMessage({ type: 'ready', levels: sourceLevels.length });
+                break;
+
+            case 'tile':
+                await renderTile(message);
+                break;
+
+            default:
+                await renderWarp(message);
+                break;
+        }
+
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+};
+
+async function renderWarp({ source, output, grid, resampling }) {
+    const pixels = warpImage(source, output, grid, resampling, (progress) => {
+        self.postMessage({ type: 'progress', progress });
+    });
+
+    // PNGへの変換もWorker内で行う（OffscreenCanvas未対応の場合は画素データを返す）
+    const blob = await encodePng(pixels, output.width, output.height);
+    if (blob) {
+        self.postMessage({ type: 'done', blob });
+    } else {
+        self.postMessage({ type: 'done', pixels }, [pixels.buffer]);
+    }
+}
+
+/**
+ * タイル1枚を作成
+ * 縮小表示となるズームでは、タイルの解像度に近い縮小画像から補間してちらつきを抑える
+ */
+async function renderTile({ id, output, grid, level, resampling }) {
+    if (!sourceLevels) {
+        throw new Error('元画像が設定されていません。');
+    }
+
+    const levelIndex = Math.min(Math.max(level, 0), sourceLevels.length - 1);
+    const source = sourceLevels[levelIndex];
+    const base = sourceLevels[0];
+    const scaleX = source.width / base.width;
+    const scaleY = source.height / base.height;
+
+    const coords = new Float64Array(grid.coords.length);
+    for (let i = 0; i < coords.length; i += 2) {
+        coords[i] = grid.coords[i] * scaleX;
+        coords[i + 1] = grid.coords[i + 1] * scaleY;
+    }
+
+    const pixels = warpImage(source, output, { ...grid, coords }, resampling, () => {});
+
+    let empty = true;
+    for (let i = 3; i < pixels.length; i += 4) {
+        if (pixels[i] !== 0) {
+            empty = false;
+            break;
+        }
+    }
+    if (empty) {
+        self.postMessage({ type: 'tile', id, empty: true });
+        return;
+    }
+
+    const blob = await encodePng(pixels, output.width, output.height);
+    if (blob) {
+        self.postMessage({ type: 'tile', id, empty: false, blob });
+    } else {
+        self.postMessage({ type: 'tile', id, empty: false, pixels }, [pixels.buffer]);
+    }
+}
+
+// OffscreenCanvasでPNGに変換（未対応の場合はnull）
+async function encodePng(pixels, width, height) {
+    if (typeof OffscreenCanvas === 'undefined') {
+        return null;
+    }
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.putImageData(new ImageData(pixels, width, height), 0, 0);
+    return canvas.convertToBlob({ type: 'image/png' });
+}
+
+// 元画像を1/2ずつ縮小した画像を作成（2×2画素のアルファ乗算平均）
+function buildMipmaps(source) {
+    const levels = [source];
+    let current = source;
+
+    while (current.width > 1 && current.height > 1) {
+        const width = Math.floor(current.width / 2);
+        const height = Math.floor(current.height / 2);
+        const data = new Uint8ClampedArray(width * height * 4);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0, alpha = 0;
+                for (let dy = 0; dy < 2; dy++) {
+                    for (let dx = 0; dx < 2; dx++) {
+                        const offset = ((y * 2 + dy) * current.width + (x * 2 + dx)) * 4;
+                        const a = current.data[offset + 3];
+                        r += current.data[offset] * a;
+                        g += current.data[offset + 1] * a;
+                        b += current.data[offset + 2] * a;
+                        alpha += a;
+                    }
+                }
+                const offset = (y * width + x) * 4;
+                if (alpha > 0) {
+                    data[offset] = r / alpha;
+                    data[offset + 1] = g / alpha;
+                    data[offset + 2] = b / alpha;
+                    data[offset + 3] = alpha / 4;
+                }
+            }
+        }
+
+        current = { width, height, data };
+        levels.push(current);
+    }
+
+    return levels;
+}
+
+/**
+ * 出力画像の全画素をリサンプリング
+ * @param {Object} source - {width, height, data: Uint8ClampedArray(RGBA)}
+ * @param {Object} output - {width, height}
+ * @param {Object} grid - {step, cols, rows, coords: Float64Array [sx, sy, ...]}（変換できない格子点はNaN）
+ * @param {string} resampling - 'nearest' | 'bilinear' | 'bicubic'
+ * @param {Function} onProgress - 進捗（0〜1）の通知
+ * @returns {Uint8ClampedArray} 出力画像のRGBA
+ */
+function warpImage(source, output, grid, resampling, onProgress) {
+    const pixels = new Uint8ClampedArray(output.width * output.height * 4);
+    const sample = resampling === 'nearest' ? sampleNearest
+        : resampling === 'bicubic' ? sampleBicubic
+            : sampleBilinear;
+    const rgba = [0, 0, 0, 0];
+
+    for (let y = 0; y < output.height; y++) {
+        const gy = y / grid.step;
+        const row = Math.min(Math.floor(gy), grid.rows - 2);
+        const fy = gy - row;
+
+        for (let x = 0; x < output.width; x++) {
+            const gx = x / grid.step;
+            const col = Math.min(Math.floor(gx), grid.cols - 2);
+            const fx = gx - col;
+
+            // 格子セルの4隅から元画像座標を双線形補間
+            const i00 = (row * grid.cols + col) * 2;
+            const i10 = i00 + 2;
+            const i01 = i00 + grid.cols * 2;
+            const i11 = i01 + 2;
+            const c = grid.coords;
+            const sx = (c[i00] * (1 - fx) + c[i10] * fx) * (1 - fy) + (c[i01] * (1 - fx) + c[i11] * fx) * fy;
+            const sy = (c[i00 + 1] * (1 - fx) + c[i10 + 1] * fx) * (1 - fy) + (c[i01 + 1] * (1 - fx) + c[i11 + 1] * fx) * fy;
+
+            // 元画像の範囲外（変換できない格子点を含む）は透明のまま
+            if (!(sx >= 0 && sy >= 0 && sx < source.width && sy < source.height)) {
+                continue;
+            }
+
+            sample(source, sx, sy, rgba);
+            const offset = (y * output.width + x) * 4;
+            pixels[offset] = rgba[0];
+            pixels[offset + 1] = rgba[1];
+            pixels[offset + 2] = rgba[2];
+            pixels[offset + 3] = rgba[3];
+        }
+
+        if (y % PROGRESS_INTERVAL_ROWS === 0) {
+            onProgress(y / output.height);
+        }
+    }
+
+    onProgress(1);
+    return pixels;
+}
+
+// 画素(i, j)は座標[i, i+1)×[j, j+1)を覆い、中心は(i+0.5, j+0.5)
+
+function sampleNearest(source, sx, sy, rgba) {
+    const offset = (Math.floor(sy) * source.width + Math.floor(sx)) * 4;
+    rgba[0] = source.data[offset];
+    rgba[1] = source.data[offset + 1];
+    rgba[2] = source.data[offset + 2];
+    rgba[3] = source.data[offset + 3];
+}
+
+function sampleBilinear(source, sx, sy, rgba) {
+    const u = sx - 0.5;
+    const v = sy - 0.5;
+    const x0 = Math.floor(u);
+    const y0 = Math.floor(v);
+    const fx = u - x0;
+    const fy = v - y0;
+
+    accumulate(source, [x0, x0 + 1], [y0, y0 + 1], [1 - fx, fx], [1 - fy, fy], rgba);
+}
+
+function sampleBicubic(source, sx, sy, rgba) {
+    const u = sx - 0.5;
+    const v = sy - 0.5;
+    const x0 = Math.floor(u);
+    const y0 = Math.floor(v);
+    const fx = u - x0;
+    const fy = v - y0;
+
+    accumulate(source,
+        [x0 - 1, x0, x0 + 1, x0 + 2],
+        [y0 - 1, y0, y0 + 1, y0 + 2],
+        cubicWeights(fx),
+        cubicWeights(fy),
+        rgba);
+}
+
+// Keys の3次畳み込み（a = -0.5）の重み
+function cubicWeights(t) {
+    const a = -0.5;
+    const weight = (d) => {
+        const x = Math.abs(d);
+        if (x <= 1) {
+            return (a + 2) * x * x * x - (a + 3) * x * x + 1;
+        }
+        if (x < 2) {
+            return a * x * x * x - 5 * a * x * x + 8 * a * x - 4 * a;
+        }
+        return 0;
+    };
+    return [weight(t + 1), weight(t), weight(1 - t), weight(2 - t)];
+}
+
+/**
+ * 近傍画素の加重平均（端の画素は複製して扱う）
+ * 透明部分の色が混ざらないよう、アルファを乗算した色で補間する
+ */
+function accumulate(source, xs, ys, weightsX, weightsY, rgba) {
+    let r = 0, g = 0, b = 0, alpha = 0;
+
+    for (let j = 0; j < ys.length; j++) {
+        const py = Math.min(Math.max(ys[j], 0), source.height - 1);
+        for (let i = 0; i < xs.length; i++) {
+            const weight = weightsX[i] * weightsY[j];
+            if (weight === 0) {
+                continue;
+            }
+            const px = Math.min(Math.max(xs[i], 0), source.width - 1);
+            const offset = (py * source.width + px) * 4;
+            const a = source.data[offset + 3] * weight;
+            r += source.data[offset] * a;
+            g += source.data[offset + 1] * a;
+            b += source.data[offset + 2] * a;
+            alpha += a;
+        }
+    }
+
+    if (alpha <= 0) {
+        rgba[0] = rgba[1] = rgba[2] = rgba[3] = 0;
+        return;
+    }
+
+    // Uint8ClampedArrayへの代入で0〜255に丸められる
+    rgba[0] = r / alpha;
+    rgba[1] = g / alpha;
+    rgba[2] = b / alpha;
+    rgba[3] = alpha;
+}
@@ -0,0 +1,114 @@
+// ZIPファイル作成モジュール
+// 無圧縮（STORE）のZIPアーカイブを作成する
+// PNG等の既に圧縮されたデータを格納する用途のため、圧縮は行わない
+
+// CRC-32（IEEE 802.3）の計算表
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.chunks = [];
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * ファイルを追加
+     * @param {string} path - アーカイブ内のパス（区切りは'/'）
+     * @param {Uint8Array|string} data - ファイルの内容（文字列はUTF-8で格納）
+     * @param {Date} date - 更新日時
+     */
+    addFile(path, data, date = new Date()) {
+        const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+        const name = this.encoder.encode(path);
+        const crc = ZipWriter.crc32(bytes);
+        const { time, day } = ZipWriter.toDosDateTime(date);
+
+        if (bytes.length >= 0xFFFFFFFF || this.offset >= 0xFFFFFFFF || this.entries.length >= 0xFFFF) {
+            throw new Error('ZIPファイルの容量上限を超えました。');
+        }
+
+        // ローカルファイルヘッダー
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);          // 展開に必要なバージョン
+        header.setUint16(6, 0x0800, true);      // ファイル名はUTF-8
+        header.setUint16(8, 0, true);           // 無圧縮
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, bytes.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+
+        this.entries.push({ name, crc, size: bytes.length, time, day, offset: this.offset });
+        this.chunks.push(header.buffer, name, bytes);
+        this.offset += 30 + name.length + bytes.length;
+    }
+
+    /**
+     * アーカイブを完成させてBlobを返す
+     * @returns {Blob}
+     */
+    toBlob() {
+        const directory = [];
+        let directorySize = 0;
+
+        this.entries.forEach(entry => {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);
+            header.setUint16(4, 20, true);      // 作成したバージョン
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.day, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.name.length, true);
+            header.setUint32(42, entry.offset, true);
+            directory.push(header.buffer, entry.name);
+            directorySize += 46 + entry.name.length;
+        });
+
+        // 中央ディレクトリの終端レコード
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.chunks, ...directory, end.buffer], { type: 'application/zip' });
+    }
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS形式の日時（2秒単位、1980年以降）
+    static toDosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}